@@ -1,6 +1,15 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const qrcode = require('qrcode-terminal');
+const session = require('./lib/session');
+const { findGroup, isSelfAdmin } = require('./lib/groups');
+const { openJournal } = require('./lib/journal');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const { loadTemplate, renderForRecipients } = require('./lib/template');
+const { getContactName } = require('./lib/contacts');
+const { loadAttachment, sendWithAttachment } = require('./lib/media');
+const { normalizeList, reportInvalid, toChatId } = require('./lib/phone');
+const { checkRegistration } = require('./lib/registration');
+const { openInviteLinkStore, inviteLinkFor } = require('./lib/invite-links');
 const fs = require('fs');
+const path = require('path');
 
 /**
  * WhatsApp Group Manager - Add Participants
@@ -12,8 +21,7 @@ const fs = require('fs');
  * @author Om
  * @version 1.0.0
  * 
- * @requires whatsapp-web.js - WhatsApp Web API client
- * @requires qrcode-terminal - For displaying QR codes in terminal
+ * @requires ./lib/session - Shared WhatsApp client (one QR scan for every tool)
  * @requires fs - File system operations (built-in Node.js module)
  * 
  * @prerequisites
@@ -31,6 +39,7 @@ const fs = require('fs');
  * 
  * @usage
  * 1. Run the script: `node add-participants-to-group.js`
+ *    (or without editing this file: `wga members add --group <id> --input <file>`)
  * 2. Scan the QR code with WhatsApp Web
  * 3. Wait for authentication and group processing
  * 4. The script will automatically:
@@ -42,17 +51,25 @@ const fs = require('fs');
  * 
  * @configuration
  * - GROUP_ID: The WhatsApp group ID (find using export-all-groups-info.js)
- * - PARTICIPANTS_TO_ADD_FILE: Path to JSON file with phone numbers to add
- * - INVITE_MESSAGE: Customize the message sent with group invite links
+ * - PARTICIPANTS_TO_ADD_FILE: Path to JSON file with phone numbers to add (any format, see lib/phone.js)
+ * - DEFAULT_COUNTRY: Country for numbers written without a country code (e.g. 'IN')
+ * - INVITE_TEMPLATE_FILE: Template of the message sent with group invite links
+ *   (variables: {{groupName}}, {{inviteLink}}, {{name}}, see lib/template.js)
+ * - ATTACHMENT_FILE: Image, PDF or voice note sent with the invite, captioned with the message (see lib/media.js)
+ * - CHECK_REGISTRATION: Look every number up first and skip those not on WhatsApp
+ * - DRY_RUN: Preview the plan (results file with `planned_add` statuses) without changing anything
+ * - CAMPAIGN_NAME: Name the invite link is recorded under in invite_links.json (default add_<timestamp>)
+ * - ROTATE_AFTER_HOURS: Rotate the invite link this many hours after the run (`wga links expire`), null = never
  * 
  * @output
  * - Console logs with real-time progress and statistics
  * - JSON results file: `add_results_YYYY-MM-DDTHH-MM-SS.json`
+ * - Journal file: `add_journal_YYYY-MM-DDTHH-MM-SS.jsonl` (one line per number, written as it happens)
  * - Summary report with success/failure counts and invite statistics
  * 
  * @safety
  * - Script includes admin verification before proceeding
- * - Optimized delays between operations to avoid rate limiting
+ * - Randomized delays, hourly/daily caps and error backoff (lib/rate-limiter.js)
  * - Separate tracking for direct adds vs invite sends
  * - Graceful error handling for failed operations
  * - Automatically skips participants who are already in the group
@@ -62,7 +79,7 @@ const fs = require('fs');
  * - Requires admin privileges in the target group
  * - Phone numbers must include country code with + prefix
  * - Results are automatically saved with timestamps
- * - Script can be interrupted safely with Ctrl+C
+ * - Script can be interrupted safely with Ctrl+C; set RESUME_JOURNAL (or pass --resume) to continue
  * 
  * @example
  * ```bash
@@ -80,347 +97,388 @@ const fs = require('fs');
 // Configuration
 const GROUP_ID = "120363401616166216";
 const PARTICIPANTS_TO_ADD_FILE = 'participants_to_add.json';
+const DEFAULT_COUNTRY = null; // e.g. 'IN' to accept local numbers like 09876543210
+const CHECK_REGISTRATION = true; // Skip numbers that are not on WhatsApp (listed under `unregistered` in the results)
+const DRY_RUN = false; // Set to true to preview the plan without adding or messaging anyone
+const RESUME_JOURNAL = null; // Set to an add_journal_*.jsonl file to continue an interrupted run
+const ATTACHMENT_FILE = null; // Set to an image/PDF/voice note to send with invite messages
+const CAMPAIGN_NAME = null; // Name of this run in the invite link history (see manage-invite-links.js)
+const ROTATE_AFTER_HOURS = null; // e.g. 72 to retire the invite link three days after the run
 
 // Timing Configuration (milliseconds)
+// Pacing between adds/invites is handled by lib/rate-limiter.js (jitter, caps, backoff)
 const DELAYS = {
-    VERIFICATION: 1000,     // Wait after add before checking if it worked
-    PRE_INVITE: 500,        // Wait before sending invite message  
-    BETWEEN_ADDS: 2000,     // Main rate limiting - wait between each add/invite
-    AFTER_FAILURE: 1000     // Wait after failed attempts
+    VERIFICATION: 1000      // Wait after add before checking if it worked
 };
 
-// Load participants to add
-const TARGET_GROUP_ID = `${GROUP_ID}@g.us`;
-let participants_to_add = [];
-try {
-    participants_to_add = JSON.parse(fs.readFileSync(PARTICIPANTS_TO_ADD_FILE, 'utf8'));
-    console.log(`📱 Loaded ${participants_to_add.length} participants to add`);
-} catch (error) {
-    console.error(`❌ Error loading ${PARTICIPANTS_TO_ADD_FILE}:`, error.message);
-    process.exit(1);
-}
+// Template of the message sent with group invite links
+const INVITE_TEMPLATE_FILE = path.join(__dirname, 'templates', 'invite.txt');
 
-// Create a new client instance
-const client = new Client({
-    authStrategy: new LocalAuth({
-        clientId: "whatsapp-group-adder"
-    }),
-    puppeteer: {
-        headless: true,
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-        ],
-        timeout: 60000
+/**
+ * Add participants to a group, falling back to an invite link when direct add fails.
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} options
+ * @param {string} options.groupId - Target group ID (bare or ending in @g.us)
+ * @param {string[]} options.participants - Phone numbers (normalized to E.164, invalid entries are reported and skipped)
+ * @param {string} [options.defaultCountry] - Country for numbers without a country code
+ * @param {object} [options.inviteTemplate] - Parsed invite template (defaults to INVITE_TEMPLATE_FILE)
+ * @param {object} [options.variables] - Extra template variables
+ * @param {object} [options.attachment] - Attachment sent with invite messages (from lib/media.js loadAttachment)
+ * @param {number} [options.delay] - Base delay between each add/invite (ms), jittered by the rate limiter
+ * @param {object} [options.limiter] - Shared rate limiter (created from options.delay if omitted)
+ * @param {boolean} [options.checkRegistration=true] - Pre-flight lookup; numbers not on WhatsApp are not attempted
+ * @param {boolean} [options.dryRun=false] - Do every lookup but add/message nobody
+ * @param {string} [options.resume] - Journal of an interrupted run; numbers already processed are skipped
+ * @param {string} [options.campaign] - Name the invite link is recorded under (default add_<timestamp>)
+ * @param {number} [options.rotateAfter] - Hours after which `links expire` rotates the invite link
+ * @param {Function} [options.onProgress] - Called after each number with {done, total, result}
+ * @param {AbortSignal} [options.signal] - Stop before the next number when aborted (results are still written)
+ * @returns {Promise<object|undefined>} Summary with the results file; undefined when nothing was processed
+ * @throws {Error} When the group is not found, we are not an admin of it, a template variable is missing
+ *   or the run fails partway (numbers already processed are in the journal)
+ */
+async function addParticipantsToGroup(client, options) {
+    // Normalize input numbers to E.164 so they match the group's participant IDs
+    const normalized = normalizeList(options.participants, { defaultCountry: options.defaultCountry });
+    reportInvalid(normalized.invalid, 'participant list');
+    const participants_to_add = normalized.valid;
+    const inviteTemplate = options.inviteTemplate || loadTemplate(INVITE_TEMPLATE_FILE);
+    const limiter = options.limiter || createRateLimiter({ baseDelay: options.delay });
+    const dryRun = Boolean(options.dryRun);
+    
+    const targetGroup = await findGroup(client, options.groupId);
+    if (!targetGroup) {
+        throw new Error(`Group ${options.groupId} not found`);
     }
-});
-
-// Message sent with group invite links
-const INVITE_MESSAGE = `Hi! 👋
-
-The owner of the original group feels that people who are not contributing also deserve the updates. However, it seems unfair to those of us who are volunteering, so I have created another group where you will be with people who are actually helping.
-
-Note: Only people who haven't contributed even once in a month have been removed from the original group.
-
-You've been invited to join the slots update group. Please click the link below to join:
-
-https://chat.whatsapp.com/F62pSwcfaqU6w816V6FvZM
-
-Looking forward to having you in our community! ✨
-`;
-
-// Add loading progress indicators
-client.on('loading_screen', (percent, message) => {
-    console.log(`⏳ Loading: ${percent}% - ${message}`);
-});
-
-client.on('connecting', () => {
-    console.log('🔗 Connecting to WhatsApp Web...');
-});
-
-// Generate QR code for authentication
-client.on('qr', (qr) => {
-    console.log('📱 Scan the QR code below with your WhatsApp:');
-    qrcode.generate(qr, { small: true });
-    console.log('\n⏰ QR code expires in 20 seconds. Scan quickly!');
-});
-
-// Handle authentication
-client.on('authenticated', () => {
-    console.log('🔐 Authentication successful!');
-    console.log('⏳ Setting up client...');
-});
-
-client.on('auth_failure', (msg) => {
-    console.error('❌ Authentication failed:', msg);
-    console.log('💡 Try restarting the app and scanning a fresh QR code.');
-});
-
-// When client is ready, start adding participants
-client.on('ready', async () => {
-    console.log('✅ WhatsApp Web client is ready!');
-    console.log('🔍 Looking for target group...\n');
     
-    await addParticipantsToGroup();
-});
-
-// Function to add participants to group
-async function addParticipantsToGroup() {
+    // Check if user is admin of the group
+    if (!isSelfAdmin(client, targetGroup)) {
+        throw new Error('You must be an admin of this group to add participants');
+    }
+    
+    console.log('✅ You are an admin of this group');
+    
+    // Every outcome is journaled as it happens so an interrupted run can be resumed
+    const journal = openJournal({
+        operation: 'add',
+        groupId: targetGroup.id._serialized,
+        resume: options.resume,
+        disabled: dryRun
+    });
+    
+    // Get current group participants (phone numbers only)
+    const currentParticipants = targetGroup.participants.map(p => `+${p.id.user}`);
+    
+    // Find which participants are not yet in the group (and not handled by the resumed run)
+    let participantsToAdd = participants_to_add.filter(phoneNumber => 
+        !currentParticipants.includes(phoneNumber) && !journal.isDone(phoneNumber)
+    );
+    
+    const alreadyInGroup = participants_to_add.filter(phoneNumber => 
+        currentParticipants.includes(phoneNumber)
+    );
+    
+    console.log(`\n📊 ANALYSIS:`);
+    console.log(`   📱 Total participants to add: ${participants_to_add.length}`);
+    console.log(`   ➕ Need to be added: ${participantsToAdd.length}`);
+    if (journal.previous.length > 0) {
+        console.log(`   ⏭️  Already processed (resumed): ${journal.previous.length}`);
+    }
+    console.log(`   ✅ Already in group: ${alreadyInGroup.length}`);
+    
+    if (participantsToAdd.length === 0) {
+        console.log('\n🎉 All participants are already in the group! Nothing to add.');
+        return;
+    }
+    
+    // Pre-flight: only attempt numbers that are on WhatsApp, using the WID the lookup resolves
+    let registration = { registered: new Map(), unregistered: [], failed: [] };
+    if (options.checkRegistration !== false) {
+        registration = await checkRegistration(client, participantsToAdd);
+        participantsToAdd = participantsToAdd.filter(phoneNumber => !registration.unregistered.includes(phoneNumber));
+        if (participantsToAdd.length === 0) {
+            console.log('\n🚫 None of the remaining numbers are on WhatsApp. Nothing to add.');
+        }
+    }
+    const chatIdFor = (phoneNumber) => registration.registered.get(phoneNumber) || toChatId(phoneNumber);
+    
+    // Show participants that will be added
+    console.log(`\n🎯 PARTICIPANTS TO BE ADDED (${participantsToAdd.length}):`);
+    participantsToAdd.slice(0, 10).forEach((number, index) => {
+        console.log(`   ${index + 1}. ${number}`);
+    });
+    if (participantsToAdd.length > 10) {
+        console.log(`   ... and ${participantsToAdd.length - 10} more`);
+    }
+    
+    if (dryRun) {
+        console.log('\n🧪 DRY RUN: no one will be added or messaged');
+    }
+    console.log('\n🚀 Starting add process...\n');
+    
+    // Get group invite link (we'll need this for fallback)
+    let groupInviteCode = null;
     try {
-        // Get all chats and find the target group
-        console.log('📋 Loading all chats...');
-        const chats = await client.getChats();
-        const groups = chats.filter(chat => chat.isGroup);
-        
-        console.log(`📱 Found ${groups.length} groups total`);
-        
-        // Find the specific group
-        const targetGroup = groups.find(group => group.id._serialized === TARGET_GROUP_ID);
-        
-        if (!targetGroup) {
-            console.error(`❌ Group "${TARGET_GROUP_ID}" not found!`);
-            console.log('\n📋 Available groups:');
-            groups.forEach((group, index) => {
-                console.log(`   ${index + 1}. ${group.name} (ID: ${group.id._serialized})`);
+        groupInviteCode = await targetGroup.getInviteCode();
+        console.log('🔗 Group invite link obtained for fallback\n');
+    } catch (error) {
+        console.log('⚠️  Could not get group invite link - direct add only mode\n');
+    }
+    
+    // Render every invite up front so a missing template variable stops the run before anyone is touched
+    let inviteMessages = new Map();
+    if (groupInviteCode) {
+        const inviteLink = inviteLinkFor(groupInviteCode);
+        const needsName = inviteTemplate.variables.includes('name');
+        const recipients = [];
+        for (const phoneNumber of participantsToAdd) {
+            const name = needsName ? await getContactName(client, chatIdFor(phoneNumber)) : undefined;
+            recipients.push({
+                number: phoneNumber,
+                variables: { ...options.variables, groupName: targetGroup.name, inviteLink, name }
             });
-            return;
         }
-        
-        console.log(`✅ Found target group: "${targetGroup.name}"`);
-        console.log(`👥 Group has ${targetGroup.participants.length} participants`);
-        
-        // Check if user is admin of the group
-        const myId = client.info.wid._serialized;
-        const myParticipant = targetGroup.participants.find(p => p.id._serialized === myId);
-        
-        if (!myParticipant || !myParticipant.isAdmin) {
-            console.error('❌ You must be an admin of this group to add participants!');
-            return;
-        }
-        
-        console.log('✅ You are an admin of this group');
-        
-        // Get current group participants (phone numbers only)
-        const currentParticipants = targetGroup.participants.map(p => `+${p.id.user}`);
-        
-        // Find which participants are not yet in the group
-        const participantsToAdd = participants_to_add.filter(phoneNumber => 
-            !currentParticipants.includes(phoneNumber)
-        );
-        
-        const alreadyInGroup = participants_to_add.filter(phoneNumber => 
-            currentParticipants.includes(phoneNumber)
-        );
-        
-        console.log(`\n📊 ANALYSIS:`);
-        console.log(`   📱 Total participants to add: ${participants_to_add.length}`);
-        console.log(`   ➕ Need to be added: ${participantsToAdd.length}`);
-        console.log(`   ✅ Already in group: ${alreadyInGroup.length}`);
-        
-        if (participantsToAdd.length === 0) {
-            console.log('\n🎉 All participants are already in the group! Nothing to add.');
-            return;
+        inviteMessages = renderForRecipients(inviteTemplate, recipients);
+    }
+    
+    // Add participants one by one
+    // Results of a resumed run carry over into this run's totals
+    const countPrevious = (status) => journal.previous.filter(r => r.status === status).length;
+    let successCount = countPrevious('added');
+    let inviteCount = countPrevious('invited');
+    let failCount = 0;
+    let skipCount = countPrevious('already_in_group');
+    let plannedCount = 0;
+    const results = [...journal.previous];
+    const totalToProcess = participantsToAdd.length + journal.previous.length;
+    
+    const recordResult = (result) => {
+        results.push(result);
+        journal.record(result);
+        if (options.onProgress) {
+            options.onProgress({ done: results.length - journal.previous.length, total: participantsToAdd.length, result });
         }
+    };
+    
+    let cancelled = false;
+    for (let i = 0; i < participantsToAdd.length; i++) {
+        const phoneNumber = participantsToAdd[i];
+        const progress = `[${i + 1}/${participantsToAdd.length}]`;
+        let action = 'add';
         
-        // Show participants that will be added
-        console.log(`\n🎯 PARTICIPANTS TO BE ADDED (${participantsToAdd.length}):`);
-        participantsToAdd.slice(0, 10).forEach((number, index) => {
-            console.log(`   ${index + 1}. ${number}`);
-        });
-        if (participantsToAdd.length > 10) {
-            console.log(`   ... and ${participantsToAdd.length - 10} more`);
+        if (options.signal && options.signal.aborted) {
+            cancelled = true;
+            break;
         }
         
-        console.log('\n🚀 Starting add process...\n');
-        
-        // Get group invite link (we'll need this for fallback)
-        let groupInviteCode = null;
         try {
-            groupInviteCode = await targetGroup.getInviteCode();
-            console.log('🔗 Group invite link obtained for fallback\n');
-        } catch (error) {
-            console.log('⚠️  Could not get group invite link - direct add only mode\n');
-        }
-        
-        // Add participants one by one
-        let successCount = 0;
-        let inviteCount = 0;
-        let failCount = 0;
-        let skipCount = 0;
-        const results = [];
-        
-        for (let i = 0; i < participantsToAdd.length; i++) {
-            const phoneNumber = participantsToAdd[i];
-            const progress = `[${i + 1}/${participantsToAdd.length}]`;
+            console.log(`${progress} ➕ Adding ${phoneNumber}...`);
             
+            const participantId = chatIdFor(phoneNumber);
+            console.log(`${progress} 🔍 Using participant ID: ${participantId}`);
+            
+            // Check if participant is already in the group (double-check)
+            const updatedGroup = await client.getChatById(targetGroup.id._serialized);
+            const alreadyInGroup = updatedGroup.participants.some(p => p.id._serialized === participantId);
+            if (alreadyInGroup) {
+                console.log(`${progress} ✅ SKIPPED: ${phoneNumber} is already in the group`);
+                recordResult({ number: phoneNumber, status: 'already_in_group', method: 'skipped' });
+                skipCount++;
+                continue;
+            }
+            
+            if (dryRun) {
+                const plan = groupInviteCode
+                    ? { number: phoneNumber, status: 'planned_add', method: 'direct_or_invite', inviteLink: inviteLinkFor(groupInviteCode) }
+                    : { number: phoneNumber, status: 'planned_add', method: 'direct' };
+                console.log(`${progress} 🧪 PLANNED: would add ${phoneNumber}`);
+                recordResult(plan);
+                plannedCount++;
+                continue;
+            }
+            
+            // Try to add participant directly
             try {
-                console.log(`${progress} ➕ Adding ${phoneNumber}...`);
+                if (!await limiter.wait('add', options.signal)) {
+                    cancelled = true;
+                    break;
+                }
+                console.log(`${progress} ➕ Attempting direct add...`);
+                await targetGroup.addParticipants([participantId]);
                 
-                // Format phone number for WhatsApp (remove + and add @c.us)
-                const participantId = phoneNumber.replace('+', '') + '@c.us';
-                console.log(`${progress} 🔍 Using participant ID: ${participantId}`);
+                // Verify addition by checking current participants
+                await new Promise(resolve => setTimeout(resolve, DELAYS.VERIFICATION));
+                const verifyGroup = await client.getChatById(targetGroup.id._serialized);
+                const nowInGroup = verifyGroup.participants.some(p => p.id._serialized === participantId);
                 
-                // Check if participant is already in the group (double-check)
-                const updatedGroup = await client.getChatById(targetGroup.id._serialized);
-                const alreadyInGroup = updatedGroup.participants.some(p => p.id._serialized === participantId);
-                if (alreadyInGroup) {
-                    console.log(`${progress} ✅ SKIPPED: ${phoneNumber} is already in the group`);
-                    results.push({ number: phoneNumber, status: 'already_in_group', method: 'skipped' });
-                    skipCount++;
-                    continue;
+                if (nowInGroup) {
+                    console.log(`${progress} ✅ SUCCESS: Added ${phoneNumber} directly`);
+                    recordResult({ number: phoneNumber, status: 'added', method: 'direct' });
+                    limiter.record('add', true);
+                    successCount++;
+                } else {
+                    throw new Error('Participant not found in group after add attempt');
                 }
                 
-                // Try to add participant directly
-                try {
-                    console.log(`${progress} ➕ Attempting direct add...`);
-                    await targetGroup.addParticipants([participantId]);
-                    
-                    // Verify addition by checking current participants
-                    await new Promise(resolve => setTimeout(resolve, DELAYS.VERIFICATION));
-                    const verifyGroup = await client.getChatById(targetGroup.id._serialized);
-                    const nowInGroup = verifyGroup.participants.some(p => p.id._serialized === participantId);
-                    
-                    if (nowInGroup) {
-                        console.log(`${progress} ✅ SUCCESS: Added ${phoneNumber} directly`);
-                        results.push({ number: phoneNumber, status: 'added', method: 'direct' });
-                        successCount++;
-                    } else {
-                        throw new Error('Participant not found in group after add attempt');
+            } catch (addError) {
+                // Direct add failed, try sending invite link
+                console.log(`${progress} ⚠️  Direct add failed: ${addError.message}`);
+                
+                // Most refusals are privacy settings, answered with an invite - not errors to back off from
+                if (groupInviteCode) {
+                    action = 'message';
+                    if (!await limiter.wait('message', options.signal)) {
+                        cancelled = true;
+                        break;
                     }
+                    console.log(`${progress} 📨 Sending invite link to ${phoneNumber}...`);
                     
-                } catch (addError) {
-                    // Direct add failed, try sending invite link
-                    console.log(`${progress} ⚠️  Direct add failed: ${addError.message}`);
+                    const inviteLink = inviteLinkFor(groupInviteCode);
+                    const inviteMessage = inviteMessages.get(phoneNumber);
                     
-                    if (groupInviteCode) {
-                        console.log(`${progress} 📨 Sending invite link to ${phoneNumber}...`);
-                        
-                        await new Promise(resolve => setTimeout(resolve, DELAYS.PRE_INVITE));
-                        
-                        const inviteLink = `https://chat.whatsapp.com/${groupInviteCode}`;
-                        const inviteMessage = INVITE_MESSAGE.replace('[GROUP_INVITE_LINK]', inviteLink);
-                        
-                        await client.sendMessage(participantId, inviteMessage);
-                        console.log(`${progress} ✅ Invite sent to ${phoneNumber}`);
-                        results.push({ number: phoneNumber, status: 'invited', method: 'invite_link', inviteLink: inviteLink });
-                        inviteCount++;
-                    } else {
-                        console.log(`${progress} ❌ FAILED: Cannot add ${phoneNumber} and no invite link available`);
-                        results.push({ number: phoneNumber, status: 'failed', method: 'none', error: addError.message });
-                        failCount++;
-                    }
-                }
-                
-                // Add delay between operations to avoid rate limiting
-                if (i < participantsToAdd.length - 1) {
-                    console.log(`${progress} ⏳ Waiting ${DELAYS.BETWEEN_ADDS/1000} seconds...`);
-                    await new Promise(resolve => setTimeout(resolve, DELAYS.BETWEEN_ADDS));
-                }
-                
-            } catch (error) {
-                console.log(`${progress} ❌ FAILED: ${phoneNumber} - ${error.message}`);
-                failCount++;
-                results.push({ number: phoneNumber, status: 'failed', method: 'error', error: error.message });
-                
-                // Still wait even on failure
-                if (i < participantsToAdd.length - 1) {
-                    await new Promise(resolve => setTimeout(resolve, DELAYS.AFTER_FAILURE));
+                    const sent = await sendWithAttachment(client, participantId, inviteMessage, options.attachment, { previous: journal.lastFailure(phoneNumber) });
+                    console.log(`${progress} ✅ Invite sent to ${phoneNumber}`);
+                    recordResult({ number: phoneNumber, status: 'invited', method: 'invite_link', inviteLink: inviteLink, invitedAt: new Date().toISOString(), attachment: sent.attachment });
+                    limiter.record('message', true);
+                    inviteCount++;
+                } else {
+                    console.log(`${progress} ❌ FAILED: Cannot add ${phoneNumber} and no invite link available`);
+                    recordResult({ number: phoneNumber, status: 'failed', method: 'none', error: addError.message });
+                    failCount++;
+                    limiter.record('add', false);
                 }
             }
+            
+        } catch (error) {
+            console.log(`${progress} ❌ FAILED: ${phoneNumber} - ${error.message}`);
+            failCount++;
+            recordResult({ number: phoneNumber, status: 'failed', method: 'error', error: error.message, attachment: error.attachment });
+            limiter.record(action, false);
         }
-        
-        // Summary
-        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        console.log('📊 ADD COMPLETE - SUMMARY:');
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        console.log(`👥 Group: ${targetGroup.name}`);
-        console.log(`📱 Participants to process: ${participantsToAdd.length}`);
-        console.log(`✅ Successfully added directly: ${successCount}`);
-        console.log(`📨 Invite links sent: ${inviteCount}`);
-        console.log(`⏭️  Already in group: ${skipCount}`);
-        console.log(`❌ Failed completely: ${failCount}`);
-        console.log(`📊 Success Rate: ${participantsToAdd.length > 0 ? (((successCount + inviteCount) / participantsToAdd.length) * 100).toFixed(1) : 0}%`);
-        console.log(`➕ Direct Add Rate: ${participantsToAdd.length > 0 ? ((successCount / participantsToAdd.length) * 100).toFixed(1) : 0}%`);
-        
-        // Save results
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-        const resultsFile = `add_results_${timestamp}.json`;
-        fs.writeFileSync(resultsFile, JSON.stringify({
-            groupName: targetGroup.name,
-            timestamp: new Date().toISOString(),
-            totalToProcess: participantsToAdd.length,
-            successCount: successCount,
-            inviteCount: inviteCount,
-            skipCount: skipCount,
-            failCount: failCount,
-            results: results,
-            alreadyInGroup: alreadyInGroup
-        }, null, 2));
-        
-        console.log(`\n📁 Results saved to: ${resultsFile}`);
-        
-        if (failCount > 0) {
-            const failedNumbers = results.filter(r => r.status === 'failed').map(r => r.number);
-            console.log(`\n❌ FAILED TO ADD OR INVITE (${failCount}):`);
-            failedNumbers.forEach((num, index) => {
-                console.log(`   ${index + 1}. ${num}`);
+    }
+    
+    if (cancelled) {
+        const left = participantsToAdd.length - (results.length - journal.previous.length);
+        console.log(`\n⏹️  Cancelled: ${left} numbers not processed${journal.file ? ` - continue with --resume ${journal.file}` : ''}`);
+    }
+    
+    // Summary
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(dryRun ? '🧪 DRY RUN COMPLETE - PLAN:' : '📊 ADD COMPLETE - SUMMARY:');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`👥 Group: ${targetGroup.name}`);
+    console.log(`📱 Participants to process: ${totalToProcess}`);
+    if (dryRun) {
+        console.log(`🧪 Planned adds: ${plannedCount}`);
+    }
+    console.log(`✅ Successfully added directly: ${successCount}`);
+    console.log(`📨 Invite links sent: ${inviteCount}`);
+    console.log(`⏭️  Already in group: ${skipCount}`);
+    console.log(`🚫 Not on WhatsApp (not attempted): ${registration.unregistered.length}`);
+    console.log(`❌ Failed completely: ${failCount}`);
+    console.log(`📊 Success Rate: ${totalToProcess > 0 ? (((successCount + inviteCount) / totalToProcess) * 100).toFixed(1) : 0}%`);
+    console.log(`➕ Direct Add Rate: ${totalToProcess > 0 ? ((successCount / totalToProcess) * 100).toFixed(1) : 0}%`);
+    
+    // Save results
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const resultsFile = `add_results_${timestamp}.json`;
+    fs.writeFileSync(resultsFile, JSON.stringify({
+        groupName: targetGroup.name,
+        groupId: targetGroup.id._serialized,
+        timestamp: new Date().toISOString(),
+        dryRun: dryRun,
+        cancelled: cancelled,
+        journalFile: journal.file,
+        resumedCount: journal.previous.length,
+        totalToProcess: totalToProcess,
+        plannedCount: plannedCount,
+        attachment: options.attachment ? options.attachment.file : null,
+        successCount: successCount,
+        inviteCount: inviteCount,
+        skipCount: skipCount,
+        failCount: failCount,
+        results: results,
+        alreadyInGroup: alreadyInGroup,
+        invalidNumbers: normalized.invalid,
+        unregisteredCount: registration.unregistered.length,
+        unregistered: registration.unregistered,
+        registrationLookupFailed: registration.failed,
+        rateLimit: limiter.summary()
+    }, null, 2));
+    
+    console.log(`\n📁 Results saved to: ${resultsFile}`);
+    
+    // Record which link this campaign handed out, and when it should be retired
+    if (groupInviteCode && inviteCount > 0 && !dryRun) {
+        try {
+            const links = openInviteLinkStore();
+            const rotateAt = options.rotateAfter !== undefined && options.rotateAfter !== null
+                ? new Date(Date.now() + options.rotateAfter * 60 * 60 * 1000)
+                : null;
+            const campaign = links.addCampaign(targetGroup.id._serialized, targetGroup.name, groupInviteCode, {
+                name: options.campaign || `add_${timestamp}`,
+                invited: inviteCount,
+                resultsFile,
+                rotateAt
             });
+            links.save();
+            console.log(`🔗 Invite link recorded for campaign "${campaign.name}" in ${links.file}`);
+            if (rotateAt) {
+                console.log(`🔁 Rotate it after ${campaign.rotateAt.slice(0, 16).replace('T', ' ')} with: wga links expire`);
+            }
+        } catch (error) {
+            console.log(`⚠️  Could not record the invite link: ${error.message}`);
         }
-        
-        console.log('\n🎉 Participant addition complete!');
-        console.log('💡 You can now close this app with Ctrl+C');
-        
-    } catch (error) {
-        console.error('❌ Error in addition process:', error);
     }
+    
+    if (failCount > 0) {
+        const failedNumbers = results.filter(r => r.status === 'failed').map(r => r.number);
+        console.log(`\n❌ FAILED TO ADD OR INVITE (${failCount}):`);
+        failedNumbers.forEach((num, index) => {
+            console.log(`   ${index + 1}. ${num}`);
+        });
+    }
+    
+    console.log(dryRun ? '\n🧪 Dry run complete - review the plan, then run again without --dry-run' : '\n🎉 Participant addition complete!');
+    return { resultsFile, groupId: targetGroup.id._serialized, groupName: targetGroup.name, dryRun, cancelled, totalToProcess, plannedCount, successCount, inviteCount, skipCount, failCount };
 }
 
-// Error handling
-client.on('disconnected', (reason) => {
-    console.log('🔌 Client was disconnected:', reason);
-});
-
-process.on('SIGINT', async () => {
-    console.log('\n🛑 Shutting down gracefully...');
-    await client.destroy();
-    process.exit(0);
-});
-
-// Add connection timeout handling
-const connectionTimeout = setTimeout(() => {
-    console.log('\n⚠️  Connection is taking longer than expected...');
-    console.log('💡 Possible solutions:');
-    console.log('   1. Check your internet connection');
-    console.log('   2. Make sure Chrome/Chromium is installed');
-    console.log('   3. Try restarting the app');
-}, 30000);
-
-client.on('ready', () => {
-    clearTimeout(connectionTimeout);
-});
-
-client.on('auth_failure', () => {
-    clearTimeout(connectionTimeout);
-});
-
-// Initialize the client
-console.log('🚀 Starting WhatsApp Group Participant Adder...');
-console.log('📦 Initializing browser...');
-console.log(`🎯 Target Group: "${TARGET_GROUP_ID}"`);
-console.log(`📱 Participants to add: ${participants_to_add.length}`);
-console.log('➕ Will try direct add first, then invite link fallback');
+// Run directly: node add-participants-to-group.js
+if (require.main === module) {
+    // Load participants to add
+    let participants_to_add = [];
+    try {
+        participants_to_add = JSON.parse(fs.readFileSync(PARTICIPANTS_TO_ADD_FILE, 'utf8'));
+        console.log(`📱 Loaded ${participants_to_add.length} participants to add`);
+    } catch (error) {
+        console.error(`❌ Error loading ${PARTICIPANTS_TO_ADD_FILE}:`, error.message);
+        process.exit(1);
+    }
+    
+    // Load the invite attachment before connecting so a bad path fails fast
+    let attachment = null;
+    try {
+        attachment = ATTACHMENT_FILE ? loadAttachment(ATTACHMENT_FILE) : null;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    // Create a client bound to the shared session
+    const client = session.createClient();
+    
+    console.log('🚀 Starting WhatsApp Group Participant Adder...');
+    console.log(`🎯 Target Group: "${GROUP_ID}"`);
+    console.log(`📱 Participants to add: ${participants_to_add.length}`);
+    console.log('➕ Will try direct add first, then invite link fallback');
+    
+    session.ready(client)
+        .then(() => {
+            console.log('🔍 Looking for target group...\n');
+            return addParticipantsToGroup(client, { groupId: GROUP_ID, participants: participants_to_add, defaultCountry: DEFAULT_COUNTRY, attachment, checkRegistration: CHECK_REGISTRATION, dryRun: DRY_RUN, resume: RESUME_JOURNAL, campaign: CAMPAIGN_NAME, rotateAfter: ROTATE_AFTER_HOURS });
+        })
+        .then(() => console.log('💡 You can now close this app with Ctrl+C'))
+        .catch(session.fail);
+}
 
-client.initialize().catch(error => {
-    console.error('❌ Failed to initialize client:', error.message);
-    console.log('\n💡 Common fixes:');
-    console.log('   • Install Chrome: brew install google-chrome');
-    console.log('   • Or install Chromium: brew install chromium');
-    console.log('   • Check if you have enough memory available');
-    console.log('   • Try running: npm install puppeteer');
-    process.exit(1);
-}); 
\ No newline at end of file
+module.exports = { addParticipantsToGroup, INVITE_TEMPLATE_FILE, DELAYS };
@@ -0,0 +1,566 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const session = require('./lib/session');
+const { getGroups, isSelfAdmin, participantRoles, toGroupChatId } = require('./lib/groups');
+const { createJobQueue } = require('./lib/jobs');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const { parseTemplate, TemplateError } = require('./lib/template');
+const { loadAttachment } = require('./lib/media');
+const { saveParticipantsToFile } = require('./lib/participants-export');
+const { qrToSvg } = require('./lib/qr-svg');
+const { loadWebhooks, createWebhookSender, forwardJobEvents, DEFAULT_WEBHOOK_FILE } = require('./lib/webhooks');
+const { addParticipantsToGroup } = require('./add-participants-to-group');
+const { removeInactiveParticipants } = require('./remove-inactive-from-group');
+const { sendMessagesToAll } = require('./send-messages');
+const { watchGroupEvents } = require('./watch-group-events');
+const { runScheduler } = require('./scheduler');
+
+/**
+ * WhatsApp Group Actions - Local HTTP API
+ *
+ * @description
+ * Serves the group operations over HTTP on top of one authenticated client,
+ * so dashboards and scripts can drive them without a terminal session.
+ * Reads answer immediately; adds, removals and broadcasts are queued as
+ * background jobs (lib/jobs.js) that run one at a time on a shared rate-limit
+ * budget, and are polled for progress.
+ *
+ * Endpoints (JSON in, JSON out):
+ * - GET    /session                       Connection status, with the login QR code (SVG) while waiting for a scan
+ * - GET    /groups                        Groups with participant count and admin status
+ * - GET    /groups/:id/participants       Members of a group with their role
+ * - GET    /groups/:id/export?format=csv  Participants export (json, csv or txt) as a download
+ * - POST   /groups/:id/participants       Add numbers (job)          {numbers, message?, variables?, dryRun?, ...}
+ * - DELETE /groups/:id/participants       Remove numbers (job)       {numbers, notify?, message?, variables?, dryRun?, ...}
+ * - POST   /messages/broadcast            Message numbers (job)      {numbers | recipients, message, variables?, dryRun?, ...}
+ * - GET    /jobs                          Every job still in memory, newest first
+ * - GET    /jobs/:id                      One job with status, progress and result
+ * - POST   /jobs/:id/cancel               Cancel a queued job, or stop a running one before its next number
+ *
+ * The web dashboard (public/) is served from / on the same port.
+ *
+ * Job events (job.started, job.progress, job.completed, job.failed,
+ * job.cancelled) are sent to the webhooks in WEBHOOK_FILE. When a webhook
+ * takes member.joined / member.left, the server also runs the group event
+ * watcher (watch-group-events.js), which records to group_events.jsonl as usual.
+ * Scheduled jobs (scheduler.js) run in the same job queue while the server is
+ * up, including jobs added with `wga schedule add` after it started.
+ *
+ * Job bodies also accept defaultCountry, checkRegistration, attach (name of a
+ * file in ATTACHMENT_DIR) and, for adds, campaign and rotateAfter.
+ * `message` is template text (see lib/template.js); without it the script's
+ * default template is used (required for broadcasts). Request bodies must be
+ * sent as Content-Type: application/json.
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Run: node api-server.js (or: wga serve --port 3000)
+ * 2. Scan the QR code on first use
+ * 3. curl http://127.0.0.1:3000/groups
+ *    curl -X POST http://127.0.0.1:3000/groups/120363401616166216/participants \
+ *         -H 'Content-Type: application/json' -d '{"numbers": ["+919876543210"], "dryRun": true}'
+ *    curl http://127.0.0.1:3000/jobs/<id>
+ *
+ * @configuration
+ * - API_PORT / API_HOST: Where to listen (localhost only by default)
+ * - WGA_API_TOKEN (environment): When set, every request needs `Authorization: Bearer <token>`;
+ *   required when listening beyond localhost
+ * - ATTACHMENT_DIR: The only folder `attach` may send files from
+ * - WEBHOOK_FILE: Outgoing webhooks for job and member events (optional, see lib/webhooks.js)
+ *
+ * @notes
+ * - Jobs live in memory; results files and journals are written as for the CLI,
+ *   and each finished job's result names its results file
+ * - Anyone who can reach the port can act as your WhatsApp account: keep it on
+ *   localhost, or set a token to listen on another interface
+ * - Web pages you visit can send requests to localhost too, so requests from
+ *   another site (a foreign Origin or Host header) are refused with 403
+ */
+
+// Configuration
+const API_PORT = 3000;
+const API_HOST = '127.0.0.1';
+const WEBHOOK_FILE = DEFAULT_WEBHOOK_FILE;
+const ATTACHMENT_DIR = 'attachments';
+
+// Interfaces that only this machine can reach
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+// Largest request body accepted (bytes)
+const MAX_BODY = 1024 * 1024;
+
+// Dashboard files served as-is
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const STATIC_FILES = {
+    '/': path.join(PUBLIC_DIR, 'index.html'),
+    '/dashboard.js': path.join(PUBLIC_DIR, 'dashboard.js'),
+    '/dashboard.css': path.join(PUBLIC_DIR, 'dashboard.css')
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Start the HTTP API.
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} [options]
+ * @param {number} [options.port=API_PORT]
+ * @param {string} [options.host=API_HOST]
+ * @param {string} [options.token] - Required bearer token (default: WGA_API_TOKEN)
+ * @param {object} [options.jobs] - Job queue to use (created if omitted)
+ * @param {object} [options.limiter] - Rate limiter shared by every job (created if omitted)
+ * @param {boolean} [options.clientReady=true] - false when the client is still logging in (dashboard);
+ *   WhatsApp endpoints answer 503 until it is ready
+ * @param {object} [options.webhooks] - Webhook sender (default: the webhooks in WEBHOOK_FILE)
+ * @returns {Promise<{server: http.Server, jobs: object, url: string}>}
+ */
+async function startApiServer(client, options = {}) {
+    const port = options.port !== undefined ? options.port : API_PORT;
+    const host = options.host || API_HOST;
+    const token = options.token !== undefined ? options.token : process.env.WGA_API_TOKEN;
+    const jobs = options.jobs || createJobQueue();
+    const limiter = options.limiter || createRateLimiter();
+    const webhooks = options.webhooks || createWebhookSender(loadWebhooks(WEBHOOK_FILE));
+    const state = trackSession(client, options.clientReady !== false);
+    const routes = buildRoutes(client, jobs, limiter, state);
+    const loopback = LOOPBACK_HOSTS.includes(host);
+    if (!token && !loopback) {
+        throw new Error(`Listening on ${host} needs an API token - set WGA_API_TOKEN, or keep the default ${API_HOST}`);
+    }
+    // Host headers naming this server; filled in once the port is known
+    const allowedHosts = [];
+
+    const server = http.createServer((req, res) => {
+        handle(req, res, routes, { token, allowedHosts: loopback ? allowedHosts : null }).catch(error => {
+            console.error(`❌ ${req.method} ${req.url}:`, error.message);
+            send(res, 500, { error: 'Internal error' });
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    session.onShutdown(() => new Promise(resolve => server.close(resolve)));
+    const listeningPort = server.address().port;
+    allowedHosts.push(`127.0.0.1:${listeningPort}`, `localhost:${listeningPort}`, `[::1]:${listeningPort}`);
+
+    if (webhooks.wants('job.')) {
+        forwardJobEvents(jobs, webhooks);
+        console.log('🔔 Sending job events to the configured webhooks');
+    }
+    if (webhooks.wants('member.')) {
+        // Joins and leaves come from the event watcher, which needs the group list of a ready client
+        const watch = () => watchGroupEvents(client, { webhooks })
+            .catch(error => console.error(`❌ Could not watch group events for webhooks: ${error.message}`));
+        if (options.clientReady === false) {
+            client.once('ready', watch);
+        } else {
+            watch();
+        }
+    }
+    // Always running: it re-reads the schedule file every minute, so jobs added later with wga schedule add run too
+    const schedule = () => runScheduler(client, { jobs, limiter })
+        .catch(error => console.error(`❌ Could not start the scheduler: ${error.message}`));
+    if (options.clientReady === false) {
+        client.once('ready', schedule);
+    } else {
+        schedule();
+    }
+    session.onShutdown(() => webhooks.flush(5000));
+
+    const url = `http://${host}:${listeningPort}`;
+    console.log(`\n🌐 API listening on ${url}${token ? ' (bearer token required)' : ''}`);
+    console.log('✅ Ready - press Ctrl+C to stop');
+    return { server, jobs, url };
+}
+
+// Function to follow the client's login state, keeping the latest QR code as SVG
+function trackSession(client, ready) {
+    const state = { status: ready ? 'ready' : 'starting', qr: null };
+    client.on('qr', (qr) => {
+        state.status = 'qr';
+        state.qr = qrToSvg(qr);
+    });
+    client.on('authenticated', () => {
+        state.status = 'authenticated';
+        state.qr = null;
+    });
+    client.on('ready', () => {
+        state.status = 'ready';
+    });
+    client.on('auth_failure', () => {
+        state.status = 'auth_failure';
+    });
+    client.on('disconnected', () => {
+        state.status = 'disconnected';
+    });
+    return state;
+}
+
+// Function to build the route table: [method, pattern, handler(params, body, query)]
+function buildRoutes(client, jobs, limiter, state) {
+    // Function to fail with 503 while WhatsApp is not connected
+    function requireReady() {
+        if (state.status !== 'ready') {
+            throw new HttpError(503, `WhatsApp is not connected (${state.status})`);
+        }
+    }
+
+    // Function to find a group by ID, failing with 404 (and 403 when admin rights are needed)
+    async function groupFor(id, needsAdmin) {
+        requireReady();
+        const groupId = toGroupChatId(decodeURIComponent(id));
+        const group = (await getGroups(client)).find(g => g.id._serialized === groupId);
+        if (!group) {
+            throw new HttpError(404, `Group ${groupId} not found`);
+        }
+        if (needsAdmin && !isSelfAdmin(client, group)) {
+            throw new HttpError(403, `You are not an admin of "${group.name}"`);
+        }
+        return group;
+    }
+
+    // Function to queue an operation as a job and answer 202 with it (a numeric status marks a non-200 answer)
+    function queueJob(type, params, operation) {
+        const job = jobs.submit(type, params, ({ onProgress, signal }) => operation({ limiter, onProgress, signal }));
+        console.log(`📋 Job ${job.id} queued: ${type}`);
+        return { status: 202, body: job };
+    }
+
+    return [
+        ['GET', /^\/session$/, async () => ({
+            status: state.status,
+            qr: state.qr,
+            account: state.status === 'ready' && client.info
+                ? { number: `+${client.info.wid.user}`, name: client.info.pushname || null }
+                : null
+        })],
+
+        ['GET', /^\/groups$/, async () => {
+            requireReady();
+            const groups = await getGroups(client);
+            return groups.map(group => ({
+                id: group.id._serialized,
+                name: group.name,
+                participantCount: group.participants ? group.participants.length : null,
+                isAdmin: Boolean(group.participants) && isSelfAdmin(client, group)
+            }));
+        }],
+
+        ['GET', /^\/groups\/([^/]+)\/participants$/, async ([id]) => {
+            const group = await groupFor(id, false);
+            const { members, unresolved } = participantRoles(group);
+            return { group: { id: group.id._serialized, name: group.name }, participants: members, unresolved };
+        }],
+
+        ['GET', /^\/groups\/([^/]+)\/export$/, async ([id], body, query) => {
+            const format = (query.get('format') || 'json').toLowerCase();
+            if (!['json', 'csv', 'txt'].includes(format)) {
+                throw new HttpError(400, `Unknown format "${format}" (use json, csv or txt)`);
+            }
+            const group = await groupFor(id, false);
+            const file = await saveParticipantsToFile(group, format);
+            if (!file) {
+                throw new Error(`Export of "${group.name}" failed`);
+            }
+            return { download: file };
+        }],
+
+        ['POST', /^\/groups\/([^/]+)\/participants$/, async ([id], body) => {
+            const group = await groupFor(id, true);
+            const numbers = requireNumbers(body);
+            const common = jobOptions(body);
+            const inviteTemplate = readMessage(body, false);
+            return queueJob('add', { groupId: group.id._serialized, groupName: group.name, numbers: numbers.length, dryRun: common.dryRun },
+                (extra) => addParticipantsToGroup(client, {
+                    ...common,
+                    ...extra,
+                    groupId: group.id._serialized,
+                    participants: numbers,
+                    inviteTemplate,
+                    campaign: optionalString(body, 'campaign'),
+                    rotateAfter: optionalNumber(body, 'rotateAfter')
+                }));
+        }],
+
+        ['DELETE', /^\/groups\/([^/]+)\/participants$/, async ([id], body) => {
+            const group = await groupFor(id, true);
+            const numbers = requireNumbers(body);
+            const common = jobOptions(body);
+            const notificationTemplate = readMessage(body, false);
+            return queueJob('remove', { groupId: group.id._serialized, groupName: group.name, numbers: numbers.length, dryRun: common.dryRun },
+                (extra) => removeInactiveParticipants(client, {
+                    ...common,
+                    ...extra,
+                    groupId: group.id._serialized,
+                    participants: numbers,
+                    notify: Boolean(body.notify),
+                    notificationTemplate
+                }));
+        }],
+
+        ['POST', /^\/messages\/broadcast$/, async (params, body) => {
+            requireReady();
+            let recipients;
+            if (Array.isArray(body.recipients)) {
+                recipients = body.recipients.map(recipient => ({ number: String(recipient.number || ''), fields: recipient.fields || {} }));
+            } else {
+                recipients = requireNumbers(body).map(number => ({ number, fields: {} }));
+            }
+            if (recipients.length === 0) {
+                throw new HttpError(400, 'recipients must not be empty');
+            }
+            const common = jobOptions(body);
+            const template = readMessage(body, true);
+            return queueJob('broadcast', { recipients: recipients.length, dryRun: common.dryRun },
+                (extra) => sendMessagesToAll(client, { ...common, ...extra, recipients, template }));
+        }],
+
+        ['GET', /^\/jobs$/, async () => jobs.list()],
+
+        ['GET', /^\/jobs\/([^/]+)$/, async ([id]) => {
+            const job = jobs.get(decodeURIComponent(id));
+            if (!job) {
+                throw new HttpError(404, `No job ${id} (jobs are kept in memory until the server restarts)`);
+            }
+            return job;
+        }],
+
+        ['POST', /^\/jobs\/([^/]+)\/cancel$/, async ([id]) => {
+            const job = jobs.cancel(decodeURIComponent(id));
+            if (!job) {
+                throw new HttpError(404, `No job ${id}`);
+            }
+            if (job.status !== 'cancelled' && !job.cancelRequested) {
+                throw new HttpError(409, `Job ${id} has already ${job.status === 'failed' ? 'failed' : 'finished'}`);
+            }
+            console.log(`⏹️  Job ${job.id} ${job.status === 'cancelled' ? 'cancelled' : 'stopping after the current number'}`);
+            return job;
+        }]
+    ];
+}
+
+// Function to route one request and send the response
+async function handle(req, res, routes, { token, allowedHosts }) {
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+    let status = 200;
+    let body;
+
+    // The dashboard page itself holds no data, so it is served without the token
+    if (req.method === 'GET' && STATIC_FILES[pathname]) {
+        sendFile(res, STATIC_FILES[pathname]);
+        return;
+    }
+
+    try {
+        checkOrigin(req, allowedHosts);
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            throw new HttpError(401, 'Missing or wrong bearer token');
+        }
+        const matching = routes.filter(([, pattern]) => pattern.test(pathname));
+        if (matching.length === 0) {
+            throw new HttpError(404, `No endpoint ${pathname}`);
+        }
+        const route = matching.find(([method]) => method === req.method);
+        if (!route) {
+            res.setHeader('Allow', matching.map(([method]) => method).join(', '));
+            throw new HttpError(405, `${req.method} is not supported on ${pathname}`);
+        }
+        const params = route[1].exec(pathname).slice(1);
+        const answer = await route[2](params, await readBody(req), url.searchParams);
+        if (answer && answer.download) {
+            sendFile(res, answer.download, true);
+            console.log(`🌐 ${req.method} ${pathname} → 200 (${path.basename(answer.download)})`);
+            return;
+        }
+        if (answer && typeof answer.status === 'number') {
+            status = answer.status;
+            body = answer.body;
+        } else {
+            body = answer;
+        }
+    } catch (error) {
+        if (error instanceof HttpError) {
+            status = error.status;
+        } else if (error instanceof TemplateError) {
+            status = 400;
+        } else {
+            throw error;
+        }
+        body = { error: error.message };
+    }
+    send(res, status, body);
+    // Polling GETs (dashboard) would flood the console; log changes and errors
+    if (req.method !== 'GET' || status >= 400) {
+        console.log(`🌐 ${req.method} ${pathname} → ${status}`);
+    }
+}
+
+// Function to refuse requests made by other sites. Any page in the browser can
+// send requests to localhost (and reach it through a DNS name it controls), so
+// the Host must name this server (on localhost) and an Origin must be this server's own
+function checkOrigin(req, allowedHosts) {
+    const host = String(req.headers.host || '').toLowerCase();
+    if (allowedHosts && !allowedHosts.includes(host)) {
+        throw new HttpError(403, `Host "${host}" is not this server`);
+    }
+    const origin = req.headers.origin;
+    if (origin !== undefined && origin.toLowerCase() !== `http://${host}`) {
+        throw new HttpError(403, `Requests from ${origin} are not allowed`);
+    }
+}
+
+// Function to read and parse a JSON request body ({} when there is none)
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new HttpError(413, `Request body is larger than ${MAX_BODY} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8').trim();
+            if (!text) {
+                resolve({});
+                return;
+            }
+            // Browsers send text/plain and form bodies from any site without asking first
+            const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (type !== 'application/json') {
+                reject(new HttpError(415, 'Request body must be sent as Content-Type: application/json'));
+                return;
+            }
+            try {
+                const body = JSON.parse(text);
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    reject(new HttpError(400, 'Request body must be a JSON object'));
+                    return;
+                }
+                resolve(body);
+            } catch (error) {
+                reject(new HttpError(400, `Invalid JSON: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Function to send a file, as a download or as a page asset
+function sendFile(res, file, asDownload) {
+    const types = { '.html': 'text/html', '.js': 'text/javascript', '.css': 'text/css', '.json': 'application/json', '.csv': 'text/csv', '.txt': 'text/plain' };
+    const headers = { 'Content-Type': `${types[path.extname(file)] || 'application/octet-stream'}; charset=utf-8` };
+    if (asDownload) {
+        headers['Content-Disposition'] = `attachment; filename="${path.basename(file)}"`;
+    }
+    res.writeHead(200, headers);
+    fs.createReadStream(file).pipe(res);
+}
+
+// Function to write a JSON response
+function send(res, status, body) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+// Function to get the non-empty `numbers` array of a request
+function requireNumbers(body) {
+    if (!Array.isArray(body.numbers) || body.numbers.length === 0) {
+        throw new HttpError(400, 'numbers must be a non-empty array of phone numbers');
+    }
+    return body.numbers.map(String);
+}
+
+// Function to parse the `message` template text (undefined keeps the script default unless required)
+function readMessage(body, required) {
+    if (body.message === undefined || body.message === '') {
+        if (required) {
+            throw new HttpError(400, 'message is required');
+        }
+        return undefined;
+    }
+    if (typeof body.message !== 'string') {
+        throw new HttpError(400, 'message must be template text');
+    }
+    return parseTemplate(body.message, 'request message');
+}
+
+// Function to read the options every job accepts
+function jobOptions(body) {
+    if (body.variables !== undefined && (typeof body.variables !== 'object' || Array.isArray(body.variables))) {
+        throw new HttpError(400, 'variables must be an object');
+    }
+    if (body.delay !== undefined) {
+        // Every job paces itself on the server's one rate limiter, so a per-job delay would not apply
+        throw new HttpError(400, 'delay is not supported - jobs share the server\'s rate limiter (see lib/rate-limiter.js)');
+    }
+    let attachment;
+    if (body.attach) {
+        const dir = path.resolve(ATTACHMENT_DIR);
+        const file = path.resolve(dir, String(body.attach));
+        if (path.dirname(file) !== dir) {
+            throw new HttpError(400, `attach must be the name of a file in ${ATTACHMENT_DIR}/`);
+        }
+        try {
+            attachment = loadAttachment(file);
+        } catch (error) {
+            throw new HttpError(400, `${error.message} (attach names a file in ${ATTACHMENT_DIR}/)`);
+        }
+    }
+    return {
+        variables: body.variables || {},
+        attachment,
+        defaultCountry: optionalString(body, 'defaultCountry'),
+        checkRegistration: body.checkRegistration !== false,
+        dryRun: Boolean(body.dryRun)
+    };
+}
+
+// Function to read an optional non-negative number field
+function optionalNumber(body, name) {
+    if (body[name] === undefined || body[name] === null) {
+        return undefined;
+    }
+    const value = Number(body[name]);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new HttpError(400, `${name} must be a non-negative number`);
+    }
+    return value;
+}
+
+// Function to read an optional string field
+function optionalString(body, name) {
+    if (body[name] === undefined || body[name] === null || body[name] === '') {
+        return undefined;
+    }
+    return String(body[name]);
+}
+
+// Run directly: node api-server.js
+if (require.main === module) {
+    const client = session.createClient();
+
+    console.log('🚀 Starting WhatsApp Group Actions API...');
+
+    session.ready(client)
+        .then(() => startApiServer(client))
+        .catch(session.fail);
+}
+
+module.exports = { startApiServer, API_PORT, API_HOST };
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const { readNumberSource } = require('./lib/number-sources');
+const { normalizeList, reportInvalid } = require('./lib/phone');
+
+/**
+ * Number List Set Operations
+ *
+ * @description
+ * Compares and merges phone number lists regardless of which file they come
+ * from: group exports, raw group dumps, number arrays, CSVs, inactive lists,
+ * leaderboards and add/removal/message results are all detected
+ * automatically (see lib/number-sources.js). Every number is normalized to
+ * E.164 first, so "+91 94294 24060", "919429424060" and "919429424060@c.us"
+ * are the same member. The result is written as a plain JSON array of
+ * numbers, ready for add-participants-to-group.js, remove-inactive-from-group.js
+ * or send-messages.js.
+ *
+ * @usage
+ * 1. Set SOURCES to two or more files (append #selector to pick a status, group or role)
+ * 2. Set OPERATION
+ * 3. Run: node combine-number-lists.js
+ *
+ * @configuration
+ * - SOURCES: Files to combine, in order (the first one is "A", the second "B")
+ * - OPERATION: One of
+ *   - union:        in any source
+ *   - intersection: in every source
+ *   - a-minus-b:    in the first source and in none of the others
+ *   - b-minus-a:    in any of the other sources but not in the first
+ *   - symmetric:    in exactly one source (the symmetric difference for two sources)
+ * - DEFAULT_COUNTRY: Country for numbers written without a country code (e.g. 'IN')
+ *
+ * @output
+ * - numbers_<operation>_YYYY-MM-DDTHH-MM-SS.json: JSON array of E.164 numbers,
+ *   in the order they first appear in the sources
+ *
+ * @example
+ * // Active members who are not in the group yet
+ * SOURCES = ['active.csv', 'all.json']; OPERATION = 'a-minus-b';
+ * // Everyone who got an invite link but never joined
+ * SOURCES = ['add_results_2025-06-29T15-31-23.json#invited', 'all.json']; OPERATION = 'a-minus-b';
+ *
+ * @see find-missing-participants.js - Detailed group export vs leaderboard report
+ */
+
+// Configuration
+const SOURCES = ['active.csv', 'all.json'];
+const OPERATION = 'a-minus-b';
+const DEFAULT_COUNTRY = null;
+
+// Function that decides membership of the result from the sources a number is in
+const OPERATIONS = {
+    'union': () => true,
+    'intersection': (inSources, total) => inSources.length === total,
+    'a-minus-b': (inSources) => inSources.length === 1 && inSources[0] === 0,
+    'b-minus-a': (inSources) => !inSources.includes(0),
+    'symmetric': (inSources) => inSources.length === 1
+};
+
+/**
+ * Combine number lists with a set operation and write the result.
+ *
+ * @param {string[]} sources - Two or more files (optionally with #selector)
+ * @param {string} operation - union, intersection, a-minus-b, b-minus-a or symmetric
+ * @param {object} [options]
+ * @param {string} [options.defaultCountry] - Country for numbers without a country code
+ * @param {string} [options.output] - File to write (default: timestamped numbers_<operation>_*.json)
+ * @returns {{outputFile: string, numbers: string[]}}
+ */
+function combineNumberLists(sources, operation, options = {}) {
+    const keep = OPERATIONS[operation];
+    if (!keep) {
+        throw new Error(`Unknown operation "${operation}" (use ${Object.keys(OPERATIONS).join(', ')})`);
+    }
+    if (sources.length < 2) {
+        throw new Error(`${operation} needs at least two sources`);
+    }
+
+    // Which sources each number is in, keeping first-appearance order
+    const membership = new Map();
+    const loaded = sources.map((spec, index) => {
+        const source = readNumberSource(spec);
+        const normalized = normalizeList(source.numbers, { defaultCountry: options.defaultCountry });
+        reportInvalid(normalized.invalid, source.label);
+        normalized.valid.forEach(number => {
+            if (!membership.has(number)) membership.set(number, []);
+            membership.get(number).push(index);
+        });
+        return { ...source, valid: normalized.valid.length, invalid: normalized.invalid.length, duplicates: normalized.duplicates.length };
+    });
+
+    const numbers = [...membership.entries()]
+        .filter(([, inSources]) => keep(inSources, sources.length))
+        .map(([number]) => number);
+
+    // Summary
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`🧮 ${operation.toUpperCase()} OF ${sources.length} SOURCES:`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    loaded.forEach((source, index) => {
+        const letter = String.fromCharCode(65 + index);
+        const extras = [
+            source.duplicates > 0 ? `${source.duplicates} duplicates` : null,
+            source.invalid > 0 ? `${source.invalid} invalid` : null
+        ].filter(Boolean);
+        console.log(`${letter}. ${source.label} (${source.shape}): ${source.valid} number${source.valid === 1 ? '' : 's'}${extras.length > 0 ? ` (${extras.join(', ')} skipped)` : ''}`);
+    });
+    console.log(`\n📊 Result: ${numbers.length} numbers`);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const outputFile = options.output || `numbers_${operation}_${timestamp}.json`;
+    fs.writeFileSync(outputFile, JSON.stringify(numbers, null, 2));
+    console.log(`📁 Saved to: ${outputFile}`);
+
+    return { outputFile, numbers };
+}
+
+// Run directly: node combine-number-lists.js
+if (require.main === module) {
+    try {
+        combineNumberLists(SOURCES, OPERATION, { defaultCountry: DEFAULT_COUNTRY });
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { combineNumberLists, OPERATIONS };
@@ -0,0 +1,189 @@
+const session = require('./lib/session');
+const { findGroup, participantRoles } = require('./lib/groups');
+const { normalizePhoneNumber } = require('./lib/phone');
+const { addParticipantsToGroup } = require('./add-participants-to-group');
+const fs = require('fs');
+
+/**
+ * WhatsApp Live Group Comparison
+ *
+ * @description
+ * Compares the current members of two groups in one session, instead of
+ * exporting both with server.js and diffing the snapshots. It reports who is
+ * only in the source group, who is only in the target group and who is in
+ * both, with each member's role. The members missing from the target can be
+ * added to it straight away through the regular add flow (registration
+ * check, rate limiting, invite fallback, journal).
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Set SOURCE_GROUP_ID (e.g. the original "SLOT UPDATES ONLY" group)
+ * 2. Set TARGET_GROUP_ID (e.g. the new "Slots Update" group)
+ * 3. Set ADD_MISSING to add everyone missing from the target
+ * 4. Run: node compare-groups.js
+ *
+ * @configuration
+ * - SOURCE_GROUP_ID: Group whose members should all be in the target
+ * - TARGET_GROUP_ID: Group to compare against (and add to)
+ * - ADD_MISSING: Add the members missing from the target (you must be a target admin)
+ * - INCLUDE_ADMINS: Also treat source admins as missing (off: admins are reported but not added)
+ *
+ * @output
+ * - group_diff_YYYY-MM-DDTHH-MM-SS.json: both sides with roles, plus
+ *   `missingFromTarget` as a plain array of numbers
+ * - missing_from_target_YYYY-MM-DDTHH-MM-SS.json: the plain array on its own,
+ *   ready for `wga members add --input`
+ * - With ADD_MISSING: the usual add_results_*.json of add-participants-to-group.js
+ *
+ * @notes
+ * - This account is never listed as missing
+ * - Members whose number cannot be resolved (e.g. hidden-number IDs) are counted but not compared
+ *
+ * @see add-participants-to-group.js - The add flow the missing members are fed into
+ */
+
+// Configuration
+const SOURCE_GROUP_ID = "120363415434456792"; // SLOT UPDATES ONLY
+const TARGET_GROUP_ID = "120363401616166216"; // Slots Update
+const ADD_MISSING = false;
+const INCLUDE_ADMINS = false;
+
+/**
+ * Compare the members of two groups and optionally add the missing ones to the target.
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} options
+ * @param {string} options.sourceGroupId - Bare or serialized ID of the group to compare from
+ * @param {string} options.targetGroupId - Bare or serialized ID of the group to compare with
+ * @param {boolean} [options.addMissing=false] - Add members missing from the target
+ * @param {boolean} [options.includeAdmins=INCLUDE_ADMINS] - Treat source admins as missing too
+ * @param {object} [options.addOptions] - Extra options for addParticipantsToGroup (inviteTemplate, delay, dryRun, ...)
+ * @returns {Promise<{diffFile: string, missingFile: string, missingFromTarget: string[]}|undefined>}
+ */
+async function compareGroups(client, options) {
+    const includeAdmins = options.includeAdmins !== undefined ? options.includeAdmins : INCLUDE_ADMINS;
+
+    const source = await findGroup(client, options.sourceGroupId);
+    if (!source) {
+        return;
+    }
+    const target = await findGroup(client, options.targetGroupId);
+    if (!target) {
+        return;
+    }
+    if (source.id._serialized === target.id._serialized) {
+        throw new Error('Source and target are the same group');
+    }
+
+    const selfNumber = normalizePhoneNumber(client.info.wid._serialized);
+    const sourceMembers = membersOf(source);
+    const targetMembers = membersOf(target);
+
+    const onlyInSource = [...sourceMembers.members.values()].filter(member => !targetMembers.members.has(member.number));
+    const onlyInTarget = [...targetMembers.members.values()].filter(member => !sourceMembers.members.has(member.number));
+    const inBoth = [...sourceMembers.members.values()]
+        .filter(member => targetMembers.members.has(member.number))
+        .map(member => ({ number: member.number, sourceRole: member.role, targetRole: targetMembers.members.get(member.number).role }));
+
+    const missingFromTarget = onlyInSource
+        .filter(member => member.number !== selfNumber)
+        .filter(member => includeAdmins || member.role === 'member')
+        .map(member => member.number);
+    const skippedAdmins = onlyInSource.filter(member => member.role !== 'member' && !includeAdmins).length;
+
+    // Summary
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('🔀 GROUP COMPARISON:');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`📤 Source: ${source.name} (${source.participants.length} participants)`);
+    console.log(`📥 Target: ${target.name} (${target.participants.length} participants)`);
+    console.log(`🤝 In both: ${inBoth.length}`);
+    console.log(`➡️  Only in source: ${onlyInSource.length}`);
+    console.log(`⬅️  Only in target: ${onlyInTarget.length}`);
+    if (sourceMembers.unresolved + targetMembers.unresolved > 0) {
+        console.log(`❓ Not comparable (no phone number): ${sourceMembers.unresolved} in source, ${targetMembers.unresolved} in target`);
+    }
+    printMembers(`Only in "${source.name}"`, onlyInSource);
+    printMembers(`Only in "${target.name}"`, onlyInTarget);
+    console.log(`\n➕ Missing from target: ${missingFromTarget.length}${skippedAdmins > 0 ? ` (${skippedAdmins} source admins left out)` : ''}`);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const diffFile = `group_diff_${timestamp}.json`;
+    const missingFile = `missing_from_target_${timestamp}.json`;
+    fs.writeFileSync(diffFile, JSON.stringify({
+        source: { name: source.name, id: source.id._serialized, totalParticipants: source.participants.length },
+        target: { name: target.name, id: target.id._serialized, totalParticipants: target.participants.length },
+        comparedAt: new Date().toISOString(),
+        summary: {
+            inBoth: inBoth.length,
+            onlyInSource: onlyInSource.length,
+            onlyInTarget: onlyInTarget.length,
+            missingFromTarget: missingFromTarget.length,
+            unresolvedInSource: sourceMembers.unresolved,
+            unresolvedInTarget: targetMembers.unresolved
+        },
+        onlyInSource,
+        onlyInTarget,
+        inBoth,
+        missingFromTarget
+    }, null, 2));
+    fs.writeFileSync(missingFile, JSON.stringify(missingFromTarget, null, 2));
+    console.log(`\n📁 Comparison saved to: ${diffFile}`);
+    console.log(`📁 Missing members saved to: ${missingFile}`);
+
+    if (options.addMissing) {
+        if (missingFromTarget.length === 0) {
+            console.log('\n🎉 Nobody is missing from the target group');
+        } else {
+            console.log(`\n➕ Adding ${missingFromTarget.length} missing members to "${target.name}"...`);
+            await addParticipantsToGroup(client, {
+                ...options.addOptions,
+                groupId: target.id._serialized,
+                participants: missingFromTarget
+            });
+        }
+    } else if (missingFromTarget.length > 0) {
+        console.log(`💡 To add them: wga members add --group ${target.id.user} --input ${missingFile}`);
+    }
+
+    return { diffFile, missingFile, missingFromTarget };
+}
+
+// Function to map a group's participants by E.164 number with their role
+function membersOf(group) {
+    const { members, unresolved } = participantRoles(group);
+    return { members: new Map(members.map(member => [member.number, member])), unresolved };
+}
+
+// Function to print the first members of one side of the comparison
+function printMembers(title, members) {
+    if (members.length === 0) return;
+    console.log(`\n📋 ${title} (${members.length}):`);
+    members.slice(0, 10).forEach((member, index) => {
+        const role = member.role === 'member' ? '👤 Member' : `👑 ${member.role === 'superadmin' ? 'Super admin' : 'Admin'}`;
+        console.log(`   ${index + 1}. ${member.number} ${role}`);
+    });
+    if (members.length > 10) {
+        console.log(`   ... and ${members.length - 10} more`);
+    }
+}
+
+// Run directly: node compare-groups.js
+if (require.main === module) {
+    const client = session.createClient();
+
+    console.log('🚀 Starting WhatsApp Group Comparison...');
+
+    session.ready(client)
+        .then(() => compareGroups(client, {
+            sourceGroupId: SOURCE_GROUP_ID,
+            targetGroupId: TARGET_GROUP_ID,
+            addMissing: ADD_MISSING
+        }))
+        .then(() => session.shutdown(0))
+        .catch(session.fail);
+}
+
+module.exports = { compareGroups };
@@ -1,51 +1,15 @@
 const fs = require('fs');
 const path = require('path');
-
-// Function to detect country from phone number
-function detectCountry(phoneNumber) {
-    const num = phoneNumber.toString();
-    
-    // Common country code patterns
-    if (num.startsWith('91')) return { code: '+91', country: 'India' };
-    if (num.startsWith('1') && num.length === 11) return { code: '+1', country: 'USA/Canada' };
-    if (num.startsWith('44')) return { code: '+44', country: 'UK' };
-    if (num.startsWith('49')) return { code: '+49', country: 'Germany' };
-    if (num.startsWith('33')) return { code: '+33', country: 'France' };
-    if (num.startsWith('86')) return { code: '+86', country: 'China' };
-    if (num.startsWith('81')) return { code: '+81', country: 'Japan' };
-    if (num.startsWith('61')) return { code: '+61', country: 'Australia' };
-    if (num.startsWith('260')) return { code: '+260', country: 'Zambia' };
-    if (num.startsWith('234')) return { code: '+234', country: 'Nigeria' };
-    if (num.startsWith('971')) return { code: '+971', country: 'UAE' };
-    if (num.startsWith('966')) return { code: '+966', country: 'Saudi Arabia' };
-    if (num.startsWith('7')) return { code: '+7', country: 'Russia/Kazakhstan' };
-    if (num.startsWith('55')) return { code: '+55', country: 'Brazil' };
-    if (num.startsWith('52')) return { code: '+52', country: 'Mexico' };
-    if (num.startsWith('39')) return { code: '+39', country: 'Italy' };
-    if (num.startsWith('34')) return { code: '+34', country: 'Spain' };
-    if (num.startsWith('31')) return { code: '+31', country: 'Netherlands' };
-    if (num.startsWith('27')) return { code: '+27', country: 'South Africa' };
-    if (num.startsWith('20')) return { code: '+20', country: 'Egypt' };
-    
-    return { code: 'Unknown', country: 'Unknown' };
-}
-
-// Function to format phone number
-function formatPhoneNumber(phoneNumber) {
-    const num = phoneNumber.toString().trim();
-    if (!num.startsWith('+')) {
-        return `+${num}`;
-    }
-    return num;
-}
+const { parsePhoneNumber, reportInvalid } = require('./lib/phone');
 
 // Read and convert CSV to JSON
-function convertCsvToJson() {
+// Numbers are normalized to E.164 with lib/phone.js; defaultCountry applies to numbers written without a country code
+function convertCsvToJson(inputFile = 'active.csv', defaultCountry = null) {
     try {
-        console.log('📄 Reading active.csv...');
+        console.log(`📄 Reading ${inputFile}...`);
         
         // Read the CSV file
-        const csvContent = fs.readFileSync('active.csv', 'utf8');
+        const csvContent = fs.readFileSync(inputFile, 'utf8');
         const phoneNumbers = csvContent.split('\n')
             .map(line => line.trim())
             .filter(line => line.length > 0); // Remove empty lines
@@ -54,22 +18,28 @@ function convertCsvToJson() {
         
         // Process each phone number
         const processedNumbers = phoneNumbers.map((phoneNumber, index) => {
-            const formatted = formatPhoneNumber(phoneNumber);
-            const countryInfo = detectCountry(phoneNumber);
+            const parsed = parsePhoneNumber(phoneNumber, { defaultCountry });
             
             return {
                 index: index + 1,
                 originalNumber: phoneNumber,
-                formattedNumber: formatted,
-                countryCode: countryInfo.code,
-                country: countryInfo.country,
+                formattedNumber: parsed.e164,
+                valid: parsed.valid,
+                ...(parsed.valid ? {} : { invalidReason: parsed.reason }),
+                countryCode: parsed.countryCode || 'Unknown',
+                country: parsed.country,
                 length: phoneNumber.length
             };
         });
         
+        const validNumbers = processedNumbers.filter(entry => entry.valid);
+        const invalidNumbers = processedNumbers
+            .filter(entry => !entry.valid)
+            .map(entry => ({ line: entry.index, input: entry.originalNumber, reason: entry.invalidReason }));
+        
         // Group by country for statistics
         const countryStats = {};
-        processedNumbers.forEach(entry => {
+        validNumbers.forEach(entry => {
             const country = entry.country;
             if (!countryStats[country]) {
                 countryStats[country] = {
@@ -82,10 +52,10 @@ function convertCsvToJson() {
             countryStats[country].numbers.push(entry.formattedNumber);
         });
         
-        // Find duplicates
+        // Find duplicates (by canonical number, so "+91 98..." and "9198..." count as the same)
         const numberCounts = {};
-        processedNumbers.forEach(entry => {
-            const num = entry.originalNumber;
+        validNumbers.forEach(entry => {
+            const num = entry.formattedNumber;
             numberCounts[num] = (numberCounts[num] || 0) + 1;
         });
         
@@ -96,14 +66,17 @@ function convertCsvToJson() {
         // Create final JSON structure
         const jsonData = {
             metadata: {
-                sourceFile: 'active.csv',
+                sourceFile: inputFile,
                 totalNumbers: phoneNumbers.length,
+                validNumbers: validNumbers.length,
+                invalidNumbers: invalidNumbers.length,
                 uniqueNumbers: Object.keys(numberCounts).length,
                 duplicateNumbers: duplicates.length,
+                defaultCountry: defaultCountry,
                 exportDate: new Date().toISOString(),
                 exportTimestamp: Date.now(),
                 generatedBy: 'CSV to JSON Converter',
-                version: '1.0.0'
+                version: '1.1.0'
             },
             statistics: {
                 countryBreakdown: countryStats,
@@ -115,8 +88,9 @@ function convertCsvToJson() {
                 }, {})
             },
             phoneNumbers: processedNumbers,
+            invalidNumbers: invalidNumbers,
             rawNumbers: phoneNumbers,
-            formattedNumbers: processedNumbers.map(entry => entry.formattedNumber)
+            formattedNumbers: Object.keys(numberCounts)
         };
         
         // Generate filename
@@ -131,6 +105,8 @@ function convertCsvToJson() {
         console.log(`📍 Location: ${path.resolve(filename)}`);
         console.log(`\n📊 STATISTICS:`);
         console.log(`   📱 Total Numbers: ${jsonData.metadata.totalNumbers}`);
+        console.log(`   ✅ Valid Numbers: ${jsonData.metadata.validNumbers}`);
+        console.log(`   ⚠️  Invalid Numbers: ${jsonData.metadata.invalidNumbers}`);
         console.log(`   🔢 Unique Numbers: ${jsonData.metadata.uniqueNumbers}`);
         console.log(`   🔄 Duplicates: ${jsonData.metadata.duplicateNumbers}`);
         
@@ -145,18 +121,21 @@ function convertCsvToJson() {
         if (duplicates.length > 0) {
             console.log(`\n🔄 DUPLICATE NUMBERS:`);
             duplicates.slice(0, 5).forEach(dup => {
-                console.log(`   +${dup.number} appears ${dup.occurrences} times`);
+                console.log(`   ${dup.number} appears ${dup.occurrences} times`);
             });
             if (duplicates.length > 5) {
                 console.log(`   ... and ${duplicates.length - 5} more duplicates`);
             }
         }
         
+        reportInvalid(invalidNumbers, inputFile);
+        
         console.log(`\n💡 JSON USAGE:`);
         console.log(`   • Load: const data = require('./${filename}')`);
         console.log(`   • All numbers: data.phoneNumbers`);
         console.log(`   • Country stats: data.statistics.countryBreakdown`);
-        console.log(`   • Formatted list: data.formattedNumbers`);
+        console.log(`   • Formatted list (valid, unique, E.164): data.formattedNumbers`);
+        console.log(`   • Invalid entries: data.invalidNumbers`);
         
         return filename;
         
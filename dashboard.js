@@ -0,0 +1,62 @@
+const session = require('./lib/session');
+const { startApiServer, API_PORT, API_HOST } = require('./api-server');
+
+/**
+ * WhatsApp Group Actions - Web Dashboard
+ *
+ * @description
+ * Browser front end for the tools, instead of the terminal menu in server.js.
+ * The page (public/) is served by the local HTTP API as soon as this starts,
+ * so the login QR code can be scanned from the browser. Once connected it
+ * lists your groups with participant counts and admin status, shows a
+ * searchable, sortable participant table for any group (all 900 members, not
+ * just a count), exports participants to JSON/CSV/TXT in one click, and starts
+ * add, remove and broadcast jobs whose live progress can be watched and which
+ * can be cancelled.
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Run: node dashboard.js (or: wga dashboard --port 3000)
+ * 2. Open http://127.0.0.1:3000 and scan the QR code if asked
+ * 3. Stop with Ctrl+C
+ *
+ * @configuration
+ * - Port and address: API_PORT / API_HOST in api-server.js (or --port / --host)
+ * - WGA_API_TOKEN (environment): The page asks for this token before showing anything
+ *
+ * @notes
+ * - Exports are also written to the working directory, as from the CLI
+ * - Jobs run one at a time; see api-server.js for the endpoints the page uses
+ *
+ * @see api-server.js - The HTTP API behind the page
+ */
+
+// How long the QR code may wait for a scan in the browser (the terminal tools allow 2 minutes)
+const QR_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Start the dashboard: serve the page right away, then log in.
+ * @param {object} [options]
+ * @param {number} [options.port=API_PORT]
+ * @param {string} [options.host=API_HOST]
+ * @returns {Promise<{server: http.Server, jobs: object, url: string}>}
+ */
+async function startDashboard(options = {}) {
+    const client = session.createClient();
+    const api = await startApiServer(client, { ...options, clientReady: false });
+    console.log(`🖥️  Dashboard: ${api.url} - open it to log in and manage your groups`);
+
+    session.ready(client, { qrTimeout: QR_TIMEOUT }).catch(session.fail);
+    return api;
+}
+
+// Run directly: node dashboard.js
+if (require.main === module) {
+    console.log('🚀 Starting WhatsApp Group Actions Dashboard...');
+
+    startDashboard({ port: API_PORT, host: API_HOST }).catch(session.fail);
+}
+
+module.exports = { startDashboard };
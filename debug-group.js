@@ -1,39 +1,42 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const qrcode = require('qrcode-terminal');
+const session = require('./lib/session');
+const { toGroupChatId } = require('./lib/groups');
 
-const client = new Client({
-    authStrategy: new LocalAuth({
-        clientId: "whatsapp-debug"
-    }),
-    puppeteer: { headless: true }
-});
+// Configuration
+const GROUP_ID = "120363402845424632";
 
-client.on('qr', (qr) => {
-    console.log('📱 Scan QR to check group participants:');
-    qrcode.generate(qr, { small: true });
-});
+/**
+ * Print every participant of a group with their role.
+ * @param {Client} client - Ready WhatsApp client
+ * @param {string} groupId - Bare or serialized group ID
+ */
+async function printGroupParticipants(client, groupId) {
+    const group = await client.getChatById(toGroupChatId(groupId));
+    console.log(`\n👥 Group: ${group.name}`);
+    console.log(`📱 Total participants: ${group.participants.length}`);
+    console.log('\n📋 Current participants:');
+    
+    group.participants.forEach((participant, index) => {
+        const phone = `+${participant.id.user}`;
+        const role = participant.isAdmin ? '👑 Admin' : '👤 Member';
+        console.log(`   ${index + 1}. ${phone} ${role}`);
+    });
+}
 
-client.on('ready', async () => {
-    console.log('✅ Client ready! Checking dummy group...');
+// Run directly: node debug-group.js [groupId]
+if (require.main === module) {
+    const client = session.createClient();
     
-    const groupId = "120363402845424632@g.us";
-    try {
-        const group = await client.getChatById(groupId);
-        console.log(`\n👥 Group: ${group.name}`);
-        console.log(`📱 Total participants: ${group.participants.length}`);
-        console.log('\n📋 Current participants:');
-        
-        group.participants.forEach((participant, index) => {
-            const phone = `+${participant.id.user}`;
-            const role = participant.isAdmin ? '👑 Admin' : '👤 Member';
-            console.log(`   ${index + 1}. ${phone} ${role}`);
-        });
+    session.ready(client).then(async () => {
+        console.log('🔍 Checking group...');
         
-        process.exit(0);
-    } catch (error) {
-        console.error('❌ Error:', error.message);
-        process.exit(1);
-    }
-});
+        try {
+            await printGroupParticipants(client, process.argv[2] || GROUP_ID);
+            await session.shutdown(0);
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            await session.shutdown(1);
+        }
+    }).catch(session.fail);
+}
 
-client.initialize(); 
\ No newline at end of file
+module.exports = { printGroupParticipants };
@@ -1,64 +1,12 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const qrcode = require('qrcode-terminal');
+const session = require('./lib/session');
 const fs = require('fs');
 
-// Create a new client instance
-const client = new Client({
-    authStrategy: new LocalAuth({
-        clientId: "whatsapp-groups-exporter"
-    }),
-    puppeteer: {
-        headless: true,
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-        ],
-        timeout: 60000
-    }
-});
-
-// Add loading progress indicators
-client.on('loading_screen', (percent, message) => {
-    console.log(`⏳ Loading: ${percent}% - ${message}`);
-});
-
-client.on('connecting', () => {
-    console.log('🔗 Connecting to WhatsApp Web...');
-});
-
-// Generate QR code for authentication
-client.on('qr', (qr) => {
-    console.log('📱 Scan the QR code below with your WhatsApp:');
-    qrcode.generate(qr, { small: true });
-    console.log('\n⏰ QR code expires in 20 seconds. Scan quickly!');
-});
-
-// Handle authentication
-client.on('authenticated', () => {
-    console.log('🔐 Authentication successful!');
-    console.log('⏳ Setting up client...');
-});
-
-client.on('auth_failure', (msg) => {
-    console.error('❌ Authentication failed:', msg);
-    console.log('💡 Try restarting the app and scanning a fresh QR code.');
-});
-
-// When client is ready, start exporting group info
-client.on('ready', async () => {
-    console.log('✅ WhatsApp Web client is ready!');
-    console.log('📊 Starting automated raw data export...\n');
-    
-    await exportAllGroupsInfo();
-});
-
-// Function to export raw group data as-is
-async function exportAllGroupsInfo() {
+/**
+ * Export the raw WhatsApp data of every group to raw_groups_data_<timestamp>.json.
+ * @param {Client} client - Ready WhatsApp client
+ * @returns {Promise<string|undefined>} Name of the written file
+ */
+async function exportAllGroupsInfo(client) {
     try {
         console.log('📋 Loading all chats...');
         const chats = await client.getChats();
@@ -160,61 +108,34 @@ async function exportAllGroupsInfo() {
         console.log('   • View raw structure: console.log(data.groups[0])');
         console.log('   • Filter by participants: data.groups.filter(g => g.participants.length > 50)');
         
-        console.log('\n🎉 Export complete! You can now close this app with Ctrl+C');
+        console.log('\n🎉 Export complete!');
         
-        // Auto-exit after showing summary
-        setTimeout(() => {
-            console.log('\n👋 Auto-exiting in 10 seconds...');
-            setTimeout(async () => {
-                await client.destroy();
-                process.exit(0);
-            }, 10000);
-        }, 2000);
+        return filename;
         
     } catch (error) {
         console.error('❌ Error in export process:', error);
     }
 }
 
-// Error handling
-client.on('disconnected', (reason) => {
-    console.log('🔌 Client was disconnected:', reason);
-});
-
-process.on('SIGINT', async () => {
-    console.log('\n🛑 Shutting down gracefully...');
-    await client.destroy();
-    process.exit(0);
-});
-
-// Add connection timeout handling
-const connectionTimeout = setTimeout(() => {
-    console.log('\n⚠️  Connection is taking longer than expected...');
-    console.log('💡 Possible solutions:');
-    console.log('   1. Check your internet connection');
-    console.log('   2. Make sure Chrome/Chromium is installed');
-    console.log('   3. Try restarting the app');
-}, 30000);
-
-client.on('ready', () => {
-    clearTimeout(connectionTimeout);
-});
-
-client.on('auth_failure', () => {
-    clearTimeout(connectionTimeout);
-});
-
-// Initialize the client
-console.log('🚀 Starting WhatsApp Groups Raw Data Exporter...');
-console.log('📦 Initializing browser...');
-console.log('🤖 Fully automated - exports raw WhatsApp data as-is!');
+// Run directly: node export-all-groups-info.js
+if (require.main === module) {
+    // Create a client bound to the shared session
+    const client = session.createClient();
+    
+    console.log('🚀 Starting WhatsApp Groups Raw Data Exporter...');
+    console.log('🤖 Fully automated - exports raw WhatsApp data as-is!');
+    
+    session.ready(client)
+        .then(() => {
+            console.log('📊 Starting automated raw data export...\n');
+            return exportAllGroupsInfo(client);
+        })
+        .then(() => {
+            // Auto-exit after showing summary
+            console.log('\n👋 Auto-exiting in 10 seconds...');
+            setTimeout(() => session.shutdown(0), 10000);
+        })
+        .catch(session.fail);
+}
 
-client.initialize().catch(error => {
-    console.error('❌ Failed to initialize client:', error.message);
-    console.log('\n💡 Common fixes:');
-    console.log('   • Install Chrome: brew install google-chrome');
-    console.log('   • Or install Chromium: brew install chromium');
-    console.log('   • Check if you have enough memory available');
-    console.log('   • Try running: npm install puppeteer');
-    process.exit(1);
-}); 
\ No newline at end of file
+module.exports = { exportAllGroupsInfo };
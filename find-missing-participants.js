@@ -1,52 +1,81 @@
 const fs = require('fs');
+const { normalizePhoneNumber, normalizeList, reportInvalid } = require('./lib/phone');
 
-// Load the current leaderboard (array of phone numbers without + prefix)
-const currentLeaderboard = JSON.parse(fs.readFileSync('temp/current-leaderboard.json', 'utf8'));
-
-// Load the slots update participants file
-const slotsUpdate = JSON.parse(fs.readFileSync('temp/slots_update_participants_2025-06-30T04-08-25.json', 'utf8'));
-
-// Extract phone numbers from slots update participants (remove + prefix to match format)
-const slotsParticipants = slotsUpdate.participants.map(participant => 
-    participant.phoneNumber.replace('+', '')
-);
-
-// Find participants who are in slots update but NOT in current leaderboard
-const missingFromLeaderboard = slotsParticipants.filter(participant => 
-    !currentLeaderboard.includes(participant)
-);
-
-// Create result object with summary information
-const result = {
-    summary: {
-        totalInSlotsUpdate: slotsParticipants.length,
-        totalInLeaderboard: currentLeaderboard.length,
-        missingFromLeaderboard: missingFromLeaderboard.length,
-        analysisDate: new Date().toISOString()
-    },
-    missingParticipants: missingFromLeaderboard,
-    missingParticipantDetails: slotsUpdate.participants.filter(participant => 
-        missingFromLeaderboard.includes(participant.phoneNumber.replace('+', ''))
-    )
-};
-
-// Output the results
-console.log('=== ANALYSIS SUMMARY ===');
-console.log(`Total participants in Slots Update: ${result.summary.totalInSlotsUpdate}`);
-console.log(`Total participants in Current Leaderboard: ${result.summary.totalInLeaderboard}`);
-console.log(`Participants in Slots Update but NOT in Leaderboard: ${result.summary.missingFromLeaderboard}`);
-console.log('\n=== MISSING PARTICIPANTS (Phone Numbers) ===');
-result.missingParticipants.forEach((phone, index) => {
-    console.log(`${index + 1}. ${phone}`);
-});
-
-console.log('\n=== MISSING PARTICIPANTS (Full Details) ===');
-result.missingParticipantDetails.forEach((participant, index) => {
-    console.log(`${index + 1}. ${participant.phoneNumber} (${participant.role}${participant.isAdmin ? ' - ADMIN' : ''})`);
-});
-
-// Save results to file
-const outputFile = `missing_participants_analysis_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
-fs.writeFileSync(outputFile, JSON.stringify(result, null, 2));
-console.log(`\n=== RESULTS SAVED ===`);
-console.log(`Full analysis saved to: ${outputFile}`); 
\ No newline at end of file
+// Configuration
+const PARTICIPANTS_FILE = 'temp/slots_update_participants_2025-06-30T04-08-25.json';
+const LEADERBOARD_FILE = 'temp/current-leaderboard.json';
+
+/**
+ * Find participants of a group export who are not on the leaderboard.
+ * Both sides are normalized to E.164 (lib/phone.js), so it does not matter
+ * whether a file stores numbers with or without the + prefix.
+ * @param {string} [participantsFile=PARTICIPANTS_FILE] - Group export JSON (server.js format)
+ * @param {string} [leaderboardFile=LEADERBOARD_FILE] - Array of numbers in any format, or a
+ *   leaderboard_*.json written by generate-leaderboard.js
+ * @returns {string} Name of the written analysis file
+ */
+function findMissingParticipants(participantsFile = PARTICIPANTS_FILE, leaderboardFile = LEADERBOARD_FILE) {
+    // Load the current leaderboard (array of phone numbers in any format, or a generated leaderboard)
+    const leaderboardData = JSON.parse(fs.readFileSync(leaderboardFile, 'utf8'));
+    const leaderboard = normalizeList(Array.isArray(leaderboardData) ? leaderboardData : leaderboardData.numbers || []);
+    reportInvalid(leaderboard.invalid, leaderboardFile);
+    const currentLeaderboard = new Set(leaderboard.valid);
+
+    // Load the slots update participants file
+    const slotsUpdate = JSON.parse(fs.readFileSync(participantsFile, 'utf8'));
+
+    // Extract phone numbers from slots update participants
+    const slotsParticipants = slotsUpdate.participants
+        .map(participant => normalizePhoneNumber(participant.phoneNumber))
+        .filter(Boolean);
+
+    // Find participants who are in slots update but NOT in current leaderboard
+    const missingFromLeaderboard = slotsParticipants.filter(participant => 
+        !currentLeaderboard.has(participant)
+    );
+
+    // Create result object with summary information
+    const result = {
+        summary: {
+            totalInSlotsUpdate: slotsParticipants.length,
+            totalInLeaderboard: currentLeaderboard.size,
+            invalidInLeaderboard: leaderboard.invalid.length,
+            missingFromLeaderboard: missingFromLeaderboard.length,
+            analysisDate: new Date().toISOString()
+        },
+        missingParticipants: missingFromLeaderboard,
+        missingParticipantDetails: slotsUpdate.participants.filter(participant => 
+            missingFromLeaderboard.includes(normalizePhoneNumber(participant.phoneNumber))
+        )
+    };
+
+    // Output the results
+    console.log('=== ANALYSIS SUMMARY ===');
+    console.log(`Total participants in Slots Update: ${result.summary.totalInSlotsUpdate}`);
+    console.log(`Total participants in Current Leaderboard: ${result.summary.totalInLeaderboard}`);
+    console.log(`Participants in Slots Update but NOT in Leaderboard: ${result.summary.missingFromLeaderboard}`);
+    console.log('\n=== MISSING PARTICIPANTS (Phone Numbers) ===');
+    result.missingParticipants.forEach((phone, index) => {
+        console.log(`${index + 1}. ${phone}`);
+    });
+
+    console.log('\n=== MISSING PARTICIPANTS (Full Details) ===');
+    result.missingParticipantDetails.forEach((participant, index) => {
+        console.log(`${index + 1}. ${participant.phoneNumber} (${participant.role}${participant.isAdmin ? ' - ADMIN' : ''})`);
+    });
+
+    // Save results to file
+    const outputFile = `missing_participants_analysis_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    fs.writeFileSync(outputFile, JSON.stringify(result, null, 2));
+    console.log(`\n=== RESULTS SAVED ===`);
+    console.log(`Full analysis saved to: ${outputFile}`);
+    
+    return outputFile;
+}
+
+// Run directly: node find-missing-participants.js
+if (require.main === module) {
+    findMissingParticipants();
+}
+
+module.exports = { findMissingParticipants };
@@ -0,0 +1,201 @@
+const session = require('./lib/session');
+const { findGroup } = require('./lib/groups');
+const { openActivityStore, DEFAULT_STORE_FILE, SEEN_DAYS } = require('./lib/activity-store');
+const { normalizeList, normalizePhoneNumber, reportInvalid } = require('./lib/phone');
+const { recordHistory } = require('./track-activity');
+const fs = require('fs');
+
+/**
+ * WhatsApp Inactive Member List Generator
+ *
+ * @description
+ * Builds the list of members to remove from the group's own message history
+ * instead of a hand-maintained file. It reads recent history with
+ * fetchMessages (merging it into the activity store kept by track-activity.js),
+ * counts each member's messages within a lookback window, and writes everyone
+ * under the threshold to a file remove-inactive-from-group.js consumes directly.
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Set GROUP_ID, LOOKBACK_DAYS and MIN_MESSAGES
+ * 2. Put numbers that must never be removed in ALLOWLIST_FILE (optional)
+ * 3. Run: node generate-inactive-list.js
+ * 4. Review the generated file, then pass it to remove-inactive-from-group.js
+ *
+ * @configuration
+ * - GROUP_ID: The WhatsApp group ID
+ * - LOOKBACK_DAYS: Window of history that counts (e.g. 30 days)
+ * - MIN_MESSAGES: Members with fewer messages than this in the window are inactive
+ * - COUNT_REACTIONS: Count reactions as activity too
+ * - ALLOWLIST_FILE: JSON array of numbers to keep regardless of activity
+ * - HISTORY_LIMIT: How many recent messages to read from the group
+ *
+ * @output
+ * - inactive_participants_YYYY-MM-DDTHH-MM-SS.json: array of
+ *   `{ number, reason, messages, reactions, lastMessageAt }`, e.g.
+ *   `{ "number": "+919429424060", "reason": "0 messages since 2025-05-29", ... }`
+ * - The reason is passed to the removal notification as {{removalReason}}
+ *
+ * @notes
+ * - Admins, this account and allowlisted numbers are never listed
+ * - If the history read does not reach back to the start of the window, a
+ *   warning is printed: members may have posted earlier in the window
+ *
+ * @see track-activity.js - Keeps the activity store up to date continuously
+ * @see remove-inactive-from-group.js - Removes the members in the generated file
+ */
+
+// Configuration
+const GROUP_ID = "120363415434456792";
+const LOOKBACK_DAYS = 30;
+const MIN_MESSAGES = 1;
+const COUNT_REACTIONS = false;
+const ALLOWLIST_FILE = null; // e.g. 'allowlist.json'
+const HISTORY_LIMIT = 5000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Generate the inactive member list of a group.
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} options
+ * @param {string} options.groupId - Bare or serialized group ID
+ * @param {number} [options.days=LOOKBACK_DAYS] - Lookback window in days
+ * @param {number} [options.minMessages=MIN_MESSAGES] - Members below this count are inactive
+ * @param {boolean} [options.countReactions=COUNT_REACTIONS] - Count reactions as activity
+ * @param {string[]} [options.allowlist] - Numbers that are never listed
+ * @param {number} [options.historyLimit=HISTORY_LIMIT] - Recent messages to read (0: use the activity store only)
+ * @param {string} [options.storeFile] - Activity store to merge history into
+ * @returns {Promise<string|undefined>} Name of the written file
+ */
+async function generateInactiveList(client, options) {
+    const days = options.days !== undefined ? options.days : LOOKBACK_DAYS;
+    const minMessages = options.minMessages !== undefined ? options.minMessages : MIN_MESSAGES;
+    const countReactions = options.countReactions !== undefined ? options.countReactions : COUNT_REACTIONS;
+    const historyLimit = options.historyLimit !== undefined ? options.historyLimit : HISTORY_LIMIT;
+
+    if (days > SEEN_DAYS) {
+        throw new Error(`Lookback of ${days} days is longer than the ${SEEN_DAYS} days of activity that are kept`);
+    }
+
+    const group = await findGroup(client, options.groupId);
+    if (!group) {
+        return;
+    }
+    const groupId = group.id._serialized;
+
+    const allowlist = normalizeList(options.allowlist || []);
+    reportInvalid(allowlist.invalid, 'allowlist');
+
+    // Start of the window, at the start of that UTC day
+    const since = new Date(Math.floor((Date.now() - days * DAY) / DAY) * DAY);
+    const sinceLabel = since.toISOString().slice(0, 10);
+
+    const store = openActivityStore(options.storeFile || DEFAULT_STORE_FILE);
+    if (historyLimit > 0) {
+        console.log(`\n📥 Reading up to ${historyLimit} recent messages...`);
+        const history = await recordHistory(client, store, group, historyLimit);
+        store.save();
+        console.log(`✅ Read ${history.fetched} messages (${history.messageCount} new to the activity store)`);
+
+        const recorded = store.getGroup(groupId);
+        const earliest = [history.oldest, recorded && recorded.backfill && recorded.backfill.oldest].filter(Boolean).sort()[0];
+        if (history.fetched >= historyLimit && earliest && earliest.slice(0, 10) > sinceLabel) {
+            console.log(`⚠️  History only reaches back to ${earliest.slice(0, 10)}, not ${sinceLabel} - raise the history limit or run track-activity.js to cover the whole window`);
+        }
+    }
+
+    const counts = store.countsSince(groupId, since);
+    const selfNumber = normalizePhoneNumber(client.info.wid._serialized);
+
+    const excluded = { admins: 0, self: 0, allowlisted: 0 };
+    const inactive = [];
+    let activeCount = 0;
+
+    group.participants.forEach(participant => {
+        const number = normalizePhoneNumber(participant.id._serialized);
+        if (!number) return;
+        if (participant.isAdmin || participant.isSuperAdmin) {
+            excluded.admins++;
+            return;
+        }
+        if (number === selfNumber) {
+            excluded.self++;
+            return;
+        }
+        if (allowlist.valid.includes(number)) {
+            excluded.allowlisted++;
+            return;
+        }
+
+        const activity = counts.get(number) || { messages: 0, reactions: 0, lastMessageAt: null };
+        const score = activity.messages + (countReactions ? activity.reactions : 0);
+        if (score >= minMessages) {
+            activeCount++;
+            return;
+        }
+
+        const counted = countReactions
+            ? `${activity.messages} messages and ${activity.reactions} reactions`
+            : `${activity.messages} message${activity.messages === 1 ? '' : 's'}`;
+        inactive.push({
+            number,
+            reason: `${counted} since ${sinceLabel}`,
+            messages: activity.messages,
+            reactions: activity.reactions,
+            lastMessageAt: activity.lastMessageAt
+        });
+    });
+
+    // Summary
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('📊 INACTIVE MEMBERS - SUMMARY:');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`👥 Group: ${group.name} (${group.participants.length} participants)`);
+    console.log(`📅 Window: since ${sinceLabel} (${days} days), inactive below ${minMessages} ${countReactions ? 'messages + reactions' : 'messages'}`);
+    console.log(`✅ Active: ${activeCount}`);
+    console.log(`💤 Inactive: ${inactive.length}`);
+    console.log(`👑 Admins skipped: ${excluded.admins}`);
+    console.log(`🤖 This account skipped: ${excluded.self}`);
+    console.log(`📋 Allowlisted: ${excluded.allowlisted}`);
+
+    inactive.slice(0, 10).forEach((member, index) => {
+        console.log(`   ${index + 1}. ${member.number} - ${member.reason}`);
+    });
+    if (inactive.length > 10) {
+        console.log(`   ... and ${inactive.length - 10} more`);
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const outputFile = `inactive_participants_${timestamp}.json`;
+    fs.writeFileSync(outputFile, JSON.stringify(inactive, null, 2));
+
+    console.log(`\n📁 Inactive list saved to: ${outputFile}`);
+    console.log(`💡 Review it, then run: wga members remove --group ${group.id.user} --input ${outputFile} --notify`);
+    return outputFile;
+}
+
+// Run directly: node generate-inactive-list.js
+if (require.main === module) {
+    let allowlist = [];
+    try {
+        allowlist = ALLOWLIST_FILE ? JSON.parse(fs.readFileSync(ALLOWLIST_FILE, 'utf8')) : [];
+    } catch (error) {
+        console.error(`❌ Error loading ${ALLOWLIST_FILE}:`, error.message);
+        process.exit(1);
+    }
+
+    const client = session.createClient();
+
+    console.log('🚀 Starting WhatsApp Inactive List Generator...');
+
+    session.ready(client)
+        .then(() => generateInactiveList(client, { groupId: GROUP_ID, allowlist }))
+        .then(() => session.shutdown(0))
+        .catch(session.fail);
+}
+
+module.exports = { generateInactiveList, LOOKBACK_DAYS, MIN_MESSAGES };
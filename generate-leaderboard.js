@@ -0,0 +1,264 @@
+const session = require('./lib/session');
+const { findGroup } = require('./lib/groups');
+const { openActivityStore, DEFAULT_STORE_FILE, SEEN_DAYS } = require('./lib/activity-store');
+const { normalizePhoneNumber, toChatId } = require('./lib/phone');
+const { getContactName } = require('./lib/contacts');
+const { loadTemplate } = require('./lib/template');
+const { recordHistory } = require('./track-activity');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * WhatsApp Contribution Leaderboard
+ *
+ * @description
+ * Computes the contributor leaderboard of a group from its own message history
+ * instead of a hand-assembled number list. Members are ranked by messages over
+ * a lookback window (reactions break ties), with their last-active date, and
+ * the ranking is exported to JSON or CSV. Optionally a top-N leaderboard is
+ * posted into the group, once or on a repeating interval, mentioning each
+ * contributor so volunteers get recognized.
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Set GROUP_ID, LOOKBACK_DAYS and TOP_N
+ * 2. Set POST_TO_GROUP (and POST_INTERVAL to repeat) if the leaderboard should be posted
+ * 3. Run: node generate-leaderboard.js
+ *
+ * @configuration
+ * - GROUP_ID: The WhatsApp group ID
+ * - LOOKBACK_DAYS: Window of history that counts
+ * - TOP_N: How many contributors the posted leaderboard shows
+ * - EXPORT_FORMAT: 'json' or 'csv'
+ * - POST_TO_GROUP: Post the top-N leaderboard into the group
+ * - POST_INTERVAL: Repeat the post, e.g. '7d', '24h' (null posts once)
+ * - LEADERBOARD_TEMPLATE_FILE: Template of the post
+ *   (variables: {{groupName}}, {{top}}, {{days}}, {{leaderboard}}, see lib/template.js)
+ *
+ * @output
+ * - leaderboard_YYYY-MM-DDTHH-MM-SS.json (or .csv): ranked contributors with
+ *   message/reaction counts and last-active date; the JSON also has a plain
+ *   `numbers` array in the format of temp/current-leaderboard.json
+ *
+ * @notes
+ * - Only current participants are ranked; members with no messages in the window are left out
+ * - History is merged into the activity store kept by track-activity.js
+ *
+ * @see find-missing-participants.js - Accepts the generated JSON as the leaderboard file
+ */
+
+// Configuration
+const GROUP_ID = "120363415434456792";
+const LOOKBACK_DAYS = 30;
+const TOP_N = 10;
+const EXPORT_FORMAT = 'json';
+const POST_TO_GROUP = false;
+const POST_INTERVAL = null; // e.g. '7d' to post every week (keeps running until Ctrl+C)
+const HISTORY_LIMIT = 5000;
+
+// Template of the leaderboard post
+const LEADERBOARD_TEMPLATE_FILE = path.join(__dirname, 'templates', 'leaderboard.txt');
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+const DAY = 24 * 60 * 60 * 1000;
+// setTimeout fires at once for delays above this (about 24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Rank the contributors of a group, export the ranking and optionally post it.
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} options
+ * @param {string} options.groupId - Bare or serialized group ID
+ * @param {number} [options.days=LOOKBACK_DAYS] - Lookback window in days
+ * @param {number} [options.top=TOP_N] - Contributors shown in the post
+ * @param {string} [options.format=EXPORT_FORMAT] - 'json' or 'csv'
+ * @param {boolean} [options.post=false] - Post the top-N leaderboard into the group
+ * @param {object} [options.template] - Parsed post template (defaults to LEADERBOARD_TEMPLATE_FILE)
+ * @param {number} [options.historyLimit=HISTORY_LIMIT] - Recent messages to read (0: use the activity store only)
+ * @param {string} [options.storeFile] - Activity store to merge history into
+ * @returns {Promise<string|undefined>} Name of the written file
+ */
+async function generateLeaderboard(client, options) {
+    const days = options.days !== undefined ? options.days : LOOKBACK_DAYS;
+    const top = options.top !== undefined ? options.top : TOP_N;
+    const format = options.format || EXPORT_FORMAT;
+    const historyLimit = options.historyLimit !== undefined ? options.historyLimit : HISTORY_LIMIT;
+
+    if (days > SEEN_DAYS) {
+        throw new Error(`Lookback of ${days} days is longer than the ${SEEN_DAYS} days of activity that are kept`);
+    }
+
+    const group = await findGroup(client, options.groupId);
+    if (!group) {
+        return;
+    }
+    const groupId = group.id._serialized;
+
+    const store = openActivityStore(options.storeFile || DEFAULT_STORE_FILE);
+    if (historyLimit > 0) {
+        console.log(`\n📥 Reading up to ${historyLimit} recent messages...`);
+        const history = await recordHistory(client, store, group, historyLimit);
+        store.save();
+        console.log(`✅ Read ${history.fetched} messages (${history.messageCount} new to the activity store)`);
+    }
+
+    const since = new Date(Math.floor((Date.now() - days * DAY) / DAY) * DAY);
+    const counts = store.countsSince(groupId, since);
+    const participants = new Set(group.participants.map(p => normalizePhoneNumber(p.id._serialized)).filter(Boolean));
+
+    const ranked = [...counts.entries()]
+        .filter(([number, activity]) => participants.has(number) && activity.messages > 0)
+        .map(([number, activity]) => ({
+            number,
+            messages: activity.messages,
+            reactions: activity.reactions,
+            lastActiveAt: [activity.lastMessageAt, activity.lastReactionAt].filter(Boolean).sort().pop() || null
+        }))
+        .sort((a, b) => b.messages - a.messages || b.reactions - a.reactions || String(b.lastActiveAt).localeCompare(String(a.lastActiveAt)));
+
+    const entries = [];
+    for (let i = 0; i < ranked.length; i++) {
+        const name = await getContactName(client, toChatId(ranked[i].number));
+        entries.push({ rank: i + 1, ...ranked[i], name: name || null });
+    }
+
+    // Summary
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`🏆 LEADERBOARD - ${group.name} (since ${since.toISOString().slice(0, 10)})`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    entries.slice(0, top).forEach(entry => {
+        console.log(`${String(entry.rank).padStart(3)}. ${entry.number}${entry.name ? ` (${entry.name})` : ''} - ${entry.messages} message${entry.messages === 1 ? '' : 's'}, last active ${formatDate(entry.lastActiveAt)}`);
+    });
+    console.log(`\n👥 Contributors: ${entries.length} of ${group.participants.length} participants`);
+
+    const outputFile = saveLeaderboard(group, entries, { days, since, format });
+    console.log(`📁 Leaderboard saved to: ${outputFile}`);
+
+    if (options.post) {
+        await postLeaderboard(client, group, entries.slice(0, top), { days, template: options.template });
+    }
+    return outputFile;
+}
+
+/**
+ * Post the leaderboard now and then every `intervalMs`, until shutdown.
+ * @param {Client} client
+ * @param {object} options - As for generateLeaderboard (post is forced on)
+ * @param {number} intervalMs
+ */
+async function scheduleLeaderboard(client, options, intervalMs) {
+    let timer = null;
+    let nextAt = Date.now();
+
+    // Longer intervals than one timer can hold are waited out in steps
+    const wait = () => {
+        timer = setTimeout(() => (Date.now() >= nextAt ? run() : wait()), Math.min(nextAt - Date.now(), MAX_TIMER_DELAY));
+    };
+    const run = async () => {
+        nextAt += intervalMs;
+        try {
+            await generateLeaderboard(client, { ...options, post: true });
+        } catch (error) {
+            console.error('❌ Error posting leaderboard:', error.message);
+        }
+        // A post that overran the interval is followed by the next one straight away, not a burst of missed ones
+        nextAt = Math.max(nextAt, Date.now());
+        console.log(`⏰ Next leaderboard post: ${new Date(nextAt).toLocaleString()}`);
+        wait();
+    };
+    await run();
+    session.onShutdown(() => clearTimeout(timer));
+}
+
+// Function to write the ranking as JSON or CSV
+function saveLeaderboard(group, entries, { days, since, format }) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const filename = `leaderboard_${timestamp}.${format}`;
+    let content;
+
+    if (format === 'csv') {
+        content = 'Rank,Phone Number,Name,Messages,Reactions,Last Active\n';
+        entries.forEach(entry => {
+            const name = entry.name ? `"${entry.name.replace(/"/g, '""')}"` : '';
+            content += `${entry.rank},${entry.number},${name},${entry.messages},${entry.reactions},${entry.lastActiveAt || ''}\n`;
+        });
+    } else {
+        content = JSON.stringify({
+            groupInfo: {
+                name: group.name,
+                id: group.id._serialized,
+                totalParticipants: group.participants.length
+            },
+            window: { days, since: since.toISOString() },
+            generatedAt: new Date().toISOString(),
+            entries,
+            numbers: entries.map(entry => entry.number.replace('+', ''))
+        }, null, 2);
+    }
+
+    fs.writeFileSync(filename, content, 'utf8');
+    return filename;
+}
+
+// Function to post the top entries into the group, mentioning each contributor
+async function postLeaderboard(client, group, entries, { days, template }) {
+    if (entries.length === 0) {
+        console.log('ℹ️  No contributors in the window - nothing to post');
+        return;
+    }
+    const postTemplate = template || loadTemplate(LEADERBOARD_TEMPLATE_FILE);
+    const lines = entries.map(entry => {
+        const badge = MEDALS[entry.rank - 1] || `${entry.rank}.`;
+        return `${badge} @${entry.number.slice(1)} - ${entry.messages} message${entry.messages === 1 ? '' : 's'}`;
+    });
+    const text = postTemplate.render({
+        groupName: group.name,
+        top: entries.length,
+        days,
+        leaderboard: lines.join('\n')
+    });
+
+    await group.sendMessage(text, { mentions: entries.map(entry => toChatId(entry.number)) });
+    console.log(`📣 Posted top ${entries.length} leaderboard to "${group.name}"`);
+}
+
+// Function to format an ISO timestamp as a date for the console
+function formatDate(iso) {
+    return iso ? iso.slice(0, 10) : 'never';
+}
+
+/**
+ * Parse an interval like "30m", "12h" or "7d" into milliseconds.
+ * @param {string} value
+ * @returns {number}
+ */
+function parseInterval(value) {
+    const match = /^(\d+)\s*([mhd])$/.exec(String(value).trim());
+    if (!match || Number(match[1]) === 0) {
+        throw new Error(`Invalid interval "${value}" (use e.g. 30m, 12h or 7d)`);
+    }
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY }[match[2]];
+    return Number(match[1]) * unit;
+}
+
+// Run directly: node generate-leaderboard.js
+if (require.main === module) {
+    const client = session.createClient();
+    const options = { groupId: GROUP_ID, format: EXPORT_FORMAT, post: POST_TO_GROUP };
+
+    console.log('🚀 Starting WhatsApp Leaderboard Generator...');
+
+    session.ready(client)
+        .then(() => {
+            if (POST_TO_GROUP && POST_INTERVAL) {
+                return scheduleLeaderboard(client, options, parseInterval(POST_INTERVAL));
+            }
+            return generateLeaderboard(client, options).then(() => session.shutdown(0));
+        })
+        .catch(session.fail);
+}
+
+module.exports = { generateLeaderboard, scheduleLeaderboard, parseInterval, LEADERBOARD_TEMPLATE_FILE };
@@ -0,0 +1,362 @@
+const session = require('./lib/session');
+const { getGroups, toGroupChatId, participantRoles } = require('./lib/groups');
+const { readJournal } = require('./lib/journal');
+const { readEvents, DEFAULT_EVENT_LOG } = require('./lib/event-log');
+const { openSnapshotStore, DEFAULT_SNAPSHOT_FILE } = require('./lib/snapshot-store');
+const { loadTemplate } = require('./lib/template');
+const { openInviteLinkStore, inviteLinkFor } = require('./lib/invite-links');
+const { sendMessagesToAll } = require('./send-messages');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * WhatsApp Invite Conversion Tracking
+ *
+ * @description
+ * Answers "did the people we sent invite links to actually join?" for a run of
+ * add-participants-to-group.js. Every invited number in the run's results file
+ * is cross-referenced with the join events recorded by watch-group-events.js,
+ * the membership snapshots (membership-history.js) and the group's current
+ * members, and reported as joined (with how many hours after the invite) or
+ * not joined. A follow-up command re-nudges invitees who still have not joined
+ * after a configurable number of hours, with a fresh invite link.
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Set RESULTS_FILE to the add_results_*.json of the run to check
+ * 2. Run: node invite-conversion.js (report), or with RENUDGE = true to nudge
+ * 3. Or: wga invites conversion --input add_results_....json
+ *        wga invites renudge --input add_results_....json --after 48 --dry-run
+ *
+ * @configuration
+ * - RESULTS_FILE: Results of the add run whose invites are checked
+ * - GROUP_ID: Group the invites were for; only needed for results written before
+ *   the group ID was recorded when the group name matches several groups
+ * - RENUDGE: Send the follow-up instead of only reporting
+ * - RENUDGE_AFTER_HOURS: Only nudge people invited at least this long ago
+ * - RENUDGE_TEMPLATE_FILE: Follow-up message (variables: {{name}}, {{groupName}},
+ *   {{inviteLink}}, {{invitedOn}}, {{daysSinceInvite}})
+ *
+ * @output
+ * - invite_conversion_YYYY-MM-DDTHH-MM-SS.json: per-number outcome and summary
+ * - Re-nudge: message_results_*.json and a journal, as for a broadcast
+ *
+ * @notes
+ * - Join times come from the event log when the watcher was running (exact), else
+ *   from the first snapshot that contains the number (joined at or before it);
+ *   members found only in the live group are joined at an unknown time
+ * - Invite times are recorded per number since this report was added; older
+ *   results fall back to their journal, then to the time the run finished
+ *
+ * @see add-participants-to-group.js - Sends the invites
+ * @see watch-group-events.js - Records join times
+ */
+
+// Configuration
+const RESULTS_FILE = 'add_results_2025-06-29T15-31-23.json';
+const GROUP_ID = null; // e.g. "120363401616166216"
+const RENUDGE = false;
+const RENUDGE_AFTER_HOURS = 48;
+const RENUDGE_TEMPLATE_FILE = path.join(__dirname, 'templates', 'renudge.txt');
+
+// Upper bounds (hours) of the join-delay buckets in the summary
+const DELAY_BUCKETS = [
+    { label: 'under 1h', hours: 1 },
+    { label: '1-6h', hours: 6 },
+    { label: '6-24h', hours: 24 },
+    { label: '1-3 days', hours: 72 },
+    { label: 'over 3 days', hours: Infinity }
+];
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Report which invited numbers of an add run joined the group, and how long after the invite.
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} options
+ * @param {string} options.resultsFile - add_results_*.json of the run
+ * @param {string} [options.groupId] - Group the invites were for (default: from the results file)
+ * @param {string} [options.logFile] - Event log (default group_events.jsonl)
+ * @param {string} [options.storeFile] - Snapshot store (default snapshot_store.json)
+ * @param {string} [options.output] - File to write instead of a timestamped one
+ * @returns {Promise<object>} The report
+ */
+async function inviteConversion(client, options) {
+    const conversion = await buildConversion(client, options);
+    printConversion(conversion);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const reportFile = options.output || `invite_conversion_${timestamp}.json`;
+    fs.writeFileSync(reportFile, JSON.stringify(conversion, null, 2));
+    console.log(`\n📁 Report saved to: ${reportFile}`);
+    if (conversion.summary.notJoined > 0) {
+        console.log(`💡 Nudge the ${conversion.summary.notJoined} who have not joined: wga invites renudge --input ${options.resultsFile} --after <hours>`);
+    }
+    return conversion;
+}
+
+/**
+ * Send a follow-up with a fresh invite link to invitees who still have not joined.
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} options
+ * @param {string} options.resultsFile - add_results_*.json of the run
+ * @param {number} [options.after=RENUDGE_AFTER_HOURS] - Only nudge people invited at least this many hours ago
+ * @param {string} [options.groupId] - Group the invites were for (default: from the results file)
+ * @param {object} [options.template] - Parsed follow-up template (defaults to RENUDGE_TEMPLATE_FILE)
+ * @param {object} [options.variables] - Extra template variables
+ * @param {object} [options.attachment] - Attachment sent with every nudge
+ * @param {number} [options.delay] - Base delay between messages (ms)
+ * @param {boolean} [options.checkRegistration=true]
+ * @param {boolean} [options.dryRun=false]
+ * @param {string} [options.resume] - Broadcast journal of an interrupted re-nudge
+ */
+async function renudgeInvites(client, options) {
+    const after = options.after === undefined ? RENUDGE_AFTER_HOURS : options.after;
+    const conversion = await buildConversion(client, options);
+    const { group } = conversion;
+
+    const cutoff = new Date(Date.now() - after * HOUR).toISOString();
+    const pending = conversion.invites.filter(invite => invite.status === 'not_joined');
+    const due = pending.filter(invite => invite.invitedAt <= cutoff);
+
+    console.log(`\n📨 ${conversion.summary.invited} invited to "${group.name}": ${conversion.summary.joined} joined, ${pending.length} not yet`);
+    console.log(`⏰ ${due.length} invited more than ${after}h ago will be nudged${pending.length > due.length ? ` (${pending.length - due.length} invited more recently are left for now)` : ''}`);
+    if (due.length === 0) {
+        console.log('✅ Nobody to nudge');
+        return;
+    }
+
+    // A fresh link, in case the one sent with the invite has been revoked since
+    let inviteLink = due[0].inviteLink;
+    let inviteCode = null;
+    const liveGroup = (await getGroups(client)).find(g => g.id._serialized === group.id);
+    try {
+        inviteCode = await liveGroup.getInviteCode();
+        inviteLink = inviteLinkFor(inviteCode);
+    } catch (error) {
+        console.log(`⚠️  Could not get the current invite link (${error.message}) - reusing the one from the invite`);
+    }
+    if (!inviteLink) {
+        throw new Error(`No invite link for "${group.name}" - you need to be an admin of the group`);
+    }
+
+    await sendMessagesToAll(client, {
+        recipients: due.map(invite => ({
+            number: invite.number,
+            fields: {
+                inviteLink,
+                invitedOn: invite.invitedAt.slice(0, 10),
+                daysSinceInvite: Math.floor((Date.now() - Date.parse(invite.invitedAt)) / (24 * HOUR))
+            }
+        })),
+        template: options.template || loadTemplate(RENUDGE_TEMPLATE_FILE),
+        variables: { ...options.variables, groupName: group.name },
+        attachment: options.attachment,
+        delay: options.delay,
+        limiter: options.limiter,
+        checkRegistration: options.checkRegistration,
+        dryRun: options.dryRun,
+        resume: options.resume
+    });
+
+    if (inviteCode && !options.dryRun) {
+        const links = openInviteLinkStore();
+        links.addCampaign(group.id, group.name, inviteCode, { name: `renudge_${path.basename(options.resultsFile, '.json')}`, invited: due.length });
+        links.save();
+    }
+}
+
+// Function to work out, for every invited number of a run, whether and when it joined
+async function buildConversion(client, options) {
+    const run = readRun(options.resultsFile);
+    if (run.invites.length === 0) {
+        throw new Error(`${options.resultsFile} has no invited numbers`);
+    }
+
+    const groups = await getGroups(client);
+    const group = resolveGroup(groups, options.groupId || run.groupId, run.groupName, options.resultsFile);
+    const groupId = group.id._serialized;
+    const current = new Set(participantRoles(group).members.map(member => member.number));
+
+    // Earliest recorded join per number
+    const joinEvents = new Map();
+    readEvents(options.logFile || DEFAULT_EVENT_LOG, { groupId, events: ['join'] }).forEach(event => {
+        event.targets.forEach(number => {
+            if (!joinEvents.has(number)) joinEvents.set(number, []);
+            joinEvents.get(number).push(event.at);
+        });
+    });
+    const snapshots = readSnapshots(options.storeFile || DEFAULT_SNAPSHOT_FILE, groupId);
+
+    const invites = run.invites.map(invite => {
+        // An exact invite time bounds the join; an approximate one (end of the run) cannot
+        const notBefore = invite.exact ? invite.invitedAt : '';
+        const stillMember = current.has(invite.number);
+
+        const joinedAt = (joinEvents.get(invite.number) || []).find(at => at >= notBefore);
+        if (joinedAt) {
+            return joined(invite, joinedAt, 'event', stillMember);
+        }
+        const snapshot = snapshots.find(s => s.takenAt >= invite.invitedAt && invite.number in s.members);
+        if (snapshot) {
+            return joined(invite, snapshot.takenAt, 'snapshot', stillMember);
+        }
+        if (stillMember) {
+            return joined(invite, null, 'live', true);
+        }
+        return { ...invite, status: 'not_joined', hoursSinceInvite: round((Date.now() - Date.parse(invite.invitedAt)) / HOUR) };
+    });
+
+    const joinedInvites = invites.filter(invite => invite.status === 'joined');
+    const delays = Object.fromEntries(DELAY_BUCKETS.map(bucket => [bucket.label, 0]));
+    let unknownDelay = 0;
+    joinedInvites.forEach(invite => {
+        if (invite.hoursToJoin === null) {
+            unknownDelay++;
+            return;
+        }
+        delays[DELAY_BUCKETS.find(bucket => invite.hoursToJoin < bucket.hours).label]++;
+    });
+
+    return {
+        resultsFile: options.resultsFile,
+        group: { id: groupId, name: group.name },
+        generatedAt: new Date().toISOString(),
+        summary: {
+            invited: invites.length,
+            joined: joinedInvites.length,
+            notJoined: invites.length - joinedInvites.length,
+            leftSinceJoining: joinedInvites.filter(invite => !invite.stillMember).length,
+            conversionRate: Number(((joinedInvites.length / invites.length) * 100).toFixed(1)),
+            joinedAfter: { ...delays, unknown: unknownDelay }
+        },
+        invites,
+        notJoined: invites.filter(invite => invite.status === 'not_joined').map(invite => invite.number)
+    };
+}
+
+// Function to describe a joined invite; a snapshot only says the number joined by that time
+function joined(invite, joinedAt, evidence, stillMember) {
+    return {
+        ...invite,
+        status: 'joined',
+        evidence,
+        joinedAt,
+        hoursToJoin: joinedAt ? round(Math.max(0, Date.parse(joinedAt) - Date.parse(invite.invitedAt)) / HOUR) : null,
+        stillMember
+    };
+}
+
+// Function to read the invited numbers of an add run, with the best invite time available
+function readRun(resultsFile) {
+    const data = JSON.parse(fs.readFileSync(resultsFile, 'utf8'));
+    if (!data || !Array.isArray(data.results) || !data.groupName) {
+        throw new Error(`${resultsFile} is not an add_results file of add-participants-to-group.js`);
+    }
+    if (data.dryRun) {
+        throw new Error(`${resultsFile} is from a dry run - no invites were sent`);
+    }
+
+    // Older results have no per-number time; their journal does
+    let journalTimes = new Map();
+    let journalGroupId = null;
+    if (data.journalFile && fs.existsSync(data.journalFile)) {
+        const { header, entries } = readJournal(data.journalFile);
+        journalGroupId = header.groupId;
+        journalTimes = new Map(entries.filter(entry => entry.status === 'invited').map(entry => [entry.number, entry.at]));
+    }
+
+    const invites = data.results
+        .filter(result => result.status === 'invited')
+        .map(result => {
+            const exactAt = result.invitedAt || journalTimes.get(result.number);
+            return {
+                number: result.number,
+                invitedAt: exactAt || data.timestamp,
+                exact: Boolean(exactAt),
+                inviteLink: result.inviteLink || null
+            };
+        });
+
+    return { groupId: data.groupId || journalGroupId, groupName: data.groupName, invites };
+}
+
+// Function to find the group of a run by ID, or by its name for results that only have the name
+function resolveGroup(groups, groupId, groupName, resultsFile) {
+    if (groupId) {
+        const id = toGroupChatId(groupId);
+        const group = groups.find(g => g.id._serialized === id);
+        if (!group) {
+            throw new Error(`Group ${id} not found among your groups`);
+        }
+        return group;
+    }
+    const matches = groups.filter(g => g.name === groupName);
+    if (matches.length === 1) {
+        return matches[0];
+    }
+    throw new Error(matches.length === 0
+        ? `No group named "${groupName}" (from ${resultsFile}) - pass the group ID with --group`
+        : `${matches.length} groups are named "${groupName}" - pass the group ID with --group`);
+}
+
+// Function to load the group's snapshots with members, oldest first (none if never snapshotted)
+function readSnapshots(storeFile, groupId) {
+    if (!fs.existsSync(storeFile)) {
+        return [];
+    }
+    const store = openSnapshotStore(storeFile);
+    if (!store.listGroups().some(group => group.id === groupId)) {
+        return [];
+    }
+    return store.listSnapshots(groupId).map(snapshot => store.getSnapshot(groupId, snapshot.index));
+}
+
+// Function to print the conversion summary
+function printConversion(conversion) {
+    const { summary } = conversion;
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`📨 INVITE CONVERSION - ${conversion.group.name}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`📱 Invited: ${summary.invited}`);
+    console.log(`✅ Joined: ${summary.joined} (${summary.conversionRate}%)${summary.leftSinceJoining > 0 ? `, ${summary.leftSinceJoining} of them left since` : ''}`);
+    console.log(`⏳ Not joined: ${summary.notJoined}`);
+    if (summary.joined > 0) {
+        console.log('\n⏱️  Joined after:');
+        Object.entries(summary.joinedAfter).forEach(([label, count]) => {
+            if (count > 0) console.log(`   ${label.padEnd(12)} ${count}`);
+        });
+    }
+    const approximate = conversion.invites.filter(invite => !invite.exact).length;
+    if (approximate > 0) {
+        console.log(`\n⚠️  ${approximate} invite${approximate === 1 ? ' has' : 's have'} no recorded send time - the end of the run is used instead`);
+    }
+    if (conversion.invites.some(invite => invite.evidence === 'snapshot')) {
+        console.log('ℹ️  Join times from snapshots mean "joined at or before"; run the event watcher for exact times');
+    }
+}
+
+// Function to round hours to one decimal
+function round(hours) {
+    return Math.round(hours * 10) / 10;
+}
+
+// Run directly: node invite-conversion.js
+if (require.main === module) {
+    const client = session.createClient();
+
+    console.log('🚀 Starting WhatsApp Invite Conversion...');
+
+    session.ready(client)
+        .then(() => (RENUDGE
+            ? renudgeInvites(client, { resultsFile: RESULTS_FILE, groupId: GROUP_ID, after: RENUDGE_AFTER_HOURS })
+            : inviteConversion(client, { resultsFile: RESULTS_FILE, groupId: GROUP_ID })))
+        .then(() => session.shutdown(0))
+        .catch(session.fail);
+}
+
+module.exports = { inviteConversion, renudgeInvites, RENUDGE_TEMPLATE_FILE };
@@ -0,0 +1,256 @@
+const fs = require('fs');
+
+/**
+ * Local store of group activity (who posts and reacts, and when)
+ *
+ * One JSON file holds, per group and per member (E.164 number), running
+ * totals plus daily buckets so activity can be counted over any lookback
+ * window of up to SEEN_DAYS. Message IDs are remembered per group so
+ * backfilled history and live events are never counted twice; they are kept
+ * for SEEN_DAYS (by the day of the event) so the file does not grow forever,
+ * and events older than that are not counted at all, since an ID that was
+ * forgotten could otherwise be counted again when history is re-read.
+ *
+ * File layout:
+ * {
+ *   "version": 1,
+ *   "groups": {
+ *     "120363401616166216@g.us": {
+ *       "name": "Slots Update",
+ *       "backfill": { "at": "...", "messages": 1000, "oldest": "..." },
+ *       "members": {
+ *         "+919429424060": {
+ *           "messages": 12, "reactions": 30,
+ *           "firstSeenAt": "...", "lastMessageAt": "...", "lastReactionAt": "...",
+ *           "daily": { "2025-06-29": { "messages": 2, "reactions": 1 } }
+ *         }
+ *       },
+ *       "seen": { "<message id>": "2025-06-29", "<message id>:<reactor>": "2025-06-29", ... }
+ *     }
+ *   }
+ * }
+ *
+ * @example
+ * const store = openActivityStore();
+ * store.recordMessage(group, '+919429424060', new Date(), message.id._serialized);
+ * store.save();
+ */
+
+const DEFAULT_STORE_FILE = 'activity_store.json';
+
+// How long changes may sit in memory before being written (ms)
+const SAVE_INTERVAL = 10000;
+
+// Days of event IDs kept for de-duplication; older events are not counted
+const SEEN_DAYS = 90;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Open (or create) the activity store.
+ * @param {string} [file='activity_store.json']
+ * @returns {object} Store API
+ */
+function openActivityStore(file = DEFAULT_STORE_FILE) {
+    const data = load(file);
+    let dirty = false;
+    let saveTimer = null;
+
+    // Function to get (creating if needed) a group record
+    function groupRecord(groupId, groupName) {
+        if (!data.groups[groupId]) {
+            data.groups[groupId] = { name: groupName || groupId, backfill: null, members: {}, seen: {} };
+        }
+        const group = data.groups[groupId];
+        if (groupName) {
+            group.name = groupName;
+        }
+        return group;
+    }
+
+    // Function to check and remember an event ID so it is counted once
+    function firstTime(group, eventId, day) {
+        if (day < oldestKeptDay()) return false;
+        if (!eventId) return true;
+        if (Object.prototype.hasOwnProperty.call(group.seen, eventId)) return false;
+        group.seen[eventId] = day;
+        return true;
+    }
+
+    // Function to forget event IDs older than SEEN_DAYS
+    function prune() {
+        const oldest = oldestKeptDay();
+        Object.values(data.groups).forEach(group => {
+            Object.entries(group.seen).forEach(([eventId, day]) => {
+                if (day < oldest) delete group.seen[eventId];
+            });
+        });
+    }
+
+    // Function to add one event to a member's totals and daily bucket
+    function bump(groupId, groupName, number, at, eventId, kind) {
+        const group = groupRecord(groupId, groupName);
+        const iso = at.toISOString();
+        if (!firstTime(group, eventId, iso.slice(0, 10))) {
+            return false;
+        }
+        const member = group.members[number] || (group.members[number] = {
+            messages: 0,
+            reactions: 0,
+            firstSeenAt: iso,
+            lastMessageAt: null,
+            lastReactionAt: null,
+            daily: {}
+        });
+        const day = iso.slice(0, 10);
+        const bucket = member.daily[day] || (member.daily[day] = { messages: 0, reactions: 0 });
+
+        if (kind === 'message') {
+            member.messages++;
+            bucket.messages++;
+            if (!member.lastMessageAt || iso > member.lastMessageAt) member.lastMessageAt = iso;
+        } else {
+            member.reactions++;
+            bucket.reactions++;
+            if (!member.lastReactionAt || iso > member.lastReactionAt) member.lastReactionAt = iso;
+        }
+        if (iso < member.firstSeenAt) member.firstSeenAt = iso;
+
+        markDirty();
+        return true;
+    }
+
+    function markDirty() {
+        dirty = true;
+        if (!saveTimer) {
+            saveTimer = setTimeout(() => {
+                saveTimer = null;
+                save();
+            }, SAVE_INTERVAL);
+            saveTimer.unref();
+        }
+    }
+
+    /**
+     * Write pending changes to disk (atomically, via a temp file).
+     */
+    function save() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        if (!dirty) return;
+        prune();
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data), 'utf8');
+        fs.renameSync(tmp, file);
+        dirty = false;
+    }
+
+    return {
+        file,
+
+        /**
+         * Count a message. Returns false when the message was already counted.
+         * @param {string} groupId - Serialized group ID
+         * @param {string} groupName
+         * @param {string} number - Author (E.164)
+         * @param {Date} at
+         * @param {string} [messageId]
+         */
+        recordMessage: (groupId, groupName, number, at, messageId) =>
+            bump(groupId, groupName, number, at, messageId, 'message'),
+
+        /**
+         * Count a reaction (one per member per message). Returns false when already counted.
+         * @param {string} groupId
+         * @param {string} groupName
+         * @param {string} number - Reactor (E.164)
+         * @param {Date} at
+         * @param {string} [messageId] - ID of the message reacted to
+         */
+        recordReaction: (groupId, groupName, number, at, messageId) =>
+            bump(groupId, groupName, number, at, messageId ? `${messageId}:${number}` : null, 'reaction'),
+
+        /**
+         * Whether history has already been backfilled for a group.
+         * @param {string} groupId
+         */
+        isBackfilled: (groupId) => Boolean(data.groups[groupId] && data.groups[groupId].backfill),
+
+        /**
+         * Remember that a group's history was backfilled.
+         * @param {string} groupId
+         * @param {string} groupName
+         * @param {{messages: number, oldest: string|null}} info
+         */
+        markBackfilled: (groupId, groupName, info) => {
+            groupRecord(groupId, groupName).backfill = { at: new Date().toISOString(), ...info };
+            markDirty();
+        },
+
+        /**
+         * Raw record of a group (undefined if nothing has been recorded).
+         * @param {string} groupId
+         */
+        getGroup: (groupId) => data.groups[groupId],
+
+        /**
+         * IDs of every group in the store.
+         * @returns {string[]}
+         */
+        listGroups: () => Object.keys(data.groups),
+
+        /**
+         * Per-member activity since a date (inclusive, by UTC day).
+         * @param {string} groupId
+         * @param {Date} since
+         * @returns {Map<string, {messages: number, reactions: number, lastMessageAt: string|null, lastReactionAt: string|null}>}
+         */
+        countsSince: (groupId, since) => {
+            const counts = new Map();
+            const group = data.groups[groupId];
+            if (!group) return counts;
+            const sinceDay = since.toISOString().slice(0, 10);
+            Object.entries(group.members).forEach(([number, member]) => {
+                let messages = 0;
+                let reactions = 0;
+                Object.entries(member.daily).forEach(([day, bucket]) => {
+                    if (day >= sinceDay) {
+                        messages += bucket.messages;
+                        reactions += bucket.reactions;
+                    }
+                });
+                counts.set(number, { messages, reactions, lastMessageAt: member.lastMessageAt, lastReactionAt: member.lastReactionAt });
+            });
+            return counts;
+        },
+
+        save
+    };
+}
+
+// Function to read the store file, starting empty when it does not exist
+function load(file) {
+    if (!fs.existsSync(file)) {
+        return { version: 1, groups: {} };
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data.groups) {
+        throw new Error(`${file} is not an activity store`);
+    }
+    // Older stores kept a plain list of IDs; date them today so they age out from now
+    const today = new Date().toISOString().slice(0, 10);
+    Object.values(data.groups).forEach(group => {
+        if (Array.isArray(group.seen)) {
+            group.seen = Object.fromEntries(group.seen.map(eventId => [eventId, today]));
+        }
+    });
+    return data;
+}
+
+// Function to get the first UTC day whose events are still counted
+function oldestKeptDay() {
+    return new Date(Date.now() - SEEN_DAYS * DAY).toISOString().slice(0, 10);
+}
+
+module.exports = { openActivityStore, DEFAULT_STORE_FILE, SEEN_DAYS };
@@ -0,0 +1,44 @@
+const { normalizePhoneNumber } = require('./phone');
+
+/**
+ * Contact helpers shared by the messaging flows.
+ */
+
+/**
+ * Look up the name a contact uses on WhatsApp (push name, then the name saved in your contacts).
+ * Returns undefined when the contact has no name or the lookup fails.
+ * @param {Client} client
+ * @param {string} chatId - e.g. "919876543210@c.us"
+ * @returns {Promise<string|undefined>}
+ */
+async function getContactName(client, chatId) {
+    try {
+        const contact = await client.getContactById(chatId);
+        return contact.pushname || contact.name || undefined;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Turn a WhatsApp ID into an E.164 number. Phone-based IDs (@c.us) are read
+ * directly; other IDs (e.g. @lid) are resolved through the contact.
+ * @param {Client} client
+ * @param {string} id - e.g. "919876543210@c.us" or "123456789@lid"
+ * @param {Function} [getContact] - Contact lookup to use instead of client.getContactById(id)
+ * @returns {Promise<string|null>} null when the ID cannot be resolved to a number
+ */
+async function resolveNumber(client, id, getContact = () => client.getContactById(id)) {
+    if (!id) return null;
+    if (id.endsWith('@c.us')) {
+        return normalizePhoneNumber(id);
+    }
+    try {
+        const contact = await getContact();
+        return contact && contact.number ? normalizePhoneNumber(contact.number) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { getContactName, resolveNumber };
@@ -0,0 +1,155 @@
+/**
+ * Cron-style schedules
+ *
+ * Five fields as in crontab, evaluated in this machine's local time:
+ *
+ *   minute (0-59)  hour (0-23)  day of month (1-31)  month (1-12 or jan-dec)  day of week (0-7 or sun-sat)
+ *
+ * Each field takes `*`, a value (5), a range (1-5), a list (1,15) or a range
+ * with a step (0-59/15, 8-18/2; a star with a step works too). 0 and 7 are
+ * both Sunday. As in cron, when both day of month and day of week are
+ * restricted, a day matching either one counts.
+ * Shortcuts: @hourly, @daily, @weekly (Sunday 00:00), @monthly, @yearly.
+ *
+ * @example
+ * parseCron('0 9 * * mon').next(new Date());   // next Monday 09:00
+ * parseCron('30 8 1 * *').next(new Date());    // 08:30 on the 1st of next month
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+// How far ahead to look before deciding a schedule never matches (e.g. "0 0 30 2 *")
+const SEARCH_YEARS = 5;
+
+class CronError extends Error {}
+
+/**
+ * Parse a schedule.
+ * @param {string} expression - e.g. "0 9 * * mon" or "@daily"
+ * @returns {{source: string, next: function(Date=): Date}} next() gives the first matching minute after a time
+ * @throws {CronError} When the expression is invalid or never matches
+ */
+function parseCron(expression) {
+    const source = String(expression || '').trim();
+    const text = SHORTCUTS[source.toLowerCase()] || source;
+    const parts = text.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new CronError(`Invalid schedule "${source}": expected 5 fields (minute hour day month weekday), e.g. "0 9 * * mon"`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index], source));
+    if (weekdays.values.has(7)) {
+        weekdays.values.add(0);
+    }
+    const schedule = { minutes, hours, days, months, weekdays };
+
+    const next = (after = new Date()) => {
+        const time = nextTime(schedule, after);
+        if (!time) {
+            throw new CronError(`Schedule "${source}" never matches a date`);
+        }
+        return time;
+    };
+    next();
+    return { source, next };
+}
+
+// Function to parse one field into its allowed values; `star` marks an unrestricted field
+function parseField(part, field, source) {
+    const values = new Set();
+    part.toLowerCase().split(',').forEach(item => {
+        const match = /^(\*|[a-z0-9]+)(?:-([a-z0-9]+))?(?:\/(\d+))?$/.exec(item);
+        if (!match) {
+            throw new CronError(`Invalid ${field.name} "${item}" in schedule "${source}"`);
+        }
+        const [, start, end, step] = match;
+        let from;
+        let to;
+        if (start === '*') {
+            if (end) {
+                throw new CronError(`Invalid ${field.name} "${item}" in schedule "${source}"`);
+            }
+            from = field.min;
+            to = field.max;
+        } else {
+            from = fieldValue(start, field, source);
+            to = end ? fieldValue(end, field, source) : (step ? field.max : from);
+        }
+        const increment = step ? Number(step) : 1;
+        if (from > to || increment < 1) {
+            throw new CronError(`Invalid ${field.name} range "${item}" in schedule "${source}"`);
+        }
+        for (let value = from; value <= to; value += increment) {
+            values.add(value);
+        }
+    });
+    return { values, star: part.startsWith('*') };
+}
+
+// Function to read a field value: a number within bounds, or a month/weekday name
+function fieldValue(token, field, source) {
+    let value;
+    if (/^\d+$/.test(token)) {
+        value = Number(token);
+    } else if (field.names && field.names.includes(token)) {
+        value = field.names.indexOf(token) + (field.min === 1 ? 1 : 0);
+    } else {
+        throw new CronError(`Invalid ${field.name} "${token}" in schedule "${source}"`);
+    }
+    if (value < field.min || value > field.max) {
+        throw new CronError(`${field.name} ${value} is out of range (${field.min}-${field.max}) in schedule "${source}"`);
+    }
+    return value;
+}
+
+// Function to check the day fields, with cron's either-or rule when both are restricted
+function dayMatches(schedule, time) {
+    const dayOfMonth = schedule.days.values.has(time.getDate());
+    const dayOfWeek = schedule.weekdays.values.has(time.getDay());
+    if (!schedule.days.star && !schedule.weekdays.star) {
+        return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+}
+
+// Function to find the first matching minute after a time, skipping whole months, days and hours that cannot match
+function nextTime(schedule, after) {
+    const time = new Date(after.getTime());
+    time.setSeconds(0, 0);
+    time.setMinutes(time.getMinutes() + 1);
+    const limit = new Date(after.getTime());
+    limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+    while (time <= limit) {
+        if (!schedule.months.values.has(time.getMonth() + 1)) {
+            time.setMonth(time.getMonth() + 1, 1);
+            time.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(schedule, time)) {
+            time.setDate(time.getDate() + 1);
+            time.setHours(0, 0, 0, 0);
+        } else if (!schedule.hours.values.has(time.getHours())) {
+            time.setHours(time.getHours() + 1, 0, 0, 0);
+        } else if (!schedule.minutes.values.has(time.getMinutes())) {
+            time.setMinutes(time.getMinutes() + 1, 0, 0);
+        } else {
+            return time;
+        }
+    }
+    return null;
+}
+
+module.exports = { parseCron, CronError };
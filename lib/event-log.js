@@ -0,0 +1,76 @@
+const fs = require('fs');
+
+/**
+ * Append-only log of group membership events
+ *
+ * One JSON object per line (JSON Lines), appended the moment an event is
+ * seen and never rewritten, so the file is a permanent record of who joined,
+ * left, was removed or promoted, and who did it. Lines look like:
+ *
+ * {"at":"2025-07-01T10:15:00.000Z","event":"leave","type":"remove","groupId":"120363401616166216@g.us",
+ *  "groupName":"Slots Update","actor":"+917775977750","targets":["+918299722296"],"body":"","id":"..."}
+ *
+ * - event: join, leave, admin_changed, membership_request or update
+ * - type: WhatsApp's notification subtype (add, invite, remove, leave, promote, demote, subject, ...)
+ * - actor: who did it (the member themselves for leave/invite joins), E.164 when resolvable
+ * - targets: members affected, E.164 when resolvable (raw IDs otherwise)
+ *
+ * @example
+ * appendEvent('group_events.jsonl', { event: 'leave', type: 'leave', groupId, actor: '+91...', targets: ['+91...'] });
+ * readEvents('group_events.jsonl', { member: '+918299722296', since: new Date('2025-07-01') });
+ */
+
+const DEFAULT_EVENT_LOG = 'group_events.jsonl';
+
+/**
+ * Append one event to the log.
+ * @param {string} file
+ * @param {object} event - See the line format above; `at` defaults to now
+ * @returns {object} The line written
+ */
+function appendEvent(file, event) {
+    const line = { at: new Date().toISOString(), ...event };
+    fs.appendFileSync(file, JSON.stringify(line) + '\n', 'utf8');
+    return line;
+}
+
+/**
+ * Read events from the log, oldest first, optionally filtered.
+ * Lines that cannot be parsed (e.g. a write cut short by a crash) are skipped.
+ *
+ * @param {string} file
+ * @param {object} [filter]
+ * @param {string} [filter.groupId] - Serialized group ID
+ * @param {string} [filter.member] - E.164 number; matches the actor or any target
+ * @param {Date} [filter.since] - Inclusive
+ * @param {Date} [filter.until] - Inclusive
+ * @param {string[]} [filter.events] - Event names to keep (join, leave, ...)
+ * @returns {object[]}
+ */
+function readEvents(file, filter = {}) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    const since = filter.since ? filter.since.toISOString() : null;
+    const until = filter.until ? filter.until.toISOString() : null;
+
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(event => event
+            && (!filter.groupId || event.groupId === filter.groupId)
+            && (!filter.member || event.actor === filter.member || (event.targets || []).includes(filter.member))
+            && (!since || event.at >= since)
+            && (!until || event.at <= until)
+            && (!filter.events || filter.events.includes(event.event)))
+        .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+module.exports = { appendEvent, readEvents, DEFAULT_EVENT_LOG };
@@ -0,0 +1,143 @@
+const { normalizePhoneNumber } = require('./phone');
+
+/**
+ * Group lookup helpers shared by the batch tools.
+ */
+
+/**
+ * Turn a bare group ID ("120363401616166216") into a serialized chat ID
+ * ("120363401616166216@g.us"). Serialized IDs are returned unchanged.
+ * @param {string} groupId
+ * @returns {string}
+ */
+function toGroupChatId(groupId) {
+    const id = String(groupId).trim();
+    return id.endsWith('@g.us') ? id : `${id}@g.us`;
+}
+
+/**
+ * Load every group chat the account is part of.
+ * @param {Client} client
+ * @returns {Promise<GroupChat[]>}
+ */
+async function getGroups(client) {
+    console.log('📋 Loading all chats...');
+    const chats = await client.getChats();
+    const groups = chats.filter(chat => chat.isGroup);
+    console.log(`📱 Found ${groups.length} groups total`);
+    return groups;
+}
+
+/**
+ * Find a group by ID. Prints the available groups and returns null when the
+ * group is not found.
+ * @param {Client} client
+ * @param {string} groupId - Bare or serialized group ID
+ * @returns {Promise<GroupChat|null>}
+ */
+async function findGroup(client, groupId) {
+    const targetGroupId = toGroupChatId(groupId);
+    const groups = await getGroups(client);
+    const targetGroup = groups.find(group => group.id._serialized === targetGroupId);
+
+    if (!targetGroup) {
+        console.error(`❌ Group "${targetGroupId}" not found!`);
+        console.log('\n📋 Available groups:');
+        groups.forEach((group, index) => {
+            console.log(`   ${index + 1}. ${group.name} (ID: ${group.id._serialized})`);
+        });
+        return null;
+    }
+
+    console.log(`✅ Found target group: "${targetGroup.name}"`);
+    console.log(`👥 Group has ${targetGroup.participants.length} participants`);
+    return targetGroup;
+}
+
+/**
+ * Check whether the logged-in account is an admin of the group.
+ * @param {Client} client
+ * @param {GroupChat} group
+ * @returns {boolean}
+ */
+function isSelfAdmin(client, group) {
+    const myId = client.info.wid._serialized;
+    const myParticipant = group.participants.find(p => p.id._serialized === myId);
+    return Boolean(myParticipant && myParticipant.isAdmin);
+}
+
+/**
+ * Participants of a group as E.164 numbers with their role.
+ * @param {GroupChat} group
+ * @returns {{members: Array<{number: string, role: 'superadmin'|'admin'|'member'}>, unresolved: number}}
+ *   unresolved counts participants whose ID is not a phone number (e.g. hidden-number IDs)
+ */
+function participantRoles(group) {
+    const members = [];
+    let unresolved = 0;
+    group.participants.forEach(participant => {
+        const number = normalizePhoneNumber(participant.id._serialized);
+        if (!number) {
+            unresolved++;
+            return;
+        }
+        const role = participant.isSuperAdmin ? 'superadmin' : participant.isAdmin ? 'admin' : 'member';
+        members.push({ number, role });
+    });
+    return { members, unresolved };
+}
+
+/**
+ * Pick groups by ID or by name. A name pattern is case-insensitive; `*`
+ * matches any text, and a pattern without `*` matches names containing it
+ * ("slot" matches "SLOT UPDATES ONLY" and "Slots Update").
+ *
+ * @param {GroupChat[]} groups - From getGroups
+ * @param {object} selection
+ * @param {string[]} [selection.groupIds] - Bare or serialized IDs
+ * @param {string} [selection.pattern] - Name pattern
+ * @returns {{groups: GroupChat[], missing: string[]}} Matching groups in list order, and IDs not found
+ */
+function selectGroups(groups, selection) {
+    if (selection.groupIds && selection.groupIds.length > 0) {
+        const wanted = selection.groupIds.map(toGroupChatId);
+        return {
+            groups: groups.filter(group => wanted.includes(group.id._serialized)),
+            missing: wanted.filter(id => !groups.some(group => group.id._serialized === id))
+        };
+    }
+    const text = String(selection.pattern || '').trim();
+    const escaped = text.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    const matcher = text.includes('*')
+        ? new RegExp(`^${escaped.join('.*')}$`, 'i')
+        : new RegExp(escaped[0], 'i');
+    return { groups: groups.filter(group => matcher.test(group.name || '')), missing: [] };
+}
+
+/**
+ * Print a one-line summary per group (name, ID, participant count, admin status).
+ * @param {Client} client
+ * @param {GroupChat[]} groups
+ */
+function printGroups(client, groups) {
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('📱 YOUR WHATSAPP GROUPS:');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    groups.forEach((group, index) => {
+        const participantCount = group.participants ? group.participants.length : 'Unknown';
+        const admin = group.participants && isSelfAdmin(client, group) ? ' 👑' : '';
+        console.log(`${index + 1}. ${group.name} (${participantCount} participants)${admin}`);
+        console.log(`   ID: ${group.id.user}`);
+    });
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+}
+
+module.exports = {
+    toGroupChatId,
+    getGroups,
+    findGroup,
+    isSelfAdmin,
+    participantRoles,
+    selectGroups,
+    printGroups
+};
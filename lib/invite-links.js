@@ -0,0 +1,188 @@
+const fs = require('fs');
+
+/**
+ * Local record of group invite links and where they were handed out
+ *
+ * WhatsApp only knows a group's current invite link. This store remembers
+ * every link seen for a group, which campaign (add run, re-nudge, ...) sent it
+ * to whom, and when it was revoked, so a leaked link can be traced to the
+ * campaign that handed it out and links can be rotated once a campaign is over.
+ *
+ * File layout:
+ * {
+ *   "version": 1,
+ *   "groups": {
+ *     "120363401616166216@g.us": {
+ *       "name": "Slots Update",
+ *       "links": [
+ *         { "code": "F62pSwcfaqU6w816V6FvZM", "seenAt": "2025-06-29T15:20:00.000Z",
+ *           "revokedAt": null, "revokeReason": null,
+ *           "campaigns": [
+ *             { "name": "add_2025-06-29T15-31-23", "usedAt": "2025-06-29T15:31:23.334Z",
+ *               "invited": 372, "resultsFile": "add_results_2025-06-29T15-31-23.json",
+ *               "rotateAt": "2025-07-06T15:31:23.334Z" }
+ *           ] }
+ *       ]
+ *     }
+ *   }
+ * }
+ *
+ * A link with campaigns that set rotateAt is due for rotation once the latest
+ * of those times has passed (so one campaign never cuts off another's invitees).
+ *
+ * @example
+ * const store = openInviteLinkStore();
+ * store.addCampaign(group.id._serialized, group.name, code, { name: 'june-drive', invited: 40, rotateAt });
+ * store.dueForRotation(); // [{ groupId, groupName, code, rotateAt, campaigns }]
+ */
+
+const DEFAULT_INVITE_LINK_FILE = 'invite_links.json';
+
+/**
+ * Build the shareable link for an invite code.
+ * @param {string} code
+ * @returns {string}
+ */
+function inviteLinkFor(code) {
+    return `https://chat.whatsapp.com/${code}`;
+}
+
+/**
+ * Open (or create) the invite link store.
+ * @param {string} [file='invite_links.json']
+ * @returns {object} Store API
+ */
+function openInviteLinkStore(file = DEFAULT_INVITE_LINK_FILE) {
+    const data = load(file);
+
+    // Function to get the record of a link, creating the group and link records as needed
+    function linkRecord(groupId, groupName, code) {
+        if (!data.groups[groupId]) {
+            data.groups[groupId] = { name: groupName || groupId, links: [] };
+        }
+        const group = data.groups[groupId];
+        if (groupName) {
+            group.name = groupName;
+        }
+        let link = group.links.find(existing => existing.code === code);
+        if (!link) {
+            link = { code, seenAt: new Date().toISOString(), revokedAt: null, revokeReason: null, campaigns: [] };
+            group.links.push(link);
+        }
+        return link;
+    }
+
+    /**
+     * Write the store to disk (atomically, via a temp file).
+     */
+    function save() {
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tmp, file);
+    }
+
+    return {
+        file,
+
+        /**
+         * Remember a link of a group (no-op when it is already known).
+         * @param {string} groupId - Serialized group ID
+         * @param {string} groupName
+         * @param {string} code - Invite code
+         * @returns {object} The link record
+         */
+        noteLink: (groupId, groupName, code) => linkRecord(groupId, groupName, code),
+
+        /**
+         * Record that a campaign handed out a link.
+         * @param {string} groupId
+         * @param {string} groupName
+         * @param {string} code
+         * @param {object} campaign
+         * @param {string} campaign.name
+         * @param {number} [campaign.invited] - People the link was sent to
+         * @param {string} [campaign.resultsFile]
+         * @param {Date|string} [campaign.rotateAt] - Revoke the link after this time
+         * @returns {object} The campaign record
+         */
+        addCampaign: (groupId, groupName, code, campaign) => {
+            const record = {
+                name: campaign.name,
+                usedAt: new Date().toISOString(),
+                invited: campaign.invited || 0,
+                resultsFile: campaign.resultsFile || null,
+                rotateAt: campaign.rotateAt ? new Date(campaign.rotateAt).toISOString() : null
+            };
+            linkRecord(groupId, groupName, code).campaigns.push(record);
+            return record;
+        },
+
+        /**
+         * Mark a link as revoked.
+         * @param {string} groupId
+         * @param {string} code
+         * @param {string} [reason]
+         */
+        markRevoked: (groupId, code, reason) => {
+            const link = linkRecord(groupId, null, code);
+            link.revokedAt = new Date().toISOString();
+            link.revokeReason = reason || null;
+        },
+
+        /**
+         * Links of one group (or of every group), oldest first.
+         * @param {string} [groupId]
+         * @returns {Array<{groupId: string, groupName: string, code: string, seenAt: string, revokedAt: string|null, revokeReason: string|null, campaigns: Array}>}
+         */
+        listLinks: (groupId) => Object.entries(data.groups)
+            .filter(([id]) => !groupId || id === groupId)
+            .flatMap(([id, group]) => group.links.map(link => ({ groupId: id, groupName: group.name, ...link }))),
+
+        /**
+         * Where a link was handed out, by code or full link.
+         * @param {string} codeOrLink
+         * @returns {object|null} Same shape as listLinks entries
+         */
+        findLink: (codeOrLink) => {
+            const code = String(codeOrLink).trim().split('/').pop();
+            for (const [id, group] of Object.entries(data.groups)) {
+                const link = group.links.find(existing => existing.code === code);
+                if (link) return { groupId: id, groupName: group.name, ...link };
+            }
+            return null;
+        },
+
+        /**
+         * Links that are still active and whose campaigns' rotation time has passed.
+         * @param {Date} [now=new Date()]
+         * @returns {Array<{groupId: string, groupName: string, code: string, rotateAt: string, campaigns: string[]}>}
+         */
+        dueForRotation: (now = new Date()) => Object.entries(data.groups).flatMap(([id, group]) => group.links
+            .filter(link => !link.revokedAt)
+            .map(link => {
+                const timed = link.campaigns.filter(campaign => campaign.rotateAt);
+                if (timed.length === 0) return null;
+                const rotateAt = timed.map(campaign => campaign.rotateAt).sort().pop();
+                return rotateAt <= now.toISOString()
+                    ? { groupId: id, groupName: group.name, code: link.code, rotateAt, campaigns: link.campaigns.map(campaign => campaign.name) }
+                    : null;
+            })
+            .filter(Boolean)),
+
+        save
+    };
+}
+
+// Function to read the store file, starting empty when it does not exist
+function load(file) {
+    if (!fs.existsSync(file)) {
+        return { version: 1, groups: {} };
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data.groups) {
+        throw new Error(`${file} is not an invite link store`);
+    }
+    return data;
+}
+
+module.exports = { openInviteLinkStore, inviteLinkFor, DEFAULT_INVITE_LINK_FILE };
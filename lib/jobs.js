@@ -0,0 +1,157 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+/**
+ * Background job queue for long-running group operations
+ *
+ * Adds, removals and broadcasts take minutes to hours because of the rate
+ * limiter, so the HTTP API runs them as jobs and answers right away with a job
+ * ID to poll. Jobs run one at a time, in the order they were submitted: they
+ * share one WhatsApp client and one rate-limit budget, and running two at once
+ * would only make both slower and riskier.
+ *
+ * A job passes through queued → running → completed | failed | cancelled. Its
+ * progress (numbers done out of total, outcomes per status) is updated from the
+ * operation's onProgress callback. Cancelling a queued job drops it; cancelling
+ * a running job aborts its signal, and the operation stops before the next
+ * number and writes its results as usual. The queue emits 'started',
+ * 'progress', 'completed', 'failed' and 'cancelled' with the job, for anything
+ * that wants to follow along.
+ *
+ * @example
+ * const jobs = createJobQueue();
+ * const job = jobs.submit('add', { groupId, numbers: 40 }, ({ onProgress, signal }) =>
+ *     addParticipantsToGroup(client, { groupId, participants, onProgress, signal }));
+ * jobs.get(job.id); // { id, type, status: 'running', progress: { done: 12, total: 40, statuses: { added: 9, invited: 3 } }, ... }
+ */
+
+// Finished jobs kept in memory for polling (oldest are dropped first)
+const KEEP_FINISHED = 200;
+
+/**
+ * Create a job queue.
+ * @param {object} [options]
+ * @param {number} [options.keepFinished=KEEP_FINISHED]
+ * @returns {EventEmitter & {submit: Function, get: Function, list: Function, cancel: Function}}
+ */
+function createJobQueue(options = {}) {
+    const keepFinished = options.keepFinished || KEEP_FINISHED;
+    const queue = new EventEmitter();
+    const jobs = new Map();
+    const waiting = [];
+    let running = false;
+
+    // Function to copy a job for callers, leaving out the function that runs it and its abort controller
+    function view(job) {
+        const { run, controller, ...visible } = job;
+        return JSON.parse(JSON.stringify(visible));
+    }
+
+    // Function to start the next waiting job once the current one is done
+    async function next() {
+        if (running || waiting.length === 0) return;
+        running = true;
+        const job = waiting.shift();
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        queue.emit('started', view(job));
+
+        const onProgress = ({ done, total, result }) => {
+            job.progress.done = done;
+            job.progress.total = total;
+            if (result && result.status) {
+                job.progress.statuses[result.status] = (job.progress.statuses[result.status] || 0) + 1;
+            }
+            queue.emit('progress', view(job));
+        };
+
+        try {
+            const result = await job.run({ onProgress, signal: job.controller.signal });
+            job.status = job.controller.signal.aborted ? 'cancelled' : 'completed';
+            job.result = result === undefined ? null : result;
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+        }
+        job.finishedAt = new Date().toISOString();
+        queue.emit(job.status, view(job));
+
+        prune();
+        running = false;
+        next();
+    }
+
+    // Function to forget the oldest finished jobs beyond keepFinished
+    function prune() {
+        const finished = [...jobs.values()].filter(job => job.finishedAt);
+        finished.slice(0, Math.max(0, finished.length - keepFinished)).forEach(job => jobs.delete(job.id));
+    }
+
+    /**
+     * Queue a job.
+     * @param {string} type - add, remove, broadcast, ...
+     * @param {object} params - What the job does, shown when it is polled (no secrets or big lists)
+     * @param {Function} run - ({onProgress, signal}) => Promise<result>; stop when signal is aborted
+     * @returns {object} The job as queued
+     */
+    queue.submit = (type, params, run) => {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            params,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            progress: { done: 0, total: null, statuses: {} },
+            result: null,
+            error: null,
+            cancelRequested: false,
+            run,
+            controller: new AbortController()
+        };
+        jobs.set(job.id, job);
+        waiting.push(job);
+        // Let the caller see the job as queued before it starts
+        setImmediate(next);
+        return view(job);
+    };
+
+    /**
+     * A job by ID, or null.
+     * @param {string} id
+     * @returns {object|null}
+     */
+    queue.get = (id) => (jobs.has(id) ? view(jobs.get(id)) : null);
+
+    /**
+     * Cancel a queued or running job. A running job finishes the number it is on first.
+     * @param {string} id
+     * @returns {object|null} The job, or null if unknown
+     */
+    queue.cancel = (id) => {
+        const job = jobs.get(id);
+        if (!job) return null;
+        if (job.status === 'queued') {
+            waiting.splice(waiting.indexOf(job), 1);
+            job.status = 'cancelled';
+            job.finishedAt = new Date().toISOString();
+            queue.emit('cancelled', view(job));
+        } else if (job.status === 'running' && !job.controller.signal.aborted) {
+            job.controller.abort();
+            job.cancelRequested = true;
+        }
+        return view(job);
+    };
+
+    /**
+     * Every job still known, newest first.
+     * @returns {object[]}
+     */
+    queue.list = () => [...jobs.values()].reverse().map(view);
+
+    return queue;
+}
+
+module.exports = { createJobQueue };
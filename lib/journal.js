@@ -0,0 +1,123 @@
+const fs = require('fs');
+
+/**
+ * Checkpoint journal for batch operations
+ *
+ * Every per-number outcome is appended to a JSON Lines file the moment it
+ * happens, so an interrupted run (crash, disconnect, Ctrl+C) can be resumed
+ * without re-adding or re-messaging anyone. The first line is a header that
+ * identifies the operation and target group.
+ *
+ * @example
+ * const journal = openJournal({ operation: 'add', groupId, resume: 'add_journal_2025-06-29T15-31-23.jsonl' });
+ * numbers.filter(n => !journal.isDone(n)).forEach(...);
+ * journal.record({ number: '+91...', status: 'invited' });
+ */
+
+// Statuses that are retried on resume instead of skipped
+const RETRY_STATUSES = ['failed'];
+
+/**
+ * Open a new journal, or reopen an existing one to resume from it.
+ *
+ * @param {object} options
+ * @param {string} options.operation - Operation name ('add', 'remove', 'broadcast', ...)
+ * @param {string} [options.groupId] - Target group, checked when resuming
+ * @param {string} [options.resume] - Path of the journal to resume
+ * @param {boolean} [options.disabled=false] - Return a journal that writes nothing (dry runs)
+ * @returns {{file: string|null, previous: object[], isDone: Function, lastFailure: Function, record: Function}}
+ */
+function openJournal(options) {
+    if (options.disabled) {
+        return { file: null, previous: [], isDone: () => false, lastFailure: () => null, record: () => {} };
+    }
+
+    let file;
+    let previous = [];
+    let retries = new Map();
+
+    if (options.resume) {
+        file = options.resume;
+        const { header, entries } = readJournal(file);
+
+        if (header.operation !== options.operation) {
+            throw new Error(`Journal ${file} is for "${header.operation}", not "${options.operation}"`);
+        }
+        if ((header.groupId || null) !== (options.groupId || null)) {
+            throw new Error(`Journal ${file} is for group ${header.groupId}, not ${options.groupId}`);
+        }
+
+        // Keep only the latest outcome per number
+        const latest = new Map();
+        entries.forEach(entry => latest.set(entry.number, entry));
+        previous = [...latest.values()].filter(entry => !RETRY_STATUSES.includes(entry.status));
+        retries = new Map([...latest].filter(([, entry]) => RETRY_STATUSES.includes(entry.status)));
+
+        console.log(`⏭️  Resuming from ${file}: ${previous.length} numbers already processed`);
+    } else {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        file = `${options.operation}_journal_${timestamp}.jsonl`;
+        appendLine(file, {
+            type: 'header',
+            operation: options.operation,
+            groupId: options.groupId || null,
+            startedAt: new Date().toISOString()
+        });
+        console.log(`📓 Journal: ${file} (resume with --resume ${file})`);
+    }
+
+    const done = new Set(previous.map(entry => entry.number));
+
+    return {
+        file,
+        previous,
+        isDone: (number) => done.has(number),
+        // The failed outcome being retried, e.g. to skip an attachment that already went out
+        lastFailure: (number) => retries.get(number) || null,
+        record: (result) => {
+            appendLine(file, { type: 'result', at: new Date().toISOString(), ...result });
+            if (!RETRY_STATUSES.includes(result.status)) {
+                done.add(result.number);
+            }
+        }
+    };
+}
+
+/**
+ * Read a journal file.
+ * @param {string} file
+ * @returns {{header: object, entries: object[]}} Header line and result entries (without `type`)
+ */
+function readJournal(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+    const records = [];
+
+    lines.forEach((line, index) => {
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            // A crash mid-write can leave a truncated last line
+            if (index !== lines.length - 1) {
+                throw new Error(`Journal ${file} is corrupt at line ${index + 1}`);
+            }
+        }
+    });
+
+    const header = records.find(record => record.type === 'header');
+    if (!header) {
+        throw new Error(`Journal ${file} has no header line`);
+    }
+
+    const entries = records
+        .filter(record => record.type === 'result')
+        .map(({ type, ...entry }) => entry);
+
+    return { header, entries };
+}
+
+// Function to append one JSON record as a line, flushed before returning
+function appendLine(file, record) {
+    fs.appendFileSync(file, JSON.stringify(record) + '\n', 'utf8');
+}
+
+module.exports = { openJournal, readJournal };
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { MessageMedia } = require('whatsapp-web.js');
+
+/**
+ * Media and document attachments for outbound messages
+ *
+ * The attachment is loaded once and sent to every recipient with the rendered
+ * template as its caption. How it is sent depends on the file type:
+ * - images and videos: sent as media with the caption
+ * - voice notes (.ogg, .opus, .mp3, .m4a): sent as a voice message, followed by the text
+ *   (WhatsApp does not show captions on voice messages)
+ * - anything else (PDF, DOCX, ...): sent as a document with the caption
+ *
+ * If the attachment fails to send, the text is still sent on its own so the
+ * recipient gets the message (and, for invites, the link). The attachment
+ * outcome is returned separately so it can be written to the results file.
+ * When a voice note goes out but the text after it fails, the thrown error
+ * carries `attachment: {status: 'sent'}`. Record it with the failure and pass
+ * that failed result as `previous` on the retry, so only the text is sent again.
+ *
+ * @example
+ * const attachment = loadAttachment('slot-calendar.png');
+ * const { attachment: status } = await sendWithAttachment(client, chatId, text, attachment);
+ * // status: { file: 'slot-calendar.png', status: 'sent' }
+ */
+
+const VOICE_EXTENSIONS = ['.ogg', '.opus', '.mp3', '.m4a'];
+
+/**
+ * Load an attachment from disk.
+ * @param {string} file
+ * @returns {{file: string, kind: 'media'|'voice'|'document', media: MessageMedia}}
+ */
+function loadAttachment(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Attachment not found: ${file}`);
+    }
+    const media = MessageMedia.fromFilePath(file);
+    const mimetype = media.mimetype || '';
+    let kind = 'document';
+    if (VOICE_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+        kind = 'voice';
+    } else if (mimetype.startsWith('image/') || mimetype.startsWith('video/')) {
+        kind = 'media';
+    }
+    console.log(`📎 Attachment: ${path.basename(file)} (${kind}, ${mimetype || 'unknown type'})`);
+    return { file: path.basename(file), kind, media };
+}
+
+/**
+ * Send a text message, with the attachment when one is given.
+ *
+ * Throws only when the text itself could not be delivered; an attachment
+ * failure is reported in the returned status instead.
+ *
+ * @param {Client} client
+ * @param {string} chatId
+ * @param {string} text - Rendered message, used as the caption
+ * @param {object|null} attachment - From loadAttachment
+ * @param {object} [options]
+ * @param {object} [options.previous] - Failed result being retried (from the journal); its sent attachment is not sent again
+ * @returns {Promise<{attachment: {file: string, status: 'sent'|'failed', error?: string}|null}>}
+ * @throws {Error} When the text was not delivered, with `error.attachment` set if the attachment was
+ */
+async function sendWithAttachment(client, chatId, text, attachment, options = {}) {
+    if (!attachment) {
+        await client.sendMessage(chatId, text);
+        return { attachment: null };
+    }
+    const previous = options.previous && options.previous.attachment;
+    if (previous && previous.status === 'sent') {
+        const status = { file: attachment.file, status: 'sent' };
+        try {
+            await client.sendMessage(chatId, text);
+        } catch (error) {
+            error.attachment = status;
+            throw error;
+        }
+        return { attachment: status };
+    }
+
+    let status;
+    try {
+        if (attachment.kind === 'voice') {
+            await client.sendMessage(chatId, attachment.media, { sendAudioAsVoice: true });
+        } else {
+            await client.sendMessage(chatId, attachment.media, {
+                caption: text,
+                sendMediaAsDocument: attachment.kind === 'document'
+            });
+        }
+        status = { file: attachment.file, status: 'sent' };
+    } catch (error) {
+        console.log(`   ⚠️  Attachment failed (${error.message}), sending text only`);
+        status = { file: attachment.file, status: 'failed', error: error.message };
+    }
+
+    // Voice notes carry no caption, and a failed attachment still needs its text
+    if (attachment.kind === 'voice' || status.status === 'failed') {
+        try {
+            await client.sendMessage(chatId, text);
+        } catch (error) {
+            if (status.status === 'sent') {
+                error.attachment = status;
+            }
+            throw error;
+        }
+    }
+    return { attachment: status };
+}
+
+module.exports = { loadAttachment, sendWithAttachment };
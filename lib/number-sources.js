@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const { loadRecipients, PHONE_COLUMNS } = require('./recipients');
+
+/**
+ * Phone numbers from any file this project reads or writes
+ *
+ * Detects the shape of a file and pulls the phone numbers out of it, so lists
+ * can be compared and combined no matter which script produced them:
+ * - number-list:  JSON array of numbers, with or without + (active_numbers.json, temp/current-leaderboard.json)
+ * - recipients:   JSON array of objects with a phone column (inactive_participants_*.json, recipient lists)
+ * - csv:          CSV with or without a header (active.csv, participant CSV exports, leaderboard CSVs)
+ * - group-export: participants export / server.js export (all.json, *_participants_*.json)
+ * - raw-groups:   raw_groups_data_*.json (every group, or one with a selector)
+ * - results:      add_results_*, removal_results_*, message_results_* (optionally one status)
+ * - leaderboard:  leaderboard_*.json from generate-leaderboard.js
+ * - converted:    output of convert-csv-to-json.js
+ * - missing:      missing participants analyses
+ * - txt:          participants TXT export, or one number per line
+ *
+ * A source may carry a selector after `#`:
+ * - results:      status(es) to keep, e.g. `add_results.json#invited,failed`
+ * - raw-groups:   group ID or name, e.g. `raw_groups_data.json#120363415434456792`
+ * - group-export: role, e.g. `all.json#admin`
+ *
+ * Numbers are returned as written; normalize them with lib/phone.js.
+ *
+ * @example
+ * const source = readNumberSource('add_results_2025-06-29T15-31-23.json#invited');
+ * // { spec: '...#invited', file: '...', label: 'add_results_...json#invited', shape: 'results', numbers: ['+919429424060', ...] }
+ */
+
+/**
+ * Read the phone numbers of a source.
+ * @param {string} spec - File path, optionally followed by `#selector`
+ * @returns {{spec: string, file: string, label: string, shape: string, numbers: string[]}}
+ */
+function readNumberSource(spec) {
+    const { file, selector } = splitSpec(spec);
+    if (!fs.existsSync(file)) {
+        throw new Error(`${file} does not exist`);
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    let extracted;
+    if (extension === '.csv') {
+        extracted = { shape: 'csv', numbers: loadRecipients(file).map(recipient => recipient.number) };
+    } else if (extension === '.txt') {
+        extracted = { shape: 'txt', numbers: readTextNumbers(fs.readFileSync(file, 'utf8')) };
+    } else {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`${file} is not valid JSON: ${error.message}`);
+        }
+        extracted = readJsonNumbers(data, file, selector);
+    }
+
+    if (selector && !['results', 'raw-groups', 'group-export'].includes(extracted.shape)) {
+        throw new Error(`${file}: selectors only apply to results files, raw group exports and group exports (got a ${extracted.shape} file)`);
+    }
+
+    return { spec, file, label: path.basename(spec), shape: extracted.shape, numbers: extracted.numbers };
+}
+
+// Function to split "file#selector" (a # in the file name itself is kept when the file exists)
+function splitSpec(spec) {
+    const hash = spec.lastIndexOf('#');
+    if (hash < 1 || fs.existsSync(spec)) {
+        return { file: spec, selector: null };
+    }
+    return { file: spec.slice(0, hash), selector: spec.slice(hash + 1).trim() || null };
+}
+
+// Function to detect the shape of parsed JSON and extract its numbers
+function readJsonNumbers(data, file, selector) {
+    if (Array.isArray(data)) {
+        if (data.every(entry => typeof entry === 'string' || typeof entry === 'number')) {
+            return { shape: 'number-list', numbers: data.map(String) };
+        }
+        return { shape: 'recipients', numbers: data.map((entry, index) => phoneOf(entry, `${file}: entry ${index + 1}`)) };
+    }
+    if (!data || typeof data !== 'object') {
+        throw new Error(`${file}: unrecognised format (expected an array or an object)`);
+    }
+
+    if (Array.isArray(data.groups) && data.groups.some(group => group && group.groupMetadata)) {
+        return { shape: 'raw-groups', numbers: rawGroupNumbers(data.groups, file, selector) };
+    }
+    if (Array.isArray(data.participants)) {
+        const participants = selector
+            ? data.participants.filter(participant => String(participant.role).toLowerCase() === selector.toLowerCase())
+            : data.participants;
+        return { shape: 'group-export', numbers: participants.map((participant, index) => phoneOf(participant, `${file}: participant ${index + 1}`)) };
+    }
+    if (Array.isArray(data.results)) {
+        const statuses = selector ? selector.split(',').map(status => status.trim()) : null;
+        const results = statuses ? data.results.filter(result => statuses.includes(result.status)) : data.results;
+        return { shape: 'results', numbers: results.map(result => String(result.number)) };
+    }
+    if (Array.isArray(data.entries) && Array.isArray(data.numbers)) {
+        return { shape: 'leaderboard', numbers: data.entries.map(entry => entry.number) };
+    }
+    if (Array.isArray(data.formattedNumbers)) {
+        return { shape: 'converted', numbers: data.formattedNumbers.map(String) };
+    }
+    if (Array.isArray(data.missingParticipants)) {
+        return {
+            shape: 'missing',
+            numbers: data.missingParticipants.map((entry, index) =>
+                typeof entry === 'object' ? phoneOf(entry, `${file}: entry ${index + 1}`) : String(entry))
+        };
+    }
+
+    throw new Error(`${file}: unrecognised format (keys: ${Object.keys(data).slice(0, 8).join(', ')})`);
+}
+
+// Function to collect participants of a raw groups export, optionally of one group
+function rawGroupNumbers(groups, file, selector) {
+    let selected = groups.filter(group => group && group.groupMetadata);
+    if (selector) {
+        const wanted = selector.toLowerCase();
+        selected = selected.filter(group =>
+            group.id.user === selector ||
+            group.id._serialized === selector ||
+            String(group.name).toLowerCase() === wanted);
+        if (selected.length === 0) {
+            throw new Error(`${file}: no group with ID or name "${selector}"`);
+        }
+    }
+    return selected.flatMap(group => (group.groupMetadata.participants || []).map(participant => participant.id._serialized));
+}
+
+// Function to find the phone field of an object (phoneNumber, number, phone, ...)
+function phoneOf(entry, where) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`${where} is neither a number nor an object`);
+    }
+    const key = Object.keys(entry).find(name => PHONE_COLUMNS.includes(name.toLowerCase().replace(/\s+/g, '')));
+    if (!key || !String(entry[key]).trim()) {
+        throw new Error(`${where} has no phone number (expected a field named ${PHONE_COLUMNS.join(', ')})`);
+    }
+    return String(entry[key]).trim();
+}
+
+// Function to read numbers from a participants TXT export, or from one number per line
+function readTextNumbers(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim());
+    const allSection = lines.findIndex(line => line.startsWith('ALL PARTICIPANTS'));
+    if (allSection !== -1) {
+        return lines.slice(allSection + 1)
+            .map(line => /^\d+\.\s+(\+?\d+)/.exec(line))
+            .filter(Boolean)
+            .map(match => match[1]);
+    }
+    return lines.filter(line => /^\+?[\d\s()-]+$/.test(line));
+}
+
+module.exports = { readNumberSource };
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { participantRoles } = require('./groups');
+const { openSnapshotStore } = require('./snapshot-store');
+
+/**
+ * Save a group's participants to a JSON, CSV or TXT file in the current directory.
+ * Every export is also kept as a snapshot in the snapshot store (see membership-history.js).
+ * @param {GroupChat} group
+ * @param {'json'|'csv'|'txt'} [format='txt']
+ * @returns {Promise<string|undefined>} Path of the written file
+ */
+async function saveParticipantsToFile(group, format = 'txt') {
+    try {
+        if (!group.isGroup) {
+            console.log('❌ This is not a group chat.');
+            return;
+        }
+
+        const participants = group.participants;
+        const admins = participants.filter(p => p.isAdmin);
+        const members = participants.filter(p => !p.isAdmin);
+        
+        // Create filename with sanitized group name and timestamp
+        const sanitizedGroupName = group.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        const filename = `${sanitizedGroupName}_participants_${timestamp}.${format}`;
+        const filepath = path.join(process.cwd(), filename);
+        
+        let content = '';
+        
+        if (format === 'json') {
+            // Create JSON content
+            const jsonData = {
+                groupInfo: {
+                    name: group.name,
+                    id: group.id._serialized,
+                    totalParticipants: participants.length,
+                    adminCount: admins.length,
+                    memberCount: members.length,
+                    exportDate: new Date().toISOString(),
+                    exportTimestamp: Date.now()
+                },
+                participants: participants.map((participant, index) => ({
+                    index: index + 1,
+                    phoneNumber: `+${participant.id.user}`,
+                    role: participant.isAdmin ? 'admin' : 'member',
+                    isAdmin: participant.isAdmin
+                })),
+                admins: admins.map((admin, index) => ({
+                    index: index + 1,
+                    phoneNumber: `+${admin.id.user}`,
+                    role: 'admin',
+                    isAdmin: true
+                })),
+                members: members.map((member, index) => ({
+                    index: index + 1,
+                    phoneNumber: `+${member.id.user}`,
+                    role: 'member',
+                    isAdmin: false
+                })),
+                metadata: {
+                    generatedBy: 'WhatsApp Group Actions Bot',
+                    version: '1.0.0',
+                    format: 'json'
+                }
+            };
+            
+            content = JSON.stringify(jsonData, null, 2);
+        } else if (format === 'csv') {
+            // Create CSV content
+            content += `Group Name,Phone Number,Role,Index\n`;
+            participants.forEach((participant, index) => {
+                const role = participant.isAdmin ? 'Admin' : 'Member';
+                content += `"${group.name}",+${participant.id.user},${role},${index + 1}\n`;
+            });
+        } else {
+            // Create TXT content
+            content += `========================================\n`;
+            content += `WhatsApp Group Participants Export\n`;
+            content += `========================================\n\n`;
+            content += `Group Name: ${group.name}\n`;
+            content += `Export Date: ${new Date().toLocaleString()}\n`;
+            content += `Total Participants: ${participants.length}\n`;
+            content += `Admins: ${admins.length}\n`;
+            content += `Members: ${members.length}\n\n`;
+            
+            content += `========================================\n`;
+            content += `ADMINISTRATORS (${admins.length})\n`;
+            content += `========================================\n`;
+            admins.forEach((participant, index) => {
+                content += `${index + 1}. +${participant.id.user}\n`;
+            });
+            
+            content += `\n========================================\n`;
+            content += `MEMBERS (${members.length})\n`;
+            content += `========================================\n`;
+            members.forEach((participant, index) => {
+                content += `${index + 1}. +${participant.id.user}\n`;
+            });
+            
+            content += `\n========================================\n`;
+            content += `ALL PARTICIPANTS (${participants.length})\n`;
+            content += `========================================\n`;
+            participants.forEach((participant, index) => {
+                const role = participant.isAdmin ? ' (Admin)' : ' (Member)';
+                content += `${index + 1}. +${participant.id.user}${role}\n`;
+            });
+            
+            content += `\n----------------------------------------\n`;
+            content += `Generated by WhatsApp Group Actions Bot\n`;
+            content += `----------------------------------------\n`;
+        }
+        
+        // Write to file
+        fs.writeFileSync(filepath, content, 'utf8');
+        
+        // Keep the export as a membership snapshot so exports can be compared later
+        try {
+            const store = openSnapshotStore();
+            store.addSnapshot(group.id._serialized, group.name, participantRoles(group).members, { source: `export:${filename}` });
+            store.save();
+        } catch (error) {
+            console.log(`⚠️  Could not record membership snapshot: ${error.message}`);
+        }
+        
+        console.log(`\n✅ SUCCESS! Participants saved to ${format.toUpperCase()} file:`);
+        console.log(`📁 File: ${filename}`);
+        console.log(`📍 Location: ${filepath}`);
+        console.log(`📊 Total participants exported: ${participants.length}`);
+        console.log(`   👑 Admins: ${admins.length}`);
+        console.log(`   👤 Members: ${members.length}`);
+        
+        if (format === 'json') {
+            console.log(`\n💡 JSON Usage Tips:`);
+            console.log(`   • Load in JavaScript: const data = require('./${filename}')`);
+            console.log(`   • Parse in Python: import json; data = json.load(open('${filename}'))`);
+            console.log(`   • Access participants: data.participants`);
+            console.log(`   • Filter admins: data.admins`);
+        }
+        console.log('');
+        
+        return filepath;
+        
+    } catch (error) {
+        console.error('❌ Error saving participants to file:', error);
+        console.log('💡 Make sure you have write permissions in the current directory.\n');
+    }
+}
+
+module.exports = { saveParticipantsToFile };
@@ -0,0 +1,215 @@
+/**
+ * Phone number normalization and validation
+ *
+ * Every file in this project stores numbers a little differently: group
+ * exports use "+919429424060", current-leaderboard.json and active.csv use
+ * "919429424060", and hand-made lists contain spaces, dashes, a leading 00 or
+ * local numbers without a country code. This module turns all of them into one
+ * canonical E.164 form ("+919429424060") and explains why a number is rejected.
+ *
+ * Parsing rules:
+ * - spaces, dashes, dots and parentheses are ignored
+ * - "+" or "00" in front means the number includes its country code
+ * - without a prefix, a number is read as local to `defaultCountry` when it has a
+ *   trunk "0" or exactly the national length for that country; otherwise the
+ *   leading digits are read as the country code (as in "919429424060")
+ * - the national part must have a valid length for its country code
+ *
+ * @example
+ * parsePhoneNumber('098765 43210', { defaultCountry: 'IN' });
+ * // { input: '098765 43210', valid: true, e164: '+919876543210', countryCode: '+91', country: 'India', ... }
+ * normalizeList(['919429424060', '+91 94294 24060', '12345']);
+ * // { valid: ['+919429424060'], invalid: [{ input: '12345', reason: '...' }], duplicates: [...] }
+ */
+
+// Calling code -> country name, ISO code and allowed lengths of the national number
+const COUNTRIES = {
+    '1': { country: 'USA/Canada', iso: 'US', lengths: [10] },
+    '7': { country: 'Russia/Kazakhstan', iso: 'RU', lengths: [10] },
+    '20': { country: 'Egypt', iso: 'EG', lengths: [9, 10] },
+    '27': { country: 'South Africa', iso: 'ZA', lengths: [9] },
+    '31': { country: 'Netherlands', iso: 'NL', lengths: [9] },
+    '33': { country: 'France', iso: 'FR', lengths: [9] },
+    '34': { country: 'Spain', iso: 'ES', lengths: [9] },
+    '39': { country: 'Italy', iso: 'IT', lengths: [9, 10, 11] },
+    '44': { country: 'UK', iso: 'GB', lengths: [9, 10] },
+    '49': { country: 'Germany', iso: 'DE', lengths: [10, 11, 12] },
+    '52': { country: 'Mexico', iso: 'MX', lengths: [10] },
+    '55': { country: 'Brazil', iso: 'BR', lengths: [10, 11] },
+    '60': { country: 'Malaysia', iso: 'MY', lengths: [9, 10] },
+    '61': { country: 'Australia', iso: 'AU', lengths: [9] },
+    '62': { country: 'Indonesia', iso: 'ID', lengths: [9, 10, 11, 12] },
+    '63': { country: 'Philippines', iso: 'PH', lengths: [10] },
+    '64': { country: 'New Zealand', iso: 'NZ', lengths: [8, 9, 10] },
+    '65': { country: 'Singapore', iso: 'SG', lengths: [8] },
+    '81': { country: 'Japan', iso: 'JP', lengths: [9, 10] },
+    '86': { country: 'China', iso: 'CN', lengths: [10, 11] },
+    '91': { country: 'India', iso: 'IN', lengths: [10] },
+    '92': { country: 'Pakistan', iso: 'PK', lengths: [10] },
+    '94': { country: 'Sri Lanka', iso: 'LK', lengths: [9] },
+    '234': { country: 'Nigeria', iso: 'NG', lengths: [8, 10] },
+    '254': { country: 'Kenya', iso: 'KE', lengths: [9] },
+    '260': { country: 'Zambia', iso: 'ZM', lengths: [9] },
+    '353': { country: 'Ireland', iso: 'IE', lengths: [9] },
+    '880': { country: 'Bangladesh', iso: 'BD', lengths: [10] },
+    '966': { country: 'Saudi Arabia', iso: 'SA', lengths: [9] },
+    '971': { country: 'UAE', iso: 'AE', lengths: [8, 9] },
+    '977': { country: 'Nepal', iso: 'NP', lengths: [10] }
+};
+
+// E.164 allows at most 15 digits; anything under 8 cannot be a full mobile number
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+/**
+ * Parse a phone number in any common format.
+ *
+ * @param {string|number} input
+ * @param {object} [options]
+ * @param {string} [options.defaultCountry] - ISO code ("IN") or calling code ("91", "+91") for local numbers
+ * @returns {{input: string, valid: boolean, e164: string|null, countryCode: string|null, country: string, national: string|null, reason?: string}}
+ */
+function parsePhoneNumber(input, options = {}) {
+    const raw = input === null || input === undefined ? '' : String(input).trim();
+    const invalid = (reason) => ({ input: raw, valid: false, e164: null, countryCode: null, country: 'Unknown', national: null, reason });
+
+    // WhatsApp chat IDs ("919429424060@c.us") carry the full number
+    const cleaned = raw.replace(/@c\.us$/, '').replace(/[\s\-.()]/g, '');
+    if (!cleaned) {
+        return invalid('empty');
+    }
+    if (!/^(\+|00)?\d+$/.test(cleaned)) {
+        return invalid('contains characters other than digits');
+    }
+
+    let digits;
+    if (cleaned.startsWith('+')) {
+        digits = cleaned.slice(1);
+    } else if (cleaned.startsWith('00')) {
+        digits = cleaned.slice(2);
+    } else {
+        const local = resolveCountry(options.defaultCountry);
+        if (local && (cleaned.startsWith('0') || local.lengths.includes(cleaned.length))) {
+            digits = local.code + cleaned.replace(/^0+/, '');
+        } else if (cleaned.startsWith('0')) {
+            return invalid('local number without a country code (set a default country)');
+        } else {
+            digits = cleaned;
+        }
+    }
+
+    if (digits.length < E164_MIN_DIGITS || digits.length > E164_MAX_DIGITS) {
+        return invalid(`has ${digits.length} digits (expected ${E164_MIN_DIGITS}-${E164_MAX_DIGITS} including country code)`);
+    }
+
+    const code = [3, 2, 1].map(n => digits.slice(0, n)).find(prefix => COUNTRIES[prefix]);
+    if (!code) {
+        // Unknown calling code: accept it on the overall E.164 length alone
+        return { input: raw, valid: true, e164: `+${digits}`, countryCode: 'Unknown', country: 'Unknown', national: null };
+    }
+
+    const { country, lengths } = COUNTRIES[code];
+    const national = digits.slice(code.length);
+    if (!lengths.includes(national.length)) {
+        return {
+            ...invalid(`${country} numbers have ${lengths.join(' or ')} digits after +${code}, got ${national.length}`),
+            countryCode: `+${code}`,
+            country
+        };
+    }
+
+    return { input: raw, valid: true, e164: `+${digits}`, countryCode: `+${code}`, country, national };
+}
+
+/**
+ * Canonical E.164 form of a number, or null when it is invalid.
+ * @param {string|number} input
+ * @param {object} [options] - See parsePhoneNumber
+ * @returns {string|null}
+ */
+function normalizePhoneNumber(input, options) {
+    return parsePhoneNumber(input, options).e164;
+}
+
+/**
+ * Normalize a list of numbers, dropping duplicates and collecting invalid entries.
+ *
+ * @param {Array<string|number>} inputs
+ * @param {object} [options] - See parsePhoneNumber
+ * @returns {{valid: string[], invalid: Array<{input: string, reason: string}>, duplicates: Array<{input: string, e164: string}>}}
+ */
+function normalizeList(inputs, options) {
+    const valid = [];
+    const invalid = [];
+    const duplicates = [];
+    const seen = new Set();
+
+    inputs.forEach(input => {
+        const parsed = parsePhoneNumber(input, options);
+        if (!parsed.valid) {
+            invalid.push({ input: parsed.input, reason: parsed.reason });
+        } else if (seen.has(parsed.e164)) {
+            duplicates.push({ input: parsed.input, e164: parsed.e164 });
+        } else {
+            seen.add(parsed.e164);
+            valid.push(parsed.e164);
+        }
+    });
+
+    return { valid, invalid, duplicates };
+}
+
+/**
+ * Print invalid entries so they can be fixed in the source file.
+ * @param {Array<{input: string, reason: string}>} invalid
+ * @param {string} [label='input'] - Where the numbers came from
+ */
+function reportInvalid(invalid, label = 'input') {
+    if (invalid.length === 0) return;
+    console.log(`\n⚠️  ${invalid.length} invalid numbers in ${label} (skipped):`);
+    invalid.slice(0, 10).forEach((entry, index) => {
+        console.log(`   ${index + 1}. "${entry.input}" - ${entry.reason}`);
+    });
+    if (invalid.length > 10) {
+        console.log(`   ... and ${invalid.length - 10} more`);
+    }
+}
+
+/**
+ * WhatsApp chat ID for a number ("+919429424060" -> "919429424060@c.us").
+ * @param {string} phoneNumber - Any format accepted by parsePhoneNumber
+ * @returns {string}
+ */
+function toChatId(phoneNumber) {
+    const e164 = normalizePhoneNumber(phoneNumber);
+    if (!e164) {
+        throw new Error(`Invalid phone number "${phoneNumber}"`);
+    }
+    return `${e164.slice(1)}@c.us`;
+}
+
+/**
+ * Look up a default country by ISO code ("IN") or calling code ("91", "+91").
+ * @param {string} defaultCountry
+ * @returns {{code: string, country: string, iso: string, lengths: number[]}|null}
+ * @throws {Error} When the country is not in COUNTRIES
+ */
+function resolveCountry(defaultCountry) {
+    if (!defaultCountry) return null;
+    const wanted = String(defaultCountry).trim().toUpperCase().replace(/^\+/, '');
+    const code = Object.keys(COUNTRIES).find(c => c === wanted || COUNTRIES[c].iso === wanted);
+    if (!code) {
+        throw new Error(`Unknown default country "${defaultCountry}" (use an ISO code like IN or a calling code like 91)`);
+    }
+    return { code, ...COUNTRIES[code] };
+}
+
+module.exports = {
+    parsePhoneNumber,
+    normalizePhoneNumber,
+    normalizeList,
+    reportInvalid,
+    toChatId,
+    resolveCountry,
+    COUNTRIES
+};
@@ -0,0 +1,44 @@
+const QRCode = require('qrcode-terminal/vendor/QRCode');
+const QRErrorCorrectLevel = require('qrcode-terminal/vendor/QRCode/QRErrorCorrectLevel');
+
+/**
+ * Render a QR code as an SVG image
+ *
+ * The login QR code is normally printed to the terminal by qrcode-terminal;
+ * the dashboard shows it in the browser instead. This reuses the QR encoder
+ * bundled with qrcode-terminal, so no extra dependency is needed.
+ *
+ * @example
+ * client.on('qr', (qr) => { latestQr = qrToSvg(qr); });
+ */
+
+// Quiet zone around the code, in modules (the QR spec asks for 4)
+const MARGIN = 4;
+
+/**
+ * @param {string} text - Data to encode (the `qr` event payload)
+ * @param {object} [options]
+ * @param {number} [options.size=264] - Width and height of the image in pixels
+ * @returns {string} SVG markup
+ */
+function qrToSvg(text, options = {}) {
+    const size = options.size || 264;
+    const qr = new QRCode(-1, QRErrorCorrectLevel.L);
+    qr.addData(text);
+    qr.make();
+
+    const count = qr.getModuleCount();
+    const path = [];
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            if (qr.isDark(row, col)) {
+                path.push(`M${col + MARGIN} ${row + MARGIN}h1v1h-1z`);
+            }
+        }
+    }
+    const total = count + MARGIN * 2;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" width="${size}" height="${size}" shape-rendering="crispEdges">`
+        + `<rect width="${total}" height="${total}" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
+
+module.exports = { qrToSvg };
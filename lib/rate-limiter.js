@@ -0,0 +1,288 @@
+const fs = require('fs');
+
+/**
+ * Adaptive rate limiter shared by all batch operations
+ *
+ * Replaces fixed sleeps between actions with:
+ * - randomized jitter around a base delay
+ * - per-minute / per-hour / per-day ceilings per action type
+ *   (timestamps are persisted so the daily ceiling holds across runs)
+ * - exponential backoff when failures of one action type start clustering
+ * - an automatic pause after a streak of consecutive failures
+ *
+ * Failures are counted per action type, so failing messages do not slow down
+ * adds. Record only real errors as failures: an expected refusal (a number
+ * whose privacy settings block direct adds, answered with an invite) is not one.
+ *
+ * Every non-trivial wait is recorded as a decision so it can be written to
+ * the results file. Several processes (e.g. wga serve and wga schedule run)
+ * may share the state file: each re-reads it before checking a ceiling and
+ * before adding its own action.
+ *
+ * @example
+ * const limiter = createRateLimiter({ baseDelay: 3000 });
+ * await limiter.wait('add');
+ * const ok = await tryToAdd();
+ * limiter.record('add', ok);
+ * results.rateLimit = limiter.summary();
+ */
+
+// Limits per action type
+const LIMITS = {
+    add: { baseDelay: 2000, perMinute: 15, perHour: 200, perDay: 500 },
+    remove: { baseDelay: 2000, perMinute: 20, perHour: 300, perDay: 800 },
+    message: { baseDelay: 2000, perMinute: 15, perHour: 200, perDay: 500 }
+};
+
+// Backoff Configuration
+const BACKOFF = {
+    JITTER: 0.5,                // Delay varies by ±50% of the base delay
+    ERROR_WINDOW: 10,           // Number of recent outcomes considered
+    ERROR_THRESHOLD: 3,         // Failures within the window that trigger backoff
+    MAX_LEVEL: 6,               // Backoff multiplier caps at 2^6
+    PAUSE_AFTER_FAILURES: 5,    // Consecutive failures that trigger a pause
+    PAUSE_DURATION: 600000      // Pause length (10 minutes)
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const DEFAULT_STATE_FILE = '.wga_rate_limits.json';
+
+/**
+ * Create a rate limiter.
+ *
+ * @param {object} [options]
+ * @param {number} [options.baseDelay] - Base delay (ms) for every action type, overrides LIMITS
+ * @param {object} [options.limits] - Per-action overrides, e.g. { add: { perHour: 50 } }
+ * @param {string|null} [options.stateFile='.wga_rate_limits.json'] - Where action history is kept (null: memory only)
+ * @param {Function} [options.sleep] - Sleep implementation (ms) => Promise
+ * @returns {{wait: Function, record: Function, summary: Function}}
+ */
+function createRateLimiter(options = {}) {
+    const stateFile = options.stateFile === undefined ? DEFAULT_STATE_FILE : options.stateFile;
+    const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    const limits = {};
+    Object.keys(LIMITS).forEach(action => {
+        limits[action] = { ...LIMITS[action], ...(options.limits && options.limits[action]) };
+        if (options.baseDelay !== undefined) {
+            limits[action].baseDelay = options.baseDelay;
+        }
+    });
+
+    const history = loadHistory(stateFile);
+    const decisions = [];
+    // Recent outcomes, backoff level and failure streak per action type
+    const errors = {};
+    Object.keys(limits).forEach(action => {
+        errors[action] = { outcomes: [], backoffLevel: 0, consecutiveFailures: 0 };
+    });
+    let lastActionAt = 0;
+
+    function limitsFor(action) {
+        if (!limits[action]) {
+            throw new Error(`Unknown rate limit action "${action}"`);
+        }
+        return limits[action];
+    }
+
+    // Function to pick a jittered delay around the base, scaled by the current backoff
+    function nextGap(action) {
+        const { baseDelay } = limitsFor(action);
+        const jitter = 1 + (Math.random() * 2 - 1) * BACKOFF.JITTER;
+        return Math.round(baseDelay * jitter * Math.pow(2, errors[action].backoffLevel));
+    }
+
+    // Function to find how long until the action is allowed under its ceilings
+    function ceilingWait(action, now) {
+        const limit = limitsFor(action);
+        const times = history[action] || [];
+        const windows = [
+            { reason: 'minute_cap', span: MINUTE, max: limit.perMinute },
+            { reason: 'hour_cap', span: HOUR, max: limit.perHour },
+            { reason: 'day_cap', span: DAY, max: limit.perDay }
+        ];
+
+        let longest = { waitMs: 0, reason: null };
+        windows.forEach(({ reason, span, max }) => {
+            const inWindow = times.filter(t => t > now - span);
+            if (max && inWindow.length >= max) {
+                // Wait until enough old actions leave the window
+                const waitMs = inWindow[inWindow.length - max] + span - now;
+                if (waitMs > longest.waitMs) {
+                    longest = { waitMs, reason };
+                }
+            }
+        });
+        return longest;
+    }
+
+    // Function to log a decision to the console and the decision list
+    function decide(action, waitMs, reason) {
+        const decision = { at: new Date().toISOString(), action, waitMs, reason, backoffLevel: errors[action].backoffLevel };
+        decisions.push(decision);
+        if (reason === 'jitter') {
+            console.log(`⏳ Waiting ${(waitMs / 1000).toFixed(1)} seconds...`);
+        } else {
+            console.log(`⏸️  Rate limit (${reason}): waiting ${formatDuration(waitMs)} before next ${action}`);
+        }
+    }
+
+    // Function to sleep, resolving false early when the signal is aborted
+    function pause(ms, signal) {
+        if (!signal) {
+            return sleep(ms).then(() => true);
+        }
+        if (signal.aborted) {
+            return Promise.resolve(false);
+        }
+        return new Promise(resolve => {
+            let timer = null;
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve(false);
+            };
+            const done = () => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(true);
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            // Our own timer, so an abort does not leave it running
+            if (options.sleep) {
+                options.sleep(ms).then(done);
+            } else {
+                timer = setTimeout(done, ms);
+            }
+        });
+    }
+
+    /**
+     * Wait until the next action of this type is allowed.
+     * @param {'add'|'remove'|'message'} action
+     * @param {AbortSignal} [signal] - Stop waiting when aborted (e.g. a cancelled job)
+     * @returns {Promise<boolean>} false when the wait was aborted; the action must not be taken
+     */
+    async function wait(action, signal) {
+        limitsFor(action);
+        const state = errors[action];
+
+        if (state.consecutiveFailures >= BACKOFF.PAUSE_AFTER_FAILURES) {
+            decide(action, BACKOFF.PAUSE_DURATION, 'error_pause');
+            if (!await pause(BACKOFF.PAUSE_DURATION, signal)) return false;
+            state.consecutiveFailures = 0;
+        }
+
+        reloadHistory(stateFile, history);
+        const now = Date.now();
+        const ceiling = ceilingWait(action, now);
+        if (ceiling.waitMs > 0) {
+            decide(action, ceiling.waitMs, ceiling.reason);
+            if (!await pause(ceiling.waitMs, signal)) return false;
+        }
+
+        if (lastActionAt > 0) {
+            const gapWait = lastActionAt + nextGap(action) - Date.now();
+            if (gapWait > 0) {
+                decide(action, gapWait, state.backoffLevel > 0 ? 'backoff' : 'jitter');
+                if (!await pause(gapWait, signal)) return false;
+            }
+        }
+
+        if (signal && signal.aborted) {
+            return false;
+        }
+        lastActionAt = Date.now();
+        reloadHistory(stateFile, history);
+        history[action] = [...(history[action] || []), lastActionAt];
+        saveHistory(stateFile, history);
+        return true;
+    }
+
+    /**
+     * Record the outcome of an action so failures can trigger backoff of that action type.
+     * @param {'add'|'remove'|'message'} action
+     * @param {boolean} ok - false for real errors only (rate limits, network, server errors)
+     */
+    function record(action, ok) {
+        limitsFor(action);
+        const state = errors[action];
+        state.outcomes.push(ok);
+        if (state.outcomes.length > BACKOFF.ERROR_WINDOW) {
+            state.outcomes.shift();
+        }
+        state.consecutiveFailures = ok ? 0 : state.consecutiveFailures + 1;
+
+        const recentFailures = state.outcomes.filter(outcome => !outcome).length;
+        if (!ok && recentFailures >= BACKOFF.ERROR_THRESHOLD && state.backoffLevel < BACKOFF.MAX_LEVEL) {
+            state.backoffLevel++;
+            console.log(`⚠️  ${recentFailures} of the last ${state.outcomes.length} ${action} attempts failed - slowing down (x${Math.pow(2, state.backoffLevel)})`);
+        } else if (ok && recentFailures < BACKOFF.ERROR_THRESHOLD && state.backoffLevel > 0) {
+            state.backoffLevel--;
+        }
+    }
+
+    /**
+     * Limits in effect and every wait decision, for the results file.
+     * @returns {{limits: object, decisions: object[], totalWaitMs: number}}
+     */
+    function summary() {
+        return {
+            limits,
+            decisions,
+            totalWaitMs: decisions.reduce((sum, d) => sum + d.waitMs, 0)
+        };
+    }
+
+    return { wait, record, summary };
+}
+
+// Function to load action timestamps from the state file (last 24 hours only)
+function loadHistory(stateFile) {
+    const history = {};
+    if (!stateFile || !fs.existsSync(stateFile)) {
+        return history;
+    }
+    try {
+        const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        const cutoff = Date.now() - DAY;
+        Object.entries(saved).forEach(([action, times]) => {
+            history[action] = times.filter(t => t > cutoff);
+        });
+    } catch (error) {
+        console.log(`⚠️  Could not read ${stateFile}, starting with empty rate limit history`);
+    }
+    return history;
+}
+
+// Function to pick up the actions other processes saved; every action of ours is saved as it is taken, so the file has them too
+function reloadHistory(stateFile, history) {
+    if (!stateFile) return;
+    Object.assign(history, loadHistory(stateFile));
+}
+
+// Function to persist action timestamps, dropping anything older than a day
+function saveHistory(stateFile, history) {
+    if (!stateFile) return;
+    const cutoff = Date.now() - DAY;
+    const trimmed = {};
+    Object.entries(history).forEach(([action, times]) => {
+        trimmed[action] = times.filter(t => t > cutoff);
+    });
+    // Per-process temporary file, so two processes saving at once cannot mix their writes
+    const tmp = `${stateFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(trimmed), 'utf8');
+    fs.renameSync(tmp, stateFile);
+}
+
+// Function to format milliseconds as "45s", "12m 5s" or "2h 3m"
+function formatDuration(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+module.exports = { createRateLimiter, LIMITS, BACKOFF };
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Recipient lists with per-row fields
+ *
+ * Loads the people to message from either:
+ * - a CSV with a header row, e.g. `phone,name,slotDate,city,visaStatus`
+ * - a CSV with one number per line and no header (like active.csv)
+ * - a JSON array of numbers (like active_not_in_group.json)
+ * - a JSON array of objects, e.g. `[{ "phone": "+91...", "name": "Asha", "city": "Pune" }]`
+ *
+ * Every column other than the phone column becomes a template variable for
+ * that row, so `{{slotDate}}` in the template is filled from the slotDate column.
+ * Numbers are returned as written; send-messages.js normalizes them with
+ * lib/phone.js and drops duplicate rows.
+ *
+ * @example
+ * const recipients = loadRecipients('slots.csv');
+ * // [{ number: '+91 94294 24060', fields: { name: 'Asha', slotDate: '12 July', city: 'Pune' } }, ...]
+ */
+
+// Column names recognised as the phone number (compared case-insensitively, ignoring spaces, so "Phone Number" matches)
+const PHONE_COLUMNS = ['number', 'phone', 'phonenumber', 'phone_number', 'mobile', 'whatsapp'];
+
+/**
+ * Load recipients from a CSV or JSON file.
+ * @param {string} file
+ * @returns {Array<{number: string, fields: object}>}
+ */
+function loadRecipients(file) {
+    // Excel saves "CSV UTF-8" with a byte order mark, which would end up in the first header
+    const content = fs.readFileSync(file, 'utf8').replace(/^\ufeff/, '');
+    const rows = path.extname(file).toLowerCase() === '.csv' ? parseCsvRows(content, file) : parseJsonRows(content, file);
+
+    const recipients = rows.map((row, index) => {
+        const phoneKey = Object.keys(row).find(key => PHONE_COLUMNS.includes(key.toLowerCase().replace(/\s+/g, '')));
+        if (!phoneKey || !String(row[phoneKey]).trim()) {
+            throw new Error(`${file}: row ${index + 1} has no phone number (expected a column named ${PHONE_COLUMNS.join(', ')})`);
+        }
+        const { [phoneKey]: phone, ...fields } = row;
+        return { number: String(phone).trim(), fields };
+    });
+
+    console.log(`📱 Loaded ${recipients.length} recipients from ${file}`);
+    return recipients;
+}
+
+// Function to turn a JSON array of numbers or objects into rows
+function parseJsonRows(content, file) {
+    const data = JSON.parse(content);
+    if (!Array.isArray(data)) {
+        throw new Error(`${file} must contain a JSON array of numbers or recipient objects`);
+    }
+    return data.map(entry => (typeof entry === 'object' && entry !== null ? { ...entry } : { number: entry }));
+}
+
+// Function to parse CSV into row objects, using the header row when there is one
+function parseCsvRows(content, file) {
+    const lines = splitCsv(content).filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (lines.length === 0) {
+        return [];
+    }
+
+    // A first cell that looks like a phone number means there is no header
+    const hasHeader = !/^\+?[\d\s()-]+$/.test(lines[0][0].trim());
+    if (!hasHeader) {
+        return lines.map(cells => ({ number: cells[0] }));
+    }
+
+    const header = lines[0].map(name => name.trim());
+    return lines.slice(1).map((cells, index) => {
+        if (cells.length > header.length) {
+            throw new Error(`${file}: line ${index + 2} has ${cells.length} columns, header has ${header.length}`);
+        }
+        const row = {};
+        header.forEach((name, column) => {
+            row[name] = (cells[column] || '').trim();
+        });
+        return row;
+    });
+}
+
+// Function to split CSV text into cells, honouring quoted fields with commas, quotes and newlines
+function splitCsv(content) {
+    const lines = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            cells.push(cell);
+            lines.push(cells);
+            cells = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        lines.push(cells);
+    }
+    return lines;
+}
+
+module.exports = { loadRecipients, PHONE_COLUMNS };
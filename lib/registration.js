@@ -0,0 +1,75 @@
+const { toChatId } = require('./phone');
+
+/**
+ * Pre-flight WhatsApp registration check
+ *
+ * Looks every number up with the client's number lookup before a batch
+ * starts, so numbers that are not on WhatsApp are reported in their own
+ * bucket instead of being added, invited or messaged (which only fails
+ * inside sendMessage). Registered numbers resolve to the WID WhatsApp
+ * actually uses, which is what the batch scripts send to.
+ *
+ * @example
+ * const { registered, unregistered } = await checkRegistration(client, ['+919429424060', '+919999999999']);
+ * registered.get('+919429424060'); // '919429424060@c.us'
+ */
+
+// Pause between lookups (ms) so a long list does not hammer the lookup endpoint
+const LOOKUP_DELAY = 150;
+
+/**
+ * Check which numbers are registered on WhatsApp.
+ *
+ * @param {Client} client
+ * @param {string[]} numbers - E.164 numbers
+ * @returns {Promise<{registered: Map<string, string>, unregistered: string[], failed: Array<{number: string, error: string}>}>}
+ *   registered maps each number to its WID; failed lookups are kept separate so they can be retried
+ */
+async function checkRegistration(client, numbers) {
+    const registered = new Map();
+    const unregistered = [];
+    const failed = [];
+
+    if (numbers.length === 0) {
+        return { registered, unregistered, failed };
+    }
+
+    console.log(`\n🔎 Checking WhatsApp registration of ${numbers.length} numbers...`);
+
+    for (let i = 0; i < numbers.length; i++) {
+        const number = numbers[i];
+        try {
+            const wid = await client.getNumberId(toChatId(number));
+            if (wid) {
+                registered.set(number, wid._serialized);
+            } else {
+                unregistered.push(number);
+            }
+        } catch (error) {
+            failed.push({ number, error: error.message });
+        }
+
+        if ((i + 1) % 50 === 0 && i + 1 < numbers.length) {
+            console.log(`   ... checked ${i + 1}/${numbers.length}`);
+        }
+        if (i + 1 < numbers.length) {
+            await new Promise(resolve => setTimeout(resolve, LOOKUP_DELAY));
+        }
+    }
+
+    console.log(`   ✅ Registered: ${registered.size}`);
+    console.log(`   🚫 Not on WhatsApp: ${unregistered.length}`);
+    if (failed.length > 0) {
+        console.log(`   ⚠️  Lookup failed: ${failed.length} (will be attempted as usual)`);
+    }
+    unregistered.slice(0, 10).forEach((number, index) => {
+        console.log(`      ${index + 1}. ${number}`);
+    });
+    if (unregistered.length > 10) {
+        console.log(`      ... and ${unregistered.length - 10} more`);
+    }
+
+    return { registered, unregistered, failed };
+}
+
+module.exports = { checkRegistration, LOOKUP_DELAY };
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Local file of scheduled jobs
+ *
+ * Scheduled jobs are added, paused and deleted from the command line while the
+ * scheduler (scheduler.js) may be running in another terminal, so both sides
+ * re-open the file for every change instead of holding it in memory.
+ *
+ * File layout:
+ * {
+ *   "version": 1,
+ *   "jobs": [
+ *     { "id": "3f9a1c", "name": "monday-reminder", "schedule": "0 9 * * mon", "action": "post",
+ *       "params": { "groupId": "120363401616166216@g.us", "messageFile": "/home/me/wga/slot.txt", "variables": {} },
+ *       "paused": false, "createdAt": "2025-07-01T08:00:00.000Z",
+ *       "nextRunAt": "2025-07-07T03:30:00.000Z", "lastRunAt": null, "runs": 0,
+ *       "lastStatus": null, "lastError": null, "lastResult": null }
+ *   ]
+ * }
+ *
+ * - schedule: cron expression (lib/cron.js), in the scheduler machine's local time
+ * - nextRunAt: set by the scheduler; null until it has seen the job (or after a resume)
+ * - lastStatus: queued until a run (and a removal it queued) finishes, then completed, failed or
+ *   cancelled; skipped when a run was missed
+ *
+ * @example
+ * const store = openScheduleStore();
+ * const job = store.add({ name: 'monday-reminder', schedule: '0 9 * * mon', action: 'post', params });
+ * store.update(job.id, { paused: true });
+ * store.save();
+ */
+
+const DEFAULT_SCHEDULE_FILE = 'scheduled_jobs.json';
+
+/**
+ * Open (or create) the schedule file.
+ * @param {string} [file='scheduled_jobs.json']
+ * @returns {object} Store API
+ */
+function openScheduleStore(file = DEFAULT_SCHEDULE_FILE) {
+    const data = load(file);
+
+    /**
+     * Write the file to disk (atomically, via a temp file).
+     */
+    function save() {
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tmp, file);
+    }
+
+    // Function to find a job by ID or name
+    function find(idOrName) {
+        return data.jobs.find(job => job.id === idOrName) || data.jobs.find(job => job.name === idOrName) || null;
+    }
+
+    return {
+        file,
+
+        /**
+         * Add a job. The name defaults to "<action>-<id>" and must be unique.
+         * @param {object} job
+         * @param {string} [job.name]
+         * @param {string} job.schedule - Cron expression
+         * @param {string} job.action
+         * @param {object} job.params
+         * @returns {object} The stored job
+         */
+        add: (job) => {
+            const id = crypto.randomBytes(3).toString('hex');
+            const name = job.name || `${job.action}-${id}`;
+            if (find(name)) {
+                throw new Error(`A scheduled job named "${name}" already exists`);
+            }
+            const record = {
+                id,
+                name,
+                schedule: job.schedule,
+                action: job.action,
+                params: job.params,
+                paused: false,
+                createdAt: new Date().toISOString(),
+                nextRunAt: null,
+                lastRunAt: null,
+                runs: 0,
+                lastStatus: null,
+                lastError: null,
+                lastResult: null
+            };
+            data.jobs.push(record);
+            return record;
+        },
+
+        /**
+         * A job by ID or name, or null.
+         * @param {string} idOrName
+         * @returns {object|null}
+         */
+        find,
+
+        /**
+         * Every job, in the order they were added.
+         * @returns {object[]}
+         */
+        list: () => data.jobs,
+
+        /**
+         * Change fields of a job (no-op when it was deleted meanwhile).
+         * @param {string} id
+         * @param {object} changes
+         * @returns {object|null} The updated job
+         */
+        update: (id, changes) => {
+            const job = data.jobs.find(existing => existing.id === id);
+            if (job) {
+                Object.assign(job, changes);
+            }
+            return job || null;
+        },
+
+        /**
+         * Delete a job.
+         * @param {string} id
+         * @returns {boolean} Whether it existed
+         */
+        remove: (id) => {
+            const before = data.jobs.length;
+            data.jobs = data.jobs.filter(job => job.id !== id);
+            return data.jobs.length < before;
+        },
+
+        save
+    };
+}
+
+// Function to read the schedule file, starting empty when it does not exist
+function load(file) {
+    if (!fs.existsSync(file)) {
+        return { version: 1, jobs: [] };
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(data.jobs)) {
+        throw new Error(`${file} is not a schedule file`);
+    }
+    return data;
+}
+
+module.exports = { openScheduleStore, DEFAULT_SCHEDULE_FILE };
@@ -0,0 +1,239 @@
+const { Client, LocalAuth } = require('whatsapp-web.js');
+const qrcode = require('qrcode-terminal');
+
+/**
+ * Shared WhatsApp session
+ *
+ * Every tool in this project goes through this module instead of building its own
+ * `Client`. All of them share one LocalAuth session, so a single QR scan
+ * authenticates every script.
+ *
+ * @example
+ * const session = require('./lib/session');
+ * const client = session.createClient();
+ * session.ready(client)
+ *     .then(() => doWork(client))
+ *     .catch(session.fail);
+ */
+
+// Session configuration (override with WGA_CLIENT_ID / WGA_AUTH_PATH)
+const DEFAULT_CLIENT_ID = process.env.WGA_CLIENT_ID || 'whatsapp-group-actions';
+const DEFAULT_AUTH_PATH = process.env.WGA_AUTH_PATH || undefined;
+
+// Timing Configuration (milliseconds)
+const TIMEOUTS = {
+    CONNECTION: 30000,  // Max time from start (or from QR scan) until the client is ready
+    QR_SCAN: 120000     // Max time to wait for a QR code to be scanned
+};
+
+const PUPPETEER_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu'
+];
+
+const shutdownHooks = [];
+let activeClient = null;
+let shuttingDown = false;
+
+/**
+ * Create a WhatsApp client bound to the shared LocalAuth session, with the
+ * standard event logging and Ctrl+C handling attached.
+ *
+ * @param {object} [options]
+ * @param {string} [options.clientId] - LocalAuth session name
+ * @param {string} [options.dataPath] - Directory holding the session data
+ * @param {boolean} [options.headless=true] - Run the browser without a window
+ * @param {boolean} [options.quiet=false] - Skip the loading/auth console output
+ * @returns {Client}
+ */
+function createClient(options = {}) {
+    const client = new Client({
+        authStrategy: new LocalAuth({
+            clientId: options.clientId || DEFAULT_CLIENT_ID,
+            dataPath: options.dataPath || DEFAULT_AUTH_PATH
+        }),
+        puppeteer: {
+            headless: options.headless !== false,
+            args: PUPPETEER_ARGS,
+            timeout: 60000
+        }
+    });
+
+    if (!options.quiet) {
+        attachLogging(client);
+    }
+
+    activeClient = client;
+    process.once('SIGINT', () => shutdown(0));
+
+    return client;
+}
+
+// Function to attach the standard console logging to a client
+function attachLogging(client) {
+    client.on('loading_screen', (percent, message) => {
+        console.log(`⏳ Loading: ${percent}% - ${message}`);
+    });
+
+    client.on('qr', (qr) => {
+        console.log('📱 Scan the QR code below with your WhatsApp:');
+        qrcode.generate(qr, { small: true });
+        console.log('\n⏰ QR code expires in 20 seconds. Scan quickly!');
+    });
+
+    client.on('authenticated', () => {
+        console.log('🔐 Authentication successful!');
+        console.log('⏳ Setting up client...');
+    });
+
+    client.on('auth_failure', (msg) => {
+        console.error('❌ Authentication failed:', msg);
+        console.log('💡 Try restarting the app and scanning a fresh QR code.');
+    });
+
+    client.on('disconnected', (reason) => {
+        console.log('🔌 Client was disconnected:', reason);
+    });
+}
+
+/**
+ * Initialize the client and wait until it is ready.
+ *
+ * Rejects when authentication fails, the browser cannot be started, or the
+ * client is not ready within the connection timeout. The timeout is extended
+ * while a QR code is waiting to be scanned.
+ *
+ * @param {Client} client
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Connection timeout in milliseconds
+ * @param {number} [options.qrTimeout] - QR scan timeout in milliseconds
+ * @returns {Promise<Client>}
+ */
+function ready(client, options = {}) {
+    const connectionTimeout = options.timeout || TIMEOUTS.CONNECTION;
+    const qrTimeout = options.qrTimeout || TIMEOUTS.QR_SCAN;
+
+    return new Promise((resolve, reject) => {
+        let timer = null;
+
+        const armTimer = (ms, reason) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(reason));
+            }, ms);
+        };
+
+        // WhatsApp replaces the QR code every ~20 seconds; only the first one starts the scan timeout
+        let qrShown = false;
+        const onQr = () => {
+            if (!qrShown) {
+                qrShown = true;
+                armTimer(qrTimeout, `QR code was not scanned within ${qrTimeout / 1000} seconds`);
+            }
+        };
+        const onAuthenticated = () => armTimer(connectionTimeout, `Client not ready within ${connectionTimeout / 1000} seconds of authentication`);
+        const onReady = () => {
+            cleanup();
+            console.log('✅ WhatsApp Web client is ready!');
+            resolve(client);
+        };
+        const onAuthFailure = (msg) => {
+            cleanup();
+            reject(new Error(`Authentication failed: ${msg}`));
+        };
+
+        function cleanup() {
+            clearTimeout(timer);
+            client.removeListener('qr', onQr);
+            client.removeListener('authenticated', onAuthenticated);
+            client.removeListener('ready', onReady);
+            client.removeListener('auth_failure', onAuthFailure);
+        }
+
+        client.on('qr', onQr);
+        client.on('authenticated', onAuthenticated);
+        client.once('ready', onReady);
+        client.once('auth_failure', onAuthFailure);
+
+        armTimer(connectionTimeout, `Connection not established within ${connectionTimeout / 1000} seconds`);
+
+        console.log('📦 Initializing browser...');
+        client.initialize().catch(error => {
+            cleanup();
+            error.initFailure = true;
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Register a function to run before the process exits (e.g. closing readline).
+ * @param {Function} hook
+ */
+function onShutdown(hook) {
+    shutdownHooks.push(hook);
+}
+
+/**
+ * Run shutdown hooks, destroy the active client and exit.
+ * @param {number} [code=0] - Process exit code
+ */
+async function shutdown(code = 0) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    console.log('\n🛑 Shutting down gracefully...');
+    for (const hook of shutdownHooks) {
+        try {
+            await hook();
+        } catch (error) {
+            console.error('⚠️  Shutdown hook failed:', error.message);
+        }
+    }
+
+    if (activeClient) {
+        try {
+            await activeClient.destroy();
+        } catch (error) {
+            // Browser may already be gone
+        }
+    }
+    process.exit(code);
+}
+
+/**
+ * Report a startup or run failure with troubleshooting hints and exit with code 1.
+ * Suitable as a `.catch()` handler.
+ * @param {Error} error
+ */
+async function fail(error) {
+    console.error(`\n❌ ${error.message}`);
+    if (error.initFailure) {
+        console.log('\n💡 Common fixes:');
+        console.log('   • Install Chrome: brew install google-chrome');
+        console.log('   • Or install Chromium: brew install chromium');
+        console.log('   • Check if you have enough memory available');
+        console.log('   • Try running: npm install puppeteer');
+    } else {
+        console.log('💡 Possible solutions:');
+        console.log('   1. Check your internet connection');
+        console.log('   2. Make sure Chrome/Chromium is installed');
+        console.log('   3. Try restarting the app');
+    }
+    await shutdown(1);
+}
+
+module.exports = {
+    createClient,
+    ready,
+    onShutdown,
+    shutdown,
+    fail,
+    DEFAULT_CLIENT_ID
+};
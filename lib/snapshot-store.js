@@ -0,0 +1,257 @@
+const fs = require('fs');
+
+/**
+ * Local store of group membership snapshots
+ *
+ * Every export of a group's participants is kept as a snapshot (who was a
+ * member, with which role, at what time) so snapshots can be compared later:
+ * who joined and who left between two of them, when a number first appeared
+ * in a group, and a join/leave timeline across all of them.
+ *
+ * File layout:
+ * {
+ *   "version": 1,
+ *   "groups": {
+ *     "120363401616166216@g.us": {
+ *       "name": "Slots Update",
+ *       "snapshots": [
+ *         { "takenAt": "2025-06-30T04:08:25.963Z", "source": "export:slots_update_participants_....json",
+ *           "members": { "+917775977750": "admin", "+918299722296": "member" } }
+ *       ]
+ *     }
+ *   }
+ * }
+ *
+ * Snapshots are kept in takenAt order; a snapshot with the same time as an
+ * existing one is not stored twice, so importing a file again is harmless.
+ *
+ * @example
+ * const store = openSnapshotStore();
+ * store.addSnapshot('120363401616166216@g.us', 'Slots Update', [{ number: '+917775977750', role: 'admin' }], { source: 'live' });
+ * store.diff('120363401616166216@g.us', 'first', 'latest'); // { joined, left, roleChanged, ... }
+ */
+
+const DEFAULT_SNAPSHOT_FILE = 'snapshot_store.json';
+
+/**
+ * Open (or create) the snapshot store.
+ * @param {string} [file='snapshot_store.json']
+ * @returns {object} Store API
+ */
+function openSnapshotStore(file = DEFAULT_SNAPSHOT_FILE) {
+    const data = load(file);
+
+    // Function to get a group record or fail with the groups that do exist
+    function groupRecord(groupId) {
+        const group = data.groups[groupId];
+        if (!group || group.snapshots.length === 0) {
+            const known = Object.entries(data.groups).map(([id, record]) => `${record.name} (${id})`);
+            throw new Error(`No snapshots of ${groupId}${known.length > 0 ? ` - snapshots exist for: ${known.join(', ')}` : ''}`);
+        }
+        return group;
+    }
+
+    /**
+     * Find a snapshot by reference: "first", "latest", a 1-based index
+     * ("3" or "#3"), or a date/time ("2025-06-30", "2025-06-30T04:08"),
+     * meaning the last snapshot taken at or before it (a date alone means the end of that day).
+     * @param {string} groupId
+     * @param {string|number} ref
+     * @returns {{index: number, takenAt: string, source: string, members: object}}
+     */
+    function getSnapshot(groupId, ref) {
+        const { snapshots } = groupRecord(groupId);
+        const value = String(ref).trim().replace(/^#/, '');
+        let index;
+
+        if (value === 'first' || value === 'oldest') {
+            index = 0;
+        } else if (value === 'latest' || value === 'last') {
+            index = snapshots.length - 1;
+        } else if (/^\d+$/.test(value) && Number(value) <= snapshots.length) {
+            index = Number(value) - 1;
+        } else if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+            const until = value.length === 10 ? `${value}T23:59:59.999Z` : new Date(value).toISOString();
+            index = snapshots.map(snapshot => snapshot.takenAt <= until).lastIndexOf(true);
+            if (index === -1) {
+                throw new Error(`No snapshot of ${groupId} at or before ${value} (the first is from ${snapshots[0].takenAt})`);
+            }
+        } else {
+            throw new Error(`Unknown snapshot "${ref}" (use first, latest, a number 1-${snapshots.length} or a date)`);
+        }
+        if (index < 0 || index >= snapshots.length) {
+            throw new Error(`Unknown snapshot "${ref}" (use first, latest, a number 1-${snapshots.length} or a date)`);
+        }
+        return { index: index + 1, ...snapshots[index] };
+    }
+
+    // Function to compare two member maps (admin and superadmin count as the same
+    // role: participants exports do not tell them apart)
+    function compare(before, after) {
+        const rank = (role) => (role === 'superadmin' ? 'admin' : role);
+        const joined = [];
+        const left = [];
+        const roleChanged = [];
+        Object.entries(after).forEach(([number, role]) => {
+            if (!(number in before)) {
+                joined.push({ number, role });
+            } else if (rank(before[number]) !== rank(role)) {
+                roleChanged.push({ number, from: before[number], to: role });
+            }
+        });
+        Object.entries(before).forEach(([number, role]) => {
+            if (!(number in after)) {
+                left.push({ number, role });
+            }
+        });
+        return { joined, left, roleChanged };
+    }
+
+    /**
+     * Write the store to disk (atomically, via a temp file).
+     */
+    function save() {
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data), 'utf8');
+        fs.renameSync(tmp, file);
+    }
+
+    return {
+        file,
+
+        /**
+         * Store a snapshot. Returns false when a snapshot with the same time already exists.
+         * @param {string} groupId - Serialized group ID
+         * @param {string} groupName
+         * @param {Array<{number: string, role: string}>} members - E.164 numbers with role (member, admin, superadmin)
+         * @param {object} [info]
+         * @param {Date|string} [info.takenAt=now]
+         * @param {string} [info.source='live'] - Where the snapshot came from (live, export:<file>, import:<file>)
+         * @returns {boolean}
+         */
+        addSnapshot: (groupId, groupName, members, info = {}) => {
+            if (!data.groups[groupId]) {
+                data.groups[groupId] = { name: groupName || groupId, snapshots: [] };
+            }
+            const group = data.groups[groupId];
+            if (groupName) {
+                group.name = groupName;
+            }
+            const takenAt = new Date(info.takenAt || Date.now()).toISOString();
+            if (group.snapshots.some(snapshot => snapshot.takenAt === takenAt)) {
+                return false;
+            }
+            const snapshot = {
+                takenAt,
+                source: info.source || 'live',
+                members: Object.fromEntries(members.map(member => [member.number, member.role]))
+            };
+            const position = group.snapshots.findIndex(existing => existing.takenAt > takenAt);
+            group.snapshots.splice(position === -1 ? group.snapshots.length : position, 0, snapshot);
+            return true;
+        },
+
+        getSnapshot,
+
+        /**
+         * Snapshots of a group, oldest first, without their member lists.
+         * @param {string} groupId
+         * @returns {Array<{index: number, takenAt: string, source: string, memberCount: number}>}
+         */
+        listSnapshots: (groupId) => groupRecord(groupId).snapshots.map((snapshot, index) => ({
+            index: index + 1,
+            takenAt: snapshot.takenAt,
+            source: snapshot.source,
+            memberCount: Object.keys(snapshot.members).length
+        })),
+
+        /**
+         * Groups with at least one snapshot.
+         * @returns {Array<{id: string, name: string, snapshots: number}>}
+         */
+        listGroups: () => Object.entries(data.groups).map(([id, group]) => ({ id, name: group.name, snapshots: group.snapshots.length })),
+
+        /**
+         * Find a stored group by name (case-insensitive); null if none or ambiguous.
+         * @param {string} name
+         * @returns {string|null} Group ID
+         */
+        findGroupByName: (name) => {
+            const matches = Object.entries(data.groups).filter(([, group]) => group.name.toLowerCase() === String(name).toLowerCase());
+            return matches.length === 1 ? matches[0][0] : null;
+        },
+
+        /**
+         * Who joined, left or changed role between two snapshots.
+         * @param {string} groupId
+         * @param {string|number} fromRef - See getSnapshot
+         * @param {string|number} toRef
+         * @returns {{from: object, to: object, joined: Array, left: Array, roleChanged: Array}}
+         *   from/to describe the snapshots compared (index, takenAt, source, memberCount)
+         */
+        diff: (groupId, fromRef, toRef) => {
+            const from = getSnapshot(groupId, fromRef);
+            const to = getSnapshot(groupId, toRef);
+            const describe = (snapshot) => ({ index: snapshot.index, takenAt: snapshot.takenAt, source: snapshot.source, memberCount: Object.keys(snapshot.members).length });
+            return { from: describe(from), to: describe(to), ...compare(from.members, to.members) };
+        },
+
+        /**
+         * Changes between each pair of consecutive snapshots of a group.
+         * @param {string} groupId
+         * @returns {Array<{index: number, takenAt: string, source: string, memberCount: number, joined: Array, left: Array, roleChanged: Array}>}
+         *   The first entry is the baseline and has no changes
+         */
+        timeline: (groupId) => {
+            const { snapshots } = groupRecord(groupId);
+            return snapshots.map((snapshot, index) => ({
+                index: index + 1,
+                takenAt: snapshot.takenAt,
+                source: snapshot.source,
+                memberCount: Object.keys(snapshot.members).length,
+                ...(index === 0 ? { joined: [], left: [], roleChanged: [] } : compare(snapshots[index - 1].members, snapshot.members))
+            }));
+        },
+
+        /**
+         * When a number was first and last seen in each group it appears in.
+         * @param {string} number - E.164
+         * @returns {Array<{groupId: string, groupName: string, firstSeenAt: string, inFirstSnapshot: boolean, lastSeenAt: string, inLatestSnapshot: boolean, role: string}>}
+         *   inFirstSnapshot means the number was already there when tracking started, so it may have joined earlier
+         */
+        findNumber: (number) => Object.entries(data.groups)
+            .map(([groupId, group]) => {
+                const seen = group.snapshots.filter(snapshot => number in snapshot.members);
+                if (seen.length === 0) return null;
+                const first = seen[0];
+                const last = seen[seen.length - 1];
+                const latest = group.snapshots[group.snapshots.length - 1];
+                return {
+                    groupId,
+                    groupName: group.name,
+                    firstSeenAt: first.takenAt,
+                    inFirstSnapshot: first === group.snapshots[0],
+                    lastSeenAt: last.takenAt,
+                    inLatestSnapshot: last === latest,
+                    role: last.members[number]
+                };
+            })
+            .filter(Boolean),
+
+        save
+    };
+}
+
+// Function to read the store file, starting empty when it does not exist
+function load(file) {
+    if (!fs.existsSync(file)) {
+        return { version: 1, groups: {} };
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data.groups) {
+        throw new Error(`${file} is not a snapshot store`);
+    }
+    return data;
+}
+
+module.exports = { openSnapshotStore, DEFAULT_SNAPSHOT_FILE };
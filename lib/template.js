@@ -0,0 +1,187 @@
+const fs = require('fs');
+
+/**
+ * Message templates
+ *
+ * Syntax:
+ * - `{{name}}`                 variable (the run fails if it is missing)
+ * - `{{name|there}}`           variable with a fallback
+ * - `{{#if name}}...{{/if}}`   section shown only when the variable is set
+ * - `{{#unless name}}...{{/unless}}`, and `{{else}}` inside either
+ *
+ * A variable counts as missing when it is undefined, null, an empty string or
+ * false (so a boolean like `paid` can drive `{{#if paid}}`).
+ * Messages are rendered for every recipient before anything is sent, so a
+ * missing variable stops the run instead of sending half the batch.
+ *
+ * @example
+ * const template = parseTemplate('Hi{{#if name}} {{name}}{{/if}}! Join {{groupName}}: {{inviteLink}}');
+ * template.render({ groupName: 'Slots Update', inviteLink: 'https://chat.whatsapp.com/...' });
+ */
+
+class TemplateError extends Error {
+    constructor(message, missing = []) {
+        super(message);
+        this.name = 'TemplateError';
+        this.missing = missing;
+    }
+}
+
+// Keywords must stand alone ({{else}}, {{#if name}}), so {{elseDate}} or {{#ifName}} stay plain variables
+const TAG = /{{\s*(?:(#if|#unless)(?=[\s}])\s*|(\/if|\/unless|else)\s*(?=}}))?([\w.]*)\s*(?:\|([^}]*))?}}/g;
+
+/**
+ * Parse a template.
+ * @param {string} source - Template text
+ * @param {string} [label='template'] - Name used in error messages (usually the file name)
+ * @returns {{source: string, variables: string[], render: Function}}
+ */
+function parseTemplate(source, label = 'template') {
+    const root = { type: 'section', children: [], elseChildren: null };
+    const stack = [root];
+    const variables = new Set();
+    let current = root.children;
+    let lastIndex = 0;
+    let match;
+
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(source)) !== null) {
+        const [tag, open, close, name, fallback] = match;
+        const keyword = open || close;
+        if (match.index > lastIndex) {
+            current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + tag.length;
+
+        if (keyword === '#if' || keyword === '#unless') {
+            if (!name) {
+                throw new TemplateError(`${label}: ${tag} needs a variable name`);
+            }
+            variables.add(name);
+            const node = { type: 'section', negate: keyword === '#unless', name, children: [], elseChildren: null, open: keyword };
+            current.push(node);
+            stack.push(node);
+            current = node.children;
+        } else if (keyword === 'else') {
+            const node = stack[stack.length - 1];
+            if (node === root || node.elseChildren) {
+                throw new TemplateError(`${label}: unexpected {{else}}`);
+            }
+            node.elseChildren = [];
+            current = node.elseChildren;
+        } else if (keyword === '/if' || keyword === '/unless') {
+            const node = stack.pop();
+            if (node === root || node.open !== keyword.replace('/', '#')) {
+                throw new TemplateError(`${label}: unexpected ${tag}`);
+            }
+            const parent = stack[stack.length - 1];
+            current = parent.elseChildren || parent.children;
+        } else {
+            if (!name) {
+                throw new TemplateError(`${label}: empty tag ${tag}`);
+            }
+            variables.add(name);
+            current.push({ type: 'variable', name, fallback: fallback !== undefined ? fallback.trim() : undefined });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new TemplateError(`${label}: missing {{/${stack[stack.length - 1].open.slice(1)}}}`);
+    }
+    if (lastIndex < source.length) {
+        current.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return {
+        source,
+        label,
+        variables: [...variables],
+        render: (values) => renderNodes(root.children, values, label)
+    };
+}
+
+/**
+ * Load and parse a template file.
+ * @param {string} file
+ */
+function loadTemplate(file) {
+    return parseTemplate(fs.readFileSync(file, 'utf8'), file);
+}
+
+/**
+ * Render a template for every recipient, failing if any of them is missing a variable.
+ *
+ * @param {object} template - Parsed template
+ * @param {Array<{number: string, variables: object}>} recipients
+ * @returns {Map<string, string>} Rendered message per number
+ * @throws {TemplateError} Listing every recipient with missing variables
+ */
+function renderForRecipients(template, recipients) {
+    const messages = new Map();
+    const problems = [];
+
+    recipients.forEach(({ number, variables }) => {
+        try {
+            messages.set(number, template.render(variables));
+        } catch (error) {
+            if (!(error instanceof TemplateError)) throw error;
+            problems.push({ number, missing: error.missing });
+        }
+    });
+
+    if (problems.length > 0) {
+        const missing = [...new Set(problems.flatMap(p => p.missing))];
+        const examples = problems.slice(0, 5).map(p => `${p.number} (${p.missing.join(', ')})`).join('; ');
+        throw new TemplateError(
+            `${template.label}: ${problems.length} of ${recipients.length} recipients are missing ${missing.map(v => `{{${v}}}`).join(', ')} - e.g. ${examples}`,
+            missing
+        );
+    }
+
+    return messages;
+}
+
+// Function to check whether a variable has a usable value (see the header: false counts as unset)
+function isSet(value) {
+    return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+// Function to look up a (possibly dotted) variable name
+function lookup(values, name) {
+    return name.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), values);
+}
+
+// Function to render parsed nodes, collecting every missing variable before failing
+function renderNodes(nodes, values, label) {
+    const missing = [];
+    const output = renderInto(nodes, values, missing);
+    if (missing.length > 0) {
+        const unique = [...new Set(missing)];
+        throw new TemplateError(`${label}: missing ${unique.map(v => `{{${v}}}`).join(', ')}`, unique);
+    }
+    return output;
+}
+
+function renderInto(nodes, values, missing) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return node.value;
+        }
+        if (node.type === 'variable') {
+            const value = lookup(values, node.name);
+            if (isSet(value)) return String(value);
+            if (node.fallback !== undefined) return node.fallback;
+            missing.push(node.name);
+            return '';
+        }
+        const shown = isSet(lookup(values, node.name)) !== node.negate;
+        return renderInto(shown ? node.children : (node.elseChildren || []), values, missing);
+    }).join('');
+}
+
+module.exports = {
+    parseTemplate,
+    loadTemplate,
+    renderForRecipients,
+    TemplateError
+};
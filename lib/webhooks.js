@@ -0,0 +1,313 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Outgoing webhooks for job and membership events
+ *
+ * Posts a JSON payload to each configured URL when a job (lib/jobs.js) starts,
+ * progresses, completes, fails or is cancelled, and when a member joins or
+ * leaves a watched group, so results reach team chat or spreadsheet
+ * automation instead of sitting in a results file nobody opens.
+ *
+ * Webhooks are configured in webhooks.json (keep it out of git - it holds the
+ * signing secrets):
+ *
+ * [
+ *   { "url": "https://hooks.example.com/wga", "secret": "change-me", "events": ["job.completed", "job.failed"] },
+ *   { "url": "http://127.0.0.1:8080/members", "events": ["member.*"] }
+ * ]
+ *
+ * `events` lists event names or `prefix.*` patterns; without it every event is sent.
+ *
+ * Each delivery is a POST of {id, event, at, data} with these headers:
+ * - X-WGA-Event: the event name
+ * - X-WGA-Delivery: the payload id, the same on every retry (for de-duplication)
+ * - X-WGA-Signature: sha256=<hex HMAC-SHA256 of the raw body with the hook's secret> (when it has one)
+ *
+ * Network errors, timeouts, 429 and 5xx answers are retried with exponential
+ * backoff; other 4xx answers are not. Deliveries to one URL are sent in order,
+ * one at a time, so a slow receiver never sees job.completed before job.started.
+ * `wga webhooks test` sends a `ping` event to check a receiver.
+ *
+ * @example
+ * const webhooks = createWebhookSender(loadWebhooks());
+ * forwardJobEvents(jobs, webhooks);
+ * webhooks.send('member.joined', { groupId, targets: ['+91...'] });
+ *
+ * // Receiver side: verify before trusting the payload
+ * const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+ */
+
+const DEFAULT_WEBHOOK_FILE = 'webhooks.json';
+
+const WEBHOOK_EVENTS = [
+    'job.started',
+    'job.progress',
+    'job.completed',
+    'job.failed',
+    'job.cancelled',
+    'member.joined',
+    'member.left'
+];
+
+// Delivery settings
+const DELIVERY = {
+    TIMEOUT: 10000,          // Per attempt
+    MAX_ATTEMPTS: 5,         // First try plus 4 retries
+    RETRY_DELAY: 2000,       // Doubled after every failed attempt (2s, 4s, 8s, 16s)
+    PROGRESS_INTERVAL: 5000  // At most one job.progress per job this often
+};
+
+// Event log names (lib/event-log.js) and the webhook event they are sent as
+const MEMBER_EVENTS = {
+    join: 'member.joined',
+    leave: 'member.left'
+};
+
+/**
+ * Read webhook settings. A missing file means no webhooks.
+ * @param {string} [file=DEFAULT_WEBHOOK_FILE]
+ * @returns {object[]} [{url, secret, events}]
+ */
+function loadWebhooks(file = DEFAULT_WEBHOOK_FILE) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    let hooks;
+    try {
+        hooks = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(hooks)) {
+        throw new Error(`${file} must contain an array of webhooks`);
+    }
+    return hooks.map((hook, index) => validateHook(hook, `${file} entry ${index + 1}`));
+}
+
+// Function to check one webhook entry, filling in the defaults
+function validateHook(hook, label) {
+    if (!hook || typeof hook !== 'object') {
+        throw new Error(`${label} must be an object with a url`);
+    }
+    let url;
+    try {
+        url = new URL(hook.url);
+    } catch (error) {
+        throw new Error(`${label} has an invalid url "${hook.url}"`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`${label}: only http and https URLs are supported`);
+    }
+    if (hook.secret !== undefined && (typeof hook.secret !== 'string' || hook.secret === '')) {
+        throw new Error(`${label}: secret must be a non-empty string`);
+    }
+    const events = hook.events === undefined ? ['*'] : hook.events;
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new Error(`${label}: events must be a non-empty array`);
+    }
+    events.forEach(pattern => {
+        const known = pattern === '*'
+            || WEBHOOK_EVENTS.includes(pattern)
+            || (pattern.endsWith('.*') && WEBHOOK_EVENTS.some(event => event.startsWith(pattern.slice(0, -1))));
+        if (!known) {
+            throw new Error(`${label}: unknown event "${pattern}" (use ${WEBHOOK_EVENTS.join(', ')} or a prefix like job.*)`);
+        }
+    });
+    return { url: url.href, secret: hook.secret || null, events };
+}
+
+// Function to check whether a webhook's event list covers an event
+function subscribed(hook, event) {
+    return hook.events.some(pattern => pattern === '*'
+        || pattern === event
+        || (pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1))));
+}
+
+/**
+ * HMAC-SHA256 signature of a payload, as sent in X-WGA-Signature.
+ * @param {string} secret
+ * @param {string} body - The raw request body
+ * @returns {string} sha256=<hex>
+ */
+function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Create a sender for a list of webhooks.
+ * @param {object[]} hooks - From loadWebhooks()
+ * @param {object} [options]
+ * @param {Function} [options.fetch=fetch]
+ * @param {Function} [options.sleep] - (ms) => Promise; replaceable for tests
+ * @param {number} [options.maxAttempts=DELIVERY.MAX_ATTEMPTS]
+ * @param {number} [options.retryDelay=DELIVERY.RETRY_DELAY]
+ * @param {number} [options.timeout=DELIVERY.TIMEOUT]
+ * @returns {{hooks: object[], wants: Function, send: Function, flush: Function}}
+ */
+function createWebhookSender(hooks, options = {}) {
+    const fetchFn = options.fetch || fetch;
+    const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    const maxAttempts = options.maxAttempts || DELIVERY.MAX_ATTEMPTS;
+    const retryDelay = options.retryDelay !== undefined ? options.retryDelay : DELIVERY.RETRY_DELAY;
+    const timeout = options.timeout || DELIVERY.TIMEOUT;
+    // Last delivery per webhook, so the next one waits for it
+    const queues = hooks.map(() => Promise.resolve());
+
+    // Function to post one payload, retrying failures that may be temporary
+    async function deliver(hook, event, payload) {
+        const body = JSON.stringify(payload);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'whatsapp-group-actions',
+            'X-WGA-Event': event,
+            'X-WGA-Delivery': payload.id
+        };
+        if (hook.secret) {
+            headers['X-WGA-Signature'] = signPayload(hook.secret, body);
+        }
+
+        let reason;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            let retry = true;
+            try {
+                const response = await fetchFn(hook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeout) });
+                if (response.ok) {
+                    return { url: hook.url, ok: true, status: response.status, attempts: attempt };
+                }
+                reason = `HTTP ${response.status}`;
+                retry = response.status === 429 || response.status >= 500;
+            } catch (error) {
+                reason = error.name === 'TimeoutError' ? `no answer within ${timeout / 1000}s` : error.message;
+            }
+            if (!retry || attempt === maxAttempts) {
+                console.error(`❌ Webhook ${event} to ${hook.url} failed after ${attempt} attempt${attempt === 1 ? '' : 's'}: ${reason}`);
+                return { url: hook.url, ok: false, error: reason, attempts: attempt };
+            }
+            await sleep(retryDelay * 2 ** (attempt - 1));
+        }
+    }
+
+    return {
+        hooks,
+
+        /**
+         * Whether any webhook takes this event (or one starting with this prefix, e.g. "member.").
+         * @param {string} event
+         * @returns {boolean}
+         */
+        wants: (event) => hooks.some(hook => event.endsWith('.')
+            ? WEBHOOK_EVENTS.some(known => known.startsWith(event) && subscribed(hook, known))
+            : subscribed(hook, event)),
+
+        /**
+         * Queue an event for every webhook that takes it. Never throws; failures are logged.
+         * @param {string} event
+         * @param {object} data
+         * @returns {Promise<object[]>} One {url, ok, status|error, attempts} per webhook it went to
+         */
+        send: (event, data) => {
+            const payload = { id: crypto.randomUUID(), event, at: new Date().toISOString(), data };
+            const deliveries = hooks.map((hook, index) => {
+                if (!subscribed(hook, event)) return null;
+                queues[index] = queues[index].then(() => deliver(hook, event, payload));
+                return queues[index];
+            }).filter(Boolean);
+            return Promise.all(deliveries);
+        },
+
+        /**
+         * Wait for queued deliveries, at most `limit` milliseconds (e.g. before exiting).
+         * @param {number} [limit]
+         * @returns {Promise<void>}
+         */
+        flush: (limit) => {
+            const pending = Promise.all(queues).then(() => {});
+            return limit === undefined ? pending : Promise.race([pending, sleep(limit)]);
+        }
+    };
+}
+
+/**
+ * Send job queue events (lib/jobs.js) as job.* webhooks. Progress is throttled
+ * to one event per job per PROGRESS_INTERVAL; the finishing event always goes out.
+ * @param {EventEmitter} jobs - Job queue
+ * @param {object} webhooks - From createWebhookSender()
+ * @param {object} [options]
+ * @param {number} [options.progressInterval=DELIVERY.PROGRESS_INTERVAL]
+ */
+function forwardJobEvents(jobs, webhooks, options = {}) {
+    const progressInterval = options.progressInterval !== undefined ? options.progressInterval : DELIVERY.PROGRESS_INTERVAL;
+    const lastProgress = new Map();
+
+    jobs.on('started', job => webhooks.send('job.started', job));
+    jobs.on('progress', job => {
+        const now = Date.now();
+        if (now - (lastProgress.get(job.id) || 0) < progressInterval) return;
+        lastProgress.set(job.id, now);
+        webhooks.send('job.progress', job);
+    });
+    ['completed', 'failed', 'cancelled'].forEach(status => {
+        jobs.on(status, job => {
+            lastProgress.delete(job.id);
+            webhooks.send(`job.${status}`, job);
+        });
+    });
+}
+
+/**
+ * Send a recorded group event (lib/event-log.js line) as member.joined / member.left.
+ * Other events (admin changes, updates) are not sent.
+ * @param {object} webhooks - From createWebhookSender()
+ * @param {object} event
+ */
+function forwardMemberEvent(webhooks, event) {
+    const name = MEMBER_EVENTS[event.event];
+    if (name) {
+        webhooks.send(name, event);
+    }
+}
+
+/**
+ * Send one test delivery to the configured webhooks, without retries, and report
+ * each answer (wga webhooks test). `ping` goes to every webhook; a real event
+ * name goes to the webhooks that take it, with a sample payload.
+ * @param {object} [options]
+ * @param {string} [options.event='ping']
+ * @param {string} [options.file=DEFAULT_WEBHOOK_FILE]
+ * @returns {Promise<object[]>} One {url, ok, status|error, attempts} per webhook
+ */
+async function testWebhooks(options = {}) {
+    const file = options.file || DEFAULT_WEBHOOK_FILE;
+    const event = options.event || 'ping';
+    if (event !== 'ping' && !WEBHOOK_EVENTS.includes(event)) {
+        throw new Error(`Unknown event "${event}" (use ping or one of ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+    const hooks = loadWebhooks(file);
+    if (hooks.length === 0) {
+        throw new Error(`No webhooks configured - create ${file} (see lib/webhooks.js)`);
+    }
+    const targets = event === 'ping' ? hooks.map(hook => ({ ...hook, events: ['*'] })) : hooks.filter(hook => subscribed(hook, event));
+    if (targets.length === 0) {
+        throw new Error(`No webhook in ${file} takes ${event}`);
+    }
+
+    console.log(`🔔 Sending a test ${event} to ${targets.length} webhook${targets.length === 1 ? '' : 's'}...`);
+    const results = await createWebhookSender(targets, { maxAttempts: 1 })
+        .send(event, { test: true, message: 'Test delivery from WhatsApp Group Actions' });
+    results.filter(result => result.ok).forEach(result => console.log(`✅ ${result.url} → ${result.status}`));
+    const failed = results.filter(result => !result.ok).length;
+    console.log(failed === 0 ? '✅ Every webhook answered' : `⚠️  ${failed} of ${results.length} webhooks failed`);
+    return results;
+}
+
+module.exports = {
+    loadWebhooks,
+    createWebhookSender,
+    forwardJobEvents,
+    forwardMemberEvent,
+    signPayload,
+    testWebhooks,
+    WEBHOOK_EVENTS,
+    DEFAULT_WEBHOOK_FILE
+};
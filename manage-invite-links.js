@@ -0,0 +1,249 @@
+const session = require('./lib/session');
+const { findGroup, getGroups, isSelfAdmin } = require('./lib/groups');
+const { openInviteLinkStore, inviteLinkFor, DEFAULT_INVITE_LINK_FILE } = require('./lib/invite-links');
+
+/**
+ * WhatsApp Group Invite Link Management
+ *
+ * @description
+ * Shows a group's current invite link, revokes it (the old link stops working
+ * and WhatsApp issues a new one) or rotates it (revoke and print the new link),
+ * and keeps a history of every link in invite_links.json: when it was seen,
+ * which campaigns handed it out to how many people, and when and why it was
+ * revoked. Add runs can ask for their link to be rotated some hours after the
+ * campaign (wga members add --rotate-after 72); `expire` then revokes every
+ * link whose campaigns are over, so a leaked link cannot let strangers into a
+ * moderated group for long.
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Set GROUP_ID and ACTION below
+ * 2. Run: node manage-invite-links.js
+ * 3. Or: wga links show --group <id>
+ *        wga links rotate --group <id> --reason "posted on a public forum"
+ *        wga links expire
+ *        wga links history --group <id>
+ *
+ * @configuration
+ * - GROUP_ID: Group whose link to show/revoke/rotate
+ * - ACTION: 'show', 'revoke', 'rotate' or 'expire'
+ * - INVITE_LINK_FILE: Where links and campaigns are recorded (see lib/invite-links.js)
+ *
+ * @notes
+ * - Only group admins can see, revoke or rotate a link
+ * - Revoking breaks every link already sent, including invites that were not used yet;
+ *   `expire` waits until the latest rotation time of the campaigns that used the link
+ *
+ * @see add-participants-to-group.js - Records the link each add run sends
+ */
+
+// Configuration
+const GROUP_ID = "120363401616166216";
+const ACTION = 'show';
+const INVITE_LINK_FILE = DEFAULT_INVITE_LINK_FILE;
+
+/**
+ * Print a group's current invite link and the campaigns that handed it out.
+ * @param {Client} client - Ready WhatsApp client
+ * @param {string} groupId - Bare or serialized group ID
+ * @param {object} [options]
+ * @param {string} [options.storeFile=INVITE_LINK_FILE]
+ * @returns {Promise<string|undefined>} The link
+ */
+async function showInviteLink(client, groupId, options = {}) {
+    const group = await adminGroup(client, groupId);
+    if (!group) {
+        return;
+    }
+    const code = await group.getInviteCode();
+    const store = openInviteLinkStore(options.storeFile || INVITE_LINK_FILE);
+    const link = store.noteLink(group.id._serialized, group.name, code);
+    store.save();
+
+    console.log(`\n🔗 ${group.name}: ${inviteLinkFor(code)}`);
+    console.log(`   First seen ${link.seenAt.slice(0, 16).replace('T', ' ')}`);
+    printCampaigns(link.campaigns);
+    return inviteLinkFor(code);
+}
+
+/**
+ * Revoke a group's invite link. WhatsApp issues a new link at the same time;
+ * it is printed only when `share` is set (rotate).
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {string} groupId - Bare or serialized group ID
+ * @param {object} [options]
+ * @param {string} [options.reason] - Recorded with the revoked link
+ * @param {boolean} [options.share=false] - Print the new link
+ * @param {string} [options.storeFile=INVITE_LINK_FILE]
+ * @returns {Promise<{revoked: string, current: string}|undefined>} Old and new links
+ */
+async function revokeInviteLink(client, groupId, options = {}) {
+    const group = await adminGroup(client, groupId);
+    if (!group) {
+        return;
+    }
+    const store = openInviteLinkStore(options.storeFile || INVITE_LINK_FILE);
+    const result = await replaceLink(group, store, options.reason);
+    store.save();
+
+    const campaigns = store.findLink(result.revoked).campaigns;
+    console.log(`\n🚫 Revoked ${inviteLinkFor(result.revoked)} of "${group.name}"${options.reason ? ` (${options.reason})` : ''}`);
+    if (campaigns.length > 0) {
+        console.log(`   It was handed out by ${campaigns.length} campaign${campaigns.length === 1 ? '' : 's'}:`);
+        printCampaigns(campaigns);
+    }
+    if (options.share) {
+        console.log(`\n🔗 New link: ${inviteLinkFor(result.current)}`);
+    } else {
+        console.log('\n🔒 A new link was issued - see it with: wga links show --group <id>');
+    }
+    return { revoked: inviteLinkFor(result.revoked), current: inviteLinkFor(result.current) };
+}
+
+/**
+ * Rotate every link whose campaigns asked for rotation and are now over.
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - List the links that are due without revoking them
+ * @param {string} [options.storeFile=INVITE_LINK_FILE]
+ * @returns {Promise<Array>} The links that were due
+ */
+async function rotateExpiredLinks(client, options = {}) {
+    const store = openInviteLinkStore(options.storeFile || INVITE_LINK_FILE);
+    const due = store.dueForRotation();
+    if (due.length === 0) {
+        console.log('✅ No invite links are due for rotation');
+        return due;
+    }
+
+    const groups = await getGroups(client);
+    console.log(`\n⏰ ${due.length} invite link${due.length === 1 ? '' : 's'} due for rotation:`);
+    for (const entry of due) {
+        const label = `${entry.groupName}: ${entry.code} (campaigns ${entry.campaigns.join(', ')}, rotate after ${entry.rotateAt.slice(0, 16).replace('T', ' ')})`;
+        if (options.dryRun) {
+            console.log(`   🧪 Would rotate ${label}`);
+            continue;
+        }
+        const group = groups.find(g => g.id._serialized === entry.groupId);
+        if (!group || !isSelfAdmin(client, group)) {
+            console.log(`   ⚠️  Skipped ${label} - no longer an admin of the group`);
+            continue;
+        }
+        try {
+            // Someone may have changed the link since; then it is already dead
+            const current = await group.getInviteCode();
+            if (current !== entry.code) {
+                store.markRevoked(entry.groupId, entry.code, 'replaced outside wga');
+                store.noteLink(entry.groupId, group.name, current);
+                console.log(`   ✔️  ${label} - already replaced`);
+                continue;
+            }
+            await replaceLink(group, store, `campaign over (${entry.campaigns.join(', ')})`);
+            console.log(`   🔁 Rotated ${label}`);
+        } catch (error) {
+            console.log(`   ❌ Could not rotate ${label}: ${error.message}`);
+        } finally {
+            store.save();
+        }
+    }
+    return due;
+}
+
+/**
+ * Print the recorded links of a group (or every group), or where one link was handed out.
+ * @param {object} [options]
+ * @param {string} [options.groupId] - Serialized group ID
+ * @param {string} [options.link] - Invite code or link to trace
+ * @param {string} [options.storeFile=INVITE_LINK_FILE]
+ * @returns {object[]} The links printed
+ */
+function listInviteLinks(options = {}) {
+    const store = openInviteLinkStore(options.storeFile || INVITE_LINK_FILE);
+    let links;
+    if (options.link) {
+        const found = store.findLink(options.link);
+        if (!found) {
+            throw new Error(`${options.link} is not in ${store.file}`);
+        }
+        links = [found];
+    } else {
+        links = store.listLinks(options.groupId);
+    }
+    if (links.length === 0) {
+        console.log(`📭 No invite links recorded${options.groupId ? ` for ${options.groupId}` : ''} yet`);
+        return links;
+    }
+
+    let lastGroup = null;
+    links.forEach(link => {
+        if (link.groupId !== lastGroup) {
+            console.log(`\n👥 ${link.groupName} (${link.groupId})`);
+            lastGroup = link.groupId;
+        }
+        const state = link.revokedAt
+            ? `revoked ${link.revokedAt.slice(0, 16).replace('T', ' ')}${link.revokeReason ? ` - ${link.revokeReason}` : ''}`
+            : 'active';
+        console.log(`   🔗 ${inviteLinkFor(link.code)}  seen ${link.seenAt.slice(0, 16).replace('T', ' ')}, ${state}`);
+        printCampaigns(link.campaigns);
+    });
+    return links;
+}
+
+// Function to find a group we can manage the link of
+async function adminGroup(client, groupId) {
+    const group = await findGroup(client, groupId);
+    if (group && !isSelfAdmin(client, group)) {
+        throw new Error(`You must be an admin of "${group.name}" to manage its invite link`);
+    }
+    return group;
+}
+
+// Function to revoke the current link and record both the old and the new one
+async function replaceLink(group, store, reason) {
+    const groupId = group.id._serialized;
+    const revoked = await group.getInviteCode();
+    store.noteLink(groupId, group.name, revoked);
+    const current = await group.revokeInvite();
+    store.markRevoked(groupId, revoked, reason);
+    store.noteLink(groupId, group.name, current);
+    return { revoked, current };
+}
+
+// Function to print the campaigns that used a link
+function printCampaigns(campaigns) {
+    if (campaigns.length === 0) {
+        console.log('      (not handed out by any recorded campaign)');
+        return;
+    }
+    campaigns.forEach(campaign => {
+        const rotate = campaign.rotateAt ? `, rotate after ${campaign.rotateAt.slice(0, 16).replace('T', ' ')}` : '';
+        console.log(`      📨 ${campaign.name}: ${campaign.usedAt.slice(0, 16).replace('T', ' ')}, sent to ${campaign.invited}${rotate}`);
+    });
+}
+
+// Run directly: node manage-invite-links.js
+if (require.main === module) {
+    const actions = {
+        show: (client) => showInviteLink(client, GROUP_ID),
+        revoke: (client) => revokeInviteLink(client, GROUP_ID),
+        rotate: (client) => revokeInviteLink(client, GROUP_ID, { share: true }),
+        expire: (client) => rotateExpiredLinks(client)
+    };
+    if (!actions[ACTION]) {
+        console.error(`❌ Unknown ACTION "${ACTION}" (use ${Object.keys(actions).join(', ')})`);
+        process.exit(1);
+    }
+    const client = session.createClient();
+
+    console.log('🚀 Starting WhatsApp Invite Link Manager...');
+
+    session.ready(client)
+        .then(() => actions[ACTION](client))
+        .then(() => session.shutdown(0))
+        .catch(session.fail);
+}
+
+module.exports = { showInviteLink, revokeInviteLink, rotateExpiredLinks, listInviteLinks, INVITE_LINK_FILE };
@@ -0,0 +1,344 @@
+const session = require('./lib/session');
+const { findGroup, participantRoles, toGroupChatId } = require('./lib/groups');
+const { openSnapshotStore, DEFAULT_SNAPSHOT_FILE } = require('./lib/snapshot-store');
+const { normalizePhoneNumber, parsePhoneNumber } = require('./lib/phone');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * WhatsApp Group Membership History
+ *
+ * @description
+ * Keeps every participants export of a group as a snapshot in one store
+ * (snapshot_store.json) instead of loose timestamped files, and answers
+ * questions across them: who joined and who left between two snapshots, when
+ * a number first appeared in a group, and a join/leave timeline per group.
+ * Use it to check that an add or removal run had the effect you expected:
+ * take a snapshot before, run, take a snapshot after and diff the two.
+ *
+ * Snapshots are recorded:
+ * - live, with takeSnapshot (wga snapshots take)
+ * - automatically by every participants export (server.js, wga participants export)
+ * - from earlier export files with importSnapshots (all.json, *_participants_*.json,
+ *   raw_groups_data_*.json)
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Set GROUP_ID
+ * 2. Run: node membership-history.js
+ *    (takes a snapshot and prints the group's timeline)
+ *
+ * @configuration
+ * - GROUP_ID: The WhatsApp group ID
+ * - STORE_FILE: Where snapshots are kept (see lib/snapshot-store.js)
+ *
+ * @output
+ * - snapshot_store.json: every snapshot of every group
+ * - Console timeline / diff / first-appearance reports
+ *
+ * @see lib/snapshot-store.js - Snapshot references (first, latest, #3, 2025-06-30)
+ */
+
+// Configuration
+const GROUP_ID = "120363401616166216";
+const STORE_FILE = DEFAULT_SNAPSHOT_FILE;
+
+/**
+ * Snapshot the current members of a group.
+ * @param {Client} client - Ready WhatsApp client
+ * @param {string} groupId - Bare or serialized group ID
+ * @param {object} [options]
+ * @param {string} [options.storeFile=STORE_FILE]
+ * @returns {Promise<object|undefined>} The stored snapshot's entry in the group's list
+ */
+async function takeSnapshot(client, groupId, options = {}) {
+    const group = await findGroup(client, groupId);
+    if (!group) {
+        return;
+    }
+    const store = openSnapshotStore(options.storeFile || STORE_FILE);
+    recordGroupSnapshot(store, group, 'live');
+    store.save();
+
+    const snapshots = store.listSnapshots(group.id._serialized);
+    const latest = snapshots[snapshots.length - 1];
+    console.log(`\n📸 Snapshot #${latest.index} of "${group.name}": ${latest.memberCount} members`);
+    if (snapshots.length > 1) {
+        printDiff(group.name, store.diff(group.id._serialized, snapshots.length - 1, 'latest'));
+    }
+    return latest;
+}
+
+/**
+ * Store the current participants of a group in an open snapshot store.
+ * @param {object} store - From lib/snapshot-store.js
+ * @param {GroupChat} group
+ * @param {string} source - Where the snapshot comes from (live, export:<file>)
+ * @returns {boolean} false if a snapshot with the same time already exists
+ */
+function recordGroupSnapshot(store, group, source) {
+    const { members } = participantRoles(group);
+    return store.addSnapshot(group.id._serialized, group.name, members, { source });
+}
+
+/**
+ * Import snapshots from earlier export files.
+ * Participants exports carry no group ID unless written after the snapshot
+ * store existed; for those the group is given with groupId, or matched by
+ * name to a group already in the store (or in a raw export of the same import).
+ * Every file is read before anything is stored, so one bad file imports nothing.
+ *
+ * @param {string[]} files - Participants exports (JSON) or raw_groups_data_*.json
+ * @param {object} [options]
+ * @param {string} [options.groupId] - Group the participants exports belong to
+ * @param {string} [options.storeFile=STORE_FILE]
+ * @returns {{imported: number, skipped: number}}
+ */
+function importSnapshots(files, options = {}) {
+    const store = openSnapshotStore(options.storeFile || STORE_FILE);
+
+    // Read every file first so a bad one stops the import before anything is stored
+    const planned = [];
+    files.forEach(file => {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const source = `import:${path.basename(file)}`;
+
+        if (data._metadata && Array.isArray(data.groups)) {
+            // raw_groups_data_*.json: every group with its metadata
+            data.groups.filter(group => group && group.groupMetadata).forEach(group => {
+                const label = group.name || group.id._serialized;
+                if (!Array.isArray(group.groupMetadata.participants)) {
+                    // Not an empty group - the export just did not get its members
+                    console.log(`⏭️  ${label}: no participant list in ${path.basename(file)} - skipped`);
+                    return;
+                }
+                const members = group.groupMetadata.participants
+                    .map(participant => ({
+                        number: normalizePhoneNumber(participant.id._serialized),
+                        role: participant.isSuperAdmin ? 'superadmin' : participant.isAdmin ? 'admin' : 'member'
+                    }))
+                    .filter(member => member.number);
+                planned.push({ groupId: group.id._serialized, name: group.name, label, members, takenAt: exportDate(file, data._metadata.exportDate), source });
+            });
+            return;
+        }
+
+        if (!data.groupInfo || !Array.isArray(data.participants)) {
+            throw new Error(`${file} is not a participants export or raw groups export`);
+        }
+        const plannedByName = planned.find(entry => entry.name && entry.name === data.groupInfo.name);
+        const groupId = data.groupInfo.id
+            || (options.groupId && toGroupChatId(options.groupId))
+            || store.findGroupByName(data.groupInfo.name)
+            || (plannedByName && plannedByName.groupId);
+        if (!groupId) {
+            throw new Error(`${file} has no group ID - pass the group it belongs to (--group)`);
+        }
+        const members = data.participants
+            .map(participant => ({ number: normalizePhoneNumber(participant.phoneNumber), role: participant.role || (participant.isAdmin ? 'admin' : 'member') }))
+            .filter(member => member.number);
+        planned.push({ groupId, name: data.groupInfo.name, label: data.groupInfo.name, members, takenAt: exportDate(file, data.groupInfo.exportDate), source });
+    });
+
+    let imported = 0;
+    let skipped = 0;
+    planned.forEach(({ groupId, name, label, members, takenAt, source }) => {
+        const added = store.addSnapshot(groupId, name, members, { takenAt, source });
+        added ? imported++ : skipped++;
+        console.log(`${added ? '📸' : '⏭️ '} ${label}: ${members.length} members (${takenAt.slice(0, 10)})${added ? '' : ' - already stored'}`);
+    });
+
+    store.save();
+    console.log(`\n✅ Imported ${imported} snapshot${imported === 1 ? '' : 's'}${skipped > 0 ? `, ${skipped} already stored` : ''} into ${store.file}`);
+    return { imported, skipped };
+}
+
+// Function to check the export date a snapshot is stored under
+function exportDate(file, value) {
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        throw new Error(`${file} has no valid export date`);
+    }
+    return value;
+}
+
+/**
+ * Print the snapshots of one group, or the groups in the store.
+ * @param {string} [groupId] - Bare or serialized ID, or a stored group name
+ * @param {object} [options]
+ * @param {string} [options.storeFile=STORE_FILE]
+ */
+function listSnapshots(groupId, options = {}) {
+    const store = openSnapshotStore(options.storeFile || STORE_FILE);
+    if (!groupId) {
+        const groups = store.listGroups();
+        console.log(`📚 ${groups.length} groups in ${store.file}:`);
+        groups.forEach((group, index) => {
+            console.log(`   ${index + 1}. ${group.name} (${group.id}) - ${group.snapshots} snapshot${group.snapshots === 1 ? '' : 's'}`);
+        });
+        return;
+    }
+    const id = resolveStoredGroup(store, groupId);
+    const snapshots = store.listSnapshots(id);
+    console.log(`📚 ${snapshots.length} snapshots of ${id}:`);
+    snapshots.forEach(snapshot => {
+        console.log(`   #${snapshot.index}  ${formatTime(snapshot.takenAt)}  ${String(snapshot.memberCount).padStart(5)} members  (${snapshot.source})`);
+    });
+}
+
+/**
+ * Print who joined and left between two snapshots.
+ * @param {string} groupId - Bare or serialized ID, or a stored group name
+ * @param {string} fromRef - Snapshot reference (see lib/snapshot-store.js)
+ * @param {string} toRef
+ * @param {object} [options]
+ * @param {string} [options.storeFile=STORE_FILE]
+ * @param {string} [options.output] - Also write the diff to this JSON file
+ * @returns {object} The diff
+ */
+function diffSnapshots(groupId, fromRef, toRef, options = {}) {
+    const store = openSnapshotStore(options.storeFile || STORE_FILE);
+    const id = resolveStoredGroup(store, groupId);
+    const diff = store.diff(id, fromRef, toRef);
+    const name = store.listGroups().find(group => group.id === id).name;
+    printDiff(name, diff);
+    if (options.output) {
+        fs.writeFileSync(options.output, JSON.stringify({ groupId: id, groupName: name, ...diff }, null, 2));
+        console.log(`\n📁 Diff saved to: ${options.output}`);
+    }
+    return diff;
+}
+
+/**
+ * Print the join/leave timeline of a group across all its snapshots.
+ * @param {string} groupId - Bare or serialized ID, or a stored group name
+ * @param {object} [options]
+ * @param {string} [options.storeFile=STORE_FILE]
+ * @param {string} [options.output] - Also write the timeline to this JSON file
+ * @returns {Array} The timeline
+ */
+function printTimeline(groupId, options = {}) {
+    const store = openSnapshotStore(options.storeFile || STORE_FILE);
+    const id = resolveStoredGroup(store, groupId);
+    const timeline = store.timeline(id);
+    const name = store.listGroups().find(group => group.id === id).name;
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`📅 MEMBERSHIP TIMELINE - ${name}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    timeline.forEach((entry, index) => {
+        if (index === 0) {
+            console.log(`#${entry.index}  ${formatTime(entry.takenAt)}  baseline: ${entry.memberCount} members`);
+            return;
+        }
+        const changes = [`+${entry.joined.length} joined`, `-${entry.left.length} left`];
+        if (entry.roleChanged.length > 0) changes.push(`${entry.roleChanged.length} role changes`);
+        console.log(`#${entry.index}  ${formatTime(entry.takenAt)}  ${changes.join(', ')} (${entry.memberCount} members)`);
+        printNumbers('➕', entry.joined.map(member => member.number));
+        printNumbers('➖', entry.left.map(member => member.number));
+        entry.roleChanged.forEach(change => console.log(`      🔁 ${change.number}: ${change.from} → ${change.to}`));
+    });
+
+    if (options.output) {
+        fs.writeFileSync(options.output, JSON.stringify({ groupId: id, groupName: name, timeline }, null, 2));
+        console.log(`\n📁 Timeline saved to: ${options.output}`);
+    }
+    return timeline;
+}
+
+/**
+ * Print when a number first (and last) appeared in each group.
+ * @param {string} number - Any format accepted by lib/phone.js
+ * @param {object} [options]
+ * @param {string} [options.storeFile=STORE_FILE]
+ * @param {string} [options.defaultCountry]
+ * @returns {Array} One entry per group the number appears in
+ */
+function findNumber(number, options = {}) {
+    const parsed = parsePhoneNumber(number, { defaultCountry: options.defaultCountry });
+    if (!parsed.valid) {
+        throw new Error(`Invalid number "${number}": ${parsed.reason}`);
+    }
+    const store = openSnapshotStore(options.storeFile || STORE_FILE);
+    const appearances = store.findNumber(parsed.e164);
+
+    if (appearances.length === 0) {
+        console.log(`🔍 ${parsed.e164} is not in any snapshot`);
+        return appearances;
+    }
+    console.log(`🔍 ${parsed.e164} appears in ${appearances.length} groups:`);
+    appearances.forEach(entry => {
+        const first = entry.inFirstSnapshot
+            ? `already there in the first snapshot (${formatTime(entry.firstSeenAt)})`
+            : `first seen ${formatTime(entry.firstSeenAt)}`;
+        const last = entry.inLatestSnapshot ? `still a ${entry.role}` : `last seen ${formatTime(entry.lastSeenAt)}`;
+        console.log(`   • ${entry.groupName}: ${first}, ${last}`);
+    });
+    return appearances;
+}
+
+// Function to resolve a group ID or stored group name to a stored group ID
+function resolveStoredGroup(store, groupId) {
+    const id = toGroupChatId(groupId);
+    if (store.listGroups().some(group => group.id === id)) {
+        return id;
+    }
+    return store.findGroupByName(groupId) || id;
+}
+
+// Function to print a diff between two snapshots
+function printDiff(groupName, diff) {
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`🔀 ${groupName}: #${diff.from.index} (${formatTime(diff.from.takenAt)}) → #${diff.to.index} (${formatTime(diff.to.takenAt)})`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`👥 Members: ${diff.from.memberCount} → ${diff.to.memberCount}`);
+    console.log(`➕ Joined: ${diff.joined.length}`);
+    printNumbers('  ', diff.joined.map(member => member.number));
+    console.log(`➖ Left: ${diff.left.length}`);
+    printNumbers('  ', diff.left.map(member => member.number));
+    if (diff.roleChanged.length > 0) {
+        console.log(`🔁 Role changes: ${diff.roleChanged.length}`);
+        diff.roleChanged.forEach(change => console.log(`      ${change.number}: ${change.from} → ${change.to}`));
+    }
+}
+
+// Function to print up to ten numbers of a list
+function printNumbers(marker, numbers) {
+    numbers.slice(0, 10).forEach(number => console.log(`      ${marker} ${number}`));
+    if (numbers.length > 10) {
+        console.log(`      ... and ${numbers.length - 10} more`);
+    }
+}
+
+// Function to format an ISO timestamp for the reports
+function formatTime(iso) {
+    return iso.slice(0, 16).replace('T', ' ');
+}
+
+// Run directly: node membership-history.js
+if (require.main === module) {
+    const client = session.createClient();
+
+    console.log('🚀 Starting WhatsApp Membership History...');
+
+    session.ready(client)
+        .then(async () => {
+            const snapshot = await takeSnapshot(client, GROUP_ID);
+            if (snapshot) {
+                printTimeline(GROUP_ID);
+            }
+        })
+        .then(() => session.shutdown(0))
+        .catch(session.fail);
+}
+
+module.exports = {
+    takeSnapshot,
+    recordGroupSnapshot,
+    importSnapshots,
+    listSnapshots,
+    diffSnapshots,
+    printTimeline,
+    findNumber
+};
@@ -0,0 +1,381 @@
+const session = require('./lib/session');
+const { getGroups, isSelfAdmin, selectGroups } = require('./lib/groups');
+const { normalizeList, normalizePhoneNumber, reportInvalid } = require('./lib/phone');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const { sendWithAttachment } = require('./lib/media');
+const { loadTemplate } = require('./lib/template');
+const { addParticipantsToGroup } = require('./add-participants-to-group');
+const { removeInactiveParticipants } = require('./remove-inactive-from-group');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * WhatsApp Multi-Group Batch Operations
+ *
+ * @description
+ * Runs one add, remove or post across several related groups (e.g. the
+ * original "SLOT UPDATES ONLY" group and "Slots Update") instead of one
+ * TARGET_GROUP_ID at a time. Groups are picked by a list of IDs, by a name
+ * pattern, or all at once - "remove this number from every group where I'm
+ * admin" is `wga multi remove --all --number +91...`. Every group is processed
+ * by the same add/remove code as the single-group tools, one group after the
+ * other, on one shared rate limiter, so the daily caps cover the whole run.
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Set GROUP_IDS (or GROUP_NAME_PATTERN), OPERATION and NUMBERS_FILE
+ * 2. Run: node multi-group.js (or: wga multi remove --match "slot*" --input numbers.json --dry-run)
+ * 3. Check the combined multi_<operation>_results_*.json
+ *
+ * @configuration
+ * - GROUP_IDS: Groups to act on (bare or serialized IDs)
+ * - GROUP_NAME_PATTERN: Or a name pattern, used when GROUP_IDS is empty (see lib/groups.js selectGroups)
+ * - OPERATION: 'add', 'remove' or 'post'
+ * - NUMBERS_FILE: JSON array of numbers to add or remove
+ * - MESSAGE_FILE: Message to post (post), or the invite/removal notice (add/remove; optional)
+ *
+ * @output
+ * - The usual add_results_* / removal_results_* file per group
+ * - multi_<operation>_results_YYYY-MM-DDTHH-MM-SS.json: combined report with
+ *   one entry per group (status, reason, counts, results file) and one entry
+ *   per number with its outcome in every group, e.g.
+ *   `{ "number": "+918299722296", "groups": [{ "groupName": "Slots Update", "status": "removed" },
+ *     { "groupName": "SLOT UPDATES ONLY", "status": "not_in_group" }] }`
+ *
+ * @notes
+ * - Adds and removals skip groups where you are not an admin, and groups where
+ *   there is nothing to do (every number already in, or none of them a member)
+ * - Posting goes to every selected group; groups where only admins may post
+ *   fail for non-admins and are reported as failed
+ * - An interrupted run leaves a journal per group; resume those groups one by
+ *   one with wga members add/remove --resume
+ *
+ * @see add-participants-to-group.js, remove-inactive-from-group.js - The per-group operations
+ */
+
+// Configuration
+const GROUP_IDS = []; // e.g. ["120363401616166216", "120363415434456792"]
+const GROUP_NAME_PATTERN = null; // e.g. "slot*update*"
+const OPERATION = 'remove';
+const NUMBERS_FILE = 'remove-dummy.json';
+const MESSAGE_FILE = null;
+
+const OPERATIONS = ['add', 'remove', 'post'];
+
+// Per-number statuses for numbers a group's results file lists outside `results`
+const LISTED_STATUSES = {
+    alreadyInGroup: 'already_in_group',
+    notInGroup: 'not_in_group',
+    unregistered: 'not_on_whatsapp'
+};
+
+/**
+ * Run one operation across several groups.
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} options
+ * @param {'add'|'remove'|'post'} options.operation
+ * @param {string[]} [options.groupIds] - Groups by ID
+ * @param {string} [options.pattern] - Or groups by name pattern
+ * @param {boolean} [options.all] - Or every group
+ * @param {Array<string|{number: string, reason?: string}>} [options.participants] - Numbers to add or remove;
+ *   a removal entry's reason is used in its notice (as in remove-inactive-from-group.js)
+ * @param {object} [options.template] - Parsed message: the post (required for post), or the invite/removal notice
+ * @param {object} [options.variables] - Extra template variables
+ * @param {object} [options.attachment] - From lib/media loadAttachment
+ * @param {boolean} [options.notify=false] - Notify removed members (remove)
+ * @param {string} [options.defaultCountry]
+ * @param {boolean} [options.checkRegistration]
+ * @param {number} [options.delay] - Base delay of the shared rate limiter
+ * @param {object} [options.limiter] - Shared rate limiter (created if omitted)
+ * @param {boolean} [options.dryRun=false]
+ * @param {Function} [options.onProgress] - Called after each group with {done, total, result}
+ * @param {AbortSignal} [options.signal] - Stop before the next group (or number) when aborted
+ * @returns {Promise<object>} Summary with the combined results file
+ */
+async function runMultiGroup(client, options) {
+    const operation = options.operation;
+    if (!OPERATIONS.includes(operation)) {
+        throw new Error(`Unknown operation "${operation}" (use ${OPERATIONS.join(', ')})`);
+    }
+    if (operation === 'post' && !options.template) {
+        throw new Error('Posting needs a message');
+    }
+    if (!options.all && !(options.groupIds && options.groupIds.length > 0) && !options.pattern) {
+        throw new Error('Choose the groups by ID, by name pattern, or all');
+    }
+    const dryRun = Boolean(options.dryRun);
+    const limiter = options.limiter || createRateLimiter({ baseDelay: options.delay });
+
+    let numbers = [];
+    let entries = [];
+    let invalid = [];
+    if (operation !== 'post') {
+        // Entries may carry a per-member removal reason (generate-inactive-list.js), kept for the removal notices
+        const given = (options.participants || []).map(entry => (entry !== null && typeof entry === 'object' ? entry : { number: entry }));
+        const normalized = normalizeList(given.map(entry => entry.number), { defaultCountry: options.defaultCountry });
+        reportInvalid(normalized.invalid, 'number list');
+        numbers = normalized.valid;
+        entries = given.filter(entry => normalizePhoneNumber(entry.number, { defaultCountry: options.defaultCountry }));
+        invalid = normalized.invalid;
+        if (numbers.length === 0) {
+            throw new Error('No valid numbers to process');
+        }
+    }
+
+    const allGroups = await getGroups(client);
+    const selection = options.all ? { groups: allGroups, missing: [] } : selectGroups(allGroups, options);
+    selection.missing.forEach(id => console.log(`⚠️  Not a member of ${id} - skipped`));
+    if (selection.groups.length === 0) {
+        throw new Error(options.pattern ? `No group name matches "${options.pattern}"` : 'No groups selected');
+    }
+
+    if (operation === 'post') {
+        // Same message everywhere: a missing variable would fail every group, so stop before the first post
+        options.template.render({ groupName: selection.groups[0].name, ...options.variables });
+    }
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`📋 ${operation.toUpperCase()} ACROSS ${selection.groups.length} GROUPS${dryRun ? ' (DRY RUN)' : ''}:`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    selection.groups.forEach((group, index) => {
+        console.log(`${index + 1}. ${group.name}${isSelfAdmin(client, group) ? ' 👑' : ''} (${(group.participants || []).length} participants)`);
+    });
+    if (operation !== 'post') {
+        console.log(`📱 ${numbers.length} number${numbers.length === 1 ? '' : 's'} to ${operation}`);
+    }
+
+    const groupReports = [];
+    // number → [{groupId, groupName, status}]
+    const outcomes = new Map(numbers.map(number => [number, []]));
+    let cancelled = false;
+
+    for (let i = 0; i < selection.groups.length; i++) {
+        const group = selection.groups[i];
+        const report = { groupId: group.id._serialized, groupName: group.name, status: 'done', reason: null, resultsFile: null, counts: {} };
+        groupReports.push(report);
+
+        if (cancelled || (options.signal && options.signal.aborted)) {
+            cancelled = true;
+            report.status = 'not_started';
+            report.reason = 'cancelled';
+            outcomes.forEach(groups => groups.push({ groupId: report.groupId, groupName: report.groupName, status: 'not_started' }));
+            continue;
+        }
+        console.log(`\n━━ [${i + 1}/${selection.groups.length}] ${group.name} ━━`);
+
+        try {
+            if (operation === 'post') {
+                Object.assign(report, await postToGroup(client, group, options, limiter, dryRun));
+            } else {
+                await runInGroup(client, group, { numbers, entries }, options, limiter, report, outcomes);
+            }
+        } catch (error) {
+            report.status = 'failed';
+            report.reason = error.message;
+            console.error(`❌ ${group.name}: ${error.message}`);
+            outcomes.forEach(groups => {
+                if (!groups.some(outcome => outcome.groupId === report.groupId)) {
+                    groups.push({ groupId: report.groupId, groupName: report.groupName, status: 'failed' });
+                }
+            });
+        }
+        if (report.status === 'cancelled') {
+            cancelled = true;
+        }
+        if (options.onProgress) {
+            options.onProgress({ done: i + 1, total: selection.groups.length, result: { status: report.status } });
+        }
+    }
+
+    return saveReport({
+        operation,
+        dryRun,
+        cancelled,
+        selection: options.all ? { all: true } : { groupIds: options.groupIds || [], pattern: options.pattern || null },
+        groupReports,
+        outcomes,
+        invalid,
+        limiter
+    });
+}
+
+// Function to add or remove the numbers in one group, folding its results into the combined report
+async function runInGroup(client, group, { numbers, entries }, options, limiter, report, outcomes) {
+    const note = (number, status) => outcomes.get(number).push({ groupId: report.groupId, groupName: report.groupName, status });
+
+    if (!isSelfAdmin(client, group)) {
+        report.status = 'skipped';
+        report.reason = 'not an admin';
+        numbers.forEach(number => note(number, 'skipped_not_admin'));
+        console.log(`⏭️  Not an admin of ${group.name} - skipped`);
+        return;
+    }
+
+    const members = new Set((group.participants || []).map(participant => `+${participant.id.user}`));
+    const nothingToDo = () => {
+        const status = options.operation === 'add' ? 'already_in_group' : 'not_in_group';
+        report.status = 'skipped';
+        report.reason = options.operation === 'add' ? 'every number is already a member' : 'none of the numbers is a member';
+        numbers.forEach(number => note(number, status));
+        console.log(`⏭️  ${report.reason} - nothing to do`);
+    };
+    const toProcess = numbers.filter(number => (options.operation === 'add') !== members.has(number));
+    if (toProcess.length === 0) {
+        nothingToDo();
+        return;
+    }
+
+    const common = {
+        groupId: report.groupId,
+        variables: options.variables,
+        attachment: options.attachment,
+        defaultCountry: options.defaultCountry,
+        checkRegistration: options.checkRegistration,
+        dryRun: options.dryRun,
+        limiter,
+        signal: options.signal
+    };
+    const summary = options.operation === 'add'
+        ? await addParticipantsToGroup(client, { ...common, participants: numbers, inviteTemplate: options.template })
+        : await removeInactiveParticipants(client, { ...common, participants: entries, notify: Boolean(options.notify), notificationTemplate: options.template });
+    if (!summary) {
+        // The membership changed since the check above
+        nothingToDo();
+        return;
+    }
+
+    report.resultsFile = summary.resultsFile;
+    if (summary.cancelled) {
+        report.status = 'cancelled';
+        report.reason = 'cancelled - resume from the group journal';
+    }
+
+    // Each number's outcome in this group, from the group's own results file
+    const results = JSON.parse(fs.readFileSync(summary.resultsFile, 'utf8'));
+    const seen = new Set();
+    (results.results || []).forEach(result => {
+        if (outcomes.has(result.number) && !seen.has(result.number)) {
+            seen.add(result.number);
+            note(result.number, result.status);
+        }
+    });
+    Object.entries(LISTED_STATUSES).forEach(([key, status]) => {
+        (results[key] || []).filter(number => outcomes.has(number) && !seen.has(number)).forEach(number => {
+            seen.add(number);
+            note(number, status);
+        });
+    });
+    numbers.filter(number => !seen.has(number)).forEach(number => note(number, summary.cancelled ? 'not_processed' : 'unknown'));
+}
+
+// Function to post the message into one group
+async function postToGroup(client, group, options, limiter, dryRun) {
+    const text = options.template.render({ groupName: group.name, ...options.variables });
+    if (dryRun) {
+        console.log(`🧪 DRY RUN - would post:\n${text}`);
+        return { status: 'planned' };
+    }
+    if (!await limiter.wait('message', options.signal)) {
+        return { status: 'cancelled', reason: 'cancelled' };
+    }
+    try {
+        const sent = await sendWithAttachment(client, group.id._serialized, text, options.attachment);
+        limiter.record('message', true);
+        console.log(`✅ Posted to ${group.name}`);
+        return { status: 'posted', attachment: sent.attachment };
+    } catch (error) {
+        limiter.record('message', false);
+        throw error;
+    }
+}
+
+// Function to write the combined report and print the per-group and per-number summary
+function saveReport({ operation, dryRun, cancelled, selection, groupReports, outcomes, invalid, limiter }) {
+    groupReports.forEach(report => {
+        outcomes.forEach(groups => {
+            const entry = groups.find(outcome => outcome.groupId === report.groupId);
+            if (entry) {
+                report.counts[entry.status] = (report.counts[entry.status] || 0) + 1;
+            }
+        });
+    });
+    const numbers = [...outcomes].map(([number, groups]) => ({ number, groups }));
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const resultsFile = `multi_${operation}_results_${timestamp}.json`;
+    fs.writeFileSync(resultsFile, JSON.stringify({
+        operation,
+        timestamp: new Date().toISOString(),
+        dryRun,
+        cancelled,
+        selection,
+        groupCount: groupReports.length,
+        groups: groupReports,
+        numbers,
+        invalidNumbers: invalid,
+        rateLimit: limiter.summary()
+    }, null, 2));
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`📊 MULTI-GROUP ${operation.toUpperCase()} - SUMMARY${dryRun ? ' (DRY RUN)' : ''}:`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    const icons = { done: '✅', posted: '✅', planned: '🧪', skipped: '⏭️ ', failed: '❌', cancelled: '⏹️ ', not_started: '⏹️ ' };
+    groupReports.forEach(report => {
+        const counts = Object.entries(report.counts).map(([status, count]) => `${status}: ${count}`).join(', ');
+        console.log(`${icons[report.status] || '•'} ${report.groupName} - ${report.status}${report.reason ? ` (${report.reason})` : ''}${counts ? ` - ${counts}` : ''}`);
+    });
+    if (numbers.length > 0 && numbers.length <= 20) {
+        console.log('\n📱 Per number:');
+        numbers.forEach(({ number, groups }) => {
+            console.log(`   ${number}: ${groups.map(outcome => `${outcome.groupName} → ${outcome.status}`).join(', ')}`);
+        });
+    }
+    console.log(`\n📁 Combined results saved to: ${resultsFile}`);
+
+    return {
+        resultsFile,
+        operation,
+        dryRun,
+        cancelled,
+        groupCount: groupReports.length,
+        processedCount: groupReports.filter(report => ['done', 'posted', 'planned'].includes(report.status)).length,
+        skippedCount: groupReports.filter(report => report.status === 'skipped').length,
+        failedCount: groupReports.filter(report => report.status === 'failed').length
+    };
+}
+
+// Run directly: node multi-group.js
+if (require.main === module) {
+    let participants = [];
+    let template;
+    try {
+        if (OPERATION !== 'post') {
+            participants = JSON.parse(fs.readFileSync(NUMBERS_FILE, 'utf8'));
+            console.log(`📱 Loaded ${participants.length} numbers from ${NUMBERS_FILE}`);
+        }
+        template = MESSAGE_FILE ? loadTemplate(path.resolve(MESSAGE_FILE)) : undefined;
+    } catch (error) {
+        console.error('❌ Error loading input:', error.message);
+        process.exit(1);
+    }
+
+    const client = session.createClient();
+
+    console.log('🚀 Starting WhatsApp Multi-Group Batch...');
+
+    session.ready(client)
+        .then(() => runMultiGroup(client, {
+            operation: OPERATION,
+            groupIds: GROUP_IDS,
+            pattern: GROUP_NAME_PATTERN,
+            participants,
+            template
+        }))
+        .then(() => session.shutdown(0))
+        .catch(session.fail);
+}
+
+module.exports = { runMultiGroup, OPERATIONS };
@@ -0,0 +1,323 @@
+/**
+ * WhatsApp Group Actions - dashboard page
+ *
+ * Plain browser script, no build step: it talks to the local HTTP API
+ * (api-server.js) with fetch and redraws the page from what it gets back.
+ * The login panel is shown until /session reports 'ready'; after that the
+ * groups, participants and jobs are loaded, and the job list is polled while
+ * the page is open.
+ */
+(function () {
+    'use strict';
+
+    const SESSION_POLL = 2000;
+    const JOBS_POLL = 1500;
+    const TOKEN_KEY = 'wga-api-token';
+
+    const state = {
+        groups: [],
+        group: null,
+        participants: [],
+        selected: new Set(),
+        sort: { key: 'index', ascending: true },
+        ready: false
+    };
+
+    const $ = (id) => document.getElementById(id);
+
+    // Function to call the API, asking for the token when the server wants one
+    async function api(method, url, body) {
+        const headers = {};
+        const token = localStorage.getItem(TOKEN_KEY);
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const res = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        if (res.status === 401) {
+            const entered = window.prompt('API token (WGA_API_TOKEN):', '');
+            if (entered === null) throw new Error('An API token is needed');
+            localStorage.setItem(TOKEN_KEY, entered.trim());
+            return api(method, url, body);
+        }
+        if (res.headers.get('Content-Disposition')) {
+            return res;
+        }
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `${res.status} ${res.statusText}`);
+        return data;
+    }
+
+    // Function to build an element with text and attributes
+    function el(tag, attributes, text) {
+        const node = document.createElement(tag);
+        Object.entries(attributes || {}).forEach(([name, value]) => {
+            if (name === 'className') node.className = value;
+            else node.setAttribute(name, value);
+        });
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    // Function to show the login panel or the app, polling until the client is ready
+    async function pollSession() {
+        let session;
+        try {
+            session = await api('GET', '/session');
+        } catch (error) {
+            $('login').hidden = false;
+            $('login-status').textContent = `⚠️ ${error.message}`;
+            setTimeout(pollSession, SESSION_POLL);
+            return;
+        }
+
+        if (session.status === 'ready') {
+            $('login').hidden = true;
+            $('app').hidden = false;
+            $('account').textContent = session.account
+                ? `✅ ${session.account.name || ''} ${session.account.number}`.trim()
+                : '✅ Connected';
+            if (!state.ready) {
+                state.ready = true;
+                loadGroups();
+                pollJobs();
+            }
+        } else {
+            state.ready = false;
+            $('app').hidden = true;
+            $('login').hidden = false;
+            $('account').textContent = '';
+            const messages = {
+                starting: 'Starting WhatsApp Web…',
+                qr: 'Scan this QR code with WhatsApp:',
+                authenticated: '✅ Scanned - loading your chats…',
+                auth_failure: '❌ Authentication failed - restart the dashboard',
+                disconnected: '⚠️ Disconnected - restart the dashboard'
+            };
+            $('login-status').textContent = messages[session.status] || session.status;
+            $('qr').innerHTML = session.status === 'qr' && session.qr ? session.qr : '';
+        }
+        setTimeout(pollSession, SESSION_POLL);
+    }
+
+    // Function to load the group list
+    async function loadGroups() {
+        try {
+            state.groups = await api('GET', '/groups');
+            renderGroups();
+        } catch (error) {
+            $('groups').replaceChildren(el('li', { className: 'error' }, error.message));
+        }
+    }
+
+    function renderGroups() {
+        const filter = $('group-search').value.trim().toLowerCase();
+        const items = state.groups
+            .filter(group => !filter || group.name.toLowerCase().includes(filter))
+            .map(group => {
+                const item = el('li', { className: state.group && state.group.id === group.id ? 'active' : '' });
+                item.append(
+                    el('span', { className: 'name' }, group.name),
+                    el('span', { className: 'count' }, group.participantCount === null ? '?' : String(group.participantCount))
+                );
+                if (group.isAdmin) item.append(el('span', { className: 'badge', title: 'You are an admin' }, '👑'));
+                item.addEventListener('click', () => selectGroup(group));
+                return item;
+            });
+        $('groups').replaceChildren(...items);
+    }
+
+    // Function to open a group's participant table
+    async function selectGroup(group) {
+        state.group = group;
+        state.selected.clear();
+        renderGroups();
+        $('group-title').textContent = `${group.name} ${group.isAdmin ? '👑' : ''}`;
+        $('job-group').textContent = `Group: ${group.name}`;
+        $('participant-count').textContent = 'Loading…';
+        $('participant-tools').hidden = false;
+        $('export-buttons').hidden = false;
+        try {
+            const data = await api('GET', `/groups/${encodeURIComponent(group.id)}/participants`);
+            state.participants = data.participants.map((participant, index) => ({ ...participant, index: index + 1 }));
+            state.unresolved = data.unresolved;
+            renderParticipants();
+        } catch (error) {
+            state.participants = [];
+            renderParticipants();
+            $('participant-count').textContent = `⚠️ ${error.message}`;
+        }
+    }
+
+    // Function to get the participants matching the search and role filter, in table order
+    function visibleParticipants() {
+        const search = $('participant-search').value.replace(/[^\d]/g, '');
+        const role = $('role-filter').value;
+        const { key, ascending } = state.sort;
+        return state.participants
+            .filter(participant => !search || participant.number.includes(search))
+            .filter(participant => !role || (role === 'admin' ? participant.role !== 'member' : participant.role === 'member'))
+            .sort((a, b) => {
+                const order = key === 'index' ? a.index - b.index : String(a[key]).localeCompare(String(b[key]));
+                return ascending ? order : -order;
+            });
+    }
+
+    function renderParticipants() {
+        const rows = visibleParticipants().map(participant => {
+            const row = el('tr');
+            const box = el('input', { type: 'checkbox' });
+            box.checked = state.selected.has(participant.number);
+            box.addEventListener('change', () => {
+                if (box.checked) state.selected.add(participant.number);
+                else state.selected.delete(participant.number);
+                updateSelection();
+            });
+            const check = el('td');
+            check.append(box);
+            row.append(check, el('td', {}, String(participant.index)), el('td', {}, participant.number), el('td', { className: participant.role }, participant.role));
+            return row;
+        });
+        $('participants').querySelector('tbody').replaceChildren(...rows);
+        $('participants').hidden = false;
+        document.querySelectorAll('#participants th[data-sort]').forEach(header => {
+            header.classList.toggle('sorted', header.dataset.sort === state.sort.key);
+            header.classList.toggle('descending', header.dataset.sort === state.sort.key && !state.sort.ascending);
+        });
+        const unresolved = state.unresolved ? ` (${state.unresolved} without a visible number)` : '';
+        $('participant-count').textContent = `${rows.length} of ${state.participants.length} shown${unresolved}`;
+        updateSelection();
+    }
+
+    function updateSelection() {
+        $('use-selected').disabled = state.selected.size === 0;
+        $('use-selected').textContent = state.selected.size ? `Use ${state.selected.size} selected in job` : 'Use selected in job';
+    }
+
+    // Function to download an export, keeping the file name the server chose
+    async function exportParticipants(format) {
+        try {
+            const res = await api('GET', `/groups/${encodeURIComponent(state.group.id)}/export?format=${format}`);
+            const name = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition'));
+            const link = el('a', { href: URL.createObjectURL(await res.blob()), download: name ? name[1] : `participants.${format}` });
+            document.body.append(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            window.alert(`Export failed: ${error.message}`);
+        }
+    }
+
+    // Function to start a job from the form
+    async function submitJob(event) {
+        event.preventDefault();
+        $('job-error').textContent = '';
+        const type = $('job-type').value;
+        const numbers = $('job-numbers').value.split(/[\s,;]+/).map(number => number.trim()).filter(Boolean);
+        const body = { numbers, dryRun: $('job-dry-run').checked };
+        const message = $('job-message').value;
+        if (message.trim()) body.message = message;
+
+        try {
+            if (numbers.length === 0) throw new Error('Enter at least one phone number');
+            if (type === 'broadcast') {
+                if (!body.message) throw new Error('A broadcast needs a message');
+                await api('POST', '/messages/broadcast', body);
+            } else {
+                if (!state.group) throw new Error('Select a group first');
+                const url = `/groups/${encodeURIComponent(state.group.id)}/participants`;
+                if (type === 'remove') body.notify = $('job-notify').checked;
+                await api(type === 'add' ? 'POST' : 'DELETE', url, body);
+            }
+            refreshJobs();
+        } catch (error) {
+            $('job-error').textContent = `⚠️ ${error.message}`;
+        }
+    }
+
+    // Function to keep the job list current while the page is open
+    async function pollJobs() {
+        await refreshJobs();
+        setTimeout(pollJobs, JOBS_POLL);
+    }
+
+    async function refreshJobs() {
+        let jobs;
+        try {
+            jobs = await api('GET', '/jobs');
+        } catch (error) {
+            return;
+        }
+        const icons = { queued: '⏳', running: '🔄', completed: '✅', failed: '❌', cancelled: '⏹️' };
+        const items = jobs.map(job => {
+            const item = el('li', { className: job.status });
+            const title = [job.type, job.params.schedule && `⏰ ${job.params.schedule}`, job.params.groupName].filter(Boolean).join(' - ');
+            const header = el('div', { className: 'row' });
+            header.append(el('strong', {}, `${icons[job.status] || ''} ${title}`));
+            if (job.params.dryRun) header.append(el('span', { className: 'badge' }, 'dry run'));
+            header.append(el('span', { className: 'spacer' }));
+            if (job.status === 'queued' || (job.status === 'running' && !job.cancelRequested)) {
+                const cancel = el('button', {}, 'Cancel');
+                cancel.addEventListener('click', async () => {
+                    cancel.disabled = true;
+                    try {
+                        await api('POST', `/jobs/${job.id}/cancel`);
+                    } catch (error) {
+                        window.alert(error.message);
+                    }
+                    refreshJobs();
+                });
+                header.append(cancel);
+            } else if (job.cancelRequested && job.status === 'running') {
+                header.append(el('span', { className: 'muted' }, 'stopping…'));
+            }
+            item.append(header);
+
+            const { done, total, statuses } = job.progress;
+            const bar = el('progress', { max: String(total || 1) });
+            bar.value = total ? done : 0;
+            const counts = Object.entries(statuses).map(([status, count]) => `${status}: ${count}`).join(', ');
+            item.append(bar, el('div', { className: 'muted' }, `${done}/${total === null ? '?' : total}${counts ? ` - ${counts}` : ''}`));
+
+            if (job.error) item.append(el('div', { className: 'error' }, job.error));
+            if (job.result && job.result.resultsFile) item.append(el('div', { className: 'muted' }, `📄 ${job.result.resultsFile}`));
+            return item;
+        });
+        $('jobs').replaceChildren(...items);
+    }
+
+    // Function to show the fields that apply to the chosen job type
+    function updateJobForm() {
+        $('job-notify-label').hidden = $('job-type').value !== 'remove';
+    }
+
+    $('group-search').addEventListener('input', renderGroups);
+    $('participant-search').addEventListener('input', renderParticipants);
+    $('role-filter').addEventListener('change', renderParticipants);
+    document.querySelectorAll('#participants th[data-sort]').forEach(header => {
+        header.addEventListener('click', () => {
+            const key = header.dataset.sort;
+            state.sort = { key, ascending: state.sort.key === key ? !state.sort.ascending : true };
+            renderParticipants();
+        });
+    });
+    $('select-all').addEventListener('change', (event) => {
+        visibleParticipants().forEach(participant => {
+            if (event.target.checked) state.selected.add(participant.number);
+            else state.selected.delete(participant.number);
+        });
+        renderParticipants();
+    });
+    $('use-selected').addEventListener('click', () => {
+        $('job-numbers').value = [...state.selected].join('\n');
+        $('job-numbers').focus();
+    });
+    document.querySelectorAll('#export-buttons button').forEach(button => {
+        button.addEventListener('click', () => exportParticipants(button.dataset.format));
+    });
+    $('job-type').addEventListener('change', updateJobForm);
+    $('job-form').addEventListener('submit', submitJob);
+
+    updateJobForm();
+    pollSession();
+})();
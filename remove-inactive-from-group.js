@@ -1,6 +1,14 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const qrcode = require('qrcode-terminal');
+const session = require('./lib/session');
+const { findGroup, isSelfAdmin } = require('./lib/groups');
+const { openJournal } = require('./lib/journal');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const { loadTemplate, renderForRecipients } = require('./lib/template');
+const { getContactName } = require('./lib/contacts');
+const { loadAttachment, sendWithAttachment } = require('./lib/media');
+const { normalizeList, normalizePhoneNumber, reportInvalid, toChatId } = require('./lib/phone');
+const { checkRegistration } = require('./lib/registration');
 const fs = require('fs');
+const path = require('path');
 
 /**
  * WhatsApp Group Manager - Remove Inactive Participants
@@ -12,8 +20,7 @@ const fs = require('fs');
  * @author Your Name
  * @version 1.0.0
  * 
- * @requires whatsapp-web.js - WhatsApp Web API client
- * @requires qrcode-terminal - For displaying QR codes in terminal
+ * @requires ./lib/session - Shared WhatsApp client (one QR scan for every tool)
  * @requires fs - File system operations (built-in Node.js module)
  * 
  * @prerequisites
@@ -24,13 +31,14 @@ const fs = require('fs');
  * 
  * @setup
  * 1. Install dependencies: `npm install whatsapp-web.js qrcode-terminal`
- * 2. Configure TARGET_GROUP_ID with your group's ID (see configuration section)
+ * 2. Configure GROUP_ID with your group's ID (see configuration section)
  * 3. Set INACTIVE_PARTICIPANTS_FILE to point to your JSON file with phone numbers
  * 4. Ensure your JSON file contains an array of phone numbers with + prefix
  *    Example: ["+1234567890", "+0987654321"]
  * 
  * @usage
  * 1. Run the script: `node remove-inactive-from-group.js`
+ *    (or without editing this file: `wga members remove --group <id> --input <file> [--notify]`)
  * 2. Scan the QR code with WhatsApp Web
  * 3. Wait for authentication and group processing
  * 4. The script will automatically:
@@ -41,19 +49,27 @@ const fs = require('fs');
  *    - Generate a results file with timestamps
  * 
  * @configuration
- * - TARGET_GROUP_ID: The WhatsApp group ID (find using export-all-groups-info.js)
- * - INACTIVE_PARTICIPANTS_FILE: Path to JSON file with phone numbers to remove
- * - REMOVAL_MESSAGE: Customize the notification message sent to removed users
+ * - GROUP_ID: The WhatsApp group ID (find using export-all-groups-info.js)
+ * - INACTIVE_PARTICIPANTS_FILE: Path to JSON file with phone numbers to remove (any format, see lib/phone.js),
+ *   or the `{ number, reason }` list written by generate-inactive-list.js (each reason becomes {{removalReason}})
+ * - DEFAULT_COUNTRY: Country for numbers written without a country code (e.g. 'IN')
+ * - REMOVAL_TEMPLATE_FILE: Template of the notification sent to removed users
+ *   (variables: {{groupName}}, {{name}}, {{removalReason}}, {{adminContact}}, see lib/template.js)
+ * - ADMIN_CONTACT: Number removed users can message, used as {{adminContact}}
+ * - ATTACHMENT_FILE: Image, PDF or voice note sent with the notification (see lib/media.js)
  * - SEND_NOTIFICATIONS: Boolean to control whether notifications are sent
+ * - CHECK_REGISTRATION: Look notified numbers up first; those not on WhatsApp are removed without a notification
+ * - DRY_RUN: Preview the plan (results file with `planned_removal` statuses) without changing anything
  * 
  * @output
  * - Console logs with real-time progress and statistics
  * - JSON results file: `removal_results_YYYY-MM-DDTHH-MM-SS.json`
+ * - Journal file: `remove_journal_YYYY-MM-DDTHH-MM-SS.jsonl` (one line per number, written as it happens)
  * - Summary report with success/failure counts and notification status
  * 
  * @safety
  * - Script includes admin verification before proceeding
- * - Optimized delays between removals to avoid rate limiting
+ * - Randomized delays, hourly/daily caps and error backoff (lib/rate-limiter.js)
  * - Separate tracking for removals vs notification delivery
  * - Graceful error handling for failed operations
  * - Automatically skips participants who are already not in the group
@@ -63,7 +79,7 @@ const fs = require('fs');
  * - Requires admin privileges in the target group
  * - Phone numbers must include country code with + prefix
  * - Results are automatically saved with timestamps
- * - Script can be interrupted safely with Ctrl+C
+ * - Script can be interrupted safely with Ctrl+C; set RESUME_JOURNAL (or pass --resume) to continue
  * 
  * @example
  * ```bash
@@ -81,340 +97,373 @@ const fs = require('fs');
 // Configuration
 const GROUP_ID = "120363415434456792"; // Refused IN Fall 25 intake (Post Jan, 25) - SLOT UPDATES ONLY
 const INACTIVE_PARTICIPANTS_FILE = 'inactive_participants.json';
+const DEFAULT_COUNTRY = null; // e.g. 'IN' to accept local numbers like 09876543210
 const SEND_NOTIFICATIONS = false; // Set to true to enable notification messages
+const CHECK_REGISTRATION = true; // Do not notify numbers that are not on WhatsApp (listed under `unregistered` in the results)
+const DRY_RUN = false; // Set to true to preview the plan without removing or messaging anyone
+const RESUME_JOURNAL = null; // Set to a remove_journal_*.jsonl file to continue an interrupted run
+const ATTACHMENT_FILE = null; // Set to an image/PDF/voice note to send with notifications
+const ADMIN_CONTACT = '+918686804860'; // Shown in the notification as {{adminContact}}
 
 // Timing Configuration (milliseconds)
+// Pacing between removals/notifications is handled by lib/rate-limiter.js (jitter, caps, backoff)
 const DELAYS = {
-    VERIFICATION: 1000,     // Wait after removal before checking if it worked
-    PRE_NOTIFICATION: 500,  // Wait before sending notification message  
-    BETWEEN_REMOVALS: 2000, // Main rate limiting - wait between each removal
-    AFTER_FAILURE: 1000     // Wait after failed attempts
+    VERIFICATION: 1000      // Wait after removal before checking if it worked
 };
 
-// Load inactive participants to remove
-const TARGET_GROUP_ID = `${GROUP_ID}@g.us`;
-let inactive_participants = [];
-try {
-    inactive_participants = JSON.parse(fs.readFileSync(INACTIVE_PARTICIPANTS_FILE, 'utf8'));
-    console.log(`📱 Loaded ${inactive_participants.length} inactive participants to remove`);
-} catch (error) {
-    console.error(`❌ Error loading ${INACTIVE_PARTICIPANTS_FILE}:`, error.message);
-    process.exit(1);
-}
+// Template of the notification sent to removed participants
+const REMOVAL_TEMPLATE_FILE = path.join(__dirname, 'templates', 'removal.txt');
 
-// Create a new client instance
-const client = new Client({
-    authStrategy: new LocalAuth({
-        clientId: "whatsapp-group-manager"
-    }),
-    puppeteer: {
-        headless: true,
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-        ],
-        timeout: 60000
+/**
+ * Remove participants from a group, optionally notifying each removed member.
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} options
+ * @param {string} options.groupId - Target group ID (bare or ending in @g.us)
+ * @param {Array<string|{number: string, reason?: string}>} options.participants - Phone numbers, or entries with a
+ *   per-member reason (generate-inactive-list.js); normalized to E.164, invalid entries are reported and skipped
+ * @param {string} [options.defaultCountry] - Country for numbers without a country code
+ * @param {boolean} [options.notify=SEND_NOTIFICATIONS] - Notify removed members
+ * @param {object} [options.notificationTemplate] - Parsed notification template (defaults to REMOVAL_TEMPLATE_FILE)
+ * @param {object} [options.variables] - Extra template variables (e.g. removalReason, adminContact)
+ * @param {object} [options.attachment] - Attachment sent with notifications (from lib/media.js loadAttachment)
+ * @param {number} [options.delay] - Base delay between each removal (ms), jittered by the rate limiter
+ * @param {object} [options.limiter] - Shared rate limiter (created from options.delay if omitted)
+ * @param {boolean} [options.checkRegistration=true] - Pre-flight lookup before notifying; numbers not on WhatsApp are not messaged
+ * @param {boolean} [options.dryRun=false] - Do every lookup but remove/message nobody
+ * @param {string} [options.resume] - Journal of an interrupted run; numbers already processed are skipped
+ * @param {Function} [options.onProgress] - Called after each number with {done, total, result}
+ * @param {AbortSignal} [options.signal] - Stop before the next number when aborted (results are still written)
+ * @returns {Promise<object|undefined>} Summary with the results file; undefined when nothing was processed
+ * @throws {Error} When the group is not found, we are not an admin of it, a template variable is missing
+ *   or the run fails partway (numbers already processed are in the journal)
+ */
+async function removeInactiveParticipants(client, options) {
+    // Normalize input numbers to E.164 so they match the group's participant IDs
+    const entries = options.participants.map(entry => (entry !== null && typeof entry === 'object' ? entry : { number: entry }));
+    const normalized = normalizeList(entries.map(entry => entry.number), { defaultCountry: options.defaultCountry });
+    reportInvalid(normalized.invalid, 'participant list');
+    const inactive_participants = normalized.valid;
+    
+    // Per-member reasons override the shared {{removalReason}}
+    const reasons = new Map();
+    entries.forEach(entry => {
+        const number = entry.reason && normalizePhoneNumber(entry.number, { defaultCountry: options.defaultCountry });
+        if (number && !reasons.has(number)) {
+            reasons.set(number, entry.reason);
+        }
+    });
+    const sendNotifications = options.notify !== undefined ? options.notify : SEND_NOTIFICATIONS;
+    const removalTemplate = options.notificationTemplate || loadTemplate(REMOVAL_TEMPLATE_FILE);
+    const limiter = options.limiter || createRateLimiter({ baseDelay: options.delay });
+    const dryRun = Boolean(options.dryRun);
+    
+    const targetGroup = await findGroup(client, options.groupId);
+    if (!targetGroup) {
+        throw new Error(`Group ${options.groupId} not found`);
     }
-});
-
-// Formal notification message for removed participants
-const REMOVAL_MESSAGE = `Hey! 👋
-
-We noticed you haven't been active in the group for a while, so you've been removed to keep things fresh and relevant for everyone.
-
-If this was a mistake, message +918686804860 and explain your situation.
-
-Thanks for understanding!
-`;
-
-
-
-// Add loading progress indicators
-client.on('loading_screen', (percent, message) => {
-    console.log(`⏳ Loading: ${percent}% - ${message}`);
-});
-
-client.on('connecting', () => {
-    console.log('🔗 Connecting to WhatsApp Web...');
-});
-
-// Generate QR code for authentication
-client.on('qr', (qr) => {
-    console.log('📱 Scan the QR code below with your WhatsApp:');
-    qrcode.generate(qr, { small: true });
-    console.log('\n⏰ QR code expires in 20 seconds. Scan quickly!');
-});
-
-// Handle authentication
-client.on('authenticated', () => {
-    console.log('🔐 Authentication successful!');
-    console.log('⏳ Setting up client...');
-});
-
-client.on('auth_failure', (msg) => {
-    console.error('❌ Authentication failed:', msg);
-    console.log('💡 Try restarting the app and scanning a fresh QR code.');
-});
-
-// When client is ready, start removing participants
-client.on('ready', async () => {
-    console.log('✅ WhatsApp Web client is ready!');
-    console.log('🔍 Looking for target group...\n');
     
-    await removeInactiveParticipants();
-});
-
-// Function to find and remove inactive participants from group
-async function removeInactiveParticipants() {
-    try {
-        // Get all chats and find the target group
-        console.log('📋 Loading all chats...');
-        const chats = await client.getChats();
-        const groups = chats.filter(chat => chat.isGroup);
-        
-        console.log(`📱 Found ${groups.length} groups total`);
-        
-        // Find the specific group
-        const targetGroup = groups.find(group => group.id._serialized === TARGET_GROUP_ID);
-        
-        if (!targetGroup) {
-            console.error(`❌ Group "${TARGET_GROUP_ID}" not found!`);
-            console.log('\n📋 Available groups:');
-            groups.forEach((group, index) => {
-                console.log(`   ${index + 1}. ${group.name} (ID: ${group.id._serialized})`);
+    // Check if user is admin of the group
+    if (!isSelfAdmin(client, targetGroup)) {
+        throw new Error('You must be an admin of this group to remove participants');
+    }
+    
+    console.log('✅ You are an admin of this group');
+    
+    // Every outcome is journaled as it happens so an interrupted run can be resumed
+    const journal = openJournal({
+        operation: 'remove',
+        groupId: targetGroup.id._serialized,
+        resume: options.resume,
+        disabled: dryRun
+    });
+    
+    // Get current group participants (phone numbers only)
+    const currentParticipants = targetGroup.participants.map(p => `+${p.id.user}`);
+    
+    // Find which inactive participants are actually in the group (and not handled by the resumed run)
+    const participantsToRemove = inactive_participants.filter(phoneNumber => 
+        currentParticipants.includes(phoneNumber) && !journal.isDone(phoneNumber)
+    );
+    
+    const notInGroup = inactive_participants.filter(phoneNumber => 
+        !currentParticipants.includes(phoneNumber) && !journal.isDone(phoneNumber)
+    );
+    
+    console.log(`\n📊 ANALYSIS:`);
+    console.log(`   📱 Total inactive participants: ${inactive_participants.length}`);
+    console.log(`   ✅ Actually in group: ${participantsToRemove.length}`);
+    console.log(`   ❌ Not in group: ${notInGroup.length}`);
+    if (journal.previous.length > 0) {
+        console.log(`   ⏭️  Already processed (resumed): ${journal.previous.length}`);
+    }
+    
+    if (participantsToRemove.length === 0) {
+        console.log('\n🎉 No inactive participants found in the group! Nothing to remove.');
+        return;
+    }
+    
+    // Show participants that will be removed
+    console.log(`\n🚨 PARTICIPANTS TO BE REMOVED (${participantsToRemove.length}):`);
+    participantsToRemove.slice(0, 10).forEach((number, index) => {
+        console.log(`   ${index + 1}. ${number}`);
+    });
+    if (participantsToRemove.length > 10) {
+        console.log(`   ... and ${participantsToRemove.length - 10} more`);
+    }
+    
+    // Pre-flight: removal works from group membership, but notifications only go to numbers on WhatsApp
+    let registration = { registered: new Map(), unregistered: [], failed: [] };
+    if (sendNotifications && options.checkRegistration !== false) {
+        registration = await checkRegistration(client, participantsToRemove);
+    }
+    const shouldNotify = (phoneNumber) => sendNotifications && !registration.unregistered.includes(phoneNumber);
+    const chatIdFor = (phoneNumber) => registration.registered.get(phoneNumber) || toChatId(phoneNumber);
+    
+    // Render every notification up front so a missing template variable stops the run before anyone is touched
+    let notifications = new Map();
+    if (sendNotifications) {
+        const needsName = removalTemplate.variables.includes('name');
+        const recipients = [];
+        for (const phoneNumber of participantsToRemove.filter(shouldNotify)) {
+            const name = needsName ? await getContactName(client, chatIdFor(phoneNumber)) : undefined;
+            recipients.push({
+                number: phoneNumber,
+                variables: {
+                    adminContact: ADMIN_CONTACT,
+                    ...options.variables,
+                    ...(reasons.has(phoneNumber) ? { removalReason: reasons.get(phoneNumber) } : {}),
+                    groupName: targetGroup.name,
+                    name
+                }
             });
-            return;
-        }
-        
-        console.log(`✅ Found target group: "${targetGroup.name}"`);
-        console.log(`👥 Group has ${targetGroup.participants.length} participants`);
-        
-        // Check if user is admin of the group
-        const myId = client.info.wid._serialized;
-        const myParticipant = targetGroup.participants.find(p => p.id._serialized === myId);
-        
-        if (!myParticipant || !myParticipant.isAdmin) {
-            console.error('❌ You must be an admin of this group to remove participants!');
-            return;
         }
-        
-        console.log('✅ You are an admin of this group');
-        
-        // Get current group participants (phone numbers only)
-        const currentParticipants = targetGroup.participants.map(p => `+${p.id.user}`);
-        
-        // Find which inactive participants are actually in the group
-        const participantsToRemove = inactive_participants.filter(phoneNumber => 
-            currentParticipants.includes(phoneNumber)
-        );
-        
-        const notInGroup = inactive_participants.filter(phoneNumber => 
-            !currentParticipants.includes(phoneNumber)
-        );
-        
-        console.log(`\n📊 ANALYSIS:`);
-        console.log(`   📱 Total inactive participants: ${inactive_participants.length}`);
-        console.log(`   ✅ Actually in group: ${participantsToRemove.length}`);
-        console.log(`   ❌ Not in group: ${notInGroup.length}`);
-        
-        if (participantsToRemove.length === 0) {
-            console.log('\n🎉 No inactive participants found in the group! Nothing to remove.');
-            return;
+        notifications = renderForRecipients(removalTemplate, recipients);
+    }
+    
+    if (dryRun) {
+        console.log('\n🧪 DRY RUN: no one will be removed or messaged');
+    } else {
+        console.log('\n⚠️  WARNING: This will remove participants from the group!');
+    }
+    console.log('🔄 Starting removal process...\n');
+    
+    // Remove participants one by one
+    // Results of a resumed run carry over into this run's totals
+    let successCount = journal.previous.filter(r => r.status === 'removed').length;
+    let failCount = 0;
+    const results = [...journal.previous];
+    const totalToProcess = participantsToRemove.length + journal.previous.length;
+    
+    const recordResult = (result) => {
+        const entry = reasons.has(result.number) ? { ...result, reason: reasons.get(result.number) } : result;
+        results.push(entry);
+        journal.record(entry);
+        if (options.onProgress) {
+            options.onProgress({ done: results.length - journal.previous.length, total: participantsToRemove.length, result: entry });
         }
+    };
+    
+    let cancelled = false;
+    for (let i = 0; i < participantsToRemove.length; i++) {
+        const phoneNumber = participantsToRemove[i];
+        const progress = `[${i + 1}/${participantsToRemove.length}]`;
         
-        // Show participants that will be removed
-        console.log(`\n🚨 PARTICIPANTS TO BE REMOVED (${participantsToRemove.length}):`);
-        participantsToRemove.slice(0, 10).forEach((number, index) => {
-            console.log(`   ${index + 1}. ${number}`);
-        });
-        if (participantsToRemove.length > 10) {
-            console.log(`   ... and ${participantsToRemove.length - 10} more`);
+        if (options.signal && options.signal.aborted) {
+            cancelled = true;
+            break;
         }
         
-        console.log('\n⚠️  WARNING: This will remove participants from the group!');
-        console.log('🔄 Starting removal process...\n');
-        
-        // Remove participants one by one
-        let successCount = 0;
-        let failCount = 0;
-        const results = [];
-        
-        for (let i = 0; i < participantsToRemove.length; i++) {
-            const phoneNumber = participantsToRemove[i];
-            const progress = `[${i + 1}/${participantsToRemove.length}]`;
+        try {
+            console.log(`${progress} 🚮 Removing ${phoneNumber}...`);
             
-            try {
-                console.log(`${progress} 🚮 Removing ${phoneNumber}...`);
-                
-                // Format phone number for WhatsApp (remove + and add @c.us)
-                const participantId = phoneNumber.replace('+', '') + '@c.us';
-                console.log(`${progress} 🔍 Using participant ID: ${participantId}`);
-                
-                // Check if participant is still in the group before attempting removal
-                const currentParticipant = targetGroup.participants.find(p => p.id._serialized === participantId);
-                if (!currentParticipant) {
-                    console.log(`${progress} ✅ SKIPPED: ${phoneNumber} is already not in the group`);
-                    results.push({ number: phoneNumber, status: 'already_removed', notificationSent: false });
-                    continue;
-                }
-                
-                // Remove participant from group
-                const removalResult = await targetGroup.removeParticipants([participantId]);
-                
-                // Verify removal by checking current participants
-                await new Promise(resolve => setTimeout(resolve, DELAYS.VERIFICATION));
-                const updatedGroup = await client.getChatById(targetGroup.id._serialized);
-                const stillInGroup = updatedGroup.participants.some(p => p.id._serialized === participantId);
-                
-                if (stillInGroup) {
-                    throw new Error(`Participant still in group after removal attempt`);
-                }
-                
-                console.log(`${progress} ✅ SUCCESS: Verified removal of ${phoneNumber}`);
-                
-                // Send notification if enabled
-                if (SEND_NOTIFICATIONS) {
-                    // Small delay before sending notification
-                    await new Promise(resolve => setTimeout(resolve, DELAYS.PRE_NOTIFICATION));
-                    
-                    try {
-                        console.log(`${progress} 📨 Sending notification to ${phoneNumber}...`);
-                        await client.sendMessage(participantId, REMOVAL_MESSAGE);
-                        console.log(`${progress} ✅ Notification sent to ${phoneNumber}`);
-                        results.push({ number: phoneNumber, status: 'removed', notificationSent: true });
-                    } catch (msgError) {
-                        console.log(`${progress} ⚠️  Removed but notification failed: ${phoneNumber}`);
-                        results.push({ number: phoneNumber, status: 'removed', notificationSent: false, msgError: msgError.message });
-                    }
-                } else {
-                    results.push({ number: phoneNumber, status: 'removed', notificationSent: false });
-                }
-                
-                successCount++;
-                
-                // Add delay between removals to avoid rate limiting
-                if (i < participantsToRemove.length - 1) {
-                    console.log(`${progress} ⏳ Waiting ${DELAYS.BETWEEN_REMOVALS/1000} seconds...`);
-                    await new Promise(resolve => setTimeout(resolve, DELAYS.BETWEEN_REMOVALS));
+            const participantId = toChatId(phoneNumber);
+            console.log(`${progress} 🔍 Using participant ID: ${participantId}`);
+            
+            // Check if participant is still in the group before attempting removal
+            const currentParticipant = targetGroup.participants.find(p => p.id._serialized === participantId);
+            if (!currentParticipant) {
+                console.log(`${progress} ✅ SKIPPED: ${phoneNumber} is already not in the group`);
+                recordResult({ number: phoneNumber, status: 'already_removed', notificationSent: false });
+                continue;
+            }
+            
+            if (dryRun) {
+                console.log(`${progress} 🧪 PLANNED: would remove ${phoneNumber}${shouldNotify(phoneNumber) ? ' and notify' : ''}`);
+                recordResult({ number: phoneNumber, status: 'planned_removal', notificationSent: false, notificationPlanned: shouldNotify(phoneNumber) });
+                continue;
+            }
+            
+            // Remove participant from group
+            if (!await limiter.wait('remove', options.signal)) {
+                cancelled = true;
+                break;
+            }
+            const removalResult = await targetGroup.removeParticipants([participantId]);
+            
+            // Verify removal by checking current participants
+            await new Promise(resolve => setTimeout(resolve, DELAYS.VERIFICATION));
+            const updatedGroup = await client.getChatById(targetGroup.id._serialized);
+            const stillInGroup = updatedGroup.participants.some(p => p.id._serialized === participantId);
+            
+            if (stillInGroup) {
+                throw new Error(`Participant still in group after removal attempt`);
+            }
+            
+            console.log(`${progress} ✅ SUCCESS: Verified removal of ${phoneNumber}`);
+            limiter.record('remove', true);
+            
+            // Send notification if enabled
+            if (shouldNotify(phoneNumber)) {
+                if (!await limiter.wait('message', options.signal)) {
+                    // The removal already happened; only the notice is dropped
+                    console.log(`${progress} ⏹️  Removed, notification cancelled: ${phoneNumber}`);
+                    recordResult({ number: phoneNumber, status: 'removed', notificationSent: false, notificationSkipped: 'cancelled' });
+                    successCount++;
+                    cancelled = true;
+                    break;
                 }
                 
-            } catch (error) {
-                console.log(`${progress} ❌ FAILED: ${phoneNumber} - ${error.message}`);
-                failCount++;
-                results.push({ number: phoneNumber, status: 'failed', error: error.message });
-                
-                // Still wait even on failure
-                if (i < participantsToRemove.length - 1) {
-                    await new Promise(resolve => setTimeout(resolve, DELAYS.AFTER_FAILURE));
+                try {
+                    console.log(`${progress} 📨 Sending notification to ${phoneNumber}...`);
+                    const sent = await sendWithAttachment(client, chatIdFor(phoneNumber), notifications.get(phoneNumber), options.attachment);
+                    console.log(`${progress} ✅ Notification sent to ${phoneNumber}`);
+                    recordResult({ number: phoneNumber, status: 'removed', notificationSent: true, attachment: sent.attachment });
+                    limiter.record('message', true);
+                } catch (msgError) {
+                    console.log(`${progress} ⚠️  Removed but notification failed: ${phoneNumber}`);
+                    recordResult({ number: phoneNumber, status: 'removed', notificationSent: false, msgError: msgError.message, attachment: msgError.attachment });
+                    limiter.record('message', false);
                 }
+            } else if (sendNotifications) {
+                console.log(`${progress} 🚫 Not notified: ${phoneNumber} is not on WhatsApp`);
+                recordResult({ number: phoneNumber, status: 'removed', notificationSent: false, notificationSkipped: 'unregistered' });
+            } else {
+                recordResult({ number: phoneNumber, status: 'removed', notificationSent: false });
             }
+            
+            successCount++;
+            
+        } catch (error) {
+            console.log(`${progress} ❌ FAILED: ${phoneNumber} - ${error.message}`);
+            failCount++;
+            recordResult({ number: phoneNumber, status: 'failed', error: error.message });
+            limiter.record('remove', false);
         }
-        
-        // Calculate notification statistics
-        const removedWithNotification = results.filter(r => r.status === 'removed' && r.notificationSent === true).length;
-        const removedWithoutNotification = results.filter(r => r.status === 'removed' && r.notificationSent === false).length;
-        const alreadyRemovedCount = results.filter(r => r.status === 'already_removed').length;
-        
-        // Summary
-        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        console.log('📊 REMOVAL COMPLETE - SUMMARY:');
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        console.log(`👥 Group: ${targetGroup.name}`);
-        console.log(`📱 Participants to process: ${participantsToRemove.length}`);
-        console.log(`✅ Successfully removed: ${successCount}`);
-        console.log(`⏭️  Already not in group: ${alreadyRemovedCount}`);
-        console.log(`❌ Failed to remove: ${failCount}`);
-        if (SEND_NOTIFICATIONS) {
-            console.log(`📨 Notifications sent: ${removedWithNotification}`);
-            console.log(`⚠️  Removed but notification failed: ${removedWithoutNotification}`);
-            console.log(`📧 Notification Success Rate: ${successCount > 0 ? ((removedWithNotification / successCount) * 100).toFixed(1) : 0}%`);
-        }
-        console.log(`📊 Removal Success Rate: ${participantsToRemove.length > 0 ? ((successCount / participantsToRemove.length) * 100).toFixed(1) : 0}%`);
-        
-        // Save results
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-        const resultsFile = `removal_results_${timestamp}.json`;
-        fs.writeFileSync(resultsFile, JSON.stringify({
-            groupName: targetGroup.name,
-            timestamp: new Date().toISOString(),
-            totalToProcess: participantsToRemove.length,
-            successCount: successCount,
-            failCount: failCount,
-            alreadyRemovedCount: alreadyRemovedCount,
-            notificationsSent: removedWithNotification,
-            notificationsEnabled: SEND_NOTIFICATIONS,
-            results: results,
-            notInGroup: notInGroup
-        }, null, 2));
-        
-        console.log(`\n📁 Results saved to: ${resultsFile}`);
-        
-        if (failCount > 0) {
-            const failedNumbers = results.filter(r => r.status === 'failed').map(r => r.number);
-            console.log(`\n❌ FAILED TO REMOVE (${failCount}):`);
-            failedNumbers.forEach((num, index) => {
-                console.log(`   ${index + 1}. ${num}`);
-            });
-        }
-        
-        console.log('\n🎉 Participant removal complete!');
-        console.log('💡 You can now close this app with Ctrl+C');
-        
-    } catch (error) {
-        console.error('❌ Error in removal process:', error);
     }
+    
+    if (cancelled) {
+        const left = participantsToRemove.length - (results.length - journal.previous.length);
+        console.log(`\n⏹️  Cancelled: ${left} numbers not processed${journal.file ? ` - continue with --resume ${journal.file}` : ''}`);
+    }
+    
+    // Calculate notification statistics
+    const removedWithNotification = results.filter(r => r.status === 'removed' && r.notificationSent === true).length;
+    const removedWithoutNotification = results.filter(r => r.status === 'removed' && r.notificationSent === false && !r.notificationSkipped).length;
+    const alreadyRemovedCount = results.filter(r => r.status === 'already_removed').length;
+    const plannedCount = results.filter(r => r.status === 'planned_removal').length;
+    
+    // Summary
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(dryRun ? '🧪 DRY RUN COMPLETE - PLAN:' : '📊 REMOVAL COMPLETE - SUMMARY:');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`👥 Group: ${targetGroup.name}`);
+    console.log(`📱 Participants to process: ${totalToProcess}`);
+    if (dryRun) {
+        console.log(`🧪 Planned removals: ${plannedCount}`);
+    }
+    console.log(`✅ Successfully removed: ${successCount}`);
+    console.log(`⏭️  Already not in group: ${alreadyRemovedCount}`);
+    console.log(`❌ Failed to remove: ${failCount}`);
+    if (sendNotifications && !dryRun) {
+        console.log(`📨 Notifications sent: ${removedWithNotification}`);
+        console.log(`⚠️  Removed but notification failed: ${removedWithoutNotification}`);
+        console.log(`🚫 Not on WhatsApp (not notified): ${registration.unregistered.length}`);
+        console.log(`📧 Notification Success Rate: ${successCount > 0 ? ((removedWithNotification / successCount) * 100).toFixed(1) : 0}%`);
+    }
+    console.log(`📊 Removal Success Rate: ${totalToProcess > 0 ? ((successCount / totalToProcess) * 100).toFixed(1) : 0}%`);
+    
+    // Save results
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const resultsFile = `removal_results_${timestamp}.json`;
+    fs.writeFileSync(resultsFile, JSON.stringify({
+        groupName: targetGroup.name,
+        groupId: targetGroup.id._serialized,
+        timestamp: new Date().toISOString(),
+        dryRun: dryRun,
+        cancelled: cancelled,
+        journalFile: journal.file,
+        resumedCount: journal.previous.length,
+        totalToProcess: totalToProcess,
+        plannedCount: plannedCount,
+        successCount: successCount,
+        failCount: failCount,
+        alreadyRemovedCount: alreadyRemovedCount,
+        notificationsSent: removedWithNotification,
+        notificationsEnabled: sendNotifications,
+        attachment: options.attachment ? options.attachment.file : null,
+        results: results,
+        notInGroup: notInGroup,
+        invalidNumbers: normalized.invalid,
+        unregisteredCount: registration.unregistered.length,
+        unregistered: registration.unregistered,
+        registrationLookupFailed: registration.failed,
+        rateLimit: limiter.summary()
+    }, null, 2));
+    
+    console.log(`\n📁 Results saved to: ${resultsFile}`);
+    
+    if (failCount > 0) {
+        const failedNumbers = results.filter(r => r.status === 'failed').map(r => r.number);
+        console.log(`\n❌ FAILED TO REMOVE (${failCount}):`);
+        failedNumbers.forEach((num, index) => {
+            console.log(`   ${index + 1}. ${num}`);
+        });
+    }
+    
+    console.log(dryRun ? '\n🧪 Dry run complete - review the plan, then run again without --dry-run' : '\n🎉 Participant removal complete!');
+    return { resultsFile, groupId: targetGroup.id._serialized, groupName: targetGroup.name, dryRun, cancelled, totalToProcess, plannedCount, successCount, alreadyRemovedCount, failCount, notificationsSent: removedWithNotification };
 }
 
-// Error handling
-client.on('disconnected', (reason) => {
-    console.log('🔌 Client was disconnected:', reason);
-});
-
-process.on('SIGINT', async () => {
-    console.log('\n🛑 Shutting down gracefully...');
-    await client.destroy();
-    process.exit(0);
-});
-
-// Add connection timeout handling
-const connectionTimeout = setTimeout(() => {
-    console.log('\n⚠️  Connection is taking longer than expected...');
-    console.log('💡 Possible solutions:');
-    console.log('   1. Check your internet connection');
-    console.log('   2. Make sure Chrome/Chromium is installed');
-    console.log('   3. Try restarting the app');
-}, 30000);
-
-client.on('ready', () => {
-    clearTimeout(connectionTimeout);
-});
-
-client.on('auth_failure', () => {
-    clearTimeout(connectionTimeout);
-});
-
-// Initialize the client
-console.log('🚀 Starting WhatsApp Group Manager...');
-console.log('📦 Initializing browser...');
-console.log(`🎯 Target Group: "${TARGET_GROUP_ID}"`);
-console.log(`📱 Participants to remove: ${inactive_participants.length}`);
-if (SEND_NOTIFICATIONS) {
-    console.log('📨 Will send notification messages to removed participants');
-} else {
-    console.log('📨 Notification messages disabled');
+// Run directly: node remove-inactive-from-group.js
+if (require.main === module) {
+    // Load inactive participants to remove
+    let inactive_participants = [];
+    try {
+        inactive_participants = JSON.parse(fs.readFileSync(INACTIVE_PARTICIPANTS_FILE, 'utf8'));
+        console.log(`📱 Loaded ${inactive_participants.length} inactive participants to remove`);
+    } catch (error) {
+        console.error(`❌ Error loading ${INACTIVE_PARTICIPANTS_FILE}:`, error.message);
+        process.exit(1);
+    }
+    
+    // Load the notification attachment before connecting so a bad path fails fast
+    let attachment = null;
+    try {
+        attachment = ATTACHMENT_FILE ? loadAttachment(ATTACHMENT_FILE) : null;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    // Create a client bound to the shared session
+    const client = session.createClient();
+    
+    console.log('🚀 Starting WhatsApp Group Manager...');
+    console.log(`🎯 Target Group: "${GROUP_ID}"`);
+    console.log(`📱 Participants to remove: ${inactive_participants.length}`);
+    if (SEND_NOTIFICATIONS) {
+        console.log('📨 Will send notification messages to removed participants');
+    } else {
+        console.log('📨 Notification messages disabled');
+    }
+    
+    session.ready(client)
+        .then(() => {
+            console.log('🔍 Looking for target group...\n');
+            return removeInactiveParticipants(client, { groupId: GROUP_ID, participants: inactive_participants, defaultCountry: DEFAULT_COUNTRY, attachment, checkRegistration: CHECK_REGISTRATION, dryRun: DRY_RUN, resume: RESUME_JOURNAL });
+        })
+        .then(() => console.log('💡 You can now close this app with Ctrl+C'))
+        .catch(session.fail);
 }
 
-client.initialize().catch(error => {
-    console.error('❌ Failed to initialize client:', error.message);
-    console.log('\n💡 Common fixes:');
-    console.log('   • Install Chrome: brew install google-chrome');
-    console.log('   • Or install Chromium: brew install chromium');
-    console.log('   • Check if you have enough memory available');
-    console.log('   • Try running: npm install puppeteer');
-    process.exit(1);
-}); 
\ No newline at end of file
+module.exports = { removeInactiveParticipants, REMOVAL_TEMPLATE_FILE, DELAYS };
@@ -0,0 +1,521 @@
+const session = require('./lib/session');
+const { findGroup, toGroupChatId } = require('./lib/groups');
+const { parseCron, CronError } = require('./lib/cron');
+const { openScheduleStore, DEFAULT_SCHEDULE_FILE } = require('./lib/schedule-store');
+const { createJobQueue } = require('./lib/jobs');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const { loadTemplate } = require('./lib/template');
+const { loadAttachment, sendWithAttachment } = require('./lib/media');
+const { loadRecipients } = require('./lib/recipients');
+const { loadWebhooks, createWebhookSender, forwardJobEvents, DEFAULT_WEBHOOK_FILE } = require('./lib/webhooks');
+const { sendMessagesToAll } = require('./send-messages');
+const { removeInactiveParticipants } = require('./remove-inactive-from-group');
+const { generateInactiveList } = require('./generate-inactive-list');
+const { generateLeaderboard } = require('./generate-leaderboard');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * WhatsApp Scheduled Jobs
+ *
+ * @description
+ * Runs jobs on cron-like schedules while the client stays connected, instead
+ * of starting every script by hand. Jobs are kept in a local file
+ * (scheduled_jobs.json) and managed from the command line - add, list, pause,
+ * resume, delete - also while the scheduler is running: it re-reads the file
+ * every minute. Due jobs go through the same job queue and rate limiter as the
+ * HTTP API, so they run one at a time, show up in the dashboard and are sent
+ * to the job webhooks.
+ *
+ * Actions:
+ * - post: post a message template into a group (e.g. a weekly reminder)
+ * - broadcast: message every number of a list, as wga broadcast
+ * - remove-inactive: build the inactive member list of a group, then queue its
+ *   removal (use --dry-run to only plan it)
+ * - leaderboard: rank the group's contributors and post the top N
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Add jobs:
+ *    wga schedule add --name monday-reminder --cron "0 9 * * mon" --action post --group 120363401616166216 --message-file slot.txt
+ *    wga schedule add --name monthly-cleanup --cron "0 10 1 * *" --action remove-inactive --group 120363415434456792 --dry-run
+ * 2. Run: node scheduler.js (or: wga schedule run, or keep wga serve / wga dashboard running)
+ * 3. Manage: wga schedule list | pause <name> | resume <name> | delete <name>
+ *
+ * @configuration
+ * - SCHEDULE_FILE: Where scheduled jobs are kept (see lib/schedule-store.js)
+ * - WEBHOOK_FILE: Webhooks notified of job events (optional, see lib/webhooks.js)
+ * - MISSED_GRACE: How late a run may start (e.g. after the computer slept) before it is skipped
+ *
+ * @output
+ * - The results files of each action, as when run by hand
+ * - scheduled_jobs.json: last run, status and result file of every job
+ *
+ * @notes
+ * - Schedules use this machine's local time zone
+ * - Runs missed while the scheduler was not running are skipped, not caught up:
+ *   a week-old reminder or a burst of queued broadcasts is worse than none
+ * - A job that is still running when it is due again skips that run
+ * - Message files, input lists and attachments are read when the job runs, so
+ *   edits to them apply to the next run
+ *
+ * @see lib/cron.js - Schedule syntax
+ */
+
+// Configuration
+const SCHEDULE_FILE = DEFAULT_SCHEDULE_FILE;
+const WEBHOOK_FILE = DEFAULT_WEBHOOK_FILE;
+const MISSED_GRACE = 10 * 60 * 1000;
+
+// Option names per action: what must be given, and what may be
+const ACTIONS = {
+    post: {
+        required: ['groupId', 'messageFile'],
+        optional: ['attach', 'variables', 'dryRun'],
+        describe: (params) => `post ${path.basename(params.messageFile)} to ${params.groupId}`,
+        run: postToGroup
+    },
+    broadcast: {
+        required: ['input', 'messageFile'],
+        optional: ['attach', 'variables', 'defaultCountry', 'dryRun'],
+        describe: (params) => `broadcast ${path.basename(params.messageFile)} to ${path.basename(params.input)}`,
+        run: (client, params, context) => sendMessagesToAll(client, {
+            recipients: loadRecipients(params.input),
+            template: loadTemplate(params.messageFile),
+            variables: params.variables,
+            attachment: params.attach ? loadAttachment(params.attach) : undefined,
+            defaultCountry: params.defaultCountry,
+            dryRun: params.dryRun,
+            limiter: context.limiter,
+            onProgress: context.onProgress,
+            signal: context.signal
+        })
+    },
+    'remove-inactive': {
+        required: ['groupId'],
+        optional: ['days', 'minMessages', 'allowlist', 'notify', 'messageFile', 'dryRun'],
+        describe: (params) => `remove inactive members of ${params.groupId}`,
+        run: removeInactiveMembers
+    },
+    leaderboard: {
+        required: ['groupId'],
+        optional: ['days', 'top', 'messageFile', 'dryRun'],
+        describe: (params) => `post the leaderboard of ${params.groupId}`,
+        run: (client, params) => generateLeaderboard(client, {
+            groupId: params.groupId,
+            days: params.days,
+            top: params.top,
+            post: !params.dryRun,
+            template: params.messageFile ? loadTemplate(params.messageFile) : undefined
+        }).then(file => ({ resultsFile: file || null }))
+    }
+};
+
+// Parameters holding file paths, stored absolute so the scheduler may run from another directory
+const FILE_PARAMS = ['messageFile', 'input', 'attach', 'allowlist'];
+
+// The wga flag of each parameter, for error messages
+const PARAM_FLAGS = {
+    groupId: '--group',
+    messageFile: '--message-file',
+    input: '--input',
+    attach: '--attach',
+    variables: '--var',
+    defaultCountry: '--country',
+    days: '--days',
+    minMessages: '--min-messages',
+    top: '--top',
+    allowlist: '--allowlist',
+    notify: '--notify',
+    dryRun: '--dry-run'
+};
+
+/**
+ * Run scheduled jobs until shutdown. Resolves once the scheduler is started.
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} [options]
+ * @param {string} [options.file=SCHEDULE_FILE]
+ * @param {object} [options.jobs] - Job queue to run in (default: a new one, sending job webhooks)
+ * @param {object} [options.limiter] - Rate limiter shared with other jobs
+ * @returns {Promise<{jobs: object, stop: Function}>}
+ */
+async function runScheduler(client, options = {}) {
+    const file = options.file || SCHEDULE_FILE;
+    const limiter = options.limiter || createRateLimiter();
+    let jobs = options.jobs;
+    if (!jobs) {
+        jobs = createJobQueue();
+        const webhooks = createWebhookSender(loadWebhooks(WEBHOOK_FILE));
+        if (webhooks.wants('job.')) {
+            forwardJobEvents(jobs, webhooks);
+            session.onShutdown(() => webhooks.flush(5000));
+        }
+    }
+    // Queue job ID → scheduled job ID, for runs not finished yet (and the jobs they queued)
+    const running = new Map();
+    // Schedules already reported as invalid, so they are not reported every minute
+    const reported = new Set();
+
+    ['completed', 'failed', 'cancelled'].forEach(status => {
+        jobs.on(status, job => {
+            const scheduleId = running.get(job.id);
+            if (!scheduleId) return;
+            running.delete(job.id);
+            // A run that queued a follow-up (remove-inactive) finishes with the follow-up
+            const followUp = job.status === 'completed' && [...running.values()].includes(scheduleId);
+            updateEntry(file, scheduleId, {
+                lastStatus: followUp ? 'queued' : job.status,
+                lastError: job.error,
+                lastResult: job.result
+            });
+            const icon = job.status === 'completed' ? '✅' : job.status === 'failed' ? '❌' : '⏹️ ';
+            console.log(`${icon} Scheduled job ${job.params.schedule} ${job.status}${job.error ? `: ${job.error}` : ''}`);
+        });
+    });
+
+    // Function to queue the runs that are due and work out the next run of every active job
+    function tick() {
+        let store;
+        try {
+            store = openScheduleStore(file);
+        } catch (error) {
+            console.error(`❌ Error reading ${file}:`, error.message);
+            return;
+        }
+        const now = new Date();
+        let changed = false;
+
+        store.list().filter(entry => !entry.paused).forEach(entry => {
+            // A hand-edited entry (unknown action, missing message file) must not stop the other jobs
+            try {
+                changed = checkEntry(store, entry, now) || changed;
+            } catch (error) {
+                if (!reported.has(entry.id)) {
+                    console.error(`❌ ${entry.name}: ${error.message}`);
+                    reported.add(entry.id);
+                }
+                store.update(entry.id, { lastStatus: 'failed', lastError: error.message });
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            store.save();
+        }
+    }
+
+    // Function to queue one entry if it is due and work out its next run; returns whether the store changed
+    function checkEntry(store, entry, now) {
+        let schedule;
+        try {
+            schedule = parseCron(entry.schedule);
+        } catch (error) {
+            if (!reported.has(entry.id)) {
+                console.error(`❌ ${entry.name}: ${error.message}`);
+                reported.add(entry.id);
+            }
+            return false;
+        }
+
+        const dueAt = entry.nextRunAt ? new Date(entry.nextRunAt) : null;
+        if (dueAt && dueAt > now) {
+            return false;
+        }
+        // Moved on before queueing, so a run that cannot be queued is not retried every minute
+        store.update(entry.id, { nextRunAt: schedule.next(now).toISOString() });
+        if (!dueAt) {
+            return true;
+        }
+
+        if (now - dueAt > MISSED_GRACE) {
+            console.log(`⏭️  ${entry.name}: missed the run at ${dueAt.toLocaleString()} - skipped`);
+            store.update(entry.id, { lastStatus: 'skipped', lastError: `Missed the run at ${entry.nextRunAt}` });
+        } else if ([...running.values()].includes(entry.id)) {
+            console.log(`⏭️  ${entry.name}: previous run still in progress - skipped`);
+        } else {
+            store.update(entry.id, { lastRunAt: now.toISOString(), runs: entry.runs + 1 });
+            const job = submit(entry);
+            running.set(job.id, entry.id);
+            store.update(entry.id, { lastStatus: 'queued', lastError: null });
+        }
+        return true;
+    }
+
+    // Function to queue one run of a scheduled job
+    function submit(entry) {
+        const action = ACTIONS[entry.action];
+        if (!action) {
+            throw new Error(`Unknown action "${entry.action}" (use ${Object.keys(ACTIONS).join(', ')})`);
+        }
+        const params = entry.params || {};
+        checkRequired(entry.action, params);
+        const description = action.describe(params);
+        const job = jobs.submit(entry.action, {
+            schedule: entry.name,
+            groupId: params.groupId,
+            dryRun: Boolean(params.dryRun)
+        }, ({ onProgress, signal }) => action.run(client, params, {
+            limiter,
+            jobs,
+            onProgress,
+            signal,
+            schedule: entry.name,
+            track: (followUp) => running.set(followUp.id, entry.id)
+        }));
+        console.log(`⏰ ${entry.name}: ${description} (job ${job.id})`);
+        return job;
+    }
+
+    // Check at the start of every minute, the finest a schedule can ask for
+    let timer;
+    const schedule = () => {
+        timer = setTimeout(() => {
+            tick();
+            schedule();
+        }, 60000 - (Date.now() % 60000) + 1000);
+    };
+    tick();
+    schedule();
+    const stop = () => clearTimeout(timer);
+    session.onShutdown(stop);
+
+    const entries = openScheduleStore(file).list();
+    const paused = entries.filter(entry => entry.paused).length;
+    console.log(`\n⏰ Scheduler running ${entries.length - paused} job${entries.length - paused === 1 ? '' : 's'}${paused ? ` (${paused} paused)` : ''} from ${file}`);
+    entries.filter(entry => !entry.paused && entry.nextRunAt).forEach(entry => {
+        console.log(`   • ${entry.name}: next run ${new Date(entry.nextRunAt).toLocaleString()}`);
+    });
+    return { jobs, stop };
+}
+
+// Function to check that an action has every parameter it needs
+function checkRequired(actionName, params) {
+    const missing = ACTIONS[actionName].required.filter(name => params[name] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`${actionName} needs ${missing.map(name => PARAM_FLAGS[name] || name).join(' and ')}`);
+    }
+}
+
+// Function to update one entry of the schedule file, re-reading it first
+function updateEntry(file, id, changes) {
+    try {
+        const store = openScheduleStore(file);
+        if (store.update(id, changes)) {
+            store.save();
+        }
+    } catch (error) {
+        console.error(`❌ Error updating ${file}:`, error.message);
+    }
+}
+
+// Function to post a message template into a group
+async function postToGroup(client, params, context) {
+    const group = await findGroup(client, params.groupId);
+    if (!group) {
+        throw new Error(`Group ${params.groupId} not found`);
+    }
+    const text = loadTemplate(params.messageFile).render({
+        groupName: group.name,
+        date: new Date().toLocaleDateString(),
+        ...params.variables
+    });
+
+    if (params.dryRun) {
+        console.log(`🧪 DRY RUN - would post to ${group.name}:\n${text}`);
+        return { groupId: group.id._serialized, groupName: group.name, dryRun: true, posted: false };
+    }
+    if (!await context.limiter.wait('message', context.signal)) {
+        return { groupId: group.id._serialized, groupName: group.name, cancelled: true, posted: false };
+    }
+    const attachment = params.attach ? loadAttachment(params.attach) : null;
+    const sent = await sendWithAttachment(client, group.id._serialized, text, attachment);
+    console.log(`✅ Posted ${path.basename(params.messageFile)} to ${group.name}`);
+    return { groupId: group.id._serialized, groupName: group.name, posted: true, attachment: sent.attachment };
+}
+
+// Function to build the inactive list of a group and queue its removal as a separate job
+async function removeInactiveMembers(client, params, context) {
+    const inactiveFile = await generateInactiveList(client, {
+        groupId: params.groupId,
+        days: params.days,
+        minMessages: params.minMessages,
+        allowlist: params.allowlist ? JSON.parse(fs.readFileSync(params.allowlist, 'utf8')) : []
+    });
+    if (!inactiveFile) {
+        throw new Error(`Group ${params.groupId} not found`);
+    }
+    const participants = JSON.parse(fs.readFileSync(inactiveFile, 'utf8'));
+    if (participants.length === 0) {
+        console.log('ℹ️  No inactive members - nothing to remove');
+        return { inactiveFile, inactiveCount: 0, removalJob: null };
+    }
+
+    const removal = context.jobs.submit('remove', {
+        schedule: context.schedule,
+        groupId: toGroupChatId(params.groupId),
+        numbers: participants.length,
+        dryRun: Boolean(params.dryRun),
+        inactiveFile
+    }, (extra) => removeInactiveParticipants(client, {
+        ...extra,
+        groupId: params.groupId,
+        participants,
+        notify: params.notify,
+        notificationTemplate: params.messageFile ? loadTemplate(params.messageFile) : undefined,
+        dryRun: params.dryRun,
+        limiter: context.limiter
+    }));
+    context.track(removal);
+    console.log(`📋 Queued the ${params.dryRun ? 'removal dry run' : 'removal'} of ${participants.length} members (job ${removal.id})`);
+    return { inactiveFile, inactiveCount: participants.length, removalJob: removal.id };
+}
+
+/**
+ * Add a scheduled job, checking the schedule, the action's options and its files first.
+ *
+ * @param {object} options
+ * @param {string} [options.name] - Unique name (default: "<action>-<id>")
+ * @param {string} options.schedule - Cron expression (see lib/cron.js)
+ * @param {string} options.action - One of ACTIONS
+ * @param {object} options.params - The action's options (groupId, messageFile, input, ...)
+ * @param {string} [options.file=SCHEDULE_FILE]
+ * @returns {object} The stored job
+ */
+function addScheduledJob(options) {
+    const action = ACTIONS[options.action];
+    if (!action) {
+        throw new Error(`Unknown action "${options.action}" (use ${Object.keys(ACTIONS).join(', ')})`);
+    }
+    const schedule = parseCron(options.schedule);
+
+    const params = {};
+    Object.entries(options.params).forEach(([name, value]) => {
+        if (value === undefined || value === false) return;
+        if (Array.isArray(value) ? value.length === 0 : typeof value === 'object' && Object.keys(value).length === 0) return;
+        if (!action.required.includes(name) && !action.optional.includes(name)) {
+            throw new Error(`${options.action} does not take ${PARAM_FLAGS[name] || name}`);
+        }
+        params[name] = value;
+    });
+    checkRequired(options.action, params);
+    if (params.groupId) {
+        params.groupId = toGroupChatId(params.groupId);
+    }
+    FILE_PARAMS.filter(name => params[name]).forEach(name => {
+        if (!fs.existsSync(params[name])) {
+            throw new Error(`File not found: ${params[name]}`);
+        }
+        params[name] = path.resolve(params[name]);
+    });
+    if (params.messageFile) {
+        loadTemplate(params.messageFile);
+    }
+
+    const store = openScheduleStore(options.file || SCHEDULE_FILE);
+    const entry = store.add({ name: options.name, schedule: schedule.source, action: options.action, params });
+    store.save();
+
+    console.log(`✅ Scheduled ${entry.name} (${entry.id}): ${action.describe(params)}${params.dryRun ? ' [dry run]' : ''}`);
+    console.log(`⏰ "${entry.schedule}" - first run ${schedule.next().toLocaleString()} while the scheduler is running`);
+    return entry;
+}
+
+/**
+ * Print the scheduled jobs with their next and last runs.
+ * @param {object} [options]
+ * @param {string} [options.file=SCHEDULE_FILE]
+ * @returns {object[]} The jobs
+ */
+function listScheduledJobs(options = {}) {
+    const entries = openScheduleStore(options.file || SCHEDULE_FILE).list();
+    if (entries.length === 0) {
+        console.log('📭 No scheduled jobs - add one with wga schedule add');
+        return entries;
+    }
+
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('⏰ SCHEDULED JOBS:');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    entries.forEach(entry => {
+        let next;
+        try {
+            next = entry.paused ? 'paused' : `next ${parseCron(entry.schedule).next().toLocaleString()}`;
+        } catch (error) {
+            next = error instanceof CronError ? `⚠️  ${error.message}` : 'unknown';
+        }
+        const action = ACTIONS[entry.action];
+        console.log(`${entry.paused ? '⏸️ ' : '▶️ '} ${entry.name} (${entry.id})`);
+        console.log(`   "${entry.schedule}" - ${next}`);
+        console.log(`   ${action ? action.describe(entry.params) : `unknown action ${entry.action}`}${entry.params.dryRun ? ' [dry run]' : ''}`);
+        if (entry.lastRunAt || entry.lastStatus) {
+            const result = entry.lastResult && (entry.lastResult.resultsFile || entry.lastResult.inactiveFile);
+            console.log(`   Last: ${entry.lastRunAt ? new Date(entry.lastRunAt).toLocaleString() : '-'} ${entry.lastStatus || ''}${entry.lastError ? ` (${entry.lastError})` : ''}${result ? ` → ${result}` : ''} · ${entry.runs} run${entry.runs === 1 ? '' : 's'}`);
+        }
+    });
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    return entries;
+}
+
+/**
+ * Pause or resume a scheduled job. A resumed job runs at its next scheduled
+ * time from now on; runs while paused are not caught up.
+ * @param {string} idOrName
+ * @param {boolean} paused
+ * @param {object} [options]
+ * @param {string} [options.file=SCHEDULE_FILE]
+ * @returns {object} The job
+ */
+function pauseScheduledJob(idOrName, paused, options = {}) {
+    const store = openScheduleStore(options.file || SCHEDULE_FILE);
+    const entry = store.find(idOrName);
+    if (!entry) {
+        throw new Error(`No scheduled job "${idOrName}" - see wga schedule list`);
+    }
+    store.update(entry.id, { paused, nextRunAt: null });
+    store.save();
+    console.log(paused ? `⏸️  Paused ${entry.name}` : `▶️  Resumed ${entry.name} - next run ${parseCron(entry.schedule).next().toLocaleString()}`);
+    return entry;
+}
+
+/**
+ * Delete a scheduled job. A run already queued still finishes.
+ * @param {string} idOrName
+ * @param {object} [options]
+ * @param {string} [options.file=SCHEDULE_FILE]
+ * @returns {object} The deleted job
+ */
+function deleteScheduledJob(idOrName, options = {}) {
+    const store = openScheduleStore(options.file || SCHEDULE_FILE);
+    const entry = store.find(idOrName);
+    if (!entry) {
+        throw new Error(`No scheduled job "${idOrName}" - see wga schedule list`);
+    }
+    store.remove(entry.id);
+    store.save();
+    console.log(`🗑️  Deleted ${entry.name}`);
+    return entry;
+}
+
+// Run directly: node scheduler.js
+if (require.main === module) {
+    const client = session.createClient();
+
+    console.log('🚀 Starting WhatsApp Scheduler...');
+
+    session.ready(client)
+        .then(() => runScheduler(client))
+        .catch(session.fail);
+}
+
+module.exports = {
+    runScheduler,
+    addScheduledJob,
+    listScheduledJobs,
+    pauseScheduledJob,
+    deleteScheduledJob,
+    ACTIONS,
+    SCHEDULE_FILE
+};
@@ -1,138 +1,187 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const qrcode = require('qrcode-terminal');
+const session = require('./lib/session');
+const { openJournal } = require('./lib/journal');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const { loadTemplate, renderForRecipients } = require('./lib/template');
+const { getContactName } = require('./lib/contacts');
+const { loadRecipients } = require('./lib/recipients');
+const { loadAttachment, sendWithAttachment } = require('./lib/media');
+const { parsePhoneNumber, reportInvalid, toChatId } = require('./lib/phone');
+const { checkRegistration } = require('./lib/registration');
 const fs = require('fs');
+const path = require('path');
 
-// Create a new client instance
-const client = new Client({
-    authStrategy: new LocalAuth({
-        clientId: "whatsapp-message-sender"
-    }),
-    puppeteer: {
-        headless: true,
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-        ],
-        timeout: 60000
-    }
-});
-
-// Load target numbers
-let targetNumbers = [];
-try {
-    targetNumbers = JSON.parse(fs.readFileSync('active_not_in_group.json', 'utf8'));
-    console.log(`📱 Loaded ${targetNumbers.length} target numbers`);
-} catch (error) {
-    console.error('❌ Error loading active_not_in_group.json:', error.message);
-    process.exit(1);
-}
-
-// Message to send
-const MESSAGE = "hi, you got the slot?";
-
-// Add loading progress indicators
-client.on('loading_screen', (percent, message) => {
-    console.log(`⏳ Loading: ${percent}% - ${message}`);
-});
-
-client.on('connecting', () => {
-    console.log('🔗 Connecting to WhatsApp Web...');
-});
+// Configuration
+const TARGET_NUMBERS_FILE = 'active_not_in_group.json'; // JSON array of numbers, or a CSV/JSON with per-row fields (see lib/recipients.js)
+const DEFAULT_COUNTRY = null; // e.g. 'IN' to accept local numbers like 09876543210
+const CHECK_REGISTRATION = true; // Skip numbers that are not on WhatsApp (listed under `unregistered` in the results)
+const DRY_RUN = false; // Set to true to preview the plan without sending anything
+const RESUME_JOURNAL = null; // Set to a broadcast_journal_*.jsonl file to continue an interrupted run
+const ATTACHMENT_FILE = null; // Set to an image/PDF/voice note to send with every message (the message becomes its caption)
 
-// Generate QR code for authentication
-client.on('qr', (qr) => {
-    console.log('📱 Scan the QR code below with your WhatsApp:');
-    qrcode.generate(qr, { small: true });
-    console.log('\n⏰ QR code expires in 20 seconds. Scan quickly!');
-});
+// Template of the message to send (variables: {{name}}, every column of the recipients file, and options.variables)
+const MESSAGE_TEMPLATE_FILE = path.join(__dirname, 'templates', 'broadcast.txt');
 
-// Handle authentication
-client.on('authenticated', () => {
-    console.log('🔐 Authentication successful!');
-    console.log('⏳ Setting up client...');
-});
-
-client.on('auth_failure', (msg) => {
-    console.error('❌ Authentication failed:', msg);
-    console.log('💡 Try restarting the app and scanning a fresh QR code.');
-});
-
-// When client is ready, start sending messages
-client.on('ready', async () => {
-    console.log('✅ WhatsApp Web client is ready!');
-    console.log(`📨 Starting to send messages to ${targetNumbers.length} numbers...\n`);
+/**
+ * Send a message to every number in the list, rendered from a template per recipient.
+ *
+ * Recipients can carry their own fields (name, slot date, city, ...) which
+ * override the shared variables for that row. The exact text each person got
+ * is recorded in the results file.
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} options
+ * @param {string[]} [options.numbers] - Phone numbers (normalized to E.164, invalid entries are reported and skipped)
+ * @param {Array<{number: string, fields: object}>} [options.recipients] - Numbers with per-row template fields (see lib/recipients.js)
+ * @param {string} [options.defaultCountry] - Country for numbers without a country code
+ * @param {object} [options.template] - Parsed message template (defaults to MESSAGE_TEMPLATE_FILE)
+ * @param {object} [options.variables] - Template variables shared by every recipient
+ * @param {object} [options.attachment] - Attachment sent to everyone, captioned with their message (from lib/media.js loadAttachment)
+ * @param {number} [options.delay] - Base delay between each message (ms), jittered by the rate limiter
+ * @param {object} [options.limiter] - Shared rate limiter (created from options.delay if omitted)
+ * @param {boolean} [options.checkRegistration=true] - Pre-flight lookup; numbers not on WhatsApp are not messaged
+ * @param {boolean} [options.dryRun=false] - Record the plan but send nothing
+ * @param {string} [options.resume] - Journal of an interrupted run; numbers already messaged are skipped
+ * @param {Function} [options.onProgress] - Called after each number with {done, total, result}
+ * @param {AbortSignal} [options.signal] - Stop before the next number when aborted (results are still written)
+ * @returns {Promise<object>} Summary with the results file
+ */
+async function sendMessagesToAll(client, options) {
+    const template = options.template || loadTemplate(MESSAGE_TEMPLATE_FILE);
+    const limiter = options.limiter || createRateLimiter({ baseDelay: options.delay });
+    const dryRun = Boolean(options.dryRun);
     
-    await sendMessagesToAll();
-});
-
-// Function to send messages to all target numbers
-async function sendMessagesToAll() {
-    let successCount = 0;
+    // Every outcome is journaled as it happens so an interrupted run can be resumed
+    const journal = openJournal({ operation: 'broadcast', resume: options.resume, disabled: dryRun });
+    const { recipients: allRecipients, invalid } = normalizeRecipients(options.recipients || options.numbers.map(number => ({ number, fields: {} })), options.defaultCountry);
+    let targetRecipients = allRecipients.filter(recipient => !journal.isDone(recipient.number));
+    
+    // Pre-flight: only message numbers that are on WhatsApp, using the WID the lookup resolves
+    let registration = { registered: new Map(), unregistered: [], failed: [] };
+    if (options.checkRegistration !== false) {
+        registration = await checkRegistration(client, targetRecipients.map(recipient => recipient.number));
+        targetRecipients = targetRecipients.filter(recipient => !registration.unregistered.includes(recipient.number));
+    }
+    const chatIdFor = (phoneNumber) => registration.registered.get(phoneNumber) || toChatId(phoneNumber);
+    const targetNumbers = targetRecipients.map(recipient => recipient.number);
+    
+    // Results of a resumed run carry over into this run's totals
+    let successCount = journal.previous.filter(r => r.status === 'success').length;
     let failCount = 0;
-    const results = [];
+    let plannedCount = 0;
+    const results = [...journal.previous];
+    const totalNumbers = targetNumbers.length + journal.previous.length;
+    
+    const recordResult = (result) => {
+        results.push(result);
+        journal.record(result);
+        if (options.onProgress) {
+            options.onProgress({ done: results.length - journal.previous.length, total: targetNumbers.length, result });
+        }
+    };
     
-    console.log(`📤 Message: "${MESSAGE}"`);
+    // Render every message up front so a missing template variable stops the run before anything is sent.
+    // Empty cells fall back to the shared variables, and the WhatsApp name is only
+    // looked up for rows that do not have a name of their own.
+    const needsName = template.variables.includes('name');
+    const recipients = [];
+    for (const { number, fields } of targetRecipients) {
+        const rowFields = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== '' && value !== null && value !== undefined));
+        const name = needsName && !rowFields.name ? await getContactName(client, chatIdFor(number)) : undefined;
+        // A name that was not found leaves a shared --var name in place
+        recipients.push({ number, variables: { ...options.variables, ...(name ? { name } : {}), ...rowFields } });
+    }
+    const messages = renderForRecipients(template, recipients);
+    
+    if (dryRun) {
+        console.log('🧪 DRY RUN: no messages will be sent');
+    }
+    console.log(`📤 Message template: ${template.label}`);
+    if (options.attachment) {
+        console.log(`📎 Attachment: ${options.attachment.file}`);
+    }
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
     
+    let cancelled = false;
     for (let i = 0; i < targetNumbers.length; i++) {
         const phoneNumber = targetNumbers[i];
         const progress = `[${i + 1}/${targetNumbers.length}]`;
         
+        if (options.signal && options.signal.aborted) {
+            cancelled = true;
+            break;
+        }
+        
         try {
             console.log(`${progress} 📞 Sending to ${phoneNumber}...`);
             
-            // Format phone number for WhatsApp (remove + and add @c.us)
-            const chatId = phoneNumber.replace('+', '') + '@c.us';
+            const chatId = chatIdFor(phoneNumber);
+            
+            if (dryRun) {
+                console.log(`${progress} 🧪 PLANNED: would send to ${phoneNumber}`);
+                plannedCount++;
+                recordResult({ number: phoneNumber, status: 'planned_message', message: messages.get(phoneNumber) });
+                continue;
+            }
             
-            // Send message
-            await client.sendMessage(chatId, MESSAGE);
+            // Send message (the rate limiter paces messages to avoid being blocked)
+            if (!await limiter.wait('message', options.signal)) {
+                cancelled = true;
+                break;
+            }
+            const sent = await sendWithAttachment(client, chatId, messages.get(phoneNumber), options.attachment, { previous: journal.lastFailure(phoneNumber) });
             
             console.log(`${progress} ✅ SUCCESS: ${phoneNumber}`);
             successCount++;
-            results.push({ number: phoneNumber, status: 'success' });
-            
-            // Add delay between messages to avoid being blocked
-            if (i < targetNumbers.length - 1) {
-                console.log(`${progress} ⏳ Waiting 2 seconds...`);
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
+            recordResult({ number: phoneNumber, status: 'success', message: messages.get(phoneNumber), attachment: sent.attachment });
+            limiter.record('message', true);
             
         } catch (error) {
             console.log(`${progress} ❌ FAILED: ${phoneNumber} - ${error.message}`);
             failCount++;
-            results.push({ number: phoneNumber, status: 'failed', error: error.message });
-            
-            // Still wait even on failure
-            if (i < targetNumbers.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
+            recordResult({ number: phoneNumber, status: 'failed', error: error.message, message: messages.get(phoneNumber), attachment: error.attachment });
+            limiter.record('message', false);
         }
     }
     
+    if (cancelled) {
+        const left = targetNumbers.length - (results.length - journal.previous.length);
+        console.log(`\n⏹️  Cancelled: ${left} numbers not processed${journal.file ? ` - continue with --resume ${journal.file}` : ''}`);
+    }
+    
     // Summary
     console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('📊 SENDING COMPLETE - SUMMARY:');
+    console.log(dryRun ? '🧪 DRY RUN COMPLETE - PLAN:' : '📊 SENDING COMPLETE - SUMMARY:');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log(`📱 Total Numbers: ${targetNumbers.length}`);
+    console.log(`📱 Total Numbers: ${totalNumbers}`);
+    if (dryRun) {
+        console.log(`🧪 Planned messages: ${plannedCount}`);
+    }
     console.log(`✅ Successful: ${successCount}`);
     console.log(`❌ Failed: ${failCount}`);
-    console.log(`📊 Success Rate: ${((successCount / targetNumbers.length) * 100).toFixed(1)}%`);
+    console.log(`🚫 Not on WhatsApp (not attempted): ${registration.unregistered.length}`);
+    console.log(`📊 Success Rate: ${totalNumbers > 0 ? ((successCount / totalNumbers) * 100).toFixed(1) : 0}%`);
     
     // Save results
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
     const resultsFile = `message_results_${timestamp}.json`;
     fs.writeFileSync(resultsFile, JSON.stringify({
-        message: MESSAGE,
+        messageTemplate: template.source,
+        attachment: options.attachment ? options.attachment.file : null,
         timestamp: new Date().toISOString(),
-        totalNumbers: targetNumbers.length,
+        dryRun: dryRun,
+        cancelled: cancelled,
+        journalFile: journal.file,
+        resumedCount: journal.previous.length,
+        totalNumbers: totalNumbers,
+        plannedCount: plannedCount,
         successCount: successCount,
         failCount: failCount,
-        results: results
+        results: results,
+        invalidNumbers: invalid,
+        unregisteredCount: registration.unregistered.length,
+        unregistered: registration.unregistered,
+        registrationLookupFailed: registration.failed,
+        rateLimit: limiter.summary()
     }, null, 2));
     
     console.log(`\n📁 Results saved to: ${resultsFile}`);
@@ -145,48 +194,63 @@ async function sendMessagesToAll() {
         });
     }
     
-    console.log('\n🎉 Message sending complete!');
-    console.log('💡 You can now close this app with Ctrl+C');
+    console.log(dryRun ? '\n🧪 Dry run complete - review the plan, then run again without --dry-run' : '\n🎉 Message sending complete!');
+    return { resultsFile, dryRun, cancelled, totalNumbers, plannedCount, successCount, failCount };
 }
 
-// Error handling
-client.on('disconnected', (reason) => {
-    console.log('🔌 Client was disconnected:', reason);
-});
-
-process.on('SIGINT', async () => {
-    console.log('\n🛑 Shutting down gracefully...');
-    await client.destroy();
-    process.exit(0);
-});
-
-// Add connection timeout handling
-const connectionTimeout = setTimeout(() => {
-    console.log('\n⚠️  Connection is taking longer than expected...');
-    console.log('💡 Possible solutions:');
-    console.log('   1. Check your internet connection');
-    console.log('   2. Make sure Chrome/Chromium is installed');
-    console.log('   3. Try restarting the app');
-}, 30000);
-
-client.on('ready', () => {
-    clearTimeout(connectionTimeout);
-});
-
-client.on('auth_failure', () => {
-    clearTimeout(connectionTimeout);
-});
+// Function to normalize recipient numbers to E.164, keeping the first row per number
+function normalizeRecipients(recipients, defaultCountry) {
+    const normalized = [];
+    const invalid = [];
+    const seen = new Set();
+    recipients.forEach(({ number, fields }) => {
+        const parsed = parsePhoneNumber(number, { defaultCountry });
+        if (!parsed.valid) {
+            invalid.push({ input: parsed.input, reason: parsed.reason });
+        } else if (!seen.has(parsed.e164)) {
+            seen.add(parsed.e164);
+            normalized.push({ number: parsed.e164, fields });
+        }
+    });
+    if (normalized.length + invalid.length < recipients.length) {
+        console.log(`🔄 Skipped ${recipients.length - normalized.length - invalid.length} duplicate numbers`);
+    }
+    reportInvalid(invalid, 'recipient list');
+    return { recipients: normalized, invalid };
+}
 
-// Initialize the client
-console.log('🚀 Starting WhatsApp Message Sender...');
-console.log('📦 Initializing browser...');
+// Run directly: node send-messages.js
+if (require.main === module) {
+    // Load recipients (plain number list or rows with per-recipient fields)
+    let recipients = [];
+    try {
+        recipients = loadRecipients(TARGET_NUMBERS_FILE);
+    } catch (error) {
+        console.error(`❌ Error loading ${TARGET_NUMBERS_FILE}:`, error.message);
+        process.exit(1);
+    }
+    
+    // Load the attachment before connecting so a bad path fails fast
+    let attachment = null;
+    try {
+        attachment = ATTACHMENT_FILE ? loadAttachment(ATTACHMENT_FILE) : null;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    // Create a client bound to the shared session
+    const client = session.createClient();
+    
+    console.log('🚀 Starting WhatsApp Message Sender...');
+    
+    session.ready(client)
+        .then(() => {
+            console.log(`📨 Starting to send messages to ${recipients.length} numbers...\n`);
+            return sendMessagesToAll(client, { recipients, defaultCountry: DEFAULT_COUNTRY, attachment, checkRegistration: CHECK_REGISTRATION, dryRun: DRY_RUN, resume: RESUME_JOURNAL });
+        })
+        .then(() => console.log('💡 You can now close this app with Ctrl+C'))
+        .catch(session.fail);
+}
 
-client.initialize().catch(error => {
-    console.error('❌ Failed to initialize client:', error.message);
-    console.log('\n💡 Common fixes:');
-    console.log('   • Install Chrome: brew install google-chrome');
-    console.log('   • Or install Chromium: brew install chromium');
-    console.log('   • Check if you have enough memory available');
-    console.log('   • Try running: npm install puppeteer');
-    process.exit(1);
-}); 
\ No newline at end of file
+module.exports = { sendMessagesToAll, MESSAGE_TEMPLATE_FILE };
@@ -1,8 +1,6 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const qrcode = require('qrcode-terminal');
+const session = require('./lib/session');
 const readline = require('readline');
-const fs = require('fs');
-const path = require('path');
+const { saveParticipantsToFile } = require('./lib/participants-export');
 
 // Create readline interface for user input
 const rl = readline.createInterface({
@@ -10,59 +8,15 @@ const rl = readline.createInterface({
     output: process.stdout
 });
 
-// Create a new client instance with browser configuration
-const client = new Client({
-    authStrategy: new LocalAuth({
-        clientId: "whatsapp-group-actions"
-    }),
-    puppeteer: {
-        headless: true,
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-        ],
-        timeout: 60000
-    }
-});
+// Create a client bound to the shared session
+const client = session.createClient();
+session.onShutdown(() => rl.close());
 
 // Store groups for selection
 let availableGroups = [];
 
-// Add loading progress indicators
-client.on('loading_screen', (percent, message) => {
-    console.log(`⏳ Loading: ${percent}% - ${message}`);
-});
-
-client.on('connecting', () => {
-    console.log('🔗 Connecting to WhatsApp Web...');
-});
-
-// Generate QR code for authentication
-client.on('qr', (qr) => {
-    console.log('📱 Scan the QR code below with your WhatsApp:');
-    qrcode.generate(qr, { small: true });
-    console.log('\n⏰ QR code expires in 20 seconds. Scan quickly!');
-});
-
-// Handle authentication
-client.on('authenticated', () => {
-    console.log('🔐 Authentication successful!');
-    console.log('⏳ Setting up client...');
-});
-
-client.on('auth_failure', (msg) => {
-    console.error('❌ Authentication failed:', msg);
-    console.log('💡 Try restarting the app and scanning a fresh QR code.');
-});
-
-// When client is ready
-client.on('ready', async () => {
-    console.log('✅ WhatsApp Web client is ready!');
+// Function to load groups once the client is ready
+async function loadGroups() {
     console.log('🔍 Loading your groups...');
     
     try {
@@ -95,7 +49,7 @@ client.on('ready', async () => {
         console.error('❌ Error loading groups:', error);
         console.log('💡 Try refreshing with [r] or restart the app.');
     }
-});
+}
 
 // Function to show menu options
 function showMenu() {
@@ -112,10 +66,7 @@ async function handleMenuInput(input) {
     const choice = input.trim().toLowerCase();
     
     if (choice === 'q') {
-        console.log('\n🛑 Shutting down...');
-        await client.destroy();
-        rl.close();
-        process.exit(0);
+        await session.shutdown(0);
     }
     
     if (choice === 'r') {
@@ -175,10 +126,7 @@ async function handleGroupMenuInput(input, group) {
     const choice = input.trim().toLowerCase();
     
     if (choice === 'q') {
-        console.log('\n🛑 Shutting down...');
-        await client.destroy();
-        rl.close();
-        process.exit(0);
+        await session.shutdown(0);
     }
     
     if (choice === 'b') {
@@ -298,133 +246,6 @@ async function handleSaveMenuInput(input, group) {
     showGroupMenu(group);
 }
 
-// Function to save participants to file
-async function saveParticipantsToFile(group, format = 'txt') {
-    try {
-        if (!group.isGroup) {
-            console.log('❌ This is not a group chat.');
-            return;
-        }
-
-        const participants = group.participants;
-        const admins = participants.filter(p => p.isAdmin);
-        const members = participants.filter(p => !p.isAdmin);
-        
-        // Create filename with sanitized group name and timestamp
-        const sanitizedGroupName = group.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-        const filename = `${sanitizedGroupName}_participants_${timestamp}.${format}`;
-        const filepath = path.join(process.cwd(), filename);
-        
-        let content = '';
-        
-        if (format === 'json') {
-            // Create JSON content
-            const jsonData = {
-                groupInfo: {
-                    name: group.name,
-                    totalParticipants: participants.length,
-                    adminCount: admins.length,
-                    memberCount: members.length,
-                    exportDate: new Date().toISOString(),
-                    exportTimestamp: Date.now()
-                },
-                participants: participants.map((participant, index) => ({
-                    index: index + 1,
-                    phoneNumber: `+${participant.id.user}`,
-                    role: participant.isAdmin ? 'admin' : 'member',
-                    isAdmin: participant.isAdmin
-                })),
-                admins: admins.map((admin, index) => ({
-                    index: index + 1,
-                    phoneNumber: `+${admin.id.user}`,
-                    role: 'admin',
-                    isAdmin: true
-                })),
-                members: members.map((member, index) => ({
-                    index: index + 1,
-                    phoneNumber: `+${member.id.user}`,
-                    role: 'member',
-                    isAdmin: false
-                })),
-                metadata: {
-                    generatedBy: 'WhatsApp Group Actions Bot',
-                    version: '1.0.0',
-                    format: 'json'
-                }
-            };
-            
-            content = JSON.stringify(jsonData, null, 2);
-        } else if (format === 'csv') {
-            // Create CSV content
-            content += `Group Name,Phone Number,Role,Index\n`;
-            participants.forEach((participant, index) => {
-                const role = participant.isAdmin ? 'Admin' : 'Member';
-                content += `"${group.name}",+${participant.id.user},${role},${index + 1}\n`;
-            });
-        } else {
-            // Create TXT content
-            content += `========================================\n`;
-            content += `WhatsApp Group Participants Export\n`;
-            content += `========================================\n\n`;
-            content += `Group Name: ${group.name}\n`;
-            content += `Export Date: ${new Date().toLocaleString()}\n`;
-            content += `Total Participants: ${participants.length}\n`;
-            content += `Admins: ${admins.length}\n`;
-            content += `Members: ${members.length}\n\n`;
-            
-            content += `========================================\n`;
-            content += `ADMINISTRATORS (${admins.length})\n`;
-            content += `========================================\n`;
-            admins.forEach((participant, index) => {
-                content += `${index + 1}. +${participant.id.user}\n`;
-            });
-            
-            content += `\n========================================\n`;
-            content += `MEMBERS (${members.length})\n`;
-            content += `========================================\n`;
-            members.forEach((participant, index) => {
-                content += `${index + 1}. +${participant.id.user}\n`;
-            });
-            
-            content += `\n========================================\n`;
-            content += `ALL PARTICIPANTS (${participants.length})\n`;
-            content += `========================================\n`;
-            participants.forEach((participant, index) => {
-                const role = participant.isAdmin ? ' (Admin)' : ' (Member)';
-                content += `${index + 1}. +${participant.id.user}${role}\n`;
-            });
-            
-            content += `\n----------------------------------------\n`;
-            content += `Generated by WhatsApp Group Actions Bot\n`;
-            content += `----------------------------------------\n`;
-        }
-        
-        // Write to file
-        fs.writeFileSync(filepath, content, 'utf8');
-        
-        console.log(`\n✅ SUCCESS! Participants saved to ${format.toUpperCase()} file:`);
-        console.log(`📁 File: ${filename}`);
-        console.log(`📍 Location: ${filepath}`);
-        console.log(`📊 Total participants exported: ${participants.length}`);
-        console.log(`   👑 Admins: ${admins.length}`);
-        console.log(`   👤 Members: ${members.length}`);
-        
-        if (format === 'json') {
-            console.log(`\n💡 JSON Usage Tips:`);
-            console.log(`   • Load in JavaScript: const data = require('./${filename}')`);
-            console.log(`   • Parse in Python: import json; data = json.load(open('${filename}'))`);
-            console.log(`   • Access participants: data.participants`);
-            console.log(`   • Filter admins: data.admins`);
-        }
-        console.log('');
-        
-    } catch (error) {
-        console.error('❌ Error saving participants to file:', error);
-        console.log('💡 Make sure you have write permissions in the current directory.\n');
-    }
-}
-
 // Optional: Log incoming messages (uncomment if needed)
 /*
 client.on('message', async (message) => {
@@ -441,46 +262,9 @@ client.on('message', async (message) => {
 });
 */
 
-// Error handling
-client.on('disconnected', (reason) => {
-    console.log('🔌 Client was disconnected:', reason);
-});
-
-process.on('SIGINT', async () => {
-    console.log('\n🛑 Shutting down gracefully...');
-    await client.destroy();
-    rl.close();
-    process.exit(0);
-});
-
-// Add connection timeout handling
-const connectionTimeout = setTimeout(() => {
-    console.log('\n⚠️  Connection is taking longer than expected...');
-    console.log('💡 Possible solutions:');
-    console.log('   1. Check your internet connection');
-    console.log('   2. Make sure Chrome/Chromium is installed');
-    console.log('   3. Try restarting the app');
-    console.log('   4. If using Mac, try: brew install chromium');
-}, 30000);
-
-client.on('ready', () => {
-    clearTimeout(connectionTimeout);
-});
-
-client.on('auth_failure', () => {
-    clearTimeout(connectionTimeout);
-});
-
 // Initialize the client
 console.log('🚀 Starting WhatsApp Web Group Actions Bot...');
-console.log('📦 Initializing browser...');
 
-client.initialize().catch(error => {
-    console.error('❌ Failed to initialize client:', error.message);
-    console.log('\n💡 Common fixes:');
-    console.log('   • Install Chrome: brew install google-chrome');
-    console.log('   • Or install Chromium: brew install chromium');
-    console.log('   • Check if you have enough memory available');
-    console.log('   • Try running: npm install puppeteer');
-    process.exit(1);
-});
+session.ready(client)
+    .then(loadGroups)
+    .catch(session.fail);
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, CronError } = require('../lib/cron');
+
+// Local time, as schedules are evaluated in it
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+test('finds the next matching minute, strictly after the given time', () => {
+    const schedule = parseCron('30 9 * * *');
+    assert.deepEqual(schedule.next(at(2026, 3, 10, 8, 0)), at(2026, 3, 10, 9, 30));
+    assert.deepEqual(schedule.next(at(2026, 3, 10, 9, 30)), at(2026, 3, 11, 9, 30));
+    assert.deepEqual(parseCron('* * * * *').next(new Date(2026, 2, 10, 9, 30, 45)), at(2026, 3, 10, 9, 31));
+});
+
+test('reads names, ranges, lists and steps', () => {
+    // 2026-03-10 is a Tuesday
+    assert.deepEqual(parseCron('0 9 * * mon').next(at(2026, 3, 10)), at(2026, 3, 16, 9, 0));
+    assert.deepEqual(parseCron('0 9 * * mon-fri').next(at(2026, 3, 13, 10, 0)), at(2026, 3, 16, 9, 0));
+    assert.deepEqual(parseCron('0 0 1 jan,jul *').next(at(2026, 3, 10)), at(2026, 7, 1));
+    assert.deepEqual(parseCron('*/15 * * * *').next(at(2026, 3, 10, 9, 1)), at(2026, 3, 10, 9, 15));
+    assert.deepEqual(parseCron('0 8-18/4 * * *').next(at(2026, 3, 10, 12, 0)), at(2026, 3, 10, 16, 0));
+});
+
+test('0 and 7 are both Sunday', () => {
+    assert.deepEqual(parseCron('0 0 * * 7').next(at(2026, 3, 10)), at(2026, 3, 15));
+    assert.deepEqual(parseCron('0 0 * * 0').next(at(2026, 3, 10)), at(2026, 3, 15));
+});
+
+test('a day matching either restricted day field counts', () => {
+    // The 20th (a Friday) or the next Monday, whichever comes first
+    assert.deepEqual(parseCron('0 0 20 * mon').next(at(2026, 3, 17)), at(2026, 3, 20));
+    assert.deepEqual(parseCron('0 0 20 * mon').next(at(2026, 3, 20, 1, 0)), at(2026, 3, 23));
+});
+
+test('shortcuts and skipping to months that have the day', () => {
+    assert.deepEqual(parseCron('@monthly').next(at(2026, 3, 10)), at(2026, 4, 1));
+    assert.deepEqual(parseCron('@weekly').next(at(2026, 3, 10)), at(2026, 3, 15));
+    assert.deepEqual(parseCron('0 0 31 * *').next(at(2026, 4, 1)), at(2026, 5, 31));
+    assert.deepEqual(parseCron('0 0 29 2 *').next(at(2026, 3, 1)), at(2028, 2, 29));
+});
+
+test('rejects invalid schedules and ones that never match', () => {
+    [
+        ['0 9 * *', /expected 5 fields/],
+        ['60 * * * *', /minute 60 is out of range/],
+        ['0 9 * * funday', /Invalid day of week "funday"/],
+        ['0 9 5-1 * *', /Invalid day of month range/],
+        ['*-5 * * * *', /Invalid minute/],
+        ['0 0 30 2 *', /never matches/]
+    ].forEach(([expression, message]) => {
+        assert.throws(() => parseCron(expression), (error) => error instanceof CronError && message.test(error.message), expression);
+    });
+});
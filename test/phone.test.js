@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePhoneNumber, normalizePhoneNumber, normalizeList, toChatId, resolveCountry } = require('../lib/phone');
+
+test('normalizes the formats used across the project', () => {
+    [
+        '+919429424060',
+        '919429424060',
+        '+91 94294-24060',
+        '0091 (94294) 24060',
+        '919429424060@c.us'
+    ].forEach(input => assert.equal(normalizePhoneNumber(input), '+919429424060', input));
+});
+
+test('reads local numbers with a default country', () => {
+    assert.equal(normalizePhoneNumber('098765 43210', { defaultCountry: 'IN' }), '+919876543210');
+    assert.equal(normalizePhoneNumber('9876543210', { defaultCountry: '+91' }), '+919876543210');
+    assert.equal(normalizePhoneNumber('07700 900123', { defaultCountry: 'GB' }), '+447700900123');
+    assert.match(parsePhoneNumber('09876543210').reason, /without a country code/);
+});
+
+test('explains why a number is rejected', () => {
+    assert.equal(parsePhoneNumber('').reason, 'empty');
+    assert.match(parsePhoneNumber('+91 abc').reason, /characters other than digits/);
+    assert.match(parsePhoneNumber('12345').reason, /has 5 digits/);
+
+    const parsed = parsePhoneNumber('+91942942406');
+    assert.equal(parsed.valid, false);
+    assert.equal(parsed.country, 'India');
+    assert.match(parsed.reason, /India numbers have 10 digits after \+91, got 9/);
+});
+
+test('accepts unknown calling codes on length alone', () => {
+    const parsed = parsePhoneNumber('+3851234567');
+    assert.equal(parsed.valid, true);
+    assert.equal(parsed.country, 'Unknown');
+});
+
+test('normalizeList splits valid, invalid and duplicate entries', () => {
+    assert.deepEqual(normalizeList(['919429424060', '+91 94294 24060', '12345', 919876543210]), {
+        valid: ['+919429424060', '+919876543210'],
+        invalid: [{ input: '12345', reason: 'has 5 digits (expected 8-15 including country code)' }],
+        duplicates: [{ input: '+91 94294 24060', e164: '+919429424060' }]
+    });
+});
+
+test('toChatId and resolveCountry', () => {
+    assert.equal(toChatId('+91 94294 24060'), '919429424060@c.us');
+    assert.throws(() => toChatId('12345'), /Invalid phone number "12345"/);
+    assert.equal(resolveCountry('in').code, '91');
+    assert.equal(resolveCountry(null), null);
+    assert.throws(() => resolveCountry('XX'), /Unknown default country "XX"/);
+});
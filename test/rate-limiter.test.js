@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRateLimiter, BACKOFF } = require('../lib/rate-limiter');
+
+// The limiter logs every wait; keep it out of the test runner's stdout (node 20 can fail to parse the mix)
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+// Function to create a memory-only limiter that records its waits instead of sleeping
+function testLimiter(options = {}) {
+    const waits = [];
+    const limiter = createRateLimiter({
+        stateFile: null,
+        sleep: (ms) => {
+            waits.push(ms);
+            return Promise.resolve();
+        },
+        ...options
+    });
+    return { limiter, waits };
+}
+
+const reasons = (limiter) => limiter.summary().decisions.map(decision => decision.reason);
+
+test('the first action goes at once, later ones wait a jittered base delay', async () => {
+    const { limiter, waits } = testLimiter({ baseDelay: 1000 });
+    assert.equal(await limiter.wait('add'), true);
+    assert.deepEqual(waits, []);
+
+    await limiter.wait('add');
+    assert.equal(waits.length, 1);
+    assert.ok(waits[0] > 0 && waits[0] <= 1000 * (1 + BACKOFF.JITTER), `waited ${waits[0]}ms`);
+    assert.deepEqual(reasons(limiter), ['jitter']);
+});
+
+test('waits out the per-minute ceiling', async () => {
+    const { limiter, waits } = testLimiter({ baseDelay: 0, limits: { message: { perMinute: 2 } } });
+    await limiter.wait('message');
+    await limiter.wait('message');
+    await limiter.wait('message');
+
+    assert.deepEqual(reasons(limiter), ['minute_cap']);
+    assert.ok(waits[0] > 55000 && waits[0] <= 60000, `waited ${waits[0]}ms`);
+});
+
+test('clustered failures double the delay and successes bring it back down', async () => {
+    const { limiter, waits } = testLimiter({ baseDelay: 1000 });
+    await limiter.wait('remove');
+    [false, false, false].forEach(ok => limiter.record('remove', ok));
+    await limiter.wait('remove');
+
+    assert.deepEqual(reasons(limiter), ['backoff']);
+    assert.equal(limiter.summary().decisions[0].backoffLevel, 1);
+    assert.ok(waits[0] >= 1000 * (1 - BACKOFF.JITTER) * 2, `waited ${waits[0]}ms`);
+
+    // Enough successes push the failures out of the window
+    for (let i = 0; i < BACKOFF.ERROR_WINDOW; i++) {
+        limiter.record('remove', true);
+    }
+    await limiter.wait('remove');
+    assert.equal(limiter.summary().decisions[1].reason, 'jitter');
+});
+
+test('failures of one action type do not slow down the others', async () => {
+    const { limiter } = testLimiter({ baseDelay: 1000 });
+    for (let i = 0; i < BACKOFF.PAUSE_AFTER_FAILURES; i++) {
+        limiter.record('add', false);
+    }
+    await limiter.wait('message');
+    await limiter.wait('message');
+    assert.deepEqual(reasons(limiter), ['jitter']);
+
+    await limiter.wait('add');
+    assert.deepEqual(reasons(limiter), ['jitter', 'error_pause', 'backoff']);
+});
+
+test('pauses after a streak of failures', async () => {
+    const { limiter, waits } = testLimiter({ baseDelay: 0 });
+    for (let i = 0; i < BACKOFF.PAUSE_AFTER_FAILURES; i++) {
+        limiter.record('add', false);
+    }
+    await limiter.wait('add');
+    assert.deepEqual(waits, [BACKOFF.PAUSE_DURATION]);
+    assert.deepEqual(reasons(limiter), ['error_pause']);
+});
+
+test('an aborted wait returns false, also when the signal was aborted before', async () => {
+    const controller = new AbortController();
+    const { limiter } = testLimiter({
+        baseDelay: 1000,
+        sleep: () => {
+            controller.abort();
+            return new Promise(() => {});
+        }
+    });
+    await limiter.wait('message');
+    assert.equal(await limiter.wait('message', controller.signal), false);
+    assert.equal(await limiter.wait('message', controller.signal), false);
+});
+
+test('an aborted wait stops its timer', async () => {
+    const controller = new AbortController();
+    const limiter = createRateLimiter({ stateFile: null, baseDelay: 10 * 60 * 1000 });
+    await limiter.wait('remove');
+    setTimeout(() => controller.abort(), 10);
+    // A timer left running would keep the test process alive for minutes
+    assert.equal(await limiter.wait('remove', controller.signal), false);
+});
+
+test('keeps action history across runs in the state file', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wga-limits-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const stateFile = path.join(dir, 'limits.json');
+
+    const first = testLimiter({ stateFile, baseDelay: 0, limits: { add: { perDay: 1 } } });
+    await first.limiter.wait('add');
+    assert.equal(JSON.parse(fs.readFileSync(stateFile, 'utf8')).add.length, 1);
+
+    const second = testLimiter({ stateFile, baseDelay: 0, limits: { add: { perDay: 1 } } });
+    await second.limiter.wait('add');
+    assert.deepEqual(reasons(second.limiter), ['day_cap']);
+});
+
+test('processes sharing the state file count each other\'s actions', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wga-limits-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const stateFile = path.join(dir, 'limits.json');
+    const options = { stateFile, baseDelay: 0, limits: { message: { perDay: 2 } } };
+
+    const first = testLimiter(options);
+    const second = testLimiter(options);
+    await first.limiter.wait('message');
+    await second.limiter.wait('message');
+    assert.equal(JSON.parse(fs.readFileSync(stateFile, 'utf8')).message.length, 2);
+    assert.deepEqual(fs.readdirSync(dir), ['limits.json']);
+
+    await first.limiter.wait('message');
+    assert.deepEqual(reasons(first.limiter), ['day_cap']);
+});
+
+test('rejects unknown actions', async () => {
+    const { limiter } = testLimiter();
+    await assert.rejects(limiter.wait('kick'), /Unknown rate limit action "kick"/);
+});
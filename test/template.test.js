@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTemplate, renderForRecipients, TemplateError } = require('../lib/template');
+
+test('renders variables, fallbacks and dotted names', () => {
+    const template = parseTemplate('Hi {{name|there}}, {{slot.date}} in {{ city }}');
+    assert.equal(template.render({ slot: { date: 'Friday' }, city: 'Pune' }), 'Hi there, Friday in Pune');
+    assert.deepEqual(template.variables, ['name', 'slot.date', 'city']);
+});
+
+test('fails listing every missing variable', () => {
+    const template = parseTemplate('{{a}} {{b}} {{a}}', 'msg.txt');
+    assert.throws(() => template.render({}), (error) => {
+        assert.ok(error instanceof TemplateError);
+        assert.deepEqual(error.missing, ['a', 'b']);
+        assert.equal(error.message, 'msg.txt: missing {{a}}, {{b}}');
+        return true;
+    });
+});
+
+test('#if, #unless and else sections', () => {
+    const template = parseTemplate('{{#if visa}}visa: {{visa}}{{else}}no visa{{/if}}{{#unless paid}}, please pay{{/unless}}');
+    assert.equal(template.render({ visa: 'B1' }), 'visa: B1, please pay');
+    assert.equal(template.render({ visa: '', paid: true }), 'no visa');
+});
+
+test('false, null and empty strings count as unset', () => {
+    assert.equal(parseTemplate('{{#if paid}}paid{{else}}unpaid{{/if}}').render({ paid: false }), 'unpaid');
+    assert.equal(parseTemplate('{{count}} {{name|there}}').render({ count: 0, name: null }), '0 there');
+    assert.throws(() => parseTemplate('{{flag}}').render({ flag: false }), /missing {{flag}}/);
+    assert.throws(() => parseTemplate('{{city}}').render({ city: '' }), /missing {{city}}/);
+});
+
+test('variables starting with a keyword are not keywords', () => {
+    const template = parseTemplate('{{#if slot}}{{elseDate}} {{elsewhere}}{{else}}{{ifNone}}{{/if}} {{unlessX}}');
+    assert.deepEqual(template.variables, ['slot', 'elseDate', 'elsewhere', 'ifNone', 'unlessX']);
+    assert.equal(template.render({ slot: 1, elseDate: 'Mon', elsewhere: 'Goa', unlessX: '!' }), 'Mon Goa !');
+    assert.equal(template.render({ ifNone: 'none', unlessX: '!' }), 'none !');
+});
+
+test('keywords glued to a name are not sections', () => {
+    assert.equal(parseTemplate('{{#ifname}}x').render({}), '{{#ifname}}x');
+    assert.throws(() => parseTemplate('{{#if}}x{{/if}}'), /needs a variable name/);
+});
+
+test('rejects unbalanced sections', () => {
+    assert.throws(() => parseTemplate('{{#if a}}x'), /missing {{\/if}}/);
+    assert.throws(() => parseTemplate('x{{/if}}'), /unexpected {{\/if}}/);
+    assert.throws(() => parseTemplate('{{#if a}}x{{/unless}}'), /unexpected/);
+    assert.throws(() => parseTemplate('{{else}}'), /unexpected {{else}}/);
+    assert.throws(() => parseTemplate('{{#if a}}x{{else}}y{{else}}z{{/if}}'), /unexpected {{else}}/);
+});
+
+test('renderForRecipients reports every recipient with missing variables', () => {
+    const template = parseTemplate('Hi {{name}}', 'hi.txt');
+    const messages = renderForRecipients(template, [{ number: '+911', variables: { name: 'A' } }]);
+    assert.equal(messages.get('+911'), 'Hi A');
+    assert.throws(
+        () => renderForRecipients(template, [{ number: '+911', variables: { name: 'A' } }, { number: '+912', variables: {} }]),
+        /hi.txt: 1 of 2 recipients are missing {{name}} - e.g. \+912 \(name\)/
+    );
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { createWebhookSender, forwardJobEvents, signPayload } = require('../lib/webhooks');
+
+// Function to start a local receiver; `answer(req, body)` returns the status (or null to never answer)
+async function startReceiver(answer) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            requests.push({ headers: req.headers, body });
+            const status = await answer(req, body, requests.length);
+            if (status !== null) {
+                res.writeHead(status).end();
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+// Function to record the backoff delays instead of waiting them out
+function recordSleeps() {
+    const delays = [];
+    const sleep = (ms) => {
+        delays.push(ms);
+        return Promise.resolve();
+    };
+    return { delays, sleep };
+}
+
+test('signs the raw body with the hook secret', async (t) => {
+    const receiver = await startReceiver(() => 200);
+    t.after(receiver.close);
+    const sender = createWebhookSender([
+        { url: receiver.url, secret: 's3cret', events: ['*'] },
+        { url: receiver.url, secret: null, events: ['*'] }
+    ]);
+
+    const results = await sender.send('job.completed', { id: 'job-1' });
+    assert.deepEqual(results.map(result => result.ok), [true, true]);
+
+    const [signed, unsigned] = receiver.requests;
+    assert.equal(signed.headers['x-wga-signature'], signPayload('s3cret', signed.body));
+    assert.equal(signed.headers['x-wga-event'], 'job.completed');
+    assert.equal(signed.headers['x-wga-delivery'], JSON.parse(signed.body).id);
+    assert.deepEqual(JSON.parse(signed.body).data, { id: 'job-1' });
+    assert.equal(unsigned.headers['x-wga-signature'], undefined);
+});
+
+test('does not retry a 4xx answer', async (t) => {
+    const receiver = await startReceiver(() => 404);
+    t.after(receiver.close);
+    const { delays, sleep } = recordSleeps();
+    const sender = createWebhookSender([{ url: receiver.url, secret: null, events: ['*'] }], { sleep });
+
+    const [result] = await sender.send('member.joined', {});
+    assert.deepEqual(result, { url: receiver.url, ok: false, error: 'HTTP 404', attempts: 1 });
+    assert.equal(receiver.requests.length, 1);
+    assert.deepEqual(delays, []);
+});
+
+test('retries 5xx and 429 answers with doubling delays, keeping the delivery id', async (t) => {
+    const statuses = [500, 429, 503, 200];
+    const receiver = await startReceiver((req, body, count) => statuses[count - 1]);
+    t.after(receiver.close);
+    const { delays, sleep } = recordSleeps();
+    const sender = createWebhookSender([{ url: receiver.url, secret: null, events: ['*'] }], { sleep, retryDelay: 100 });
+
+    const [result] = await sender.send('job.failed', {});
+    assert.deepEqual(result, { url: receiver.url, ok: true, status: 200, attempts: 4 });
+    assert.deepEqual(delays, [100, 200, 400]);
+    assert.equal(new Set(receiver.requests.map(request => request.headers['x-wga-delivery'])).size, 1);
+});
+
+test('retries a receiver that does not answer in time, up to maxAttempts', async (t) => {
+    const receiver = await startReceiver(() => null);
+    t.after(receiver.close);
+    const { delays, sleep } = recordSleeps();
+    const sender = createWebhookSender([{ url: receiver.url, secret: null, events: ['*'] }], { sleep, timeout: 100, maxAttempts: 2 });
+
+    const [result] = await sender.send('job.started', {});
+    assert.equal(result.ok, false);
+    assert.equal(result.attempts, 2);
+    assert.match(result.error, /no answer within/);
+    assert.deepEqual(delays, [2000]);
+});
+
+test('delivers to one URL in order, one at a time, even when an earlier delivery is slow', async (t) => {
+    const log = [];
+    const receiver = await startReceiver(async (req, body) => {
+        const { event } = JSON.parse(body);
+        log.push(`> ${event}`);
+        await new Promise(resolve => setTimeout(resolve, event === 'job.started' ? 100 : 10));
+        log.push(`< ${event}`);
+        return 200;
+    });
+    t.after(receiver.close);
+    const sender = createWebhookSender([{ url: receiver.url, secret: null, events: ['job.*'] }]);
+
+    sender.send('job.started', {});
+    sender.send('job.progress', {});
+    sender.send('member.joined', {});
+    sender.send('job.completed', {});
+    await sender.flush();
+
+    assert.deepEqual(log, [
+        '> job.started', '< job.started',
+        '> job.progress', '< job.progress',
+        '> job.completed', '< job.completed'
+    ]);
+});
+
+test('forwardJobEvents throttles progress per job but always sends the finishing event', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const sent = [];
+    const jobs = new EventEmitter();
+    forwardJobEvents(jobs, { send: (event, job) => sent.push(`${event} ${job.id}`) }, { progressInterval: 5000 });
+
+    jobs.emit('started', { id: 'a' });
+    jobs.emit('progress', { id: 'a' });
+    jobs.emit('progress', { id: 'a' });
+    jobs.emit('progress', { id: 'b' });
+    t.mock.timers.tick(4999);
+    jobs.emit('progress', { id: 'a' });
+    t.mock.timers.tick(1);
+    jobs.emit('progress', { id: 'a' });
+    jobs.emit('completed', { id: 'a' });
+
+    assert.deepEqual(sent, [
+        'job.started a',
+        'job.progress a',
+        'job.progress b',
+        'job.progress a',
+        'job.completed a'
+    ]);
+});
@@ -0,0 +1,204 @@
+const session = require('./lib/session');
+const { getGroups, toGroupChatId } = require('./lib/groups');
+const { openActivityStore, DEFAULT_STORE_FILE } = require('./lib/activity-store');
+const { normalizePhoneNumber } = require('./lib/phone');
+const { resolveNumber } = require('./lib/contacts');
+
+/**
+ * WhatsApp Group Activity Tracker
+ *
+ * @description
+ * Long-running recorder of who actually posts in your groups. It listens to
+ * group messages and reactions and keeps per-member, per-group counts with
+ * timestamps in a local store (activity_store.json). The first time a group is
+ * seen, its recent history is backfilled with fetchMessages so the counts are
+ * useful straight away. This is the data the inactive list is built from.
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Set GROUP_IDS to the groups to track (empty = every group you are in)
+ * 2. Run: node track-activity.js
+ * 3. Scan QR code with your WhatsApp mobile app (first time only)
+ * 4. Leave it running; stop with Ctrl+C (the store is saved on exit)
+ *
+ * @configuration
+ * - GROUP_IDS: Groups to track (bare or serialized IDs); empty tracks every group
+ * - BACKFILL_LIMIT: How many past messages to read per group on first run
+ * - STORE_FILE: Where counts are kept (see lib/activity-store.js)
+ *
+ * @output
+ * - activity_store.json: per-member totals, last activity and daily counts per group
+ * - Console log of every counted message and reaction
+ *
+ * @notes
+ * - Messages sent from this account are counted for this account's number
+ * - Removed reactions are ignored; changing a reaction does not count twice
+ * - Backfill runs once per group; delete the group from the store to redo it
+ *
+ * @see generate-inactive-list.js - Builds the removal list from this store
+ */
+
+// Configuration
+const GROUP_IDS = []; // e.g. ["120363401616166216"]; empty = all groups
+const BACKFILL_LIMIT = 1000;
+const STORE_FILE = DEFAULT_STORE_FILE;
+
+// Message types that are not member contributions (system notices, calls, deletions)
+const IGNORED_TYPES = ['gp2', 'notification', 'notification_template', 'e2e_notification', 'call_log', 'protocol', 'revoked', 'ciphertext'];
+
+/**
+ * Start recording activity for the given groups. Resolves once backfill is
+ * done and the listeners are attached; recording continues until shutdown.
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} [options]
+ * @param {string[]} [options.groupIds] - Groups to track (empty or omitted: all groups)
+ * @param {number} [options.backfillLimit=BACKFILL_LIMIT] - Messages read per group on first run (0 skips backfill)
+ * @param {string} [options.storeFile=STORE_FILE]
+ * @returns {Promise<object>} The activity store
+ */
+async function trackActivity(client, options = {}) {
+    const store = openActivityStore(options.storeFile || STORE_FILE);
+    const backfillLimit = options.backfillLimit !== undefined ? options.backfillLimit : BACKFILL_LIMIT;
+    session.onShutdown(() => {
+        store.save();
+        console.log(`💾 Activity saved to ${store.file}`);
+    });
+
+    const allGroups = await getGroups(client);
+    const wanted = (options.groupIds || []).map(toGroupChatId);
+    const groups = wanted.length > 0 ? allGroups.filter(group => wanted.includes(group.id._serialized)) : allGroups;
+    const missing = wanted.filter(id => !groups.some(group => group.id._serialized === id));
+    if (missing.length > 0) {
+        console.log(`⚠️  Not a member of: ${missing.join(', ')}`);
+    }
+    if (groups.length === 0) {
+        throw new Error('No groups to track');
+    }
+
+    const tracked = new Map(groups.map(group => [group.id._serialized, group.name]));
+    console.log(`\n👀 Tracking ${groups.length} groups:`);
+    groups.forEach((group, index) => console.log(`   ${index + 1}. ${group.name}`));
+
+    // Backfill history for groups seen for the first time
+    if (backfillLimit > 0) {
+        for (const group of groups) {
+            if (store.isBackfilled(group.id._serialized)) continue;
+            await backfillGroup(client, store, group, backfillLimit);
+        }
+        store.save();
+    }
+
+    client.on('message_create', async (message) => {
+        try {
+            const groupId = message.fromMe ? message.to : message.from;
+            if (!tracked.has(groupId) || IGNORED_TYPES.includes(message.type)) return;
+            const number = await authorNumber(client, message);
+            if (!number) return;
+            const at = new Date(message.timestamp * 1000);
+            if (store.recordMessage(groupId, tracked.get(groupId), number, at, message.id._serialized)) {
+                console.log(`💬 ${tracked.get(groupId)}: message from ${number}`);
+            }
+        } catch (error) {
+            console.error('❌ Error recording message:', error.message);
+        }
+    });
+
+    client.on('message_reaction', async (reaction) => {
+        try {
+            const groupId = reaction.msgId && reaction.msgId.remote;
+            if (!tracked.has(groupId) || !reaction.reaction) return;
+            const number = await resolveNumber(client, reaction.senderId);
+            if (!number) return;
+            const at = new Date(reaction.timestamp * 1000);
+            if (store.recordReaction(groupId, tracked.get(groupId), number, at, reaction.msgId._serialized)) {
+                console.log(`${reaction.reaction} ${tracked.get(groupId)}: reaction from ${number}`);
+            }
+        } catch (error) {
+            console.error('❌ Error recording reaction:', error.message);
+        }
+    });
+
+    console.log(`\n✅ Recording activity to ${store.file} - press Ctrl+C to stop`);
+    return store;
+}
+
+// Function to backfill a group the first time it is tracked
+async function backfillGroup(client, store, group, limit) {
+    console.log(`\n📥 Backfilling "${group.name}" (up to ${limit} messages)...`);
+    try {
+        const history = await recordHistory(client, store, group, limit);
+        store.markBackfilled(group.id._serialized, group.name, { messages: history.fetched, oldest: history.oldest });
+        console.log(`✅ "${group.name}": ${history.messageCount} messages and ${history.reactionCount} reactions${history.oldest ? ` since ${history.oldest.slice(0, 10)}` : ''}`);
+    } catch (error) {
+        console.log(`⚠️  Could not read history of "${group.name}": ${error.message}`);
+    }
+}
+
+/**
+ * Read a group's recent history (fetchMessages) into the store. Messages and
+ * reactions already in the store are not counted again.
+ *
+ * @param {Client} client
+ * @param {object} store - From lib/activity-store.js
+ * @param {GroupChat} group
+ * @param {number} limit - Most recent messages to read
+ * @returns {Promise<{fetched: number, oldest: string|null, messageCount: number, reactionCount: number}>}
+ *   oldest is the timestamp of the oldest message read, so callers can tell how far back the history goes
+ */
+async function recordHistory(client, store, group, limit) {
+    const groupId = group.id._serialized;
+    const messages = await group.fetchMessages({ limit });
+
+    let messageCount = 0;
+    let reactionCount = 0;
+    for (const message of messages) {
+        if (IGNORED_TYPES.includes(message.type)) continue;
+        const number = await authorNumber(client, message);
+        if (number && store.recordMessage(groupId, group.name, number, new Date(message.timestamp * 1000), message.id._serialized)) {
+            messageCount++;
+        }
+
+        if (message.hasReaction) {
+            try {
+                const reactions = await message.getReactions();
+                for (const { senders } of reactions || []) {
+                    for (const reaction of senders) {
+                        const reactor = await resolveNumber(client, reaction.senderId);
+                        if (reactor && store.recordReaction(groupId, group.name, reactor, new Date(reaction.timestamp * 1000), message.id._serialized)) {
+                            reactionCount++;
+                        }
+                    }
+                }
+            } catch (error) {
+                // Reactions are a bonus; keep the message counts
+            }
+        }
+    }
+
+    const oldest = messages.length > 0 ? new Date(Math.min(...messages.map(m => m.timestamp)) * 1000).toISOString() : null;
+    return { fetched: messages.length, oldest, messageCount, reactionCount };
+}
+
+// Function to get the E.164 number of a message author
+async function authorNumber(client, message) {
+    if (message.fromMe) {
+        return normalizePhoneNumber(client.info.wid._serialized);
+    }
+    return resolveNumber(client, message.author || message.from, () => message.getContact());
+}
+
+// Run directly: node track-activity.js
+if (require.main === module) {
+    const client = session.createClient();
+
+    console.log('🚀 Starting WhatsApp Activity Tracker...');
+
+    session.ready(client)
+        .then(() => trackActivity(client, { groupIds: GROUP_IDS }))
+        .catch(session.fail);
+}
+
+module.exports = { trackActivity, recordHistory, BACKFILL_LIMIT };
@@ -0,0 +1,247 @@
+const session = require('./lib/session');
+const { getGroups, toGroupChatId } = require('./lib/groups');
+const { appendEvent, readEvents, DEFAULT_EVENT_LOG } = require('./lib/event-log');
+const { loadWebhooks, createWebhookSender, forwardMemberEvent, DEFAULT_WEBHOOK_FILE } = require('./lib/webhooks');
+const { resolveNumber } = require('./lib/contacts');
+const { parsePhoneNumber } = require('./lib/phone');
+const fs = require('fs');
+
+/**
+ * WhatsApp Group Event Watcher
+ *
+ * @description
+ * Long-running recorder of membership changes. It listens for group_join,
+ * group_leave, group_admin_changed, group_membership_request and group_update
+ * and appends every event, with actor, affected members, group and timestamp,
+ * to an append-only log (group_events.jsonl). Manual removals by other admins,
+ * members leaving on their own and admin promotions are recorded as they
+ * happen. The log can be queried by group, member and date range. Joins and
+ * leaves are also sent to the member.joined / member.left webhooks, if any are
+ * configured (see lib/webhooks.js).
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Set GROUP_IDS to the groups to watch (empty = every group you are in)
+ * 2. Run: node watch-group-events.js
+ * 3. Leave it running; stop with Ctrl+C
+ * 4. Query the log: wga events query --group <id> --number <phone> --since 2025-07-01
+ *
+ * @configuration
+ * - GROUP_IDS: Groups to watch (bare or serialized IDs); empty watches every group
+ * - EVENT_LOG_FILE: Where events are appended (see lib/event-log.js)
+ * - WEBHOOK_FILE: Webhooks to notify of joins and leaves (optional, see lib/webhooks.js)
+ *
+ * @output
+ * - group_events.jsonl: one line per event
+ * - Console log of every event
+ *
+ * @notes
+ * - Events only reach the watcher while it runs; nothing is recorded while it is stopped
+ * - "join" covers adds by an admin, invite-link joins and linked community joins;
+ *   "leave" covers members leaving and removals (type tells them apart)
+ *
+ * @see membership-history.js - Snapshots, for changes made while the watcher was not running
+ */
+
+// Configuration
+const GROUP_IDS = []; // e.g. ["120363401616166216"]; empty = all groups
+const EVENT_LOG_FILE = DEFAULT_EVENT_LOG;
+const WEBHOOK_FILE = DEFAULT_WEBHOOK_FILE;
+
+// Client events and the name they are logged under
+const WATCHED_EVENTS = {
+    group_join: 'join',
+    group_leave: 'leave',
+    group_admin_changed: 'admin_changed',
+    group_membership_request: 'membership_request',
+    group_update: 'update'
+};
+
+const EVENT_ICONS = {
+    join: '➕',
+    leave: '➖',
+    admin_changed: '👑',
+    membership_request: '🙋',
+    update: '✏️ '
+};
+
+/**
+ * Start recording group events. Resolves once the listeners are attached;
+ * recording continues until shutdown.
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} [options]
+ * @param {string[]} [options.groupIds] - Groups to watch (empty or omitted: all groups)
+ * @param {string} [options.logFile=EVENT_LOG_FILE]
+ * @param {object} [options.webhooks] - Webhook sender (default: the webhooks in WEBHOOK_FILE)
+ * @returns {Promise<string>} The log file
+ */
+async function watchGroupEvents(client, options = {}) {
+    const logFile = options.logFile || EVENT_LOG_FILE;
+    const webhooks = options.webhooks || createWebhookSender(loadWebhooks(WEBHOOK_FILE));
+    const wanted = (options.groupIds || []).map(toGroupChatId);
+    const groups = await getGroups(client);
+    const names = new Map(groups.map(group => [group.id._serialized, group.name]));
+
+    const missing = wanted.filter(id => !names.has(id));
+    if (missing.length > 0) {
+        console.log(`⚠️  Not a member of: ${missing.join(', ')}`);
+    }
+    const watching = wanted.length > 0 ? wanted.filter(id => names.has(id)) : null;
+    if (watching && watching.length === 0) {
+        throw new Error('No groups to watch');
+    }
+
+    Object.entries(WATCHED_EVENTS).forEach(([clientEvent, eventName]) => {
+        client.on(clientEvent, async (notification) => {
+            try {
+                const groupId = notification.chatId;
+                if (watching && !watching.includes(groupId)) return;
+
+                // Joining a group we did not know about (e.g. being added) - learn its name
+                if (!names.has(groupId)) {
+                    const chat = await notification.getChat().catch(() => null);
+                    names.set(groupId, chat ? chat.name : groupId);
+                }
+                // Name at the time of the event; a subject change applies from the next event on
+                const groupName = names.get(groupId);
+                if (notification.type === 'subject' && notification.body) {
+                    names.set(groupId, notification.body);
+                }
+
+                const actor = await resolveNumber(client, notification.author) || notification.author || null;
+                const targets = [];
+                for (const id of notification.recipientIds || []) {
+                    const recipient = typeof id === 'object' ? id._serialized : id;
+                    targets.push(await resolveNumber(client, recipient) || recipient);
+                }
+
+                const event = appendEvent(logFile, {
+                    at: new Date((notification.timestamp || Date.now() / 1000) * 1000).toISOString(),
+                    event: eventName,
+                    type: notification.type,
+                    groupId,
+                    groupName,
+                    actor,
+                    targets,
+                    body: notification.body || '',
+                    id: notification.id && notification.id._serialized
+                });
+                console.log(`${EVENT_ICONS[eventName]} ${describeEvent(event)}`);
+                forwardMemberEvent(webhooks, event);
+            } catch (error) {
+                console.error(`❌ Error recording ${clientEvent}:`, error.message);
+            }
+        });
+    });
+
+    console.log(`\n👀 Watching ${watching ? watching.length : names.size} groups for joins, leaves, admin changes and updates`);
+    if (webhooks.wants('member.')) {
+        console.log('🔔 Sending joins and leaves to the configured webhooks');
+        session.onShutdown(() => webhooks.flush(5000));
+    }
+    console.log(`✅ Appending events to ${logFile} - press Ctrl+C to stop`);
+    return logFile;
+}
+
+/**
+ * Print (and optionally save) events from the log.
+ *
+ * @param {object} [options]
+ * @param {string} [options.groupId] - Bare or serialized group ID
+ * @param {string} [options.member] - Phone number in any format; matches actor or target
+ * @param {string} [options.since] - Date or date-time (inclusive)
+ * @param {string} [options.until] - Date or date-time (inclusive; a date alone includes that whole day)
+ * @param {string[]} [options.events] - Event names to keep
+ * @param {string} [options.defaultCountry] - Country for a member number without a country code
+ * @param {string} [options.logFile=EVENT_LOG_FILE]
+ * @param {string} [options.output] - Also write the matching events to this JSON file
+ * @returns {object[]} The matching events
+ */
+function queryGroupEvents(options = {}) {
+    const logFile = options.logFile || EVENT_LOG_FILE;
+    if (!fs.existsSync(logFile)) {
+        throw new Error(`${logFile} does not exist - start the watcher first (wga events watch)`);
+    }
+
+    let member;
+    if (options.member) {
+        const parsed = parsePhoneNumber(options.member, { defaultCountry: options.defaultCountry });
+        if (!parsed.valid) {
+            throw new Error(`Invalid member number "${options.member}": ${parsed.reason}`);
+        }
+        member = parsed.e164;
+    }
+
+    const events = readEvents(logFile, {
+        groupId: options.groupId ? toGroupChatId(options.groupId) : undefined,
+        member,
+        since: parseDate(options.since, 'start'),
+        until: parseDate(options.until, 'end'),
+        events: options.events
+    });
+
+    const filters = [
+        options.groupId && `group ${options.groupId}`,
+        member && `member ${member}`,
+        options.since && `since ${options.since}`,
+        options.until && `until ${options.until}`,
+        options.events && `events ${options.events.join(', ')}`
+    ].filter(Boolean);
+    console.log(`📜 ${events.length} events${filters.length > 0 ? ` (${filters.join(', ')})` : ''}:`);
+    events.forEach(event => {
+        console.log(`   ${event.at.slice(0, 16).replace('T', ' ')}  ${EVENT_ICONS[event.event] || '•'} ${describeEvent(event)}`);
+    });
+
+    if (options.output) {
+        fs.writeFileSync(options.output, JSON.stringify(events, null, 2));
+        console.log(`\n📁 Events saved to: ${options.output}`);
+    }
+    return events;
+}
+
+// Function to describe an event in one line
+function describeEvent(event) {
+    const who = event.targets.length > 0 ? event.targets.join(', ') : event.actor;
+    const by = event.actor && !event.targets.includes(event.actor) ? ` by ${event.actor}` : '';
+    const group = event.groupName || event.groupId;
+    switch (event.type) {
+        case 'add': return `${group}: ${who} added${by}`;
+        case 'invite': return `${group}: ${who} joined via invite link`;
+        case 'linked_group_join': return `${group}: ${who} joined from the community`;
+        case 'leave': return `${group}: ${who} left`;
+        case 'remove': return `${group}: ${who} removed${by}`;
+        case 'promote': return `${group}: ${who} promoted to admin${by}`;
+        case 'demote': return `${group}: ${who} demoted${by}`;
+        case 'membership_approval_request': return `${group}: ${event.actor} asked to join`;
+        default: return `${group}: ${event.type}${event.body ? ` "${event.body}"` : ''}${event.actor ? ` by ${event.actor}` : ''}`;
+    }
+}
+
+// Function to parse a --since/--until value ("2025-07-01" or an ISO date-time)
+function parseDate(value, edge) {
+    if (!value) return undefined;
+    const text = /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? `${value}T${edge === 'start' ? '00:00:00.000' : '23:59:59.999'}Z`
+        : value;
+    const date = new Date(text);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date "${value}" (use YYYY-MM-DD or an ISO date-time)`);
+    }
+    return date;
+}
+
+// Run directly: node watch-group-events.js
+if (require.main === module) {
+    const client = session.createClient();
+
+    console.log('🚀 Starting WhatsApp Group Event Watcher...');
+
+    session.ready(client)
+        .then(() => watchGroupEvents(client, { groupIds: GROUP_IDS }))
+        .catch(session.fail);
+}
+
+module.exports = { watchGroupEvents, queryGroupEvents, WATCHED_EVENTS, EVENT_LOG_FILE };
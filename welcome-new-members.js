@@ -0,0 +1,225 @@
+const session = require('./lib/session');
+const { getGroups, toGroupChatId } = require('./lib/groups');
+const { loadTemplate } = require('./lib/template');
+const { getContactName } = require('./lib/contacts');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * WhatsApp Welcome Messages for New Members
+ *
+ * @description
+ * Greets people as they join a group (added by an admin, via the invite link
+ * sent by add-participants-to-group.js, or from the community) and tells them
+ * the group rules. Each group is configured separately: post the welcome in
+ * the group mentioning the newcomers, or send each of them a DM. Joins are
+ * collected for a short window, so a burst of joins produces one combined
+ * welcome in the group instead of a message per person.
+ *
+ * @requires whatsapp-web.js
+ * @requires qrcode-terminal
+ *
+ * @usage
+ * 1. Configure WELCOME_GROUPS (or a JSON file with the same shape, see WELCOME_CONFIG_FILE)
+ * 2. Edit templates/welcome.txt and templates/rules.txt
+ * 3. Run: node welcome-new-members.js
+ * 4. Leave it running; stop with Ctrl+C
+ *
+ * @configuration
+ * - WELCOME_GROUPS: Per group (bare or serialized ID):
+ *   - mode: 'group' (one message in the group mentioning everyone) or 'dm' (a DM per member)
+ *   - messageFile: Welcome template (default templates/welcome.txt)
+ *   - rulesFile: Rules text for {{rules}} (default templates/rules.txt; null uses the group description)
+ *   - window: Seconds to collect joins before welcoming them together (default 60)
+ *   - minInterval: Minimum seconds between two welcomes in the group (default 300)
+ *   - variables: Extra template variables
+ * - WELCOME_CONFIG_FILE: JSON file with the same shape, used instead of WELCOME_GROUPS when it exists
+ *
+ * Template variables: {{groupName}}, {{members}} (mentions in group mode, the
+ * member's name in DM mode), {{count}}, {{rules}}, plus configured variables.
+ *
+ * @notes
+ * - Only joins that happen while this runs are welcomed
+ * - This account joining a group is not welcomed
+ * - DMs are paced by lib/rate-limiter.js like every other message
+ *
+ * @see watch-group-events.js - Records the same joins in the event log
+ */
+
+// Configuration
+const WELCOME_GROUPS = {
+    "120363401616166216": { mode: 'group' } // Slots Update
+};
+const WELCOME_CONFIG_FILE = 'welcome.json';
+
+// Defaults for every group
+const WELCOME_TEMPLATE_FILE = path.join(__dirname, 'templates', 'welcome.txt');
+const RULES_FILE = path.join(__dirname, 'templates', 'rules.txt');
+const DEFAULTS = {
+    mode: 'group',
+    window: 60,        // Seconds to collect a burst of joins
+    minInterval: 300   // Seconds between two welcomes in the same group
+};
+
+// Notification types that mean someone joined
+const JOIN_TYPES = ['add', 'invite', 'linked_group_join'];
+
+/**
+ * Start welcoming new members. Resolves once the listener is attached;
+ * welcomes continue until shutdown.
+ *
+ * @param {Client} client - Ready WhatsApp client
+ * @param {object} groupsConfig - Per-group settings keyed by group ID (see WELCOME_GROUPS)
+ * @param {object} [options]
+ * @param {object} [options.limiter] - Rate limiter for DMs (created if omitted)
+ * @returns {Promise<Map>} Resolved settings per serialized group ID
+ */
+async function welcomeNewMembers(client, groupsConfig, options = {}) {
+    const limiter = options.limiter || createRateLimiter();
+    const groups = await getGroups(client);
+    const settings = resolveSettings(groupsConfig, groups);
+    const selfId = client.info.wid._serialized;
+
+    // Joins waiting to be welcomed, and when each group was last welcomed
+    const pending = new Map();
+    const lastWelcomeAt = new Map();
+
+    client.on('group_join', (notification) => {
+        const groupSettings = settings.get(notification.chatId);
+        if (!groupSettings || !JOIN_TYPES.includes(notification.type)) return;
+
+        const joined = (notification.recipientIds || [])
+            .map(id => (typeof id === 'object' ? id._serialized : id))
+            .filter(id => id && id !== selfId);
+        if (joined.length === 0) return;
+
+        let batch = pending.get(notification.chatId);
+        if (!batch) {
+            // The first join of a burst starts the window; later joins ride along
+            const earliest = (lastWelcomeAt.get(notification.chatId) || 0) + groupSettings.minInterval * 1000;
+            const waitMs = Math.max(groupSettings.window * 1000, earliest - Date.now());
+            batch = { members: [], timer: null };
+            batch.timer = setTimeout(() => {
+                pending.delete(notification.chatId);
+                lastWelcomeAt.set(notification.chatId, Date.now());
+                sendWelcome(client, groupSettings, batch.members, limiter)
+                    .catch(error => console.error(`❌ Error welcoming members of "${groupSettings.name}":`, error.message));
+            }, waitMs);
+            pending.set(notification.chatId, batch);
+            console.log(`👋 ${groupSettings.name}: welcome in ${Math.round(waitMs / 1000)}s`);
+        }
+        joined.forEach(id => {
+            if (!batch.members.includes(id)) batch.members.push(id);
+        });
+        console.log(`➕ ${groupSettings.name}: ${joined.length} joined (${batch.members.length} waiting for the welcome)`);
+    });
+
+    // Send what is pending on shutdown rather than dropping it
+    session.onShutdown(async () => {
+        for (const [groupId, batch] of pending) {
+            clearTimeout(batch.timer);
+            pending.delete(groupId);
+            await sendWelcome(client, settings.get(groupId), batch.members, limiter).catch(() => {});
+        }
+    });
+
+    console.log(`\n👋 Welcoming new members of ${settings.size} groups:`);
+    [...settings.values()].forEach((groupSettings, index) => {
+        console.log(`   ${index + 1}. ${groupSettings.name} (${groupSettings.mode === 'dm' ? 'DM each member' : 'post in group'}, window ${groupSettings.window}s)`);
+    });
+    console.log('✅ Listening for joins - press Ctrl+C to stop');
+    return settings;
+}
+
+// Function to merge per-group config with the defaults, loading templates up front
+function resolveSettings(groupsConfig, groups) {
+    const settings = new Map();
+    Object.entries(groupsConfig).forEach(([groupId, config]) => {
+        const id = toGroupChatId(groupId);
+        const group = groups.find(g => g.id._serialized === id);
+        if (!group) {
+            console.log(`⚠️  Not a member of ${id} - skipped`);
+            return;
+        }
+        const merged = { ...DEFAULTS, ...config };
+        if (!['group', 'dm'].includes(merged.mode)) {
+            throw new Error(`${id}: unknown mode "${merged.mode}" (use group or dm)`);
+        }
+        const rulesFile = merged.rulesFile === undefined ? RULES_FILE : merged.rulesFile;
+        const resolved = {
+            ...merged,
+            groupId: id,
+            name: group.name,
+            template: merged.template || loadTemplate(merged.messageFile || WELCOME_TEMPLATE_FILE),
+            rules: rulesFile ? fs.readFileSync(rulesFile, 'utf8').trim() : (group.description || '').trim(),
+            variables: merged.variables || {}
+        };
+        // Render once with a sample member so a missing variable fails now, not on the first real join
+        resolved.template.render({ ...resolved.variables, groupName: resolved.name, count: 1, members: 'there', rules: resolved.rules });
+        settings.set(id, resolved);
+    });
+    if (settings.size === 0) {
+        throw new Error('No groups to welcome members in');
+    }
+    return settings;
+}
+
+// Function to send one combined welcome to the group, or a DM to each member
+async function sendWelcome(client, settings, memberIds, limiter) {
+    const base = { ...settings.variables, groupName: settings.name, count: memberIds.length, rules: settings.rules };
+
+    if (settings.mode === 'group') {
+        const mentions = memberIds.map(id => `@${id.split('@')[0]}`);
+        const text = settings.template.render({ ...base, members: joinNames(mentions) });
+        await client.sendMessage(settings.groupId, text, { mentions: memberIds });
+        console.log(`📣 ${settings.name}: welcomed ${memberIds.length} new member${memberIds.length === 1 ? '' : 's'}`);
+        return;
+    }
+
+    for (const id of memberIds) {
+        await limiter.wait('message');
+        try {
+            const name = await getContactName(client, id);
+            await client.sendMessage(id, settings.template.render({ ...base, count: 1, members: name || 'there' }));
+            limiter.record('message', true);
+            console.log(`💌 ${settings.name}: welcome DM sent to ${id.split('@')[0]}`);
+        } catch (error) {
+            limiter.record('message', false);
+            console.error(`❌ ${settings.name}: welcome DM to ${id.split('@')[0]} failed:`, error.message);
+        }
+    }
+}
+
+// Function to join names as "a", "a and b" or "a, b and c"
+function joinNames(names) {
+    if (names.length <= 1) return names.join('');
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Load per-group welcome settings from a JSON file (same shape as WELCOME_GROUPS).
+ * @param {string} file
+ * @returns {object}
+ */
+function loadWelcomeConfig(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`${file} must map group IDs to welcome settings`);
+    }
+    return config;
+}
+
+// Run directly: node welcome-new-members.js
+if (require.main === module) {
+    const config = fs.existsSync(WELCOME_CONFIG_FILE) ? loadWelcomeConfig(WELCOME_CONFIG_FILE) : WELCOME_GROUPS;
+    const client = session.createClient();
+
+    console.log('🚀 Starting WhatsApp Welcome Messages...');
+
+    session.ready(client)
+        .then(() => welcomeNewMembers(client, config))
+        .catch(session.fail);
+}
+
+module.exports = { welcomeNewMembers, loadWelcomeConfig, WELCOME_TEMPLATE_FILE, RULES_FILE };
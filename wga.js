@@ -0,0 +1,937 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const fs = require('fs');
+const session = require('./lib/session');
+const { getGroups, printGroups, findGroup, toGroupChatId } = require('./lib/groups');
+const { saveParticipantsToFile } = require('./lib/participants-export');
+const { addParticipantsToGroup } = require('./add-participants-to-group');
+const { removeInactiveParticipants } = require('./remove-inactive-from-group');
+const { sendMessagesToAll } = require('./send-messages');
+const { exportAllGroupsInfo } = require('./export-all-groups-info');
+const { printGroupParticipants } = require('./debug-group');
+const { findMissingParticipants } = require('./find-missing-participants');
+const { convertCsvToJson } = require('./convert-csv-to-json');
+const { combineNumberLists, OPERATIONS } = require('./combine-number-lists');
+const { compareGroups } = require('./compare-groups');
+const { watchGroupEvents, queryGroupEvents, WATCHED_EVENTS } = require('./watch-group-events');
+const { welcomeNewMembers, loadWelcomeConfig } = require('./welcome-new-members');
+const { takeSnapshot, importSnapshots, listSnapshots, diffSnapshots, printTimeline, findNumber } = require('./membership-history');
+const { trackActivity } = require('./track-activity');
+const { generateInactiveList } = require('./generate-inactive-list');
+const { generateLeaderboard, scheduleLeaderboard, parseInterval } = require('./generate-leaderboard');
+const { inviteConversion, renudgeInvites } = require('./invite-conversion');
+const { showInviteLink, revokeInviteLink, rotateExpiredLinks, listInviteLinks } = require('./manage-invite-links');
+const { startApiServer } = require('./api-server');
+const { startDashboard } = require('./dashboard');
+const { testWebhooks } = require('./lib/webhooks');
+const { runMultiGroup } = require('./multi-group');
+const { runScheduler, addScheduledJob, listScheduledJobs, pauseScheduledJob, deleteScheduledJob, ACTIONS } = require('./scheduler');
+const { loadTemplate } = require('./lib/template');
+const { loadRecipients } = require('./lib/recipients');
+const { loadAttachment } = require('./lib/media');
+const { resolveCountry } = require('./lib/phone');
+
+/**
+ * wga - WhatsApp Group Actions command-line interface
+ *
+ * One entry point for every tool in this project. Everything that used to be
+ * configured by editing constants at the top of a script is passed as a flag,
+ * and the target group is always given explicitly with --group.
+ *
+ * @example
+ * ```bash
+ * wga groups list
+ * wga members add --group 120363401616166216 --input participants_to_add.json
+ * wga members remove --group 120363415434456792 --input inactive_participants.json --notify
+ * wga broadcast --input active_not_in_group.json --message-file message.txt --delay 3
+ * wga broadcast --input active_not_in_group.json --message-file slot.txt --var date=Friday --var venue="Hall B"
+ * wga broadcast --input slots.csv --message-file slot.txt --dry-run
+ * wga broadcast --input slots.csv --message-file slot.txt --attach slot-calendar.png
+ * wga members remove --group 120363415434456792 --input inactive_participants.json --dry-run
+ * wga groups compare --group 120363415434456792 --target 120363401616166216 --add --dry-run
+ * wga snapshots take --group 120363401616166216
+ * wga snapshots diff --group 120363401616166216 --from 2025-06-29 --to latest
+ * wga snapshots find --number "+91 94294 24060"
+ * wga events watch --group 120363401616166216
+ * wga events query --group 120363401616166216 --event leave --since 2025-07-01 --until 2025-07-31
+ * wga welcome --group 120363401616166216 --window 120
+ * wga sets a-minus-b active.csv all.json
+ * wga sets union active_numbers.json 'add_results_2025-06-29T15-31-23.json#invited' --output to_nudge.json
+ * wga leaderboard --group 120363415434456792 --days 7 --top 5 --post --every 7d
+ * wga invites conversion --input add_results_2025-06-29T15-31-23.json
+ * wga invites renudge --input add_results_2025-06-29T15-31-23.json --after 48 --dry-run
+ * wga members add --group 120363401616166216 --input participants_to_add.json --campaign june-drive --rotate-after 72
+ * wga links rotate --group 120363401616166216 --reason "shared on a public forum"
+ * wga links expire
+ * wga serve --port 3000
+ * wga dashboard
+ * wga webhooks test --event job.completed
+ * wga schedule add --name monday-reminder --cron "0 9 * * mon" --action post --group 120363401616166216 --message-file slot.txt
+ * wga schedule add --name monthly-cleanup --cron "0 10 1 * *" --action remove-inactive --group 120363415434456792 --dry-run
+ * wga schedule pause monday-reminder
+ * wga multi remove --all --number +919876543210 --dry-run
+ * wga multi add --match "slot*update*" --input participants_to_add.json
+ * wga multi post --group 120363401616166216,120363415434456792 --message-file slot.txt
+ * ```
+ */
+
+const OPTIONS = {
+    group: { type: 'string', short: 'g' },
+    input: { type: 'string', short: 'i' },
+    'message-file': { type: 'string', short: 'm' },
+    var: { type: 'string', multiple: true, default: [] },
+    attach: { type: 'string', short: 'a' },
+    country: { type: 'string', short: 'c' },
+    notify: { type: 'boolean', default: false },
+    delay: { type: 'string', short: 'd' },
+    format: { type: 'string', short: 'f', default: 'json' },
+    against: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    'skip-registration-check': { type: 'boolean', default: false },
+    resume: { type: 'string' },
+    backfill: { type: 'string' },
+    days: { type: 'string' },
+    'min-messages': { type: 'string' },
+    'count-reactions': { type: 'boolean' },
+    allowlist: { type: 'string' },
+    history: { type: 'string' },
+    top: { type: 'string' },
+    post: { type: 'boolean', default: false },
+    every: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    target: { type: 'string', short: 't' },
+    add: { type: 'boolean', default: false },
+    'include-admins': { type: 'boolean' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    number: { type: 'string', short: 'n' },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    event: { type: 'string' },
+    mode: { type: 'string' },
+    'rules-file': { type: 'string' },
+    window: { type: 'string' },
+    config: { type: 'string' },
+    after: { type: 'string' },
+    campaign: { type: 'string' },
+    'rotate-after': { type: 'string' },
+    reason: { type: 'string' },
+    link: { type: 'string' },
+    port: { type: 'string' },
+    host: { type: 'string' },
+    cron: { type: 'string' },
+    action: { type: 'string' },
+    name: { type: 'string' },
+    match: { type: 'string' },
+    all: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Commands: `prepare` validates flags and loads input files before connecting,
+// `online` commands then receive an authenticated WhatsApp client, and
+// `keepAlive` commands (or a function of the prepared options) keep running
+// after `run` resolves (until Ctrl+C), and `takesArguments` commands receive
+// the remaining positional arguments as the second argument of `prepare`
+const COMMANDS = {
+    'groups list': {
+        usage: 'groups list',
+        description: 'List your groups with IDs, participant counts and admin status',
+        online: true,
+        run: async (client) => {
+            const groups = await getGroups(client);
+            printGroups(client, groups);
+        }
+    },
+    'groups export': {
+        usage: 'groups export',
+        description: 'Export raw data of every group (raw_groups_data_*.json)',
+        online: true,
+        run: (client) => exportAllGroupsInfo(client)
+    },
+    'groups compare': {
+        usage: 'groups compare --group <source-id> --target <target-id> [--include-admins] [--add [--message-file <invite.txt>] [--attach <file>] [--var key=value] [--delay <seconds>] [--dry-run]]',
+        description: 'Compare the live members of two groups with roles, optionally adding members missing from the target to it',
+        online: true,
+        prepare: (opts) => ({
+            sourceGroupId: requireOption(opts, 'group'),
+            targetGroupId: requireOption(opts, 'target'),
+            includeAdmins: opts['include-admins'],
+            addMissing: opts.add,
+            addOptions: {
+                inviteTemplate: readTemplate(opts),
+                variables: parseVariables(opts),
+                attachment: readAttachment(opts),
+                delay: parseDelay(opts),
+                checkRegistration: !opts['skip-registration-check'],
+                dryRun: opts['dry-run']
+            }
+        }),
+        run: (client, options) => compareGroups(client, options)
+    },
+    'participants list': {
+        usage: 'participants list --group <id>',
+        description: 'Print every participant of a group with their role',
+        online: true,
+        prepare: (opts) => ({ groupId: requireOption(opts, 'group') }),
+        run: (client, options) => printGroupParticipants(client, options.groupId)
+    },
+    'participants export': {
+        usage: 'participants export --group <id> [--format json|csv|txt]',
+        description: 'Save the participants of a group to a file',
+        online: true,
+        prepare: (opts) => {
+            const format = opts.format.toLowerCase();
+            if (!['json', 'csv', 'txt'].includes(format)) {
+                throw new UsageError(`Unknown format "${opts.format}" (use json, csv or txt)`);
+            }
+            return { groupId: requireOption(opts, 'group'), format };
+        },
+        run: async (client, options) => {
+            const group = await findGroup(client, options.groupId);
+            if (group) {
+                await saveParticipantsToFile(group, options.format);
+            }
+        }
+    },
+    'members add': {
+        usage: 'members add --group <id> --input <numbers.json> [--message-file <invite.txt>] [--attach <file>] [--var key=value] [--country <code>] [--delay <seconds>] [--campaign <name>] [--rotate-after <hours>] [--dry-run] [--resume <journal>]',
+        description: 'Add numbers to a group, sending an invite link when direct add fails',
+        online: true,
+        prepare: (opts) => ({
+            groupId: requireOption(opts, 'group'),
+            participants: readNumbers(requireOption(opts, 'input')),
+            inviteTemplate: readTemplate(opts),
+            variables: parseVariables(opts),
+            attachment: readAttachment(opts),
+            delay: parseDelay(opts),
+            defaultCountry: readCountry(opts),
+            checkRegistration: !opts['skip-registration-check'],
+            dryRun: opts['dry-run'],
+            resume: opts.resume,
+            campaign: opts.campaign,
+            rotateAfter: parseCount(opts, 'rotate-after')
+        }),
+        run: (client, options) => addParticipantsToGroup(client, options)
+    },
+    'members inactive': {
+        usage: 'members inactive --group <id> [--days 30] [--min-messages 1] [--count-reactions] [--allowlist <numbers.json>] [--history <messages>]',
+        description: 'Build the removal list from message history (members below the threshold in the window, minus admins, you and the allowlist)',
+        online: true,
+        prepare: (opts) => ({
+            groupId: requireOption(opts, 'group'),
+            days: parseCount(opts, 'days'),
+            minMessages: parseCount(opts, 'min-messages'),
+            countReactions: opts['count-reactions'],
+            allowlist: opts.allowlist ? readNumbers(opts.allowlist) : [],
+            historyLimit: parseCount(opts, 'history')
+        }),
+        run: (client, options) => generateInactiveList(client, options)
+    },
+    'members remove': {
+        usage: 'members remove --group <id> --input <numbers.json|inactive_participants.json> [--notify] [--message-file <notice.txt>] [--attach <file>] [--var key=value] [--country <code>] [--delay <seconds>] [--dry-run] [--resume <journal>]',
+        description: 'Remove numbers from a group, optionally notifying each removed member',
+        online: true,
+        prepare: (opts) => ({
+            groupId: requireOption(opts, 'group'),
+            participants: readNumbers(requireOption(opts, 'input')),
+            notify: opts.notify,
+            notificationTemplate: readTemplate(opts),
+            variables: parseVariables(opts),
+            attachment: readAttachment(opts),
+            delay: parseDelay(opts),
+            defaultCountry: readCountry(opts),
+            checkRegistration: !opts['skip-registration-check'],
+            dryRun: opts['dry-run'],
+            resume: opts.resume
+        }),
+        run: (client, options) => removeInactiveParticipants(client, options)
+    },
+    'broadcast': {
+        usage: 'broadcast --input <numbers.json|recipients.csv> --message-file <message.txt> [--attach <file>] [--var key=value] [--country <code>] [--delay <seconds>] [--dry-run] [--resume <journal>]',
+        description: 'Send a message to every number in the list, personalized with the columns of a CSV/JSON recipients file',
+        online: true,
+        prepare: (opts) => {
+            requireOption(opts, 'message-file');
+            return {
+                recipients: loadRecipients(requireOption(opts, 'input')),
+                template: readTemplate(opts),
+                variables: parseVariables(opts),
+                attachment: readAttachment(opts),
+                defaultCountry: readCountry(opts),
+                checkRegistration: !opts['skip-registration-check'],
+                delay: parseDelay(opts),
+                dryRun: opts['dry-run'],
+                resume: opts.resume
+            };
+        },
+        run: (client, options) => sendMessagesToAll(client, options)
+    },
+    'multi add': {
+        usage: 'multi add (--group <id>,<id>... | --match <pattern> | --all) (--input <numbers.json> | --number <phone>[,<phone>...]) [--message-file <invite.txt>] [--attach <file>] [--var key=value] [--country <code>] [--delay <seconds>] [--dry-run]',
+        description: 'Add numbers to several groups (where you are admin) on one shared rate limit, with a combined per-group, per-number report',
+        online: true,
+        prepare: (opts) => ({
+            operation: 'add',
+            ...readGroupSelection(opts),
+            participants: readMultiNumbers(opts),
+            template: readTemplate(opts),
+            variables: parseVariables(opts),
+            attachment: readAttachment(opts),
+            delay: parseDelay(opts),
+            defaultCountry: readCountry(opts),
+            checkRegistration: !opts['skip-registration-check'],
+            dryRun: opts['dry-run']
+        }),
+        run: (client, options) => runMultiGroup(client, options)
+    },
+    'multi remove': {
+        usage: 'multi remove (--group <id>,<id>... | --match <pattern> | --all) (--input <numbers.json> | --number <phone>[,<phone>...]) [--notify] [--message-file <notice.txt>] [--attach <file>] [--var key=value] [--country <code>] [--delay <seconds>] [--dry-run]',
+        description: 'Remove numbers from several groups (e.g. every group where you are admin) on one shared rate limit, with a combined report',
+        online: true,
+        prepare: (opts) => ({
+            operation: 'remove',
+            ...readGroupSelection(opts),
+            participants: readMultiNumbers(opts),
+            notify: opts.notify,
+            template: readTemplate(opts),
+            variables: parseVariables(opts),
+            attachment: readAttachment(opts),
+            delay: parseDelay(opts),
+            defaultCountry: readCountry(opts),
+            checkRegistration: !opts['skip-registration-check'],
+            dryRun: opts['dry-run']
+        }),
+        run: (client, options) => runMultiGroup(client, options)
+    },
+    'multi post': {
+        usage: 'multi post (--group <id>,<id>... | --match <pattern> | --all) --message-file <message.txt> [--attach <file>] [--var key=value] [--delay <seconds>] [--dry-run]',
+        description: 'Post one message into several groups ({{groupName}} is filled per group) on one shared rate limit',
+        online: true,
+        prepare: (opts) => {
+            requireOption(opts, 'message-file');
+            return {
+                operation: 'post',
+                ...readGroupSelection(opts),
+                template: readTemplate(opts),
+                variables: parseVariables(opts),
+                attachment: readAttachment(opts),
+                delay: parseDelay(opts),
+                dryRun: opts['dry-run']
+            };
+        },
+        run: (client, options) => runMultiGroup(client, options)
+    },
+    'activity track': {
+        usage: 'activity track [--group <id>[,<id>...]] [--backfill <messages>]',
+        description: 'Record who posts and reacts in your groups (all groups unless --group is given) until Ctrl+C',
+        online: true,
+        keepAlive: true,
+        prepare: (opts) => ({
+            groupIds: opts.group ? opts.group.split(',').map(id => id.trim()).filter(Boolean) : [],
+            backfillLimit: parseCount(opts, 'backfill')
+        }),
+        run: (client, options) => trackActivity(client, options)
+    },
+    'leaderboard': {
+        usage: 'leaderboard --group <id> [--days 30] [--top 10] [--format json|csv] [--history <messages>] [--post [--message-file <leaderboard.txt>] [--every <7d|12h|30m>]]',
+        description: 'Rank contributors by messages in the window and export the ranking, optionally posting the top N into the group (repeatedly with --every)',
+        online: true,
+        keepAlive: (options) => Boolean(options.interval),
+        prepare: (opts) => {
+            const format = opts.format.toLowerCase();
+            if (!['json', 'csv'].includes(format)) {
+                throw new UsageError(`Unknown format "${opts.format}" (use json or csv)`);
+            }
+            if (opts.every && !opts.post) {
+                throw new UsageError('--every requires --post');
+            }
+            let interval;
+            if (opts.every) {
+                try {
+                    interval = parseInterval(opts.every);
+                } catch (error) {
+                    throw new UsageError(error.message);
+                }
+            }
+            return {
+                groupId: requireOption(opts, 'group'),
+                days: parseCount(opts, 'days'),
+                top: parseCount(opts, 'top'),
+                format,
+                historyLimit: parseCount(opts, 'history'),
+                post: opts.post,
+                template: readTemplate(opts),
+                interval
+            };
+        },
+        run: (client, options) => options.interval
+            ? scheduleLeaderboard(client, options, options.interval)
+            : generateLeaderboard(client, options)
+    },
+    'events watch': {
+        usage: 'events watch [--group <id>[,<id>...]]',
+        description: 'Record joins, leaves, removals, admin changes and group updates to group_events.jsonl until Ctrl+C',
+        online: true,
+        keepAlive: true,
+        prepare: (opts) => ({
+            groupIds: opts.group ? opts.group.split(',').map(id => id.trim()).filter(Boolean) : []
+        }),
+        run: (client, options) => watchGroupEvents(client, options)
+    },
+    'events query': {
+        usage: 'events query [--group <id>] [--number <phone>] [--since <date>] [--until <date>] [--event join,leave,...] [--country <code>] [--output <file>]',
+        description: 'Show recorded group events filtered by group, member and date range',
+        prepare: (opts) => {
+            const names = Object.values(WATCHED_EVENTS);
+            const events = opts.event ? opts.event.split(',').map(name => name.trim()).filter(Boolean) : undefined;
+            const unknown = (events || []).filter(name => !names.includes(name));
+            if (unknown.length > 0) {
+                throw new UsageError(`Unknown event "${unknown.join(', ')}" (use ${names.join(', ')})`);
+            }
+            return {
+                groupId: opts.group,
+                member: opts.number,
+                since: opts.since,
+                until: opts.until,
+                events,
+                defaultCountry: readCountry(opts),
+                output: opts.output
+            };
+        },
+        run: (options) => queryGroupEvents(options)
+    },
+    'welcome': {
+        usage: 'welcome --group <id>[,<id>...] [--mode group|dm] [--message-file <welcome.txt>] [--rules-file <rules.txt>] [--var key=value] [--window <seconds>] | welcome --config <welcome.json>',
+        description: 'Welcome new members with the group rules, in the group (one combined message per burst of joins) or by DM, until Ctrl+C',
+        online: true,
+        keepAlive: true,
+        prepare: (opts) => {
+            if (opts.config) {
+                return { groups: loadWelcomeConfig(opts.config) };
+            }
+            const mode = opts.mode || 'group';
+            if (!['group', 'dm'].includes(mode)) {
+                throw new UsageError(`Unknown mode "${opts.mode}" (use group or dm)`);
+            }
+            if (opts['rules-file'] && !fs.existsSync(opts['rules-file'])) {
+                throw new Error(`${opts['rules-file']} does not exist`);
+            }
+            const settings = {
+                mode,
+                template: readTemplate(opts),
+                rulesFile: opts['rules-file'],
+                variables: parseVariables(opts),
+                window: parseCount(opts, 'window')
+            };
+            Object.keys(settings).forEach(key => settings[key] === undefined && delete settings[key]);
+            const groups = {};
+            requireOption(opts, 'group').split(',').map(id => id.trim()).filter(Boolean).forEach(id => {
+                groups[id] = settings;
+            });
+            return { groups };
+        },
+        run: (client, options) => welcomeNewMembers(client, options.groups)
+    },
+    'invites conversion': {
+        usage: 'invites conversion --input <add_results.json> [--group <id>] [--output <file>]',
+        description: 'Report which invited numbers of an add run joined the group (from join events, snapshots and live members) and how long after the invite',
+        online: true,
+        prepare: (opts) => ({ resultsFile: requireOption(opts, 'input'), groupId: opts.group, output: opts.output }),
+        run: (client, options) => inviteConversion(client, options)
+    },
+    'invites renudge': {
+        usage: 'invites renudge --input <add_results.json> [--after <hours>] [--group <id>] [--message-file <renudge.txt>] [--attach <file>] [--var key=value] [--delay <seconds>] [--dry-run] [--resume <journal>]',
+        description: 'Send a fresh invite link to invitees of an add run who still have not joined after --after hours (default 48)',
+        online: true,
+        prepare: (opts) => ({
+            resultsFile: requireOption(opts, 'input'),
+            after: parseCount(opts, 'after'),
+            groupId: opts.group,
+            template: readTemplate(opts),
+            variables: parseVariables(opts),
+            attachment: readAttachment(opts),
+            delay: parseDelay(opts),
+            checkRegistration: !opts['skip-registration-check'],
+            dryRun: opts['dry-run'],
+            resume: opts.resume
+        }),
+        run: (client, options) => renudgeInvites(client, options)
+    },
+    'links show': {
+        usage: 'links show --group <id>',
+        description: 'Print the current invite link of a group and the campaigns that handed it out',
+        online: true,
+        prepare: (opts) => ({ groupId: requireOption(opts, 'group') }),
+        run: (client, options) => showInviteLink(client, options.groupId)
+    },
+    'links revoke': {
+        usage: 'links revoke --group <id> [--reason <text>]',
+        description: 'Revoke the invite link of a group so it stops working (the new link is not printed)',
+        online: true,
+        prepare: (opts) => ({ groupId: requireOption(opts, 'group'), reason: opts.reason }),
+        run: (client, options) => revokeInviteLink(client, options.groupId, options)
+    },
+    'links rotate': {
+        usage: 'links rotate --group <id> [--reason <text>]',
+        description: 'Revoke the invite link of a group and print the new one',
+        online: true,
+        prepare: (opts) => ({ groupId: requireOption(opts, 'group'), reason: opts.reason, share: true }),
+        run: (client, options) => revokeInviteLink(client, options.groupId, options)
+    },
+    'links expire': {
+        usage: 'links expire [--dry-run]',
+        description: 'Rotate the invite links of campaigns whose --rotate-after time has passed',
+        online: true,
+        prepare: (opts) => ({ dryRun: opts['dry-run'] }),
+        run: (client, options) => rotateExpiredLinks(client, options)
+    },
+    'links history': {
+        usage: 'links history [--group <id>] [--link <code|url>]',
+        description: 'List recorded invite links with the campaigns that used them, or trace where one link was handed out',
+        prepare: (opts) => ({ groupId: opts.group ? toGroupChatId(opts.group) : undefined, link: opts.link }),
+        run: (options) => listInviteLinks(options)
+    },
+    'serve': {
+        usage: 'serve [--port 3000] [--host 127.0.0.1]',
+        description: 'Serve a local HTTP API (groups, participants, add/remove/broadcast jobs) until Ctrl+C; set WGA_API_TOKEN to require a bearer token',
+        online: true,
+        keepAlive: true,
+        prepare: (opts) => ({ port: readPort(opts), host: opts.host }),
+        run: (client, options) => startApiServer(client, options)
+    },
+    'dashboard': {
+        usage: 'dashboard [--port 3000] [--host 127.0.0.1]',
+        description: 'Open a web dashboard: log in by QR in the browser, browse and export participants, run and watch jobs',
+        // Not `online`: the page has to be up before login so the QR code can be shown in it
+        prepare: (opts) => ({ port: readPort(opts), host: opts.host }),
+        run: (options) => startDashboard(options)
+    },
+    'webhooks test': {
+        usage: 'webhooks test [--event <name>]',
+        description: 'Send a test delivery to the webhooks in webhooks.json (a ping to all, or a sample of one event to the webhooks that take it); exits with 1 when any delivery fails',
+        prepare: (opts) => ({ event: opts.event }),
+        run: async (options) => {
+            const results = await testWebhooks(options);
+            // Scripts checking an endpoint need to see the failure
+            if (results.some(result => !result.ok)) {
+                process.exitCode = 1;
+            }
+        }
+    },
+    'schedule add': {
+        usage: `schedule add --cron "<min hour day month weekday>" --action <${Object.keys(ACTIONS).join('|')}> [--name <name>] [--group <id>] [--message-file <file>] [--input <file>] [--attach <file>] [--var key=value] [--country <code>] [--days <n>] [--min-messages <n>] [--top <n>] [--allowlist <file>] [--notify] [--dry-run]`,
+        description: 'Schedule a post, broadcast, inactive-member removal or leaderboard to run on a cron schedule while the scheduler runs',
+        prepare: (opts) => {
+            if (opts.action && !ACTIONS[opts.action]) {
+                throw new UsageError(`Unknown action "${opts.action}" (use ${Object.keys(ACTIONS).join(', ')})`);
+            }
+            return {
+                name: opts.name,
+                schedule: requireOption(opts, 'cron'),
+                action: requireOption(opts, 'action'),
+                params: {
+                    groupId: opts.group,
+                    messageFile: opts['message-file'],
+                    input: opts.input,
+                    attach: opts.attach,
+                    variables: parseVariables(opts),
+                    defaultCountry: readCountry(opts),
+                    days: parseCount(opts, 'days'),
+                    minMessages: parseCount(opts, 'min-messages'),
+                    top: parseCount(opts, 'top'),
+                    allowlist: opts.allowlist,
+                    notify: opts.notify,
+                    dryRun: opts['dry-run']
+                }
+            };
+        },
+        run: (options) => addScheduledJob(options)
+    },
+    'schedule list': {
+        usage: 'schedule list',
+        description: 'List scheduled jobs with their next run and the outcome of the last one',
+        run: () => listScheduledJobs()
+    },
+    'schedule pause': {
+        usage: 'schedule pause <id|name>',
+        description: 'Pause a scheduled job (runs while paused are skipped)',
+        takesArguments: true,
+        prepare: (opts, args) => ({ job: requireArgument(args, 'scheduled job') }),
+        run: (options) => pauseScheduledJob(options.job, true)
+    },
+    'schedule resume': {
+        usage: 'schedule resume <id|name>',
+        description: 'Resume a paused scheduled job from its next scheduled time',
+        takesArguments: true,
+        prepare: (opts, args) => ({ job: requireArgument(args, 'scheduled job') }),
+        run: (options) => pauseScheduledJob(options.job, false)
+    },
+    'schedule delete': {
+        usage: 'schedule delete <id|name>',
+        description: 'Delete a scheduled job',
+        takesArguments: true,
+        prepare: (opts, args) => ({ job: requireArgument(args, 'scheduled job') }),
+        run: (options) => deleteScheduledJob(options.job)
+    },
+    'schedule run': {
+        usage: 'schedule run',
+        description: 'Run scheduled jobs while connected, until Ctrl+C (serve and dashboard also run them)',
+        online: true,
+        keepAlive: true,
+        run: (client) => runScheduler(client)
+    },
+    'diff': {
+        usage: 'diff --input <group-export.json> --against <leaderboard.json>',
+        description: 'List participants of a group export missing from a number list',
+        prepare: (opts) => ({ input: requireOption(opts, 'input'), against: requireOption(opts, 'against') }),
+        run: (options) => findMissingParticipants(options.input, options.against)
+    },
+    'snapshots take': {
+        usage: 'snapshots take --group <id>',
+        description: 'Snapshot the current members of a group and show what changed since the previous snapshot',
+        online: true,
+        prepare: (opts) => ({ groupId: requireOption(opts, 'group') }),
+        run: (client, options) => takeSnapshot(client, options.groupId)
+    },
+    'snapshots import': {
+        usage: 'snapshots import <export.json> [<export.json>...] [--group <id>]',
+        description: 'Store earlier participants exports or raw_groups_data_*.json files as snapshots',
+        takesArguments: true,
+        prepare: (opts, files) => {
+            if (files.length === 0) {
+                throw new UsageError('Missing export files to import');
+            }
+            return { files, groupId: opts.group };
+        },
+        run: (options) => importSnapshots(options.files, options)
+    },
+    'snapshots list': {
+        usage: 'snapshots list [--group <id|name>]',
+        description: 'List the snapshots of a group (or the groups that have snapshots)',
+        prepare: (opts) => ({ groupId: opts.group }),
+        run: (options) => listSnapshots(options.groupId)
+    },
+    'snapshots diff': {
+        usage: 'snapshots diff --group <id|name> [--from <first|#n|date>] [--to <latest|#n|date>] [--output <file>]',
+        description: 'Show who joined, left or changed role between two snapshots (default: first to latest)',
+        prepare: (opts) => ({ groupId: requireOption(opts, 'group'), from: opts.from || 'first', to: opts.to || 'latest', output: opts.output }),
+        run: (options) => diffSnapshots(options.groupId, options.from, options.to, options)
+    },
+    'snapshots timeline': {
+        usage: 'snapshots timeline --group <id|name> [--output <file>]',
+        description: 'Print the join/leave timeline of a group across all its snapshots',
+        prepare: (opts) => ({ groupId: requireOption(opts, 'group'), output: opts.output }),
+        run: (options) => printTimeline(options.groupId, options)
+    },
+    'snapshots find': {
+        usage: 'snapshots find --number <phone> [--country <code>]',
+        description: 'Show when a number first and last appeared in each group',
+        prepare: (opts) => ({ number: requireOption(opts, 'number'), defaultCountry: readCountry(opts) }),
+        run: (options) => findNumber(options.number, options)
+    },
+    'sets': {
+        usage: `sets <${Object.keys(OPERATIONS).join('|')}> <file> <file> [<file>...] [--country <code>] [--output <file>]`,
+        description: 'Combine number lists of any format (exports, CSVs, results, leaderboards; file#selector picks a status, group or role) into a plain JSON array',
+        takesArguments: true,
+        prepare: (opts, args) => {
+            const [operation, ...sources] = args;
+            if (!OPERATIONS[operation]) {
+                throw new UsageError(operation ? `Unknown operation "${operation}"` : 'Missing operation');
+            }
+            if (sources.length < 2) {
+                throw new UsageError(`${operation} needs at least two files`);
+            }
+            return { operation, sources, defaultCountry: readCountry(opts), output: opts.output };
+        },
+        run: (options) => combineNumberLists(options.sources, options.operation, options)
+    },
+    'convert': {
+        usage: 'convert --input <numbers.csv> [--country <code>]',
+        description: 'Convert a CSV of phone numbers to JSON with country statistics',
+        prepare: (opts) => ({ input: requireOption(opts, 'input'), country: readCountry(opts) }),
+        run: (options) => convertCsvToJson(options.input, options.country)
+    }
+};
+
+// Function to get a required option or fail with a usage hint
+function requireOption(opts, name) {
+    if (opts[name] === undefined || opts[name] === '') {
+        throw new UsageError(`Missing required option --${name}`);
+    }
+    return opts[name];
+}
+
+// Function to load a JSON array of phone numbers
+function readNumbers(file) {
+    const numbers = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(numbers)) {
+        throw new Error(`${file} must contain a JSON array of phone numbers`);
+    }
+    console.log(`📱 Loaded ${numbers.length} numbers from ${file}`);
+    return numbers;
+}
+
+// Function to read the groups of a multi-group command: exactly one of --group (comma-separated), --match or --all
+function readGroupSelection(opts) {
+    const given = ['group', 'match', 'all'].filter(name => opts[name]);
+    if (given.length !== 1) {
+        throw new UsageError(given.length === 0
+            ? 'Choose the groups with --group <id>,<id>..., --match <pattern> or --all'
+            : `Use only one of ${given.map(name => `--${name}`).join(', ')}`);
+    }
+    return {
+        groupIds: opts.group ? opts.group.split(',').map(id => id.trim()).filter(Boolean) : [],
+        pattern: opts.match,
+        all: opts.all
+    };
+}
+
+// Function to get the numbers of a multi-group command from --input or --number (comma-separated)
+function readMultiNumbers(opts) {
+    if (opts.input && opts.number) {
+        throw new UsageError('Use either --input or --number, not both');
+    }
+    if (opts.number) {
+        return opts.number.split(',').map(number => number.trim()).filter(Boolean);
+    }
+    return readNumbers(requireOption(opts, 'input'));
+}
+
+// Function to load the message template from --message-file (undefined keeps the script default)
+function readTemplate(opts) {
+    if (!opts['message-file']) {
+        return undefined;
+    }
+    return loadTemplate(opts['message-file']);
+}
+
+// Function to load the --attach file (undefined sends text only)
+function readAttachment(opts) {
+    if (!opts.attach) {
+        return undefined;
+    }
+    return loadAttachment(opts.attach);
+}
+
+// Function to validate --country before connecting (undefined means numbers must include a country code)
+function readCountry(opts) {
+    if (!opts.country) {
+        return undefined;
+    }
+    try {
+        resolveCountry(opts.country);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    return opts.country;
+}
+
+// Function to turn repeated --var key=value flags into template variables
+function parseVariables(opts) {
+    const variables = {};
+    opts.var.forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator < 1) {
+            throw new UsageError(`Invalid --var "${pair}" (expected key=value)`);
+        }
+        variables[pair.slice(0, separator).trim()] = pair.slice(separator + 1);
+    });
+    return variables;
+}
+
+// Function to parse a non-negative whole-number option (undefined keeps the script default)
+function parseCount(opts, name) {
+    if (opts[name] === undefined) {
+        return undefined;
+    }
+    const count = Number(opts[name]);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new UsageError(`Invalid --${name} "${opts[name]}" (expected a whole number)`);
+    }
+    return count;
+}
+
+// Function to convert --delay (seconds) to milliseconds
+function parseDelay(opts) {
+    if (opts.delay === undefined) {
+        return undefined;
+    }
+    const seconds = Number(opts.delay);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+        throw new UsageError(`Invalid --delay "${opts.delay}" (expected seconds, e.g. 2 or 0.5)`);
+    }
+    return Math.round(seconds * 1000);
+}
+
+// Function to parse --port (undefined keeps the API default)
+function readPort(opts) {
+    const port = parseCount(opts, 'port');
+    if (port !== undefined && port > 65535) {
+        throw new UsageError(`Invalid --port "${opts.port}"`);
+    }
+    return port;
+}
+
+// Function to get the single positional argument of a command
+function requireArgument(args, label) {
+    if (args.length !== 1) {
+        throw new UsageError(args.length === 0 ? `Missing ${label}` : `Expected one ${label}, got ${args.length}`);
+    }
+    return args[0];
+}
+
+class UsageError extends Error {}
+
+// Function to print usage for all commands
+function printHelp() {
+    console.log('Usage: wga <command> [options]\n');
+    console.log('Commands:');
+    Object.values(COMMANDS).forEach(command => {
+        console.log(`  ${command.usage}`);
+        console.log(`      ${command.description}`);
+    });
+    console.log('\nOptions:');
+    console.log('  -g, --group <id>            Group ID (with or without @g.us); comma-separated list for multi and activity track');
+    console.log('      --match <pattern>       Groups whose name matches, * as wildcard: "slot*update*" (multi)');
+    console.log('      --all                   Every group you are in (multi; add and remove skip groups where you are not admin)');
+    console.log('      --mode <group|dm>       Welcome in the group or by DM (welcome, default group)');
+    console.log('      --rules-file <file>     Rules for {{rules}} in the welcome (default templates/rules.txt)');
+    console.log('      --window <seconds>      Collect joins this long before one combined welcome (welcome, default 60)');
+    console.log('      --config <file>         Per-group welcome settings as JSON (welcome)');
+    console.log('      --after <hours>         Only nudge invitees invited at least this long ago (invites renudge, default 48)');
+    console.log('      --campaign <name>       Name the invite link of this add run is recorded under (members add)');
+    console.log('      --rotate-after <hours>  Let `links expire` rotate the invite link this long after the run (members add)');
+    console.log('      --reason <text>         Why the link is revoked, kept in the link history (links revoke, links rotate)');
+    console.log('      --link <code|url>       Invite link to trace (links history)');
+    console.log('      --port <n>              Port to listen on (serve, dashboard, default 3000)');
+    console.log('      --host <address>        Interface to listen on (serve, dashboard, default 127.0.0.1; any other needs WGA_API_TOKEN)');
+    console.log('      --cron <schedule>       When to run, as in crontab: "0 9 * * mon", "0 10 1 * *", @daily (schedule add, see lib/cron.js)');
+    console.log(`      --action <action>       What to run: ${Object.keys(ACTIONS).join(', ')} (schedule add)`);
+    console.log('      --name <name>           Name to pause, resume or delete the job by (schedule add)');
+    console.log('  -t, --target <id>           Group to compare with (groups compare)');
+    console.log('      --add                   Add the members missing from the target group (groups compare)');
+    console.log('      --include-admins        Also add source admins missing from the target (groups compare)');
+    console.log('  -i, --input <file>          Input file');
+    console.log('  -m, --message-file <file>   Message template to send (see lib/template.js)');
+    console.log('  -a, --attach <file>         Image, PDF or voice note to send with each message (message becomes the caption)');
+    console.log('      --var <key=value>       Template variable, repeatable (e.g. --var adminContact=+91...)');
+    console.log('      --notify                Notify removed members');
+    console.log('  -d, --delay <seconds>       Base delay between operations (randomized, see lib/rate-limiter.js)');
+    console.log('  -f, --format <format>       Export format: json, csv or txt');
+    console.log('  -c, --country <code>        Country for numbers without a country code, e.g. IN or 91 (see lib/phone.js)');
+    console.log('      --against <file>        Number list to compare with (diff)');
+    console.log('      --dry-run               Do every lookup and write the plan, change nothing');
+    console.log('      --skip-registration-check  Do not look numbers up on WhatsApp before adding or messaging');
+    console.log('      --resume <journal>      Continue an interrupted run, skipping numbers already processed');
+    console.log('      --backfill <messages>   Past messages to read per group on first run (activity track)');
+    console.log('      --days <n>              Lookback window in days (members inactive, leaderboard, default 30, at most 90)');
+    console.log('      --min-messages <n>      Members with fewer messages in the window are inactive (default 1)');
+    console.log('      --count-reactions       Count reactions as activity (members inactive)');
+    console.log('      --allowlist <file>      JSON array of numbers never listed as inactive');
+    console.log('      --history <messages>    Recent messages to read from the group (members inactive, leaderboard, default 5000)');
+    console.log('      --top <n>               Contributors shown in the posted leaderboard (default 10)');
+    console.log('      --post                  Post the leaderboard into the group');
+    console.log('      --every <interval>      Repeat the leaderboard post, e.g. 7d, 12h or 30m (until Ctrl+C)');
+    console.log('  -o, --output <file>         File to write instead of a timestamped one (sets), or to save the report to (snapshots, events query, invites conversion)');
+    console.log('      --from <snapshot>       Snapshot to compare from: first, #n or a date (snapshots diff)');
+    console.log('      --to <snapshot>         Snapshot to compare to: latest, #n or a date (snapshots diff)');
+    console.log('  -n, --number <phone>        Number to look up (snapshots find), member to filter by (events query), or comma-separated numbers instead of --input (multi)');
+    console.log('      --since <date>          Earliest event to show, YYYY-MM-DD or ISO date-time (events query)');
+    console.log('      --until <date>          Latest event to show, inclusive (events query)');
+    console.log('      --event <names>         Comma-separated events: join, leave, admin_changed, membership_request, update (events query), or the webhook event to test (webhooks test)');
+    console.log('  -h, --help                  Show this help');
+}
+
+// Function to match positional arguments to a command ("members add", "diff", ...)
+function resolveCommand(positionals) {
+    const twoWords = positionals.slice(0, 2).join(' ');
+    if (COMMANDS[twoWords]) {
+        return { command: COMMANDS[twoWords], extra: positionals.slice(2) };
+    }
+    if (COMMANDS[positionals[0]]) {
+        return { command: COMMANDS[positionals[0]], extra: positionals.slice(1) };
+    }
+    return null;
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        printHelp();
+        process.exit(2);
+    }
+
+    const { values: opts, positionals } = parsed;
+    const resolved = resolveCommand(positionals);
+
+    if (opts.help || !resolved) {
+        if (!opts.help && positionals.length > 0) {
+            console.error(`❌ Unknown command: ${positionals.join(' ')}\n`);
+        }
+        printHelp();
+        process.exit(opts.help ? 0 : 2);
+    }
+
+    if (resolved.extra.length > 0 && !resolved.command.takesArguments) {
+        console.error(`❌ Unexpected argument: ${resolved.extra.join(' ')}\n`);
+        console.error(`Usage: wga ${resolved.command.usage}`);
+        process.exit(2);
+    }
+
+    const { command } = resolved;
+
+    // Validate flags and load input files before spending time on the browser and QR scan
+    let options;
+    try {
+        options = command.prepare ? command.prepare(opts, resolved.extra) : {};
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (error instanceof UsageError) {
+            console.error(`Usage: wga ${command.usage}`);
+            process.exit(2);
+        }
+        process.exit(1);
+    }
+
+    if (!command.online) {
+        try {
+            await command.run(options);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+
+    const client = session.createClient();
+    console.log('🚀 Starting WhatsApp Group Actions...');
+
+    try {
+        await session.ready(client);
+    } catch (error) {
+        await session.fail(error);
+        return;
+    }
+
+    try {
+        await command.run(client, options);
+        const keepAlive = typeof command.keepAlive === 'function' ? command.keepAlive(options) : command.keepAlive;
+        if (keepAlive) {
+            // Keeps running on its event listeners until Ctrl+C
+            return;
+        }
+        await session.shutdown(0);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        await session.shutdown(1);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { main, COMMANDS };